@@ -2,8 +2,11 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 
 // Pages
 import Home from './pages/Home';
+import Replay from './pages/Replay';
+import Results from './pages/Results';
 
 // Game Flow
+import { LocaleProvider } from './context/LocaleContext';
 import { GameProvider } from './context/GameContext';
 import GameFlow from './components/game/GameFlow';
 
@@ -16,22 +19,30 @@ import LiteracyQuiz from './modules/Literacy/LiteracyQuiz';
 function App() {
   return (
     <Router>
-      <GameProvider>
-        <div className="min-h-screen">
-          <Routes>
-            <Route path="/" element={<Home />} />
+      <LocaleProvider>
+        <GameProvider>
+          <div className="min-h-screen">
+            <Routes>
+              <Route path="/" element={<Home />} />
             
-            {/* Unified game flow */}
-            <Route path="/play" element={<GameFlow />} />
+              {/* Unified game flow */}
+              <Route path="/play" element={<GameFlow />} />
             
-            {/* Legacy routes - kept for backwards compatibility */}
-            <Route path="/perception/color-blindness" element={<ColorBlindnessTest />} />
-            <Route path="/perception/visual-acuity" element={<VisualAcuityTest />} />
-            <Route path="/reaction/motor-skills" element={<MotorSkillsGame />} />
-            <Route path="/knowledge/literacy" element={<LiteracyQuiz />} />
-          </Routes>
-        </div>
-      </GameProvider>
+              {/* Saved results for the current session */}
+              <Route path="/results" element={<Results />} />
+            
+              {/* Frame-by-frame replay of a motor test session */}
+              <Route path="/replay/:sessionId" element={<Replay />} />
+            
+              {/* Legacy routes - kept for backwards compatibility */}
+              <Route path="/perception/color-blindness" element={<ColorBlindnessTest />} />
+              <Route path="/perception/visual-acuity" element={<VisualAcuityTest />} />
+              <Route path="/reaction/motor-skills" element={<MotorSkillsGame />} />
+              <Route path="/knowledge/literacy" element={<LiteracyQuiz />} />
+            </Routes>
+          </div>
+        </GameProvider>
+      </LocaleProvider>
     </Router>
   );
 }
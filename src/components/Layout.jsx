@@ -1,8 +1,10 @@
 import { useNavigate } from 'react-router-dom';
 import logo from '../resources/logo.png';
+import { useTranslation } from '../context/LocaleContext';
 
 const Layout = ({ children, title, subtitle, showHome = true }) => {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
   return (
     <div className="min-h-screen flex flex-col bg-gradient-to-br from-gray-950 via-gray-900 to-black relative overflow-hidden">
@@ -55,7 +57,7 @@ const Layout = ({ children, title, subtitle, showHome = true }) => {
                   <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
                   </svg>
-                  <span className="hidden sm:inline">Home</span>
+                  <span className="hidden sm:inline">{t('layout.home')}</span>
               </button>
             )}
             </div>
@@ -79,7 +81,7 @@ const Layout = ({ children, title, subtitle, showHome = true }) => {
         <div className="glass py-4">
           <div className="container mx-auto px-4 text-center">
             <p className="text-gray-500 text-xs sm:text-sm">
-              <span className="font-semibold" style={{ color: 'var(--primary-color)' }}>AURA</span> Mind Games 🎮
+              <span className="font-semibold" style={{ color: 'var(--primary-color)' }}>AURA</span> {t('layout.footer')}
             </p>
           </div>
         </div>
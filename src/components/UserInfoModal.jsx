@@ -2,17 +2,28 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { createSession, checkUserIdExists, suggestUserId } from '../utils/api';
 import useStore from '../state/store';
 import useDeviceInfo from '../hooks/useDeviceInfo';
+import { useTranslation } from '../context/LocaleContext';
 import logo from '../resources/logo.png';
 
+// Stored gender values (English) and the key of each label
+const GENDER_OPTIONS = [
+  { value: 'Male', key: 'male' },
+  { value: 'Female', key: 'female' },
+  { value: 'Other', key: 'other' },
+  { value: 'Prefer not to say', key: 'undisclosed' },
+];
+
 const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
   const sessionId = useStore((state) => state.sessionId);
   const deviceInfo = useDeviceInfo();
+  const { locale, t } = useTranslation();
   
   const [formData, setFormData] = useState({
     userId: '',
     age: '',
     gender: '',
   });
+  // Field errors are locale keys, translated when shown
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isCheckingUserId, setIsCheckingUserId] = useState(false);
@@ -103,22 +114,22 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
     // Validate User ID
     const trimmedUserId = formData.userId.trim();
     if (!trimmedUserId) {
-      newErrors.userId = 'User ID is required';
+      newErrors.userId = 'signup.errors.userIdRequired';
     } else if (trimmedUserId.length < 2) {
-      newErrors.userId = 'User ID must be at least 2 characters';
+      newErrors.userId = 'signup.errors.userIdShort';
     } else if (userIdExists) {
-      newErrors.userId = 'This User ID is already taken';
+      newErrors.userId = 'signup.errors.userIdTaken';
     }
 
     const age = parseInt(formData.age);
     if (!formData.age) {
-      newErrors.age = 'Age is required';
+      newErrors.age = 'signup.errors.ageRequired';
     } else if (isNaN(age) || age < 18 || age > 120) {
-      newErrors.age = 'You must be 18 or older to participate';
+      newErrors.age = 'signup.errors.ageInvalid';
     }
 
     if (!formData.gender) {
-      newErrors.gender = 'Please select a gender';
+      newErrors.gender = 'signup.errors.genderRequired';
     }
 
     setErrors(newErrors);
@@ -162,6 +173,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
         memory: deviceInfo.memory,
         platform: deviceInfo.platform,
         language: deviceInfo.language,
+        locale,
         device: deviceInfo.device,
         screen: deviceInfo.screen,
         userInfo: {
@@ -196,7 +208,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
       if (isDuplicateUserId) {
         // Set userId as taken
         setUserIdExists(true);
-        setErrors({ userId: 'This User ID is already taken. Please choose a different one.' });
+        setErrors({ userId: 'signup.errors.userIdTakenChoose' });
         
         // Get a suggestion
         try {
@@ -206,7 +218,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
           console.error('Error getting suggestion:', suggestionError);
         }
       } else {
-        setErrors({ submit: 'Failed to save information. Please try again.' });
+        setErrors({ submit: 'signup.errors.submit' });
       }
     } finally {
       setIsSubmitting(false);
@@ -238,9 +250,9 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
         {/* Header */}
         <div className="relative text-center mb-8">
           <div className="text-5xl mb-4">🎮</div>
-          <h2 className="text-2xl font-bold text-white mb-2">Ready to Play?</h2>
+          <h2 className="text-2xl font-bold text-white mb-2">{t('signup.title')}</h2>
           <p className="text-sm text-gray-400">
-            Quick setup before the games begin!
+            {t('signup.text')}
           </p>
         </div>
 
@@ -248,7 +260,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
           {/* User ID Input */}
           <div>
             <label htmlFor="userId" className="block text-sm font-medium text-gray-300 mb-2">
-              User ID <span style={{ color: 'var(--primary-color)' }}>*</span>
+              {t('signup.userId')} <span style={{ color: 'var(--primary-color)' }}>*</span>
             </label>
             <div className="relative">
               <input
@@ -279,7 +291,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                     e.target.style.boxShadow = 'none';
                   }
                 }}
-                placeholder="Enter your unique ID"
+                placeholder={t('signup.userIdPlaceholder')}
                 autoFocus
               />
               {/* Status indicator */}
@@ -305,7 +317,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                 <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                 </svg>
-                {errors.userId || 'This User ID is already taken'}
+                {t(errors.userId || 'signup.errors.userIdTaken')}
               </p>
             )}
             {/* Suggestion */}
@@ -323,16 +335,16 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                 <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                 </svg>
-                Use suggested: <span className="font-mono font-bold">{suggestedUserId}</span>
+                {t('signup.useSuggested')}<span className="font-mono font-bold">{suggestedUserId}</span>
               </button>
             )}
-            <p className="text-xs text-gray-500 mt-1">This ID will be used to track your progress</p>
+            <p className="text-xs text-gray-500 mt-1">{t('signup.userIdHelp')}</p>
           </div>
           
           {/* Age Input */}
           <div>
             <label htmlFor="age" className="block text-sm font-medium text-gray-300 mb-2">
-              Age <span style={{ color: 'var(--primary-color)' }}>*</span>
+              {t('signup.age')} <span style={{ color: 'var(--primary-color)' }}>*</span>
             </label>
             <input
               id="age"
@@ -360,14 +372,14 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                   e.target.style.boxShadow = 'none';
                 }
               }}
-              placeholder="Enter your age"
+              placeholder={t('signup.agePlaceholder')}
             />
             {errors.age && (
               <p className="text-red-400 text-xs mt-2 flex items-center gap-1">
                 <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                 </svg>
-                {errors.age}
+                {t(errors.age)}
               </p>
             )}
           </div>
@@ -375,10 +387,10 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
           {/* Gender Selection */}
           <div>
             <label className="block text-sm font-medium text-gray-300 mb-2">
-              Gender <span style={{ color: 'var(--primary-color)' }}>*</span>
+              {t('signup.gender')} <span style={{ color: 'var(--primary-color)' }}>*</span>
             </label>
             <div className="grid grid-cols-2 gap-2">
-              {['Male', 'Female', 'Other', 'Prefer not to say'].map((option) => (
+              {GENDER_OPTIONS.map(({ value: option, key }) => (
                 <button
                   key={option}
                   type="button"
@@ -397,7 +409,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                       }
                   }
                 >
-                  {option}
+                  {t(`signup.genders.${key}`)}
                 </button>
               ))}
             </div>
@@ -406,7 +418,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
                 <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
                 </svg>
-                {errors.gender}
+                {t(errors.gender)}
               </p>
             )}
           </div>
@@ -422,9 +434,9 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
             <div className="flex items-start gap-3">
               <div className="text-xl">🔒</div>
               <div>
-                <h4 className="text-sm font-medium mb-1" style={{ color: 'var(--primary-color)' }}>Your Privacy is Safe</h4>
+                <h4 className="text-sm font-medium mb-1" style={{ color: 'var(--primary-color)' }}>{t('signup.privacyTitle')}</h4>
                 <p className="text-xs text-gray-400 leading-relaxed">
-                  Just for making the games better! Everything stays anonymous.
+                  {t('signup.privacy')}
                 </p>
               </div>
             </div>
@@ -433,7 +445,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
           {/* Submit Error */}
           {errors.submit && (
             <div className="bg-red-900/30 border border-red-500/30 rounded-xl p-3">
-              <p className="text-red-400 text-sm text-center">{errors.submit}</p>
+              <p className="text-red-400 text-sm text-center">{t(errors.submit)}</p>
             </div>
           )}
 
@@ -450,11 +462,11 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
             {isSubmitting ? (
               <>
                 <div className="w-5 h-5 border-2 border-black/20 border-t-black rounded-full animate-spin" />
-                <span>Loading Games...</span>
+                <span>{t('signup.submitting')}</span>
               </>
             ) : (
               <>
-                <span>Start Playing!</span>
+                <span>{t('signup.submit')}</span>
                 <svg className="w-5 h-5 group-hover:translate-x-1 transition-transform" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
                 </svg>
@@ -464,7 +476,7 @@ const UserInfoModal = ({ isOpen, onClose, onSubmit, onUserIdSet }) => {
         </form>
 
         <p className="relative text-center text-gray-600 text-xs mt-4">
-          <span style={{ color: 'var(--primary-color)' }}>*</span> Required fields
+          <span style={{ color: 'var(--primary-color)' }}>*</span>{t('signup.required')}
         </p>
       </div>
     </div>
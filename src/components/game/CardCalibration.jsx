@@ -0,0 +1,105 @@
+import { CREDIT_CARD_WIDTH_MM } from '../../utils/viewingDistance';
+import { useTranslation } from '../../context/LocaleContext';
+
+// Standard credit card height in mm (ISO/IEC 7810 ID-1)
+const CREDIT_CARD_HEIGHT_MM = 53.98;
+
+/**
+ * Credit card calibration - the user resizes a rectangle to match a real card,
+ * which gives this screen's px/mm
+ *
+ * @param {number} cardWidthPx - Current rectangle width (CSS px)
+ * @param {function} onChange - Called with the new width
+ * @param {function} onBack - Back button
+ * @param {function} onConfirm - Confirm button
+ * @param {string} confirmLabel - Confirm button text
+ * @param {node} children - Extra actions under the buttons
+ */
+const CardCalibration = ({ cardWidthPx, onChange, onBack, onConfirm, confirmLabel, children }) => {
+  const { t } = useTranslation();
+
+  // Calculate actual PPI from card calibration
+  const calibratedPPI = cardWidthPx / (CREDIT_CARD_WIDTH_MM / 25.4);
+
+  return (
+    <div className="text-center">
+      <div
+        className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-6"
+        style={{
+          backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+          border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+        }}
+      >
+        <span className="text-xl">💳</span>
+        <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+          {t('calibration.badge')}
+        </span>
+      </div>
+
+      <h3 className="text-xl font-bold text-white mb-2">{t('calibration.title')}</h3>
+      <p className="text-gray-400 mb-6 text-sm">
+        {t('calibration.text')}
+      </p>
+
+      {/* Card calibration UI */}
+      <div className="bg-gray-950 rounded-2xl p-6 mb-6 border border-gray-800 flex flex-col items-center">
+        <div
+          className="border-2 border-dashed rounded-lg flex items-center justify-center mb-4 transition-all duration-150"
+          style={{
+            width: `${cardWidthPx}px`,
+            height: `${cardWidthPx * (CREDIT_CARD_HEIGHT_MM / CREDIT_CARD_WIDTH_MM)}px`,
+            borderColor: 'var(--primary-color)',
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)'
+          }}
+        >
+          <span className="text-gray-500 text-sm">{t('calibration.match')}</span>
+        </div>
+
+        {/* Size slider */}
+        <div className="w-full max-w-xs">
+          <input
+            type="range"
+            min="200"
+            max="500"
+            value={cardWidthPx}
+            onChange={(e) => onChange(parseInt(e.target.value))}
+            className="w-full accent-[var(--primary-color)]"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{t('calibration.smaller')}</span>
+            <span className="font-mono" style={{ color: 'var(--primary-color)' }}>
+              {Math.round(calibratedPPI)} PPI
+            </span>
+            <span>{t('calibration.larger')}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={onBack}
+          className="flex-1 py-3 px-4 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all"
+        >
+          {t('calibration.back')}
+        </button>
+        <button
+          onClick={onConfirm}
+          className="flex-1 py-3 px-4 rounded-xl font-semibold text-black transition-all"
+          style={{
+            background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+          }}
+        >
+          {confirmLabel}
+        </button>
+      </div>
+
+      {children}
+
+      <p className="text-xs text-gray-600 mt-4">
+        {t('calibration.standard')}
+      </p>
+    </div>
+  );
+};
+
+export default CardCalibration;
@@ -1,7 +1,9 @@
 import { useEffect, useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useGame, PROFILE_TRAITS } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
 import useDeviceInfo from '../../hooks/useDeviceInfo';
+import useOutboxStatus from '../../hooks/useOutboxStatus';
 import { buildAndSaveImpairmentProfile } from '../../utils/impairmentProfile';
 import { saveDeviceContext } from '../../utils/api';
 import logo from '../../resources/logo.png';
@@ -9,7 +11,9 @@ import logo from '../../resources/logo.png';
 const FinalProfile = () => {
   const navigate = useNavigate();
   const { state, elapsedTime, resetGame } = useGame();
+  const { t } = useTranslation();
   const deviceInfo = useDeviceInfo();
+  const uploadStatus = useOutboxStatus();
   const [showContent, setShowContent] = useState(false);
   const [celebratePhase, setCelebratePhase] = useState(0);
   const [profileSaved, setProfileSaved] = useState(false);
@@ -93,12 +97,12 @@ const FinalProfile = () => {
   
   // Get fun title based on streak performance
   const getPlayerTitle = () => {
-    if (stats.maxStreak >= 15) return { title: 'Ultimate Champion', emoji: '👑', color: '#fbbf24' };
-    if (stats.maxStreak >= 10) return { title: 'Streak Legend', emoji: '🔥', color: '#f97316' };
-    if (stats.maxStreak >= 7) return { title: 'Brain Master', emoji: '🧠', color: 'var(--primary-color)' };
-    if (stats.maxStreak >= 5) return { title: 'Rising Star', emoji: '⭐', color: 'var(--primary-color)' };
-    if (stats.maxStreak >= 3) return { title: 'Quick Learner', emoji: '🎯', color: 'var(--primary-color)' };
-    return { title: 'Game Explorer', emoji: '🎮', color: 'var(--primary-color)' };
+    if (stats.maxStreak >= 15) return { title: t('final.titles.champion'), emoji: '👑', color: '#fbbf24' };
+    if (stats.maxStreak >= 10) return { title: t('final.titles.legend'), emoji: '🔥', color: '#f97316' };
+    if (stats.maxStreak >= 7) return { title: t('final.titles.master'), emoji: '🧠', color: 'var(--primary-color)' };
+    if (stats.maxStreak >= 5) return { title: t('final.titles.risingStar'), emoji: '⭐', color: 'var(--primary-color)' };
+    if (stats.maxStreak >= 3) return { title: t('final.titles.learner'), emoji: '🎯', color: 'var(--primary-color)' };
+    return { title: t('final.titles.explorer'), emoji: '🎮', color: 'var(--primary-color)' };
   };
   
   const playerTitle = getPlayerTitle();
@@ -159,11 +163,11 @@ const FinalProfile = () => {
             )}
           </div>
           
-          <h1 className="text-3xl font-black text-white mb-2">You Did It!</h1>
+          <h1 className="text-3xl font-black text-white mb-2">{t('final.title')}</h1>
           <p className="text-xl font-semibold mb-3" style={{ color: playerTitle.color }}>{playerTitle.title}</p>
           {state.userId && (
             <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-gray-800/60 border border-gray-700">
-              <span className="text-gray-400 text-sm">Player</span>
+              <span className="text-gray-400 text-sm">{t('final.player')}</span>
               <span className="font-mono font-bold text-white">{state.userId}</span>
             </div>
           )}
@@ -175,23 +179,23 @@ const FinalProfile = () => {
           <div className="grid grid-cols-2 gap-4 mb-8">
             <div className="text-center p-5 rounded-xl bg-gray-800/50">
               <div className="text-4xl font-black text-amber-400">{stats.maxStreak}🔥</div>
-              <div className="text-sm text-gray-500 mt-2">Best Streak</div>
+              <div className="text-sm text-gray-500 mt-2">{t('final.bestStreak')}</div>
             </div>
             <div className="text-center p-5 rounded-xl bg-gray-800/50">
               <div className="text-4xl font-black text-white font-mono">{formatTime(elapsedTime)}</div>
-              <div className="text-sm text-gray-500 mt-2">Total Time</div>
+              <div className="text-sm text-gray-500 mt-2">{t('final.totalTime')}</div>
             </div>
           </div>
           
           {/* Skills Unlocked */}
-          <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-4">Skills Unlocked</h3>
+          <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-4">{t('profile.skillsUnlocked')}</h3>
           <div className="grid grid-cols-2 gap-3 mb-8">
             {Object.values(PROFILE_TRAITS).map((trait, index) => (
               <div
                 key={trait.id}
                 className={`flex items-center gap-3 p-3 rounded-xl bg-gray-800/30 transition-all duration-500`}
                 style={{ 
-                  borderLeft: '3px solid var(--primary-color)',
+                  borderInlineStart: '3px solid var(--primary-color)',
                   animationDelay: `${index * 100}ms`
                 }}
               >
@@ -202,8 +206,8 @@ const FinalProfile = () => {
                   {trait.icon}
                 </div>
                 <div>
-                  <div className="font-semibold text-white text-sm">{trait.name}</div>
-                  <div className="text-xs text-gray-500">{trait.description}</div>
+                  <div className="font-semibold text-white text-sm">{t(`traits.${trait.id}.name`)}</div>
+                  <div className="text-xs text-gray-500">{t(`traits.${trait.id}.description`)}</div>
                 </div>
               </div>
             ))}
@@ -216,21 +220,43 @@ const FinalProfile = () => {
           >
             <p className="text-sm" style={{ color: 'var(--primary-color)' }}>
               {stats.maxStreak >= 10 
-                ? '🔥 Incredible streak! You\'re on fire!' 
+                ? t('final.facts.onFire')
                 : stats.maxStreak >= 5
-                  ? '⚡ Nice streak! You\'ve got quick reflexes!'
-                  : '🎮 Great effort! Practice makes perfect.'}
+                  ? t('final.facts.quick')
+                  : t('final.facts.effort')}
             </p>
           </div>
         </div>
         
+        {/* Upload Status */}
+        <div className="text-center mb-6">
+          {uploadStatus.pending > 0 ? (
+            <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-amber-500/10 border border-amber-500/30">
+              <span className={uploadStatus.isFlushing ? 'animate-spin' : ''}>⏳</span>
+              <span className="text-sm text-amber-400">
+                {t(uploadStatus.pending === 1 ? 'final.pendingOne' : 'final.pendingMany', { count: uploadStatus.pending })}
+              </span>
+            </div>
+          ) : profileSaved ? (
+            <div className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-gray-800/60 border border-gray-700">
+              <span>✅</span>
+              <span className="text-sm text-gray-400">{t('final.saved')}</span>
+            </div>
+          ) : null}
+          {uploadStatus.failed > 0 && (
+            <p className="text-xs text-red-400 mt-2">
+              {t(uploadStatus.failed === 1 ? 'final.rejectedOne' : 'final.rejectedMany', { count: uploadStatus.failed })}
+            </p>
+          )}
+        </div>
+        
         {/* Footer */}
         <div className="text-center">
           <div className="flex items-center justify-center gap-2 mb-2">
             <img src={logo} alt="AURA" className="w-5 h-5" />
-            <span className="text-sm text-gray-600">Powered by <span style={{ color: 'var(--primary-color)' }}>AURA</span></span>
+            <span className="text-sm text-gray-600">{t('final.poweredByBefore')}<span style={{ color: 'var(--primary-color)' }}>AURA</span>{t('final.poweredByAfter')}</span>
           </div>
-          <p className="text-xs text-gray-700">Thanks for playing! 🎮</p>
+          <p className="text-xs text-gray-700">{t('final.thanks')}</p>
         </div>
       </div>
       
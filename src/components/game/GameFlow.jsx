@@ -1,4 +1,5 @@
 import { useGame } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
 import JourneyProgress from './JourneyProgress';
 import StatsPanel from './StatsPanel';
 import ProfileBuilder from './ProfileBuilder';
@@ -8,11 +9,14 @@ import FinalProfile from './FinalProfile';
 import ColorChallenge from './challenges/ColorChallenge';
 import AcuityChallenge from './challenges/AcuityChallenge';
 import MotorChallenge from './challenges/MotorChallenge';
+import ContrastChallenge from './challenges/ContrastChallenge';
 import QuizChallenge from './challenges/QuizChallenge';
+import ReadingChallenge from './challenges/ReadingChallenge';
 import logo from '../../resources/logo.png';
 
 const GameFlow = () => {
   const { state, progress } = useGame();
+  const { t } = useTranslation();
   
   // Show intro screen
   if (state.currentPhase === 'intro') {
@@ -31,10 +35,14 @@ const GameFlow = () => {
         return <ColorChallenge />;
       case 'visual-acuity':
         return <AcuityChallenge />;
+      case 'contrast-sensitivity':
+        return <ContrastChallenge />;
       case 'motor-skills':
         return <MotorChallenge />;
       case 'knowledge-quiz':
         return <QuizChallenge />;
+      case 'reading-assessment':
+        return <ReadingChallenge />;
       default:
         return null;
     }
@@ -69,7 +77,7 @@ const GameFlow = () => {
               <img src={logo} alt="AURA" className="w-8 h-8" />
               <div>
                 <span className="font-bold text-white">AURA</span>
-                <span className="text-xs text-gray-500 ml-2 hidden sm:inline">Digital Profile</span>
+                <span className="text-xs text-gray-500 ms-2 hidden sm:inline">{t('flow.subtitle')}</span>
               </div>
             </div>
             
@@ -77,7 +85,7 @@ const GameFlow = () => {
             <div className="flex items-center gap-4">
               {state.userId && (
                 <div className="hidden sm:flex items-center gap-2 px-3 py-1.5 rounded-lg bg-gray-800/50 border border-gray-700/50">
-                  <span className="text-xs text-gray-500">Player:</span>
+                  <span className="text-xs text-gray-500">{t('flow.player')}</span>
                   <span className="font-mono text-sm font-medium text-white">{state.userId}</span>
                 </div>
               )}
@@ -122,7 +130,7 @@ const GameFlow = () => {
       {/* Footer */}
       <footer className="relative z-10 text-center py-4 border-t border-gray-800/50">
         <p className="text-xs text-gray-600">
-          Game {progress.current + 1} of 4 • Auto-saved 💾
+          {t('flow.footer', { current: progress.current + 1, total: progress.total })}
         </p>
       </footer>
     </div>
@@ -1,9 +1,15 @@
 import { useState, useEffect } from 'react';
-import { useGame } from '../../context/GameContext';
+import { useGame, CHALLENGE_COUNT } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
+import useStore from '../../state/store';
+import { updateSessionLocale } from '../../utils/api';
+import LanguageSwitcher from './LanguageSwitcher';
 import logo from '../../resources/logo.png';
 
 const IntroScreen = () => {
-  const { startGame, setUserId, state } = useGame();
+  const { startGame, setUserId, state, progress } = useGame();
+  const { locale, t } = useTranslation();
+  const sessionId = useStore((state) => state.sessionId);
   const [isStarting, setIsStarting] = useState(false);
   
   // Load userId from storage if not already set in context
@@ -17,8 +23,18 @@ const IntroScreen = () => {
     }
   }, [state.userId, setUserId]);
   
-  const handleStart = () => {
+  const handleStart = async () => {
     setIsStarting(true);
+    
+    // The language can change here after sign-up - record the one the games are played in
+    if (state.userId) {
+      try {
+        await updateSessionLocale(sessionId, locale);
+      } catch (error) {
+        // Continue even if the locale save fails
+      }
+    }
+    
     setTimeout(() => {
       startGame();
     }, 300);
@@ -49,67 +65,73 @@ const IntroScreen = () => {
       </div>
       
       <div className="relative z-10 max-w-2xl w-full">
+        {/* Language */}
+        <div className="mb-8">
+          <LanguageSwitcher />
+        </div>
+        
         {/* Logo & Title */}
         <div className="text-center mb-10">
           <div className="inline-flex items-center gap-3 mb-6">
             <img src={logo} alt="AURA" className="w-16 h-16 object-contain" />
-            <div className="text-left">
+            <div className="text-start">
               <h1 className="text-4xl font-black tracking-tight text-white">AURA</h1>
-              <p className="text-xs font-medium tracking-widest uppercase" style={{ color: 'var(--primary-color)' }}>Mind Games</p>
+              <p className="text-xs font-medium tracking-widest uppercase" style={{ color: 'var(--primary-color)' }}>{t('intro.tagline')}</p>
             </div>
           </div>
           
           {state.userId ? (
             <>
               <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">
-                Welcome <span style={{ color: 'var(--primary-color)' }}>{state.userId}</span>!
+                {t('intro.welcomeBefore')}<span style={{ color: 'var(--primary-color)' }}>{state.userId}</span>{t('intro.welcomeAfter')}
               </h2>
               <p className="text-gray-400 max-w-lg mx-auto leading-relaxed">
-                First time here? Four quick games await!
+                {t('intro.returning', { count: CHALLENGE_COUNT })}
               </p>
             </>
           ) : (
             <>
               <h2 className="text-2xl sm:text-3xl font-bold text-white mb-4">
-                Ready to Challenge Yourself?
+                {t('intro.readyTitle')}
               </h2>
               <p className="text-gray-400 max-w-lg mx-auto leading-relaxed">
-                Four quick games await! Spot hidden patterns, test your focus, 
-                pop bubbles at lightning speed, and prove your digital smarts.
+                {t('intro.readyText', { count: CHALLENGE_COUNT })}
               </p>
             </>
           )}
         </div>
         
         {/* Game preview cards */}
-        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-8">
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-8">
           {[
-            { icon: '🎨', name: 'Pattern Hunt', desc: 'Find hidden numbers' },
-            { icon: '🦅', name: 'Eagle Eye', desc: 'Shrinking challenge' },
-            { icon: '🎯', name: 'Bubble Pop', desc: 'Speed & precision' },
-            { icon: '🧠', name: 'Quick Think', desc: 'Digital trivia' },
+            { icon: '🎨', id: 'pattern' },
+            { icon: '🦅', id: 'eagle' },
+            { icon: '🌗', id: 'fade' },
+            { icon: '🎯', id: 'bubble' },
+            { icon: '🧠', id: 'quiz' },
+            { icon: '📖', id: 'reading' },
           ].map((game, index) => (
             <div 
-              key={game.name}
+              key={game.id}
               className="p-4 rounded-xl bg-gray-900/50 border border-gray-800 text-center transition-all duration-300 hover:border-gray-700 hover:scale-105"
               style={{ animationDelay: `${index * 100}ms` }}
             >
               <div className="text-3xl mb-2">{game.icon}</div>
-              <div className="text-sm font-semibold text-white">{game.name}</div>
-              <div className="text-xs text-gray-500">{game.desc}</div>
+              <div className="text-sm font-semibold text-white">{t(`intro.games.${game.id}.name`)}</div>
+              <div className="text-xs text-gray-500">{t(`intro.games.${game.id}.desc`)}</div>
             </div>
           ))}
         </div>
         
         {/* What to expect */}
         <div className="bg-gray-900/50 border border-gray-800 rounded-2xl p-6 mb-8">
-          <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-4">How It Works</h3>
+          <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wider mb-4">{t('intro.howItWorks')}</h3>
           <div className="grid sm:grid-cols-2 gap-4">
             {[
-              { icon: '🎮', title: 'Play 4 Mini-Games', desc: 'Quick, fun challenges that take seconds each' },
-              { icon: '🔥', title: 'Build Your Streak', desc: 'Chain correct answers for bonus points' },
-              { icon: '⚡', title: 'Unlock Skills', desc: 'Earn cool badges as you complete games' },
-              { icon: '🏆', title: 'See Your Results', desc: 'Get your personalized player profile' },
+              { icon: '🎮', title: t('intro.steps.play.title', { count: progress.total }), desc: t('intro.steps.play.desc') },
+              { icon: '🔥', title: t('intro.steps.streak.title'), desc: t('intro.steps.streak.desc') },
+              { icon: '⚡', title: t('intro.steps.skills.title'), desc: t('intro.steps.skills.desc') },
+              { icon: '🏆', title: t('intro.steps.results.title'), desc: t('intro.steps.results.desc') },
             ].map((item) => (
               <div key={item.title} className="flex items-start gap-3">
                 <div className="text-xl">{item.icon}</div>
@@ -128,7 +150,7 @@ const IntroScreen = () => {
             <svg className="w-4 h-4 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            <span className="text-sm text-gray-400">Only <span className="text-white font-semibold">5 minutes</span> to play</span>
+            <span className="text-sm text-gray-400">{t('intro.timeBefore')}<span className="text-white font-semibold">{t('intro.timeValue')}</span>{t('intro.timeAfter')}</span>
           </div>
         </div>
         
@@ -142,8 +164,8 @@ const IntroScreen = () => {
           }}
         >
           <span className="flex items-center justify-center gap-2">
-            Let's Play!
-            <svg className="w-5 h-5 group-hover:translate-x-1 transition-transform" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            {t('intro.start')}
+            <svg className="w-5 h-5 group-hover:translate-x-1 rtl:-scale-x-100 transition-transform" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
             </svg>
           </span>
@@ -151,7 +173,7 @@ const IntroScreen = () => {
         
         {/* Privacy note - subtle */}
         <p className="text-center text-xs text-gray-700 mt-4">
-          Your gameplay helps improve our games. All data is anonymous.
+          {t('intro.privacy')}
         </p>
       </div>
     </div>
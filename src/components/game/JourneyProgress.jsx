@@ -1,14 +1,9 @@
 import { useGame, CHALLENGE_ORDER, PROFILE_TRAITS } from '../../context/GameContext';
-
-const CHALLENGE_INFO = {
-  'color-blindness': { name: 'Color Test', shortName: 'Color', icon: '🎨' },
-  'visual-acuity': { name: 'Acuity Test', shortName: 'Acuity', icon: '👁️' },
-  'motor-skills': { name: 'Reflex Game', shortName: 'Reflex', icon: '🎯' },
-  'knowledge-quiz': { name: 'Tech Quiz', shortName: 'Quiz', icon: '💡' },
-};
+import { useTranslation } from '../../context/LocaleContext';
 
 const JourneyProgress = ({ minimal = false }) => {
   const { state, progress } = useGame();
+  const { t } = useTranslation();
   const challenges = CHALLENGE_ORDER.filter(c => c !== 'intro' && c !== 'profile-complete');
   
   if (minimal) {
@@ -38,7 +33,7 @@ const JourneyProgress = ({ minimal = false }) => {
           })}
         </div>
         <span className="text-xs text-gray-500">
-          {progress.current}/4
+          {progress.current}/{progress.total}
         </span>
       </div>
     );
@@ -63,7 +58,6 @@ const JourneyProgress = ({ minimal = false }) => {
           {challenges.map((challenge, index) => {
             const isComplete = state.completedChallenges.includes(challenge);
             const isCurrent = state.currentPhase === challenge;
-            const info = CHALLENGE_INFO[challenge];
             
             return (
               <div 
@@ -93,7 +87,7 @@ const JourneyProgress = ({ minimal = false }) => {
                 <span className={`text-xs mt-2 font-medium transition-all duration-300 ${
                   isComplete || isCurrent ? 'text-white' : 'text-gray-600'
                 }`}>
-                  {info?.shortName}
+                  {t(`journey.${challenge}`)}
                 </span>
               </div>
             );
@@ -0,0 +1,33 @@
+import { useTranslation } from '../../context/LocaleContext';
+import { LOCALES, SUPPORTED_LOCALES } from '../../utils/i18n';
+
+/**
+ * Language picker - each language is shown by its own name
+ * Only offered before the games start, so a test never changes language halfway
+ */
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useTranslation();
+
+  return (
+    <div className="flex items-center justify-center gap-2" role="group" aria-label={t('language.label')}>
+      <span className="text-lg" aria-hidden="true">🌐</span>
+      {SUPPORTED_LOCALES.map((code) => (
+        <button
+          key={code}
+          lang={code}
+          onClick={() => setLocale(code)}
+          aria-pressed={locale === code}
+          className="px-3 py-1.5 rounded-lg text-sm font-medium border transition-all duration-300"
+          style={locale === code
+            ? { color: 'var(--primary-color)', borderColor: 'rgba(var(--primary-color-rgb), 0.5)', backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)' }
+            : { color: '#9ca3af', borderColor: 'rgba(55, 65, 81, 0.5)', backgroundColor: 'rgba(31, 41, 55, 0.5)' }
+          }
+        >
+          {LOCALES[code].meta.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
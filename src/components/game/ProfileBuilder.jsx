@@ -1,14 +1,16 @@
 import { useGame, PROFILE_TRAITS } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
 
 const ProfileBuilder = ({ expanded = false }) => {
-  const { state } = useGame();
+  const { state, progress } = useGame();
+  const { t } = useTranslation();
   const allTraits = Object.values(PROFILE_TRAITS);
   
   if (!expanded) {
     // Compact version - just show unlocked trait icons
     return (
       <div className="flex items-center gap-2">
-        <span className="text-xs text-gray-500">Profile:</span>
+        <span className="text-xs text-gray-500">{t('profile.label')}</span>
         <div className="flex gap-1">
           {allTraits.map((trait) => {
             const isUnlocked = state.unlockedTraits.some(t => t.id === trait.id);
@@ -22,7 +24,7 @@ const ProfileBuilder = ({ expanded = false }) => {
                   backgroundColor: isUnlocked ? 'rgba(var(--primary-color-rgb), 0.2)' : 'rgba(55, 65, 81, 0.3)',
                   border: isUnlocked ? '1px solid var(--primary-color)' : '1px solid transparent'
                 }}
-                title={trait.name}
+                title={t(`traits.${trait.id}.name`)}
               >
                 {trait.icon}
               </div>
@@ -36,7 +38,7 @@ const ProfileBuilder = ({ expanded = false }) => {
   return (
     <div className="bg-gray-900/70 backdrop-blur-xl border border-gray-800 rounded-2xl p-5">
       <h3 className="text-lg font-bold text-white mb-4 flex items-center gap-2">
-        <span>⚡</span> Skills Unlocked
+        <span>⚡</span> {t('profile.skillsUnlocked')}
       </h3>
       
       <div className="space-y-3">
@@ -53,7 +55,7 @@ const ProfileBuilder = ({ expanded = false }) => {
                   : 'bg-gray-800/20 opacity-50'
               }`}
               style={{ 
-                borderLeft: isUnlocked ? '3px solid var(--primary-color)' : '3px solid transparent'
+                borderInlineStart: isUnlocked ? '3px solid var(--primary-color)' : '3px solid transparent'
               }}
             >
               <div className="flex items-center gap-3">
@@ -70,19 +72,19 @@ const ProfileBuilder = ({ expanded = false }) => {
                 
                 <div className="flex-1">
                   <div className="flex items-center gap-2">
-                    <h4 className="font-semibold text-white">{trait.name}</h4>
+                    <h4 className="font-semibold text-white">{t(`traits.${trait.id}.name`)}</h4>
                     {isUnlocked && (
                       <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" style={{ color: 'var(--primary-color)' }}>
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                       </svg>
                     )}
                   </div>
-                  <p className="text-xs text-gray-500">{trait.description}</p>
+                  <p className="text-xs text-gray-500">{t(`traits.${trait.id}.description`)}</p>
                   
                   {/* Result preview if available */}
                   {isUnlocked && result && (
                     <div className="mt-2 text-xs" style={{ color: 'var(--primary-color)' }}>
-                      {getResultSummary(trait.id, result)}
+                      {getResultSummary(trait.id, result, t)}
                     </div>
                   )}
                 </div>
@@ -103,14 +105,14 @@ const ProfileBuilder = ({ expanded = false }) => {
       {/* Progress indicator */}
       <div className="mt-4 pt-4 border-t border-gray-800">
         <div className="flex justify-between text-sm mb-2">
-          <span className="text-gray-500">Skills Collected</span>
-          <span style={{ color: 'var(--primary-color)' }}>{state.unlockedTraits.length}/4</span>
+          <span className="text-gray-500">{t('profile.skillsCollected')}</span>
+          <span style={{ color: 'var(--primary-color)' }}>{state.unlockedTraits.length}/{progress.total}</span>
         </div>
         <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
           <div 
             className="h-full rounded-full transition-all duration-700"
             style={{ 
-              width: `${(state.unlockedTraits.length / 4) * 100}%`,
+              width: `${(state.unlockedTraits.length / progress.total) * 100}%`,
               background: 'linear-gradient(90deg, var(--primary-color) 0%, var(--primary-color-light) 100%)'
             }}
           />
@@ -125,29 +127,36 @@ function getResultKeyForTrait(traitId) {
   const map = {
     'perception': 'colorBlindness',
     'clarity': 'visualAcuity',
+    'contrast': 'contrastSensitivity',
     'reflexes': 'motorSkills',
     'literacy': 'knowledgeQuiz',
+    'reading': 'readingAssessment',
   };
   return map[traitId];
 }
 
-// Helper to get result summary text
-function getResultSummary(traitId, result) {
+// Helper to get result summary text (t from useTranslation)
+function getResultSummary(traitId, result, t) {
+  const unlocked = t('profile.summaries.unlocked');
   switch (traitId) {
     case 'perception':
-      return '✓ Pattern master!';
+      return t('profile.summaries.perception');
     case 'clarity':
       if (result?.finalResolvedSize) {
         const level = Math.floor((80 - result.finalResolvedSize) / 10) + 1;
-        return `Level ${level} achieved!`;
+        return t('profile.summaries.clarity', { level });
       }
-      return '✓ Unlocked!';
+      return unlocked;
+    case 'contrast':
+      return result?.logCS != null ? t('profile.summaries.contrast', { value: result.logCS.toFixed(2) }) : unlocked;
     case 'reflexes':
-      return result?.accuracy ? `${result.accuracy}% hit rate!` : '✓ Unlocked!';
+      return result?.accuracy ? t('profile.summaries.reflexes', { value: result.accuracy }) : unlocked;
     case 'literacy':
-      return result?.score?.percentage ? `${result.score.percentage}% correct!` : '✓ Unlocked!';
+      return result?.score?.percentage ? t('profile.summaries.literacy', { value: result.score.percentage }) : unlocked;
+    case 'reading':
+      return result?.wordsPerMinute ? t('profile.summaries.reading', { value: result.wordsPerMinute }) : unlocked;
     default:
-      return '✓ Unlocked!';
+      return unlocked;
   }
 }
 
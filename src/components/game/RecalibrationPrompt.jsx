@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import CardCalibration from './CardCalibration';
+import { useTranslation } from '../../context/LocaleContext';
+import {
+  ASSUMED_VIEWING_DISTANCE_MM,
+  CREDIT_CARD_WIDTH_MM,
+  DISTANCE_METHODS,
+  PX_PER_MM_SOURCES,
+  pxPerMmFromCard,
+} from '../../utils/viewingDistance';
+
+/**
+ * Banner shown when the window moved to another display mid-test
+ * Sizes were calibrated for the previous display, so it offers the credit card
+ * calibration again (or the test's own recalibration flow via onRecalibrate).
+ *
+ * @param {object|null} calibration - Saved calibration for the new display, if any
+ * @param {function} onSave - Store a new calibration (useScreenCalibration().saveCalibration)
+ * @param {function} onDismiss - Keep going without recalibrating
+ * @param {function} onRecalibrate - Optional - replaces the built-in card calibration
+ */
+const RecalibrationPrompt = ({ calibration, onSave, onDismiss, onRecalibrate }) => {
+  const { t } = useTranslation();
+  const [showCard, setShowCard] = useState(false);
+  const [cardWidthPx, setCardWidthPx] = useState(
+    calibration?.pxPerMm ? Math.round(calibration.pxPerMm * CREDIT_CARD_WIDTH_MM) : 320
+  );
+
+  const handleConfirm = () => {
+    onSave({
+      pxPerMm: pxPerMmFromCard(cardWidthPx),
+      pxPerMmSource: PX_PER_MM_SOURCES.CREDIT_CARD,
+      viewingDistanceMm: ASSUMED_VIEWING_DISTANCE_MM,
+      distanceMethod: DISTANCE_METHODS.ASSUMED,
+    });
+    setShowCard(false);
+  };
+
+  if (showCard) {
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-md p-4">
+        <div className="w-full max-w-xl rounded-3xl bg-gray-900/90 border border-gray-800 p-8 shadow-2xl animate-fade-in">
+          <CardCalibration
+            cardWidthPx={cardWidthPx}
+            onChange={setCardWidthPx}
+            onBack={() => setShowCard(false)}
+            onConfirm={handleConfirm}
+            confirmLabel={t('calibration.confirm')}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-4 p-3 rounded-xl bg-amber-900/20 border border-amber-500/30 flex flex-col sm:flex-row items-center gap-3">
+      <span className="text-amber-400 text-sm flex-1">
+        {t('calibration.moved')}
+        {calibration ? t('calibration.savedInUse') : t('calibration.sizesStale')}
+      </span>
+      <div className="flex gap-2">
+        <button
+          onClick={onDismiss}
+          className="py-2 px-3 rounded-lg text-sm text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all"
+        >
+          {t('calibration.dismiss')}
+        </button>
+        <button
+          onClick={() => (onRecalibrate ? onRecalibrate() : setShowCard(true))}
+          className="py-2 px-3 rounded-lg text-sm font-semibold text-black transition-all"
+          style={{ background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)' }}
+        >
+          {t('calibration.recalibrate')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecalibrationPrompt;
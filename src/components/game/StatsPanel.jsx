@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useGame } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
 
 const StatsPanel = ({ compact = false }) => {
   const { state } = useGame();
+  const { t } = useTranslation();
   const { stats } = state;
   
   // Live ticking time
@@ -62,7 +64,7 @@ const StatsPanel = ({ compact = false }) => {
   
   return (
     <div className="bg-gray-900/70 backdrop-blur-xl border border-gray-800 rounded-2xl p-4">
-      <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-3">Your Score</h3>
+      <h3 className="text-xs uppercase tracking-wider text-gray-500 mb-3">{t('stats.title')}</h3>
       
       <div className="grid grid-cols-2 gap-3">
         {/* Current Streak */}
@@ -76,7 +78,7 @@ const StatsPanel = ({ compact = false }) => {
             <div className={`text-xl font-black ${stats.currentStreak >= 3 ? 'text-amber-400' : 'text-white'}`}>
               {stats.currentStreak}
             </div>
-            <div className="text-xs text-gray-500">Streak</div>
+            <div className="text-xs text-gray-500">{t('stats.streak')}</div>
           </div>
         </div>
         
@@ -89,7 +91,7 @@ const StatsPanel = ({ compact = false }) => {
             <div className="text-xl font-black text-amber-400">
               {stats.maxStreak}
             </div>
-            <div className="text-xs text-gray-500">Best</div>
+            <div className="text-xs text-gray-500">{t('stats.best')}</div>
           </div>
         </div>
         
@@ -100,7 +102,7 @@ const StatsPanel = ({ compact = false }) => {
           </div>
           <div className="text-center">
             <div className="text-3xl font-black text-white font-mono tabular-nums">{formatTime(displayTime)}</div>
-            <div className="text-xs text-gray-500">Time</div>
+            <div className="text-xs text-gray-500">{t('stats.time')}</div>
           </div>
         </div>
       </div>
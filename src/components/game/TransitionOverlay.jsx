@@ -1,16 +1,20 @@
 import { useEffect, useState } from 'react';
 import { useGame, PROFILE_TRAITS } from '../../context/GameContext';
+import { useTranslation } from '../../context/LocaleContext';
 
-// Challenge order for "next level" display
+// Challenge order for "next level" display (game names are intro.games.<game>.name)
 const CHALLENGE_ORDER = [
-  { id: 'color-blindness', name: 'Pattern Hunt', icon: '🎨' },
-  { id: 'visual-acuity', name: 'Eagle Eye', icon: '🦅' },
-  { id: 'motor-skills', name: 'Bubble Pop', icon: '🎯' },
-  { id: 'knowledge-quiz', name: 'Quick Think', icon: '🧠' },
+  { id: 'color-blindness', game: 'pattern', icon: '🎨' },
+  { id: 'visual-acuity', game: 'eagle', icon: '🦅' },
+  { id: 'contrast-sensitivity', game: 'fade', icon: '🌗' },
+  { id: 'motor-skills', game: 'bubble', icon: '🎯' },
+  { id: 'knowledge-quiz', game: 'quiz', icon: '🧠' },
+  { id: 'reading-assessment', game: 'reading', icon: '📖' },
 ];
 
 const TransitionOverlay = () => {
   const { state } = useGame();
+  const { t } = useTranslation();
   const [animationPhase, setAnimationPhase] = useState('entering');
   
   useEffect(() => {
@@ -92,15 +96,17 @@ const TransitionOverlay = () => {
         {/* Text */}
         <div className="space-y-2">
           <p className="text-sm uppercase tracking-widest" style={{ color: 'var(--primary-color)' }}>
-            New Skill!
+            {t('transition.newSkill')}
           </p>
-          <h2 className="text-3xl font-black text-white">
-            {state.transitionMessage}
-          </h2>
           {latestTrait && (
-            <p className="text-gray-400 max-w-xs mx-auto">
-              {latestTrait.description}
-            </p>
+            <>
+              <h2 className="text-3xl font-black text-white">
+                {t('transition.unlocked', { name: t(`traits.${latestTrait.id}.name`) })}
+              </h2>
+              <p className="text-gray-400 max-w-xs mx-auto">
+                {t(`traits.${latestTrait.id}.description`)}
+              </p>
+            </>
           )}
         </div>
         
@@ -110,15 +116,15 @@ const TransitionOverlay = () => {
         }`}>
           {nextChallenge ? (
             <div className="flex items-center justify-center gap-2 px-4 py-2 rounded-full bg-gray-800/80 border border-gray-700">
-              <span className="text-gray-400 text-sm">Next up:</span>
+              <span className="text-gray-400 text-sm">{t('transition.nextUp')}</span>
               <span className="text-lg">{nextChallenge.icon}</span>
-              <span className="text-white font-semibold">{nextChallenge.name}</span>
+              <span className="text-white font-semibold">{t(`intro.games.${nextChallenge.game}.name`)}</span>
               <span className="text-gray-500 animate-pulse">→</span>
             </div>
           ) : isLastChallenge ? (
             <div className="flex items-center justify-center gap-2 px-4 py-2 rounded-full bg-gradient-to-r from-amber-500/20 to-yellow-500/20 border border-amber-500/30">
               <span className="text-2xl">🏆</span>
-              <span className="text-amber-400 font-semibold">Final Results Incoming!</span>
+              <span className="text-amber-400 font-semibold">{t('transition.finalResults')}</span>
             </div>
           ) : null}
         </div>
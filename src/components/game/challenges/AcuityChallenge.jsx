@@ -1,33 +1,52 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
 import useStore from '../../../state/store';
-import { calculateVisualAcuityFromThreshold, getVisionCategory } from '../../../utils/visualAcuityCalculations';
+import { calculateVisualAcuityFromLogMar, getVisionCategory } from '../../../utils/visualAcuityCalculations';
 import { saveVisionResults } from '../../../utils/api';
+import { OPTOTYPE_TYPES, getOptotypeType, isDirectionalOptotype, getGuessRate, pickDirection } from '../../../utils/optotypes';
+import LogMarAcuityTest, { buildLogMarLines, OPTOTYPES_PER_LINE } from '../../../utils/logMarAcuity';
+import { EYES, EYE_SEQUENCE, EYE_RESULT_KEYS, isMonocularFlowEnabled, compareEyes, summarizeEyeResult } from '../../../utils/monocularAcuity';
+import { parseLocaleNumber } from '../../../utils/i18n';
+import useDirectionInput from '../../../hooks/useDirectionInput';
+import useScreenCalibration from '../../../hooks/useScreenCalibration';
+import {
+  ASSUMED_VIEWING_DISTANCE_MM,
+  CREDIT_CARD_WIDTH_MM,
+  DISTANCE_METHODS,
+  PX_PER_MM_SOURCES,
+  assumedPxPerMm,
+  pxPerMmFromCard,
+  calculateTwentyTwentySize,
+  buildTestConditions,
+} from '../../../utils/viewingDistance';
+import Optotype from './acuity/Optotype';
+import DirectionButtons from './acuity/DirectionButtons';
+import BlindSpotTest from './acuity/BlindSpotTest';
+import CardCalibration from '../CardCalibration';
+import RecalibrationPrompt from '../RecalibrationPrompt';
 
 /**
- * Calculate screen-adaptive sizes for visual acuity test
- * Level 7 = 20/20 vision threshold for this specific screen
+ * Screen density, viewing distance and the 20/20 optotype size for this screen
+ * (the chart lines themselves come from buildChartLines)
+ *
+ * @param {object|null} calibration - Measured px/mm and viewing distance (see viewingDistance.js);
+ *   without it, 96 DPI × DPR and arm's length (50cm) are assumed
  */
-const calculateAdaptiveSizes = () => {
+const calculateAdaptiveSizes = (calibration = null) => {
   const dpr = window.devicePixelRatio || 1;
   
-  // PPI = DPR × 96 (CSS pixels are defined at 96 DPI reference)
-  const ppi = dpr * 96;
+  // Credit-card px/mm when calibrated, otherwise PPI = DPR × 96 (CSS pixels are defined at 96 DPI reference)
+  const pixelsPerMM = calibration?.pxPerMm ?? assumedPxPerMm();
+  const ppi = pixelsPerMM * 25.4;
   
-  // ===== Calculate 20/20 vision threshold at 50cm for this screen's PPI =====
+  // ===== Calculate 20/20 vision threshold at the viewing distance for this screen =====
   // 20/20 vision: optotype subtends 5 arc minutes at the eye
-  const VIEWING_DISTANCE_MM = 500; // 50cm in mm
-  const ARC_MINUTES_20_20 = 5;     // Standard for full optotype
-  
-  // Convert arc minutes to radians
-  const angleRadians = (ARC_MINUTES_20_20 / 60) * (Math.PI / 180);
-  
-  // Physical size in mm: size = 2 * distance * tan(angle/2)
-  const physicalSizeMM = 2 * VIEWING_DISTANCE_MM * Math.tan(angleRadians / 2);
-  
-  // Convert mm to pixels using this screen's PPI
-  const pixelsPerMM = ppi / 25.4;
-  const calculated2020Pixels = physicalSizeMM * pixelsPerMM;
+  const viewingDistanceMM = calibration?.viewingDistanceMm ?? ASSUMED_VIEWING_DISTANCE_MM;
+  const { physicalSizeMM, pixels: calculated2020Pixels } = calculateTwentyTwentySize({
+    pxPerMm: pixelsPerMM,
+    viewingDistanceMm: viewingDistanceMM,
+  });
   
   // Minimum displayable/legible size
   const MIN_LEGIBLE_SIZE_PX = 10;
@@ -35,43 +54,57 @@ const calculateAdaptiveSizes = () => {
   // Use calculated threshold if >= 10px, otherwise use minimum
   const twentyTwentyPixels = Math.max(MIN_LEGIBLE_SIZE_PX, Math.round(calculated2020Pixels));
   
-  // Calculate test sizes: 7 levels
-  // Level 7 = twentyTwentyPixels (20/20 threshold)
-  // Level 1 = 4x the threshold (or minimum 80px for visibility)
-  const level7Size = twentyTwentyPixels;
-  const level1Size = Math.max(80, twentyTwentyPixels * 4);
-  
-  const sizes = [];
-  for (let i = 0; i < 7; i++) {
-    sizes.push(Math.round(level1Size - (level1Size - level7Size) * (i / 6)));
-  }
-  
   return { 
-    sizes, 
     twentyTwentyPixels, 
-    ppi,
+    ppi: Math.round(ppi * 10) / 10,
     dpr,
+    viewingDistanceMM,
     calculated2020Pixels: Math.round(calculated2020Pixels * 10) / 10,
     physicalSizeMM: Math.round(physicalSizeMM * 1000) / 1000,
   };
 };
 
-// Distance in cm to screen (arm's length = 50cm)
-const REQUIRED_DISTANCE_CM = 50;
+// Distance in cm to screen when it is not measured (arm's length = 50cm)
+const REQUIRED_DISTANCE_CM = ASSUMED_VIEWING_DISTANCE_MM / 10;
 
-// Standard credit card size in mm (ISO/IEC 7810 ID-1)
-const CREDIT_CARD_WIDTH_MM = 85.6;
-const CREDIT_CARD_HEIGHT_MM = 53.98;
+// Smallest drawable optotype: one device pixel per stroke for E / C, legible text for digits
+const MIN_OPTOTYPE_DEVICE_PX = 5;
+const MIN_DIGITS_SIZE_PX = 10;
+
+// Largest optotype that fits the stimulus area
+const MAX_OPTOTYPE_SIZE_PX = 240;
+
+/**
+ * Log-spaced chart lines at exact pixel sizes for this screen
+ */
+const buildChartLines = (screenCalibration, isDirectional) => buildLogMarLines({
+  twentyTwentyPixels: screenCalibration.calculated2020Pixels,
+  minSizePx: isDirectional
+    ? Math.ceil(MIN_OPTOTYPE_DEVICE_PX / screenCalibration.dpr)
+    : MIN_DIGITS_SIZE_PX,
+  maxSizePx: MAX_OPTOTYPE_SIZE_PX,
+});
+
+// Locale keys (acuity.prompts.*) for the question under each optotype
+const OPTOTYPE_PROMPT_KEYS = {
+  [OPTOTYPE_TYPES.TUMBLING_E]: 'acuity.prompts.tumblingE',
+  [OPTOTYPE_TYPES.LANDOLT_C]: 'acuity.prompts.landoltC',
+  [OPTOTYPE_TYPES.DIGITS]: 'acuity.prompts.digits',
+};
+
+// What to cover before each run of the per-eye flow - locale keys with label, title and text
+const EYE_INSTRUCTION_KEYS = {
+  [EYES.LEFT]: 'acuity.eyes.left',
+  [EYES.RIGHT]: 'acuity.eyes.right',
+  [EYES.BOTH]: 'acuity.eyes.both',
+};
 
 const AcuityChallenge = () => {
   const { completeChallenge, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
   const sessionId = useStore((state) => state.sessionId);
+  const { t } = useTranslation();
   const { recordVisualAcuityAttempt, setVisualAcuitySize, completeVisualAcuityTest } = useStore();
   
-  // Screen calibration
-  const screenCalibration = useMemo(() => calculateAdaptiveSizes(), []);
-  const { sizes: levelSizes, twentyTwentyPixels } = screenCalibration;
-  
   // Get saved progress from session
   const savedProgress = state.challengeProgress?.visualAcuity || {};
   
@@ -79,62 +112,196 @@ const AcuityChallenge = () => {
   const [showDistanceSetup, setShowDistanceSetup] = useState(!savedProgress.distanceConfirmed);
   const [distanceConfirmed, setDistanceConfirmed] = useState(savedProgress.distanceConfirmed || false);
   const [showAdvancedCalibration, setShowAdvancedCalibration] = useState(false);
-  const [cardWidthPx, setCardWidthPx] = useState(320); // Default card width in pixels
+  const [showBlindSpot, setShowBlindSpot] = useState(false);
+  
+  // Calibration saved for this display by an earlier test, if any
+  const {
+    calibration: savedCalibration,
+    displayChanged,
+    saveCalibration,
+    acknowledgeDisplayChange,
+  } = useScreenCalibration();
+  const [cardWidthPx, setCardWidthPx] = useState( // Default card width in pixels
+    savedCalibration?.pxPerMm ? Math.round(savedCalibration.pxPerMm * CREDIT_CARD_WIDTH_MM) : 320
+  );
+  
+  // Measured px/mm and viewing distance (null = assumed 96 DPI and arm's length)
+  const [viewingCalibration, setViewingCalibration] = useState(savedProgress.viewingCalibration || null);
+  
+  // Screen calibration - optotypes and the 20/20 threshold are sized for the viewing distance
+  const screenCalibration = useMemo(() => calculateAdaptiveSizes(viewingCalibration), [viewingCalibration]);
+  const { twentyTwentyPixels } = screenCalibration;
+  const viewingDistanceCm = Math.round(screenCalibration.viewingDistanceMM / 10);
+  
+  // Optotype stays fixed for the whole test, including after a reload
+  const [optotype] = useState(() => savedProgress.optotype || getOptotypeType());
+  const isDirectional = isDirectionalOptotype(optotype);
+  
+  // Optional per-eye flow: left eye, right eye, then both eyes, each with its own chart run
+  const [monocular, setMonocular] = useState(() => savedProgress.monocular ?? isMonocularFlowEnabled());
+  const [eyeIndex, setEyeIndex] = useState(savedProgress.eyeIndex || 0);
+  const [eyeResults, setEyeResults] = useState(savedProgress.eyeResults || {});
+  const [showEyeIntro, setShowEyeIntro] = useState(Boolean(savedProgress.distanceConfirmed && savedProgress.monocular));
+  const currentEye = monocular ? EYE_SEQUENCE[eyeIndex] : EYES.BOTH;
+  
+  const chartLines = useMemo(
+    () => buildChartLines(screenCalibration, isDirectional),
+    [screenCalibration, isDirectional]
+  );
+  
+  // logMAR procedure - restored from session if available
+  const createTest = (testState, lines = chartLines) => new LogMarAcuityTest({
+    lines,
+    guessRate: getGuessRate(optotype),
+    state: testState,
+  });
+  const testRef = useRef(null);
+  if (!testRef.current) {
+    testRef.current = createTest(savedProgress.logMar);
+  }
   
   // Game state - restore from session if available
-  const [currentLevel, setCurrentLevel] = useState(savedProgress.currentLevel || 1);
+  const [trialNumber, setTrialNumber] = useState(testRef.current.trials.length);
   const [currentNumber, setCurrentNumber] = useState(null);
+  const [currentDirection, setCurrentDirection] = useState(null);
   const [userAnswer, setUserAnswer] = useState('');
-  const [attemptNumber, setAttemptNumber] = useState(1);
   const [attemptStartTime, setAttemptStartTime] = useState(Date.now());
-  const [lastCorrectLevel, setLastCorrectLevel] = useState(savedProgress.lastCorrectLevel || 1);
   const [attempts, setAttempts] = useState(savedProgress.attempts || []);
   
-  const currentSize = levelSizes[currentLevel - 1];
+  const currentTrial = testRef.current.getCurrentTrial();
+  const currentSize = currentTrial.sizePx;
+  
+  // Ignore further input once an answer is in, until the next stimulus shows
+  const answerLockedRef = useRef(false);
   
   const generateNumber = () => Math.floor(Math.random() * 90) + 10;
   
-  // Save progress whenever level changes
+  // Save progress after every response
   useEffect(() => {
-    if (distanceConfirmed && currentLevel > 1) {
+    if (distanceConfirmed && trialNumber > 0 && !testRef.current.isComplete()) {
       updateChallengeProgress('visualAcuity', {
-        currentLevel,
-        lastCorrectLevel,
         distanceConfirmed: true,
+        optotype,
+        viewingCalibration,
+        monocular,
+        eyeIndex,
+        eyeResults,
+        logMar: testRef.current.getState(),
         attempts,
       });
     }
-  }, [currentLevel, lastCorrectLevel, distanceConfirmed, attempts, updateChallengeProgress]);
+  }, [trialNumber, distanceConfirmed, optotype, viewingCalibration, monocular, eyeIndex, eyeResults, attempts, updateChallengeProgress]);
   
-  // Generate new number when level changes
+  // New stimulus for each trial
   useEffect(() => {
-    if (distanceConfirmed) {
-      const number = generateNumber();
-      setCurrentNumber(number);
+    if (distanceConfirmed && !showEyeIntro) {
+      if (isDirectional) {
+        setCurrentDirection(pickDirection());
+      } else {
+        setCurrentNumber(generateNumber());
+      }
       setAttemptStartTime(Date.now());
+      answerLockedRef.current = false;
     }
-  }, [currentLevel, attemptNumber, currentSize, distanceConfirmed]);
+  }, [trialNumber, distanceConfirmed, showEyeIntro, isDirectional]);
   
-  const handleDistanceConfirm = () => {
+  /**
+   * Start the test at the confirmed viewing conditions
+   * @param {object|null} calibration - Measured px/mm and distance, or null to assume arm's length
+   */
+  const handleDistanceConfirm = (calibration) => {
+    // The chart has to be rebuilt for the measured distance before the first optotype
+    testRef.current = createTest(null, buildChartLines(calculateAdaptiveSizes(calibration), isDirectional));
+    setVisualAcuitySize(testRef.current.getCurrentTrial().sizePx);
+    setAttempts([]);
+    setTrialNumber(0);
+    
+    setViewingCalibration(calibration);
     setDistanceConfirmed(true);
     setShowDistanceSetup(false);
-    updateChallengeProgress('visualAcuity', { distanceConfirmed: true });
+    setShowBlindSpot(false);
+    setShowEyeIntro(monocular);
+    updateChallengeProgress('visualAcuity', {
+      distanceConfirmed: true,
+      optotype,
+      viewingCalibration: calibration,
+      monocular,
+      eyeIndex,
+      eyeResults,
+      logMar: null,
+      attempts: [],
+    });
+  };
+  
+  // Credit-card px/mm with the distance measured at the blind spot
+  const handleBlindSpotComplete = (estimate) => {
+    handleDistanceConfirm(saveCalibration({
+      pxPerMm: pxPerMmFromCard(cardWidthPx),
+      pxPerMmSource: PX_PER_MM_SOURCES.CREDIT_CARD,
+      viewingDistanceMm: estimate.viewingDistanceMm,
+      distanceMethod: DISTANCE_METHODS.BLIND_SPOT,
+      blindSpot: { dotDistancesMm: estimate.dotDistancesMm, spreadMm: estimate.spreadMm },
+    }));
   };
   
-  const handleSubmit = async () => {
+  // Credit-card px/mm at the assumed arm's length
+  const handleSkipBlindSpot = () => {
+    handleDistanceConfirm(saveCalibration({
+      pxPerMm: pxPerMmFromCard(cardWidthPx),
+      pxPerMmSource: PX_PER_MM_SOURCES.CREDIT_CARD,
+      viewingDistanceMm: ASSUMED_VIEWING_DISTANCE_MM,
+      distanceMethod: DISTANCE_METHODS.ASSUMED,
+    }));
+  };
+  
+  // The window moved to another display - the current run restarts after calibrating for it
+  const handleRecalibrate = () => {
+    acknowledgeDisplayChange();
+    setDistanceConfirmed(false);
+    setShowEyeIntro(false);
+    setShowDistanceSetup(true);
+    setShowBlindSpot(false);
+    setShowAdvancedCalibration(true);
+  };
+  
+  const handleSubmit = () => {
     if (!userAnswer.trim()) return;
+    submitAnswer(userAnswer, 'typed');
+  };
+  
+  const { swipeHandlers } = useDirectionInput({
+    enabled: distanceConfirmed && !showEyeIntro && isDirectional,
+    onDirection: (direction, inputMethod) => submitAnswer(direction, inputMethod),
+  });
+  
+  /**
+   * Score one response
+   * @param {string} answer - Typed number (digits) or direction (tumbling E / Landolt C)
+   * @param {string} inputMethod - 'typed', 'button', 'swipe' or 'arrow_key'
+   */
+  const submitAnswer = async (answer, inputMethod) => {
+    if (answerLockedRef.current) return;
+    answerLockedRef.current = true;
     
     const responseTime = Date.now() - attemptStartTime;
-    const isCorrect = parseInt(userAnswer) === currentNumber;
+    const isCorrect = isDirectional
+      ? answer === currentDirection
+      : parseLocaleNumber(answer) === currentNumber;
     
     const attemptData = {
-      level: currentLevel,
+      eye: currentEye,
+      level: currentTrial.lineIndex + 1,
       size: currentSize,
-      number: currentNumber,
-      userAnswer: parseInt(userAnswer),
+      logMar: currentTrial.actualLogMar,
+      phase: currentTrial.phase,
+      positionInLine: currentTrial.position,
+      optotype,
+      ...(isDirectional
+        ? { direction: currentDirection, userAnswer: answer }
+        : { number: currentNumber, userAnswer: parseLocaleNumber(answer) }),
+      inputMethod,
       isCorrect,
       responseTime,
-      attemptNumber,
       twentyTwentyThreshold: twentyTwentyPixels,
     };
     
@@ -145,162 +312,191 @@ const AcuityChallenge = () => {
     
     if (isCorrect) {
       recordCorrectAnswer(responseTime);
-      setLastCorrectLevel(currentLevel);
-      
-      if (currentLevel >= 7) {
-        await completeTest(newAttempts, currentLevel);
-      } else {
-        setCurrentLevel(currentLevel + 1);
-        setVisualAcuitySize(levelSizes[currentLevel]);
-        setUserAnswer('');
-        setAttemptNumber(1);
-      }
     } else {
       recordIncorrectAnswer(responseTime);
-      if (attemptNumber === 1) {
-        setUserAnswer('');
-        setAttemptNumber(2);
-      } else {
-        await completeTest(newAttempts, lastCorrectLevel);
-      }
+    }
+    
+    testRef.current.recordResponse(isCorrect);
+    
+    if (testRef.current.isComplete()) {
+      await completeTest(newAttempts);
+    } else {
+      setVisualAcuitySize(testRef.current.getCurrentTrial().sizePx);
+      setUserAnswer('');
+      setTrialNumber(trialNumber + 1);
     }
   };
   
-  const completeTest = async (allAttempts, finalLevel) => {
-    completeVisualAcuityTest();
+  const completeTest = async (allAttempts) => {
+    // Maximum-likelihood logMAR threshold, with the letter-by-letter chart score alongside
+    const logMarResult = testRef.current.getResult();
+    const metrics = calculateVisualAcuityFromLogMar(logMarResult.logMar);
+    // A censored logMAR is the chart's limit, not a threshold - it says acuity is at least
+    // this good, so no loss or category is derived from it
+    const visionCategory = logMarResult.censored ? null : getVisionCategory(metrics.visualAcuityDecimal);
     
-    const finalSize = levelSizes[finalLevel - 1];
+    // Rating code, shown through results.ratings.<code>
+    // A censored result is only a bound - the chart ran out of smaller lines
+    const visionRating = logMarResult.censored && metrics.visualAcuityDecimal < 1.0 ? 'at_least'
+      : metrics.visualAcuityDecimal >= 1.0 ? 'perfect'
+      : metrics.visualAcuityDecimal >= 0.8 ? 'near_perfect'
+      : metrics.visualAcuityDecimal >= 0.5 ? 'normal'
+      : 'below_average';
     
-    // Use threshold-based calculation for accurate vision assessment
-    // This compares resolved size against the 20/20 threshold for THIS screen
-    const metrics = calculateVisualAcuityFromThreshold(finalSize, twentyTwentyPixels);
-    const visionCategory = getVisionCategory(metrics.visualAcuityDecimal);
+    // A higher logMAR is worse vision, so the interval's upper end gives the larger loss
+    const visionLossCi95 = logMarResult.logMarCi95 && !logMarResult.censored
+      ? logMarResult.logMarCi95.map(bound => calculateVisualAcuityFromLogMar(bound).visionLoss)
+      : null;
     
-    const visionRating = metrics.visualAcuityDecimal >= 1.0 ? '20/20 (Perfect)' 
-      : metrics.visualAcuityDecimal >= 0.8 ? '20/25 (Near Perfect)'
-      : metrics.visualAcuityDecimal >= 0.5 ? '20/40 (Normal)'
-      : '20/60+ (Below Average)';
+    const testConditions = buildTestConditions(viewingCalibration);
     
     const resultsData = {
+      eye: currentEye,
       attempts: allAttempts,
-      finalLevel,
-      finalResolvedSize: finalSize,
+      finalResolvedSize: logMarResult.thresholdSizePx,
       twentyTwentyThreshold: twentyTwentyPixels,
+      optotype,
       screenCalibration,
+      chart: {
+        lines: chartLines,
+        optotypesPerLine: OPTOTYPES_PER_LINE,
+      },
       visionRating,
       isPerfectVision: metrics.visualAcuityDecimal >= 1.0,
-      viewingDistanceCM: REQUIRED_DISTANCE_CM,
-      // Threshold-based metrics (accurate)
+      viewingDistanceCM: viewingDistanceCm,
+      testConditions,
+      // logMAR scoring
+      logMar: logMarResult.logMar,
+      logMarCi95: logMarResult.logMarCi95,
+      letterScoreLogMar: logMarResult.letterScoreLogMar,
+      lettersCorrect: logMarResult.lettersCorrect,
+      lettersRead: logMarResult.lettersRead,
+      linesRead: logMarResult.lines,
+      floorReached: logMarResult.floorReached,
+      ceilingReached: logMarResult.ceilingReached,
+      censored: logMarResult.censored,
+      chartLimitLogMar: logMarResult.chartLimitLogMar,
+      reachesTwentyTwenty: logMarResult.reachesTwentyTwenty,
       visualAcuityDecimal: metrics.visualAcuityDecimal,
-      visionLoss: metrics.visionLoss,
+      visionLoss: logMarResult.censored ? null : metrics.visionLoss,
+      visionLossCi95,
       snellenDenominator: metrics.snellenDenominator,
       snellenEstimate: metrics.snellenEstimate,
-      visionCategory: visionCategory.category,
-      visionCategoryName: visionCategory.name,
+      visionCategory: visionCategory?.category ?? null,
+      visionCategoryName: visionCategory?.name ?? null,
     };
     
+    if (currentEye !== EYES.BOTH) {
+      await completeEye(resultsData);
+      return;
+    }
+    
+    // Per-eye results ride along with the both-eyes result
+    if (monocular) {
+      resultsData.perEye = {
+        [EYES.LEFT]: summarizeEyeResult(eyeResults[EYES.LEFT]),
+        [EYES.RIGHT]: summarizeEyeResult(eyeResults[EYES.RIGHT]),
+      };
+      Object.assign(resultsData, compareEyes(eyeResults[EYES.LEFT], eyeResults[EYES.RIGHT]));
+    }
+    
+    completeVisualAcuityTest();
+    
     try {
-      await saveVisionResults({ sessionId, userId: state.userId, visualAcuity: resultsData });
+      await saveVisionResults({ sessionId, userId: state.userId, visualAcuity: resultsData, testConditions });
     } catch (error) {
       console.error('Failed to save results:', error);
     }
     
     // Clear progress since test is complete
     updateChallengeProgress('visualAcuity', { 
-      currentLevel: 1, 
-      lastCorrectLevel: 1, 
       distanceConfirmed: false,
+      optotype: null,
+      viewingCalibration: null,
+      monocular: null,
+      eyeIndex: 0,
+      eyeResults: {},
+      logMar: null,
       attempts: [] 
     });
     
     await completeChallenge('visual-acuity', resultsData);
   };
   
-  const progressPercent = Math.round(((currentLevel - 1) / 6) * 100);
+  /**
+   * Save one eye's run and set up the next eye
+   * @param {object} eyeResult - Results of the run just finished
+   */
+  const completeEye = async (eyeResult) => {
+    try {
+      await saveVisionResults({
+        sessionId,
+        userId: state.userId,
+        [EYE_RESULT_KEYS[currentEye]]: eyeResult,
+        testConditions: eyeResult.testConditions,
+      });
+    } catch (error) {
+      console.error('Failed to save results:', error);
+    }
+    
+    const nextEyeResults = { ...eyeResults, [currentEye]: eyeResult };
+    const nextEyeIndex = eyeIndex + 1;
+    
+    testRef.current = createTest(null);
+    setEyeResults(nextEyeResults);
+    setEyeIndex(nextEyeIndex);
+    setAttempts([]);
+    setUserAnswer('');
+    setTrialNumber(0);
+    setVisualAcuitySize(testRef.current.getCurrentTrial().sizePx);
+    setShowEyeIntro(true);
+    
+    updateChallengeProgress('visualAcuity', {
+      distanceConfirmed: true,
+      optotype,
+      viewingCalibration,
+      monocular,
+      eyeIndex: nextEyeIndex,
+      eyeResults: nextEyeResults,
+      logMar: null,
+      attempts: [],
+    });
+  };
+  
+  const progressPercent = chartLines.length > 1
+    ? Math.round((currentTrial.lineIndex / (chartLines.length - 1)) * 100)
+    : 100;
   
   // Distance setup screen
   if (showDistanceSetup) {
+    // Blind-spot distance measurement, after the credit card calibration
+    if (showBlindSpot) {
+      return (
+        <BlindSpotTest
+          pxPerMm={pxPerMmFromCard(cardWidthPx)}
+          onComplete={handleBlindSpotComplete}
+          onBack={() => setShowBlindSpot(false)}
+        />
+      );
+    }
+    
     // Advanced credit card calibration screen
     if (showAdvancedCalibration) {
-      // Calculate actual PPI from card calibration
-      const calibratedPPI = cardWidthPx / (CREDIT_CARD_WIDTH_MM / 25.4);
-      
       return (
-        <div className="text-center">
-          <div 
-            className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-6"
-            style={{ 
-              backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
-              border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
-            }}
+        <CardCalibration
+          cardWidthPx={cardWidthPx}
+          onChange={setCardWidthPx}
+          onBack={() => setShowAdvancedCalibration(false)}
+          onConfirm={() => setShowBlindSpot(true)}
+          confirmLabel={t('acuity.setup.confirmCard')}
+        >
+          <button
+            onClick={handleSkipBlindSpot}
+            className="mt-4 text-sm text-gray-500 hover:text-gray-300 transition-colors w-full"
           >
-            <span className="text-xl">💳</span>
-            <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-              Screen Calibration
-            </span>
-          </div>
-          
-          <h3 className="text-xl font-bold text-white mb-2">Credit Card Calibration</h3>
-          <p className="text-gray-400 mb-6 text-sm">
-            Hold a credit/debit card to your screen and resize the rectangle to match it exactly.
-          </p>
-          
-          {/* Card calibration UI */}
-          <div className="bg-gray-950 rounded-2xl p-6 mb-6 border border-gray-800 flex flex-col items-center">
-            <div 
-              className="border-2 border-dashed rounded-lg flex items-center justify-center mb-4 transition-all duration-150"
-              style={{ 
-                width: `${cardWidthPx}px`, 
-                height: `${cardWidthPx * (CREDIT_CARD_HEIGHT_MM / CREDIT_CARD_WIDTH_MM)}px`,
-                borderColor: 'var(--primary-color)',
-                backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)'
-              }}
-            >
-              <span className="text-gray-500 text-sm">Match your card here</span>
-            </div>
-            
-            {/* Size slider */}
-            <div className="w-full max-w-xs">
-              <input
-                type="range"
-                min="200"
-                max="500"
-                value={cardWidthPx}
-                onChange={(e) => setCardWidthPx(parseInt(e.target.value))}
-                className="w-full accent-[var(--primary-color)]"
-              />
-              <div className="flex justify-between text-xs text-gray-500 mt-1">
-                <span>Smaller</span>
-                <span className="font-mono" style={{ color: 'var(--primary-color)' }}>
-                  {Math.round(calibratedPPI)} PPI
-                </span>
-                <span>Larger</span>
-              </div>
-            </div>
-          </div>
-          
-          <div className="flex gap-3">
-            <button
-              onClick={() => setShowAdvancedCalibration(false)}
-              className="flex-1 py-3 px-4 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all"
-            >
-              ← Back
-            </button>
-            <button
-              onClick={handleDistanceConfirm}
-              className="flex-1 py-3 px-4 rounded-xl font-semibold text-black transition-all"
-              style={{ 
-                background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
-              }}
-            >
-              Calibrated - Start Test
-            </button>
-          </div>
-          
-          <p className="text-xs text-gray-600 mt-4">
-            Standard credit card: 85.6mm × 54mm (ISO 7810 ID-1)
-          </p>
-        </div>
+            {t('acuity.setup.skipBlindSpot', { distance: REQUIRED_DISTANCE_CM })}
+          </button>
+        </CardCalibration>
       );
     }
     
@@ -316,13 +512,13 @@ const AcuityChallenge = () => {
         >
           <span className="text-xl">📏</span>
           <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-            Distance Setup
+            {t('acuity.setup.badge')}
           </span>
         </div>
         
-        <h3 className="text-2xl font-bold text-white mb-2">Position Yourself</h3>
+        <h3 className="text-2xl font-bold text-white mb-2">{t('acuity.setup.title')}</h3>
         <p className="text-gray-400 mb-8 max-w-md mx-auto">
-          For accurate results, maintain the correct viewing distance throughout the test.
+          {t('acuity.setup.text')}
         </p>
         
         {/* Visual distance guide */}
@@ -338,48 +534,73 @@ const AcuityChallenge = () => {
               <div className="mt-2 text-2xl font-bold" style={{ color: 'var(--primary-color)' }}>
                 {REQUIRED_DISTANCE_CM} cm
               </div>
-              <div className="text-sm text-gray-500">≈ arm's length</div>
+              <div className="text-sm text-gray-500">{t('acuity.setup.armsLengthApprox')}</div>
             </div>
             
             {/* Instructions */}
-            <div className="space-y-3 text-left max-w-sm">
+            <div className="space-y-3 text-start max-w-sm">
               <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
                 <span className="text-xl">💪</span>
                 <div>
-                  <div className="font-medium text-white">Arm's Length</div>
-                  <div className="text-sm text-gray-400">Stretch your arm - your fingertips should almost touch the screen</div>
+                  <div className="font-medium text-white">{t('acuity.setup.arm.title')}</div>
+                  <div className="text-sm text-gray-400">{t('acuity.setup.arm.text')}</div>
                 </div>
               </div>
               
               <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
                 <span className="text-xl">🪑</span>
                 <div>
-                  <div className="font-medium text-white">Stay Seated</div>
-                  <div className="text-sm text-gray-400">Don't lean forward during the test - maintain your position</div>
+                  <div className="font-medium text-white">{t('acuity.setup.seated.title')}</div>
+                  <div className="text-sm text-gray-400">{t('acuity.setup.seated.text')}</div>
                 </div>
               </div>
               
               <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
                 <span className="text-xl">👓</span>
                 <div>
-                  <div className="font-medium text-white">Wear Glasses?</div>
-                  <div className="text-sm text-gray-400">Keep them on if you normally use them for screens</div>
+                  <div className="font-medium text-white">{t('acuity.setup.glasses.title')}</div>
+                  <div className="text-sm text-gray-400">{t('acuity.setup.glasses.text')}</div>
                 </div>
               </div>
+              
+              {/* Optional per-eye flow */}
+              <label className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={monocular}
+                  onChange={(e) => setMonocular(e.target.checked)}
+                  className="mt-1.5 accent-[var(--primary-color)]"
+                />
+                <div>
+                  <div className="font-medium text-white">{t('acuity.setup.eachEye.title')}</div>
+                  <div className="text-sm text-gray-400">{t('acuity.setup.eachEye.text')}</div>
+                </div>
+              </label>
             </div>
           </div>
         </div>
         
+        {/* Saved calibration from an earlier test on this screen */}
+        {savedCalibration && (
+          <button
+            onClick={() => handleDistanceConfirm(savedCalibration)}
+            className="w-full mb-3 py-4 px-6 rounded-xl font-semibold text-white bg-gray-800/50 border transition-all duration-300 hover:scale-[1.02] active:scale-[0.98]"
+            style={{ borderColor: 'rgba(var(--primary-color-rgb), 0.5)' }}
+          >
+            {t('acuity.setup.useSaved', { distance: Math.round(savedCalibration.viewingDistanceMm / 10) })}
+          </button>
+        )}
+        
         {/* Confirm button */}
         <button
-          onClick={handleDistanceConfirm}
+          onClick={() => handleDistanceConfirm(null)}
           className="w-full py-4 px-6 rounded-xl font-semibold text-black transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
           style={{ 
             background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
             boxShadow: '0 4px 20px var(--primary-color-glow)'
           }}
         >
-          I'm at {REQUIRED_DISTANCE_CM}cm - Start Test
+          {t('acuity.setup.start', { distance: REQUIRED_DISTANCE_CM })}
         </button>
         
         {/* Advanced calibration option */}
@@ -388,7 +609,60 @@ const AcuityChallenge = () => {
           className="mt-4 text-sm text-gray-500 hover:text-gray-300 transition-colors flex items-center justify-center gap-2 w-full"
         >
           <span>💳</span>
-          <span>Have a credit card? Calibrate screen precisely →</span>
+          <span>{t('acuity.setup.calibrate')}</span>
+        </button>
+      </div>
+    );
+  }
+  
+  // Per-eye flow - what to cover before this run
+  if (showEyeIntro) {
+    const instructionKey = EYE_INSTRUCTION_KEYS[currentEye];
+    const eyeLabel = t(`${instructionKey}.label`);
+    
+    return (
+      <div className="text-center">
+        {displayChanged && (
+          <RecalibrationPrompt
+            calibration={savedCalibration}
+            onSave={saveCalibration}
+            onDismiss={acknowledgeDisplayChange}
+            onRecalibrate={handleRecalibrate}
+          />
+        )}
+        
+        <div 
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-6"
+          style={{ 
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+            border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+          }}
+        >
+          <span className="text-xl">👁️</span>
+          <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+            {t('acuity.eyeIntro.step', { eye: eyeLabel, current: eyeIndex + 1, total: EYE_SEQUENCE.length })}
+          </span>
+        </div>
+        
+        <h3 className="text-2xl font-bold text-white mb-2">{t(`${instructionKey}.title`)}</h3>
+        <p className="text-gray-400 mb-8 max-w-md mx-auto">{t(`${instructionKey}.text`)}</p>
+        
+        <div className="bg-gray-950 rounded-2xl p-8 mb-6 border border-gray-800">
+          <div className="text-6xl mb-4">{currentEye === EYES.BOTH ? '👀' : '🫣'}</div>
+          <div className="text-sm text-gray-500">
+            {t('acuity.eyeIntro.reminder', { distance: viewingDistanceCm })}
+          </div>
+        </div>
+        
+        <button
+          onClick={() => setShowEyeIntro(false)}
+          className="w-full py-4 px-6 rounded-xl font-semibold text-black transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
+          style={{ 
+            background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+            boxShadow: '0 4px 20px var(--primary-color-glow)'
+          }}
+        >
+          {t('acuity.eyeIntro.start', { eye: eyeLabel })}
         </button>
       </div>
     );
@@ -397,11 +671,21 @@ const AcuityChallenge = () => {
   // Main test UI
   return (
     <div>
+      {displayChanged && (
+        <RecalibrationPrompt
+          calibration={savedCalibration}
+          onSave={saveCalibration}
+          onDismiss={acknowledgeDisplayChange}
+          onRecalibrate={handleRecalibrate}
+        />
+      )}
+      
       {/* Distance reminder banner */}
       <div className="mb-4 p-2 rounded-lg bg-gray-800/50 border border-gray-700/50 flex items-center justify-center gap-2 text-sm">
         <span>📏</span>
         <span className="text-gray-400">
-          Remember: Stay <span className="text-white font-medium">{REQUIRED_DISTANCE_CM}cm</span> from screen (arm's length)
+          {t('acuity.reminderBefore')}<span className="text-white font-medium">{viewingDistanceCm}cm</span>{t('acuity.reminderAfter')}
+          {viewingCalibration?.distanceMethod === DISTANCE_METHODS.BLIND_SPOT ? t('acuity.measured') : t('acuity.armsLength')}
         </span>
       </div>
       
@@ -416,25 +700,21 @@ const AcuityChallenge = () => {
         >
           <span className="text-xl">🦅</span>
           <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-            Level {currentLevel} of 7
+            {monocular && `${t(`${EYE_INSTRUCTION_KEYS[currentEye]}.label`)} · `}{t('acuity.line', { current: currentTrial.lineIndex + 1, total: chartLines.length })}
           </span>
         </div>
-        <h3 className="text-xl font-bold text-white mb-2">Eagle Eye Challenge</h3>
-        <p className={`${attemptNumber === 2 ? 'text-amber-400' : 'text-gray-400'}`}>
-          {attemptNumber === 1 
-            ? currentLevel === 7 
-              ? '🎯 Final level - 20/20 vision test!'
-              : 'How small can you go? Spot the shrinking number!' 
-            : '⚠️ One more try!'}
+        <h3 className="text-xl font-bold text-white mb-2">{t('acuity.title')}</h3>
+        <p className="text-gray-400">
+          {t(OPTOTYPE_PROMPT_KEYS[optotype])}
         </p>
       </div>
       
       {/* Progress bar */}
       <div className="mb-6">
         <div className="flex justify-between text-xs mb-2">
-          <span className="text-gray-500">Focus Level</span>
+          <span className="text-gray-500">{t('acuity.focusLevel')}</span>
           <span style={{ color: 'var(--primary-color)' }}>
-            {currentLevel}/7 {currentLevel === 7 && '(20/20)'}
+            {currentTrial.lineIndex + 1}/{chartLines.length} {currentTrial.logMar === 0 && '(20/20)'}
           </span>
         </div>
         <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
@@ -446,68 +726,98 @@ const AcuityChallenge = () => {
             }}
           />
         </div>
-        {/* Level indicators */}
+        {/* Line indicators */}
         <div className="flex justify-between mt-2">
-          {[1, 2, 3, 4, 5, 6, 7].map((level) => (
+          {chartLines.map((line, index) => (
             <div 
-              key={level}
+              key={line.logMar}
               className={`w-2 h-2 rounded-full transition-all duration-300 ${
-                currentLevel >= level ? 'scale-100' : 'scale-75 opacity-30'
+                currentTrial.lineIndex >= index ? 'scale-100' : 'scale-75 opacity-30'
               }`}
               style={{ 
-                backgroundColor: currentLevel >= level ? 'var(--primary-color)' : '#374151'
+                backgroundColor: currentTrial.lineIndex >= index ? 'var(--primary-color)' : '#374151'
               }}
             />
           ))}
         </div>
+        {/* Position within the line while reading it */}
+        {currentTrial.phase === 'reading' && (
+          <div className="flex justify-center gap-2 mt-3">
+            {Array.from({ length: OPTOTYPES_PER_LINE }, (_, position) => (
+              <div
+                key={position}
+                className="w-1.5 h-1.5 rounded-full"
+                style={{
+                  backgroundColor: position <= currentTrial.position ? 'var(--primary-color)' : '#374151'
+                }}
+              />
+            ))}
+          </div>
+        )}
       </div>
       
-      {/* Number Display */}
-      <div className="bg-gray-950 rounded-2xl p-6 mb-6 flex justify-center items-center min-h-[280px] border border-gray-800">
-        <div
-          className="rounded-full bg-white flex items-center justify-center font-bold text-gray-900 shadow-2xl transition-all duration-500"
-          style={{
-            width: `${currentSize}px`,
-            height: `${currentSize}px`,
-            fontSize: `${currentSize * 0.5}px`,
-          }}
-        >
-          {currentNumber}
-        </div>
+      {/* Stimulus - swipe here to answer a directional optotype */}
+      <div
+        className="bg-gray-950 rounded-2xl p-6 mb-6 flex justify-center items-center min-h-[280px] border border-gray-800"
+        style={isDirectional ? { touchAction: 'none' } : undefined}
+        {...(isDirectional ? swipeHandlers : {})}
+      >
+        {isDirectional ? (
+          currentDirection && (
+            <div key={trialNumber} className="rounded-2xl bg-white shadow-2xl animate-fade-in" style={{ padding: `${Math.max(12, Math.round(currentSize * 0.4))}px` }}>
+              <Optotype type={optotype} direction={currentDirection} size={currentSize} />
+            </div>
+          )
+        ) : (
+          <div
+            className="rounded-full bg-white flex items-center justify-center font-bold text-gray-900 shadow-2xl transition-all duration-500"
+            style={{
+              width: `${currentSize}px`,
+              height: `${currentSize}px`,
+              fontSize: `${currentSize * 0.5}px`,
+            }}
+          >
+            {currentNumber}
+          </div>
+        )}
       </div>
       
       {/* Input */}
-      <div className="space-y-4">
-        <input
-          type="number"
-          value={userAnswer}
-          onChange={(e) => setUserAnswer(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
-          className="w-full px-4 py-4 rounded-xl bg-gray-800/50 text-white text-center text-2xl placeholder-gray-500 transition-all duration-300 focus:outline-none"
-          style={{ border: `2px solid ${attemptNumber === 2 ? 'rgba(251, 191, 36, 0.5)' : 'rgba(55, 65, 81, 0.5)'}` }}
-          placeholder="Enter number"
-          autoFocus
-        />
-        
-        <button
-          onClick={handleSubmit}
-          disabled={!userAnswer.trim()}
-          className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
-          style={{ 
-            background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
-            boxShadow: '0 4px 20px var(--primary-color-glow)'
-          }}
-        >
-          Submit Answer
-        </button>
-      </div>
-      
-      {/* Second attempt warning */}
-      {attemptNumber === 2 && (
-        <div className="mt-4 p-3 rounded-xl bg-amber-900/20 border border-amber-500/30 text-center">
-          <span className="text-amber-400 text-sm font-medium">🎯 Focus - this is your last attempt at Level {currentLevel}!</span>
+      {isDirectional ? (
+        <div className="space-y-3">
+          <DirectionButtons onAnswer={submitAnswer} />
+          <p className="text-center text-xs text-gray-500">
+            {t('acuity.directionHint')}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={userAnswer}
+            onChange={(e) => setUserAnswer(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
+            className="w-full px-4 py-4 rounded-xl bg-gray-800/50 text-white text-center text-2xl placeholder-gray-500 transition-all duration-300 focus:outline-none"
+            style={{ border: '2px solid rgba(55, 65, 81, 0.5)' }}
+            placeholder={t('acuity.placeholder')}
+            autoFocus
+          />
+          
+          <button
+            onClick={handleSubmit}
+            disabled={!userAnswer.trim()}
+            className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ 
+              background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+              boxShadow: '0 4px 20px var(--primary-color-glow)'
+            }}
+          >
+            {t('acuity.submit')}
+          </button>
         </div>
       )}
+
     </div>
   );
 };
@@ -1,8 +1,20 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
 import useStore from '../../../state/store';
 import { ISHIHARA_PLATES, analyzeColorBlindness } from '../../../utils/colorBlindnessAnalysis';
 import { saveVisionResults } from '../../../utils/api';
+import { getPlateDiameterPx } from '../../../utils/screenCalibration';
+import { PLATE_SETS, getPlateSet, buildGeneratedPlates } from '../../../utils/pseudoIsochromaticPlates';
+import { COLOR_TESTS, getColorTestMode, shuffleCaps, analyzeArrangement } from '../../../utils/hueArrangement';
+import { seedFromString } from '../../../utils/seededRandom';
+import { buildTestConditions } from '../../../utils/viewingDistance';
+import { normalizeDigits } from '../../../utils/i18n';
+import useScreenCalibration from '../../../hooks/useScreenCalibration';
+import RecalibrationPrompt from '../RecalibrationPrompt';
+import PseudoIsochromaticPlate from './color/PseudoIsochromaticPlate';
+import HueArrangement from './color/HueArrangement';
+import DisplayCheck from './color/DisplayCheck';
 
 // Import Ishihara plate images
 import ishihara1 from '../../../resources/ishihara_1.jpg';
@@ -17,10 +29,14 @@ const imageMap = {
   'ishihara_19.jpg': ishihara19,
 };
 
+// Generated plate diameter without a screen calibration (matches the image plates' sm:w-72)
+const DEFAULT_PLATE_DIAMETER_PX = 288;
+
 const ColorChallenge = () => {
   const { completeChallenge, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
   const sessionId = useStore((state) => state.sessionId);
   const { recordColorBlindnessResponse, completeColorBlindnessTest } = useStore();
+  const { t } = useTranslation();
   
   // Get saved progress from session
   const savedProgress = state.challengeProgress?.colorBlindness || {};
@@ -31,18 +47,113 @@ const ColorChallenge = () => {
   const [plates, setPlates] = useState(savedProgress.plates || []);
   const [isAnimating, setIsAnimating] = useState(false);
   
-  const currentPlate = ISHIHARA_PLATES[currentPlateIndex];
-  const isLastPlate = currentPlateIndex === ISHIHARA_PLATES.length - 1;
+  // Plate set stays fixed for the whole test; generated plates are seeded by the session, so a reload redraws the same ones
+  const [plateSet] = useState(() => savedProgress.plateSet || getPlateSet());
+  const plateDefinitions = useMemo(
+    () => (plateSet === PLATE_SETS.GENERATED ? buildGeneratedPlates(seedFromString(sessionId)) : ISHIHARA_PLATES),
+    [plateSet, sessionId]
+  );
+  
+  // Plates, hue arrangement or plates then arrangement - fixed for the whole test
+  const [colorTest] = useState(() => savedProgress.colorTest || getColorTestMode());
+  const [phase, setPhase] = useState(savedProgress.phase || (savedProgress.plates?.length ? 'plates' : 'display'));
+  
+  // Screen check outcome, recorded with every colour result
+  const [displayConditions, setDisplayConditions] = useState(savedProgress.displayConditions || null);
+  const [plateAnalysis, setPlateAnalysis] = useState(savedProgress.plateAnalysis || null);
+  const initialTray = useMemo(() => shuffleCaps(seedFromString(`${sessionId}:hue`)), [sessionId]);
+  const arrangementSubmittedRef = useRef(false);
+  
+  // Plates match a printed plate's visual angle once the screen is calibrated
+  const { calibration, displayChanged, saveCalibration, acknowledgeDisplayChange } = useScreenCalibration();
+  const plateDiameterPx = getPlateDiameterPx(calibration);
+  
+  const currentPlate = plateDefinitions[currentPlateIndex];
+  const isLastPlate = currentPlateIndex === plateDefinitions.length - 1;
   
   // Save progress whenever plate changes
   useEffect(() => {
-    if (currentPlateIndex > 0 || plates.length > 0) {
+    if (phase === 'plates' && (currentPlateIndex > 0 || plates.length > 0)) {
       updateChallengeProgress('colorBlindness', {
         currentPlate: currentPlateIndex,
         plates,
+        plateSet,
+        colorTest,
+        phase,
+        displayConditions,
       });
     }
-  }, [currentPlateIndex, plates, updateChallengeProgress]);
+  }, [currentPlateIndex, plates, plateSet, colorTest, phase, displayConditions, updateChallengeProgress]);
+  
+  const handleDisplayChecked = (conditions) => {
+    const nextPhase = colorTest === COLOR_TESTS.ARRANGEMENT ? 'arrangement' : 'plates';
+    setDisplayConditions(conditions);
+    setPhase(nextPhase);
+    updateChallengeProgress('colorBlindness', {
+      currentPlate: 0,
+      plates: [],
+      plateSet,
+      colorTest,
+      phase: nextPhase,
+      displayConditions: conditions,
+    });
+  };
+  
+  // Viewing conditions plus the screen check, for the colour results
+  const buildColorTestConditions = () => ({
+    ...buildTestConditions(calibration),
+    ...(displayConditions ? { display: displayConditions } : {}),
+  });
+  
+  // Arrangement progress is saved after every cap move
+  const handleArrangementChange = useCallback((arrangement) => {
+    updateChallengeProgress('colorBlindness', {
+      currentPlate: 0,
+      plates: [],
+      plateSet,
+      colorTest,
+      phase: 'arrangement',
+      displayConditions,
+      plateAnalysis,
+      arrangement,
+    });
+  }, [plateSet, colorTest, displayConditions, plateAnalysis, updateChallengeProgress]);
+  
+  /**
+   * Finish the colour challenge
+   * @param {object|null} analysis - Plate analysis (null when only the arrangement ran)
+   * @param {object|null} hueArrangement - Arrangement scores (null when only the plates ran)
+   */
+  const finishColorTest = async (analysis, hueArrangement) => {
+    // Clear progress since test is complete
+    updateChallengeProgress('colorBlindness', {
+      currentPlate: 0, plates: [], plateSet: null, colorTest: null, phase: null, displayConditions: null,
+    });
+    
+    // Complete with game context (triggers transition)
+    await completeChallenge('color-blindness', { ...analysis, hueArrangement, testConditions: buildColorTestConditions() });
+  };
+  
+  const handleArrangementComplete = async ({ order, moves, durationMs }) => {
+    if (arrangementSubmittedRef.current) return;
+    arrangementSubmittedRef.current = true;
+    
+    const analysis = analyzeArrangement(order);
+    if (analysis.passed) {
+      recordCorrectAnswer(durationMs);
+    } else {
+      recordIncorrectAnswer(durationMs);
+    }
+    
+    const hueArrangement = { order, moves, durationMs, ...analysis, testConditions: buildColorTestConditions() };
+    try {
+      await saveVisionResults({ sessionId, userId: state.userId, hueArrangement });
+    } catch (error) {
+      console.error('Failed to save results:', error);
+    }
+    
+    await finishColorTest(plateAnalysis, { order, ...analysis });
+  };
   
   useEffect(() => {
     if (currentPlate) {
@@ -62,16 +173,19 @@ const ColorChallenge = () => {
     if (!userAnswer.trim()) return;
     
     const responseTime = Date.now() - plateStartTime;
+    // Digits typed in Tamil, Sinhala Lith or other scripts are scored (and stored) as ASCII digits
+    const answer = normalizeDigits(userAnswer.trim());
     const plateData = {
       plateId: currentPlate.plateId,
       imageName: currentPlate.imageName,
-      userAnswer: userAnswer.trim(),
+      ...(plateSet === PLATE_SETS.GENERATED ? { axis: currentPlate.axis, saturation: currentPlate.saturation } : {}),
+      userAnswer: answer,
       responseTime,
     };
     
     // Check if correct for normal vision
     const normalAnswer = String(currentPlate.normalAnswer).toLowerCase();
-    const isCorrect = userAnswer.trim().toLowerCase() === normalAnswer;
+    const isCorrect = answer.toLowerCase() === normalAnswer;
     
     // Update game stats
     if (isCorrect) {
@@ -89,7 +203,7 @@ const ColorChallenge = () => {
     if (isLastPlate) {
       // Complete the challenge
       completeColorBlindnessTest();
-      const analysis = analyzeColorBlindness(newPlates);
+      const analysis = analyzeColorBlindness(newPlates, plateDefinitions);
       
       try {
         await saveVisionResults({
@@ -98,17 +212,32 @@ const ColorChallenge = () => {
           colorBlindness: {
             plates: newPlates,
             ...analysis,
+            plateSet,
+            plateDiameterPx,
+            testConditions: buildColorTestConditions(),
           },
         });
       } catch (error) {
         console.error('Failed to save results:', error);
       }
       
-      // Clear progress since test is complete
-      updateChallengeProgress('colorBlindness', { currentPlate: 0, plates: [] });
-      
-      // Complete with game context (triggers transition)
-      await completeChallenge('color-blindness', analysis);
+      if (colorTest === COLOR_TESTS.BOTH) {
+        // Hue arrangement follows the plates
+        setPlateAnalysis(analysis);
+        setPhase('arrangement');
+        updateChallengeProgress('colorBlindness', {
+          currentPlate: 0,
+          plates: [],
+          plateSet,
+          colorTest,
+          phase: 'arrangement',
+          displayConditions,
+          plateAnalysis: analysis,
+          arrangement: null,
+        });
+      } else {
+        await finishColorTest(analysis, null);
+      }
     } else {
       // Animate to next plate
       setIsAnimating(true);
@@ -120,8 +249,51 @@ const ColorChallenge = () => {
     }
   };
   
+  if (phase === 'display') {
+    return <DisplayCheck onComplete={handleDisplayChecked} />;
+  }
+  
+  if (phase === 'arrangement') {
+    return (
+      <div className="animate-fade-in">
+        {/* Challenge header */}
+        <div className="text-center mb-6">
+          <div 
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-4"
+            style={{ 
+              backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+              border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+            }}
+          >
+            <span className="text-xl">🌈</span>
+            <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+              {t('color.arrangementBadge')}
+            </span>
+          </div>
+          <h3 className="text-xl font-bold text-white mb-2">{t('color.arrangementTitle')}</h3>
+          <p className="text-gray-400">{t('color.arrangementPrompt')}</p>
+        </div>
+        
+        <HueArrangement
+          initialTray={initialTray}
+          savedState={savedProgress.arrangement}
+          onChange={handleArrangementChange}
+          onComplete={handleArrangementComplete}
+        />
+      </div>
+    );
+  }
+  
   return (
     <div className={`transition-all duration-200 ${isAnimating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
+      {displayChanged && (
+        <RecalibrationPrompt
+          calibration={calibration}
+          onSave={saveCalibration}
+          onDismiss={acknowledgeDisplayChange}
+        />
+      )}
+      
       {/* Challenge header */}
       <div className="text-center mb-6">
         <div 
@@ -133,16 +305,16 @@ const ColorChallenge = () => {
         >
           <span className="text-xl">🎨</span>
           <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-            Pattern {currentPlateIndex + 1} of {ISHIHARA_PLATES.length}
+            {t('color.badge', { current: currentPlateIndex + 1, total: plateDefinitions.length })}
           </span>
         </div>
-        <h3 className="text-xl font-bold text-white mb-2">Pattern Hunt</h3>
-        <p className="text-gray-400">Can you spot the hidden number in the dots?</p>
+        <h3 className="text-xl font-bold text-white mb-2">{t('color.title')}</h3>
+        <p className="text-gray-400">{t('color.prompt')}</p>
       </div>
       
       {/* Progress dots */}
       <div className="flex justify-center gap-2 mb-6">
-        {ISHIHARA_PLATES.map((_, index) => (
+        {plateDefinitions.map((_, index) => (
           <div
             key={index}
             className={`w-2 h-2 rounded-full transition-all duration-300 ${
@@ -158,17 +330,27 @@ const ColorChallenge = () => {
       
       {/* Image Container */}
       <div className="bg-gray-950 rounded-2xl p-6 mb-6 flex justify-center items-center min-h-[300px] border border-gray-800">
-        <img
-          src={imageMap[currentPlate.imageName]}
-          alt={`Color plate ${currentPlate.plateId}`}
-          className="w-56 h-56 sm:w-72 sm:h-72 rounded-full object-cover shadow-2xl ring-4 ring-gray-800"
-        />
+        {currentPlate.imageName ? (
+          <img
+            src={imageMap[currentPlate.imageName]}
+            alt={t('color.plateAlt', { id: currentPlate.plateId })}
+            className={`${plateDiameterPx ? '' : 'w-56 h-56 sm:w-72 sm:h-72 '}rounded-full object-cover shadow-2xl ring-4 ring-gray-800`}
+            style={plateDiameterPx ? { width: plateDiameterPx, height: plateDiameterPx } : undefined}
+          />
+        ) : (
+          <PseudoIsochromaticPlate
+            key={currentPlate.plateId}
+            plate={currentPlate}
+            size={plateDiameterPx || DEFAULT_PLATE_DIAMETER_PX}
+          />
+        )}
       </div>
       
       {/* Input Section */}
       <div className="space-y-4">
         <input
           type="text"
+          inputMode="numeric"
           value={userAnswer}
           onChange={handleInputChange}
           onFocus={(e) => {
@@ -179,7 +361,7 @@ const ColorChallenge = () => {
           }}
           className="w-full px-4 py-4 rounded-xl bg-gray-800/50 text-white text-center text-2xl placeholder-gray-500 transition-all duration-300 focus:outline-none"
           style={{ border: '2px solid rgba(55, 65, 81, 0.5)' }}
-          placeholder="Enter the number you see"
+          placeholder={t('color.placeholder')}
           autoFocus
         />
         
@@ -188,7 +370,7 @@ const ColorChallenge = () => {
             onClick={handleNothingClick}
             className="flex-1 py-3 px-6 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all duration-300"
           >
-            I See Nothing
+            {t('color.nothing')}
           </button>
           <button
             onClick={handleSubmit}
@@ -199,7 +381,7 @@ const ColorChallenge = () => {
               boxShadow: '0 4px 20px var(--primary-color-glow)'
             }}
           >
-            {isLastPlate ? 'Complete' : 'Next'}
+            {isLastPlate ? t('color.complete') : t('color.next')}
           </button>
         </div>
       </div>
@@ -0,0 +1,301 @@
+import { useState, useEffect, useRef } from 'react';
+import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
+import useStore from '../../../state/store';
+import {
+  SLOAN_LETTERS,
+  BACKGROUND_LEVEL,
+  ContrastSensitivityTest,
+  getLetterSizePx,
+} from '../../../utils/contrastSensitivity';
+import { buildTestConditions } from '../../../utils/viewingDistance';
+import { saveVisionResults } from '../../../utils/api';
+import useScreenCalibration from '../../../hooks/useScreenCalibration';
+import RecalibrationPrompt from '../RecalibrationPrompt';
+
+// Pause between letters so the next one is not mistaken for the last (ms)
+const NEXT_LETTER_DELAY_MS = 250;
+
+const ContrastChallenge = () => {
+  const { completeChallenge, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
+  const { t } = useTranslation();
+  const sessionId = useStore((state) => state.sessionId);
+
+  // Get saved progress from session
+  const savedProgress = state.challengeProgress?.contrastSensitivity || {};
+
+  // Letters are sized for the saved screen calibration, fixed once the test starts
+  const { calibration, displayChanged, saveCalibration, acknowledgeDisplayChange } = useScreenCalibration();
+  const [testCalibration, setTestCalibration] = useState(savedProgress.calibration || null);
+  const [started, setStarted] = useState(savedProgress.started || false);
+  const letterSizePx = getLetterSizePx(started ? testCalibration : calibration);
+
+  // Staircase - restored from session if available
+  const testRef = useRef(null);
+  if (!testRef.current) {
+    testRef.current = new ContrastSensitivityTest({ state: savedProgress.staircase });
+  }
+
+  const [trialNumber, setTrialNumber] = useState(testRef.current.trials.length);
+  const [showLetter, setShowLetter] = useState(true);
+  const [letterStartTime, setLetterStartTime] = useState(Date.now());
+
+  // Ignore further input once an answer is in, until the next letter shows
+  const answerLockedRef = useRef(false);
+
+  const currentTrial = testRef.current.getCurrentTrial();
+  const letterColor = `rgb(${currentTrial.level}, ${currentTrial.level}, ${currentTrial.level})`;
+  const backgroundColor = `rgb(${BACKGROUND_LEVEL}, ${BACKGROUND_LEVEL}, ${BACKGROUND_LEVEL})`;
+
+  // Save progress after every response
+  useEffect(() => {
+    if (started && trialNumber > 0 && !testRef.current.isComplete()) {
+      updateChallengeProgress('contrastSensitivity', {
+        started: true,
+        calibration: testCalibration,
+        staircase: testRef.current.getState(),
+      });
+    }
+  }, [trialNumber, started, testCalibration, updateChallengeProgress]);
+
+  // New letter for each trial
+  useEffect(() => {
+    if (started) {
+      setShowLetter(true);
+      setLetterStartTime(Date.now());
+      answerLockedRef.current = false;
+    }
+  }, [trialNumber, started]);
+
+  const handleStart = () => {
+    setTestCalibration(calibration);
+    setStarted(true);
+    updateChallengeProgress('contrastSensitivity', {
+      started: true,
+      calibration,
+      staircase: null,
+    });
+  };
+
+  /**
+   * Score one response
+   * @param {string} letter - Sloan letter picked
+   * @param {string} inputMethod - 'button' or 'keyboard'
+   */
+  const submitAnswer = async (letter, inputMethod) => {
+    if (answerLockedRef.current) return;
+    answerLockedRef.current = true;
+
+    const responseTime = Date.now() - letterStartTime;
+    const trial = testRef.current.recordResponse(letter, { responseTime, inputMethod });
+
+    if (trial.correct) {
+      recordCorrectAnswer(responseTime);
+    } else {
+      recordIncorrectAnswer(responseTime);
+    }
+
+    if (testRef.current.isComplete()) {
+      await completeTest();
+    } else {
+      setShowLetter(false);
+      setTimeout(() => setTrialNumber(testRef.current.trials.length), NEXT_LETTER_DELAY_MS);
+    }
+  };
+
+  // Letter keys answer too
+  useEffect(() => {
+    if (!started) return undefined;
+
+    const handleKeyDown = (e) => {
+      const letter = e.key.toUpperCase();
+      if (e.repeat || !SLOAN_LETTERS.includes(letter)) return;
+      submitAnswer(letter, 'keyboard');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const completeTest = async () => {
+    const result = testRef.current.getResult();
+    const testConditions = buildTestConditions(testCalibration);
+
+    const resultsData = {
+      ...result,
+      trials: testRef.current.trials,
+      letterSizePx,
+      backgroundLevel: BACKGROUND_LEVEL,
+      testConditions,
+    };
+
+    try {
+      await saveVisionResults({ sessionId, userId: state.userId, contrastSensitivity: resultsData });
+    } catch (error) {
+      console.error('Failed to save results:', error);
+    }
+
+    // Clear progress since test is complete
+    updateChallengeProgress('contrastSensitivity', { started: false, calibration: null, staircase: null });
+
+    await completeChallenge('contrast-sensitivity', resultsData);
+  };
+
+  // Instructions
+  if (!started) {
+    return (
+      <div className="text-center">
+        <div
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-6"
+          style={{
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+            border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+          }}
+        >
+          <span className="text-xl">🌗</span>
+          <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+            {t('contrast.badge')}
+          </span>
+        </div>
+
+        <h3 className="text-2xl font-bold text-white mb-2">{t('contrast.title')}</h3>
+        <p className="text-gray-400 mb-8 max-w-md mx-auto">
+          {t('contrast.text')}
+        </p>
+
+        <div className="bg-gray-950 rounded-2xl p-8 mb-6 border border-gray-800">
+          <div className="space-y-3 text-start max-w-sm mx-auto">
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">🔆</span>
+              <div>
+                <div className="font-medium text-white">{t('contrast.tips.brightness.title')}</div>
+                <div className="text-sm text-gray-400">{t('contrast.tips.brightness.text')}</div>
+              </div>
+            </div>
+
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">💡</span>
+              <div>
+                <div className="font-medium text-white">{t('contrast.tips.glare.title')}</div>
+                <div className="text-sm text-gray-400">{t('contrast.tips.glare.text')}</div>
+              </div>
+            </div>
+
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">📏</span>
+              <div>
+                <div className="font-medium text-white">{t('contrast.tips.distance.title')}</div>
+                <div className="text-sm text-gray-400">
+                  {t('contrast.tips.distance.text', {
+                    distance: calibration
+                      ? t('contrast.distanceCm', { distance: Math.round(calibration.viewingDistanceMm / 10) })
+                      : t('contrast.armsLength'),
+                  })}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={handleStart}
+          className="w-full py-4 px-6 rounded-xl font-semibold text-black transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
+          style={{
+            background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+            boxShadow: '0 4px 20px var(--primary-color-glow)'
+          }}
+        >
+          {t('contrast.start')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {displayChanged && (
+        <RecalibrationPrompt
+          calibration={calibration}
+          onSave={saveCalibration}
+          onDismiss={acknowledgeDisplayChange}
+        />
+      )}
+
+      {/* Challenge header */}
+      <div className="text-center mb-6">
+        <div
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-4"
+          style={{
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+            border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+          }}
+        >
+          <span className="text-xl">🌗</span>
+          <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+            {t('contrast.letter', { current: trialNumber + 1 })}
+          </span>
+        </div>
+        <h3 className="text-xl font-bold text-white mb-2">{t('contrast.title')}</h3>
+        <p className="text-gray-400">{t('contrast.prompt')}</p>
+      </div>
+
+      {/* Contrast meter - how faint the current letter is */}
+      <div className="mb-6">
+        <div className="flex justify-between text-xs mb-2">
+          <span className="text-gray-500">{t('contrast.faintness')}</span>
+          <span style={{ color: 'var(--primary-color)' }}>
+            {t('contrast.contrastValue', { value: Math.max(0.1, currentTrial.contrast * 100).toFixed(1) })}
+          </span>
+        </div>
+        <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
+          <div
+            className="h-full rounded-full transition-all duration-500"
+            style={{
+              width: `${Math.min(100, (currentTrial.actualLogCS / testRef.current.maxLogCS) * 100)}%`,
+              background: 'linear-gradient(90deg, var(--primary-color-dark) 0%, var(--primary-color) 100%)'
+            }}
+          />
+        </div>
+      </div>
+
+      {/* Stimulus */}
+      <div className="bg-gray-950 rounded-2xl p-6 mb-6 flex justify-center items-center min-h-[280px] border border-gray-800">
+        <div
+          className="rounded-2xl shadow-2xl flex items-center justify-center"
+          style={{ backgroundColor, width: letterSizePx * 2, height: letterSizePx * 2 }}
+        >
+          {showLetter && (
+            <span
+              key={trialNumber}
+              className="font-bold leading-none select-none animate-fade-in"
+              style={{ color: letterColor, fontSize: `${letterSizePx}px`, fontFamily: 'Arial, Helvetica, sans-serif' }}
+            >
+              {currentTrial.letter}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Letter choices */}
+      <div className="space-y-3">
+        <div className="grid grid-cols-5 gap-2">
+          {SLOAN_LETTERS.map(letter => (
+            <button
+              key={letter}
+              onClick={() => submitAnswer(letter, 'button')}
+              disabled={!showLetter}
+              className="py-3 rounded-xl text-xl font-bold text-white bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all active:scale-95 disabled:opacity-50"
+            >
+              {letter}
+            </button>
+          ))}
+        </div>
+        <p className="text-center text-xs text-gray-500">
+          {t('contrast.hint')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ContrastChallenge;
@@ -1,10 +1,20 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { Stage, Layer, Circle, Rect } from 'react-konva';
 import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
 import useStore from '../../../state/store';
 import MotorSkillsTracker from '../../../utils/motorSkillsTracking';
 import usePerformanceMetrics from '../../../hooks/usePerformanceMetrics';
+import useScreenCalibration from '../../../hooks/useScreenCalibration';
 import { updateSessionPerformance } from '../../../utils/api';
+import { MOTOR_TASKS, MOTOR_TASK_ORDER, MOTOR_TASK_TYPES } from '../../../utils/motorTasks';
+import MotorStaircase from '../../../utils/motorStaircase';
+import MotorEventLog, { loadLocalReplay } from '../../../utils/motorEventLog';
+import DragDropTask from './motorTasks/DragDropTask';
+import SteeringTask from './motorTasks/SteeringTask';
+import DoubleClickTask from './motorTasks/DoubleClickTask';
+import HoverDwellTask from './motorTasks/HoverDwellTask';
+import RecalibrationPrompt from '../RecalibrationPrompt';
 
 // Bubble patterns for each round
 const BUBBLE_PATTERNS = [
@@ -18,14 +28,27 @@ const STAGE_HEIGHT = 500;
 const COLUMN_WIDTH = STAGE_WIDTH / 5;
 const BUBBLE_RADIUS = 25;
 
+// Rounds 1-3 are bubble waves; each later round runs one of the other motor tasks
+const BUBBLE_ROUNDS = BUBBLE_PATTERNS.length;
+const TOTAL_ROUNDS = BUBBLE_ROUNDS + MOTOR_TASK_ORDER.length;
+
+const TASK_COMPONENTS = {
+  [MOTOR_TASK_TYPES.DRAG_DROP]: DragDropTask,
+  [MOTOR_TASK_TYPES.STEERING]: SteeringTask,
+  [MOTOR_TASK_TYPES.DOUBLE_CLICK]: DoubleClickTask,
+  [MOTOR_TASK_TYPES.HOVER_DWELL]: HoverDwellTask,
+};
+
 const getPrimaryColor = () => getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() || '#8BC53F';
 
 const MotorChallenge = () => {
   const { completeChallenge, updateStats, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
+  const { t } = useTranslation();
   const sessionId = useStore((state) => state.sessionId);
   const { setMotorRound, completeMotorSkillsTest, completeModule } = useStore();
   
   const motorTrackerRef = useRef(null);
+  const eventLogRef = useRef(null);
   const perfMetrics = usePerformanceMetrics();
   
   // Get saved progress from session
@@ -40,6 +63,13 @@ const MotorChallenge = () => {
   // Use refs for stats to avoid stale closure issues in animation loop
   const roundStatsRef = useRef({ hits: 0, misses: 0, streak: 0 });
   const totalStatsRef = useRef(savedProgress.totalStats || { hits: 0, misses: 0, bestStreak: 0 });
+  const taskResultsRef = useRef(savedProgress.taskResults || {});
+  
+  // Bubble speed, size and spawn interval - adaptive staircase unless fixed patterns are configured
+  const staircaseRef = useRef(null);
+  if (!staircaseRef.current) {
+    staircaseRef.current = new MotorStaircase({ state: savedProgress.staircase });
+  }
   
   // State for UI display (synced from refs)
   const [displayRoundStats, setDisplayRoundStats] = useState({ hits: 0, misses: 0, streak: 0 });
@@ -53,7 +83,14 @@ const MotorChallenge = () => {
   const isPlayingRef = useRef(false);
   const stageRef = useRef(null);
   
+  // Saved screen calibration lets pointer data be read in mm (null = uncalibrated)
+  const { calibration, displayChanged, saveCalibration, acknowledgeDisplayChange } = useScreenCalibration();
+  const pxPerMm = calibration?.pxPerMm ?? null;
+  
   const currentPattern = BUBBLE_PATTERNS[currentRound - 1];
+  const currentTask = currentRound > BUBBLE_ROUNDS
+    ? MOTOR_TASKS[MOTOR_TASK_ORDER[currentRound - BUBBLE_ROUNDS - 1]]
+    : null;
   
   // Initialize tracker
   useEffect(() => {
@@ -65,12 +102,29 @@ const MotorChallenge = () => {
     }
   }, [sessionId, state.userId]);
   
+  // Event log for the replay view - continues the stored log when resuming mid-test
+  useEffect(() => {
+    if (!sessionId || eventLogRef.current?.sessionId === sessionId) return;
+    eventLogRef.current = new MotorEventLog(sessionId, { stage: { width: STAGE_WIDTH, height: STAGE_HEIGHT, pxPerMm } });
+    
+    if ((savedProgress.currentRound || 1) > 1) {
+      loadLocalReplay(sessionId).then((saved) => {
+        const log = eventLogRef.current;
+        if (saved && !saved.completedAt && log?.sessionId === sessionId && log.events.length === 0) {
+          eventLogRef.current = new MotorEventLog(sessionId, { saved });
+        }
+      });
+    }
+  }, [sessionId]);
+  
   // Save progress when total stats change
   useEffect(() => {
     if (currentRound > 1 || displayTotalStats.hits > 0) {
       updateChallengeProgress('motorSkills', {
         currentRound,
         totalStats: displayTotalStats,
+        taskResults: taskResultsRef.current,
+        staircase: staircaseRef.current.getState(),
       });
     }
   }, [currentRound, displayTotalStats, updateChallengeProgress]);
@@ -92,7 +146,20 @@ const MotorChallenge = () => {
     }
   }, []);
   
-  const generateBubbleId = () => `bubble_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  // Seeded per session so a replay shows the same IDs as the attempt logs
+  const generateBubbleId = () => eventLogRef.current
+    ? eventLogRef.current.nextBubbleId(currentRound)
+    : `bubble_r${currentRound}_${patternIndexRef.current}`;
+  
+  // Parameters for the next bubble (the wave's fixed pattern, or the staircase level)
+  const getDifficulty = useCallback(() => {
+    const pattern = BUBBLE_PATTERNS[currentRound - 1];
+    return staircaseRef.current.getParameters({
+      speed: pattern.speed,
+      radius: BUBBLE_RADIUS,
+      spawnIntervalMs: pattern.spawnInterval,
+    });
+  }, [currentRound]);
   
   const spawnBubble = useCallback(() => {
     if (!isPlayingRef.current) return;
@@ -101,32 +168,45 @@ const MotorChallenge = () => {
     const columnIndex = pattern.pattern[patternIndexRef.current % pattern.pattern.length];
     patternIndexRef.current++;
     
+    const difficulty = getDifficulty();
     const newBubble = {
       id: generateBubbleId(),
       x: columnIndex * COLUMN_WIDTH + COLUMN_WIDTH / 2,
       y: STAGE_HEIGHT,
       column: columnIndex,
-      speed: pattern.speed,
-      radius: BUBBLE_RADIUS,
+      speed: difficulty.speed,
+      radius: difficulty.radius,
+      difficulty,
       spawnTime: Date.now(),
     };
     
     bubblesRef.current.push(newBubble);
     setBubbles([...bubblesRef.current]);
+    eventLogRef.current?.recordSpawn(newBubble);
     
     if (motorTrackerRef.current) {
       motorTrackerRef.current.trackBubbleSpawn(newBubble);
     }
-  }, [currentRound]);
+  }, [currentRound, getDifficulty]);
+  
+  // Spawn on a timeout chain so each gap uses the current spawn interval
+  const scheduleSpawn = useCallback(() => {
+    spawnTimerRef.current = setTimeout(() => {
+      if (!isPlayingRef.current) return;
+      spawnBubble();
+      scheduleSpawn();
+    }, getDifficulty().spawnIntervalMs);
+  }, [spawnBubble, getDifficulty]);
   
   const animate = useCallback(() => {
     perfMetrics.recordFrame();
+    eventLogRef.current?.recordFrame();
     
     const escapedBubbles = [];
     const updatedBubbles = bubblesRef.current.filter((bubble) => {
       bubble.y -= bubble.speed;
       
-      if (bubble.y < -BUBBLE_RADIUS) {
+      if (bubble.y < -bubble.radius) {
         escapedBubbles.push(bubble);
         return false;
       }
@@ -135,6 +215,7 @@ const MotorChallenge = () => {
     
     // Track missed bubbles using ref (no stale closure issue)
     escapedBubbles.forEach(bubble => {
+      eventLogRef.current?.recordEscape(bubble.id);
       if (motorTrackerRef.current) {
         motorTrackerRef.current.trackBubbleMiss(bubble);
       }
@@ -149,6 +230,8 @@ const MotorChallenge = () => {
         roundStatsRef.current.streak
       );
       
+      staircaseRef.current.recordAttempt(false);
+      
       // Record as incorrect to break streak in game context
       recordIncorrectAnswer();
     });
@@ -181,8 +264,11 @@ const MotorChallenge = () => {
     
     perfMetrics.recordInputEvent(event.evt?.timeStamp);
     
+    const stagePosition = stageRef.current?.getPointerPosition();
+    eventLogRef.current?.recordPop(bubble.id, stagePosition);
+    
     if (motorTrackerRef.current) {
-      motorTrackerRef.current.trackBubbleHit(bubble, event.evt);
+      motorTrackerRef.current.trackBubbleHit(bubble, event.evt, stagePosition);
     }
     
     // Update ref directly
@@ -201,6 +287,7 @@ const MotorChallenge = () => {
     // Record as correct to build streak in game context
     const reactionTime = Date.now() - bubble.spawnTime;
     recordCorrectAnswer(reactionTime);
+    staircaseRef.current.recordAttempt(true);
     
     bubblesRef.current = bubblesRef.current.filter((b) => b.id !== bubble.id);
     setBubbles([...bubblesRef.current]);
@@ -210,6 +297,17 @@ const MotorChallenge = () => {
     setShowRoundIntro(false);
     setIsPlaying(true);
     isPlayingRef.current = true;
+    eventLogRef.current?.recordRoundStart(currentRound, currentTask?.type || null);
+    
+    if (currentTask) {
+      // Task rounds run their own trials and report back through handleTaskComplete
+      setMotorRound(currentRound);
+      if (motorTrackerRef.current) {
+        motorTrackerRef.current.round = currentRound;
+      }
+      return;
+    }
+    
     setTimeRemaining(currentPattern.duration / 1000);
     patternIndexRef.current = 0;
     bubblesRef.current = [];
@@ -229,7 +327,7 @@ const MotorChallenge = () => {
       perfMetrics.startTracking();
     }
     
-    spawnTimerRef.current = setInterval(() => spawnBubble(), currentPattern.spawnInterval);
+    scheduleSpawn();
     animationFrameRef.current = requestAnimationFrame(animate);
     
     const startTime = Date.now();
@@ -245,7 +343,7 @@ const MotorChallenge = () => {
   };
   
   const endRound = async () => {
-    clearInterval(spawnTimerRef.current);
+    clearTimeout(spawnTimerRef.current);
     clearInterval(roundTimerRef.current);
     cancelAnimationFrame(animationFrameRef.current);
     
@@ -266,6 +364,11 @@ const MotorChallenge = () => {
     const newTotalStats = { ...totalStatsRef.current };
     setDisplayTotalStats(newTotalStats);
     
+    if (eventLogRef.current) {
+      eventLogRef.current.recordRoundEnd(currentRound, finalRoundStats);
+      await eventLogRef.current.save();
+    }
+    
     // Send motor tracking data to backend
     if (motorTrackerRef.current) {
       try {
@@ -275,6 +378,7 @@ const MotorChallenge = () => {
           escaped: finalRoundStats.misses,
           duration: currentPattern.duration,
           averageReactionTime: 0,
+          difficulty: staircaseRef.current.getSummary(),
         });
       } catch (error) {
         // Continue even if tracking fails
@@ -284,12 +388,48 @@ const MotorChallenge = () => {
     bubblesRef.current = [];
     setBubbles([]);
     
-    if (currentRound < 3) {
+    await advanceRound(newTotalStats);
+  };
+  
+  // A motor task round finished all of its trials
+  const handleTaskComplete = async (results) => {
+    setIsPlaying(false);
+    isPlayingRef.current = false;
+    
+    taskResultsRef.current = {
+      ...taskResultsRef.current,
+      [currentTask.type]: results,
+    };
+    
+    if (eventLogRef.current) {
+      eventLogRef.current.recordRoundEnd(currentRound, results);
+      await eventLogRef.current.save();
+    }
+    
+    if (motorTrackerRef.current) {
+      try {
+        await motorTrackerRef.current.trackRoundComplete({
+          hits: results.hits,
+          misses: results.misses,
+          escaped: 0,
+          duration: results.durationMs,
+          averageReactionTime: 0,
+        });
+      } catch (error) {
+        // Continue even if tracking fails
+      }
+    }
+    
+    await advanceRound({ ...totalStatsRef.current });
+  };
+  
+  const advanceRound = async (totalStats) => {
+    if (currentRound < TOTAL_ROUNDS) {
       const nextRound = currentRound + 1;
       setCurrentRound(nextRound);
       setShowRoundIntro(true);
     } else {
-      await finishChallenge(newTotalStats);
+      await finishChallenge(totalStats);
     }
   };
   
@@ -307,11 +447,31 @@ const MotorChallenge = () => {
       totalAttempts: stats.hits + stats.misses,
     });
     
+    // Fitts' Law throughput, tremor and overshoot feed the motor section of the impairment profile
+    // (computed before complete(), which shuts down the kinematics worker)
+    let fitts = null;
+    let tremor = null;
+    let overshoot = null;
+    if (motorTrackerRef.current) {
+      fitts = motorTrackerRef.current.getFittsAnalysis();
+      tremor = await motorTrackerRef.current.getTremorAnalysis({ pxPerMm });
+      overshoot = await motorTrackerRef.current.getOvershootAnalysis();
+    }
+    
     // Complete motor tracking and flush remaining data
     if (motorTrackerRef.current) {
       await motorTrackerRef.current.complete();
     }
     
+    // Upload the event log for /replay/:sessionId
+    if (eventLogRef.current) {
+      try {
+        await eventLogRef.current.complete();
+      } catch (error) {
+        // Continue even if the replay upload fails
+      }
+    }
+    
     try {
       await completeModule('reaction');
     } catch (error) {
@@ -330,7 +490,9 @@ const MotorChallenge = () => {
     // Clear progress since test is complete
     updateChallengeProgress('motorSkills', { 
       currentRound: 1, 
-      totalStats: { hits: 0, misses: 0, bestStreak: 0 } 
+      totalStats: { hits: 0, misses: 0, bestStreak: 0 },
+      taskResults: {},
+      staircase: null,
     });
     
     await completeChallenge('motor-skills', {
@@ -338,6 +500,12 @@ const MotorChallenge = () => {
       totalHits: stats.hits,
       totalMisses: stats.misses,
       bestStreak: stats.bestStreak,
+      taskResults: taskResultsRef.current,
+      difficulty: staircaseRef.current.getSummary(),
+      fitts,
+      tremor,
+      overshoot,
+      pxPerMm,
       performanceMetrics: finalPerfMetrics,
     });
   };
@@ -345,12 +513,22 @@ const MotorChallenge = () => {
   // Cleanup
   useEffect(() => {
     return () => {
-      clearInterval(spawnTimerRef.current);
+      clearTimeout(spawnTimerRef.current);
       clearInterval(roundTimerRef.current);
       cancelAnimationFrame(animationFrameRef.current);
+      if (motorTrackerRef.current) {
+        motorTrackerRef.current.dispose();
+        motorTrackerRef.current = null;
+      }
     };
   }, []);
   
+  // Task stages fill the wrapper, so offsets within it are stage coordinates
+  const recordTaskPointer = (event, isDown) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    eventLogRef.current?.recordPointer({ x: event.clientX - rect.left, y: event.clientY - rect.top }, isDown);
+  };
+  
   const primaryColor = getPrimaryColor();
   
   // Round intro screen
@@ -364,27 +542,31 @@ const MotorChallenge = () => {
             border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
           }}
         >
-          <span className="text-xl">🎯</span>
+          <span className="text-xl">{currentTask ? currentTask.icon : '🎯'}</span>
           <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-            Wave {currentRound} of 3
+            {currentTask
+              ? t('motor.taskBadge', { current: currentRound - BUBBLE_ROUNDS, total: MOTOR_TASK_ORDER.length })
+              : t('motor.waveBadge', { current: currentRound, total: BUBBLE_ROUNDS })}
           </span>
         </div>
         
         <h3 className="text-2xl font-bold text-white mb-4">
-          {currentRound === 1 ? 'Bubble Pop!' : currentRound === 2 ? 'Faster Bubbles!' : 'Final Wave!'}
+          {currentTask
+            ? t(`motor.tasks.${currentTask.type}.title`)
+            : t(`motor.waves.${currentRound}.title`)}
         </h3>
         
         <p className="text-gray-400 mb-6 max-w-md mx-auto">
-          {currentRound === 1 
-            ? 'Pop the rising bubbles before they float away! Tap fast!'
-            : currentRound === 2
-              ? 'The bubbles are getting faster. Can you keep up?'
-              : 'Maximum chaos! Pop everything you can!'}
+          {currentTask
+            ? t(`motor.tasks.${currentTask.type}.instructions`)
+            : currentRound > 1 && staircaseRef.current.isAdaptive()
+              ? t('motor.adaptiveText')
+              : t(`motor.waves.${currentRound}.text`)}
         </p>
         
-        {/* Wave difficulty indicators */}
+        {/* Round indicators - waves grow with difficulty, tasks are uniform */}
         <div className="flex justify-center gap-2 mb-8">
-          {[1, 2, 3].map((round) => (
+          {Array.from({ length: TOTAL_ROUNDS }, (_, i) => i + 1).map((round) => (
             <div
               key={round}
               className={`h-3 rounded-full transition-all duration-300 ${
@@ -392,7 +574,7 @@ const MotorChallenge = () => {
               }`}
               style={{ 
                 backgroundColor: round <= currentRound ? 'var(--primary-color)' : '#374151',
-                width: `${40 + round * 10}px`
+                width: `${round <= BUBBLE_ROUNDS ? 40 + round * 10 : 24}px`
               }}
             />
           ))}
@@ -406,7 +588,7 @@ const MotorChallenge = () => {
             boxShadow: '0 4px 20px var(--primary-color-glow)'
           }}
         >
-          {currentRound === 1 ? "Let's Go!" : 'Next Wave!'}
+          {currentRound === 1 ? t('motor.start') : currentTask ? t('motor.startTask') : t('motor.nextWave')}
         </button>
         
         {/* Show previous round stats */}
@@ -414,16 +596,16 @@ const MotorChallenge = () => {
           <div className="mt-6 p-4 rounded-xl bg-gray-800/50">
             <div className="flex justify-center gap-6 text-sm">
               <div>
-                <span className="text-gray-500">Popped:</span>
-                <span className="ml-2 font-bold" style={{ color: 'var(--primary-color)' }}>{displayTotalStats.hits}</span>
+                <span className="text-gray-500">{t('motor.totals.popped')}</span>
+                <span className="ms-2 font-bold" style={{ color: 'var(--primary-color)' }}>{displayTotalStats.hits}</span>
               </div>
               <div>
-                <span className="text-gray-500">Best Streak:</span>
-                <span className="ml-2 font-bold text-amber-400">{displayTotalStats.bestStreak}🔥</span>
+                <span className="text-gray-500">{t('motor.totals.bestStreak')}</span>
+                <span className="ms-2 font-bold text-amber-400">{displayTotalStats.bestStreak}🔥</span>
               </div>
               <div>
-                <span className="text-gray-500">Escaped:</span>
-                <span className="ml-2 font-bold text-gray-400">{displayTotalStats.misses}</span>
+                <span className="text-gray-500">{t('motor.totals.escaped')}</span>
+                <span className="ms-2 font-bold text-gray-400">{displayTotalStats.misses}</span>
               </div>
             </div>
           </div>
@@ -432,14 +614,66 @@ const MotorChallenge = () => {
     );
   }
   
+  // Motor task stage
+  if (currentTask) {
+    const TaskComponent = TASK_COMPONENTS[currentTask.type];
+    
+    return (
+      <div>
+        {displayChanged && (
+          <RecalibrationPrompt
+            calibration={calibration}
+            onSave={saveCalibration}
+            onDismiss={acknowledgeDisplayChange}
+          />
+        )}
+        
+        <div className="flex items-center gap-3 mb-4">
+          <span className="text-xl">{currentTask.icon}</span>
+          <span className="font-semibold text-white">{t(`motor.tasks.${currentTask.type}.title`)}</span>
+        </div>
+        
+        <div className="bg-gray-950 rounded-2xl border border-gray-800 overflow-hidden flex justify-center">
+          {/* The replay log only needs the pointer path here, so it listens around the task's own stage */}
+          <div
+            style={{ width: STAGE_WIDTH, height: STAGE_HEIGHT }}
+            onPointerMove={(e) => recordTaskPointer(e, e.buttons > 0)}
+            onPointerDown={(e) => recordTaskPointer(e, true)}
+          >
+            <TaskComponent
+              key={currentTask.type}
+              width={STAGE_WIDTH}
+              height={STAGE_HEIGHT}
+              trackerRef={motorTrackerRef}
+              primaryColor={primaryColor}
+              onComplete={handleTaskComplete}
+            />
+          </div>
+        </div>
+        
+        <div className="mt-4 text-center text-sm text-gray-500">
+          {currentTask.icon} {t(`motor.tasks.${currentTask.type}.instructions`)}
+        </div>
+      </div>
+    );
+  }
+  
   // Game stage
   return (
     <div>
+      {displayChanged && (
+        <RecalibrationPrompt
+          calibration={calibration}
+          onSave={saveCalibration}
+          onDismiss={acknowledgeDisplayChange}
+        />
+      )}
+      
       {/* Header with timer */}
       <div className="flex items-center justify-between mb-4">
         <div className="flex items-center gap-3">
           <span className="text-xl">🎯</span>
-          <span className="font-semibold text-white">Wave {currentRound}</span>
+          <span className="font-semibold text-white">{t('motor.wave', { current: currentRound })}</span>
         </div>
         
         <div 
@@ -451,21 +685,21 @@ const MotorChallenge = () => {
             color: timeRemaining <= 5 ? '#f87171' : 'var(--primary-color)'
           }}
         >
-          {timeRemaining}s
+          {t('motor.seconds', { count: timeRemaining })}
         </div>
         
         <div className="flex gap-4 text-sm">
           <div className="text-center">
             <div className="font-bold" style={{ color: 'var(--primary-color)' }}>{displayRoundStats.hits}</div>
-            <div className="text-xs text-gray-500">Popped</div>
+            <div className="text-xs text-gray-500">{t('motor.popped')}</div>
           </div>
           <div className="text-center">
             <div className="font-bold text-amber-400">{displayRoundStats.streak}🔥</div>
-            <div className="text-xs text-gray-500">Streak</div>
+            <div className="text-xs text-gray-500">{t('motor.streak')}</div>
           </div>
           <div className="text-center">
             <div className="font-bold text-gray-400">{displayRoundStats.misses}</div>
-            <div className="text-xs text-gray-500">Escaped</div>
+            <div className="text-xs text-gray-500">{t('motor.escaped')}</div>
           </div>
         </div>
       </div>
@@ -477,8 +711,11 @@ const MotorChallenge = () => {
           height={STAGE_HEIGHT}
           ref={stageRef}
           style={{ cursor: 'crosshair' }}
-          onMouseMove={(e) => {
-            if (isPlayingRef.current && motorTrackerRef.current) {
+          onPointerMove={(e) => {
+            eventLogRef.current?.recordPointer(stageRef.current?.getPointerPosition(), e.evt.buttons > 0);
+            
+            // Pointer events expose getCoalescedEvents() for full-rate sampling; touch is tracked below
+            if (e.evt.pointerType !== 'touch' && isPlayingRef.current && motorTrackerRef.current) {
               motorTrackerRef.current.trackPointerMove(e.evt);
             }
           }}
@@ -488,6 +725,7 @@ const MotorChallenge = () => {
             }
           }}
           onMouseDown={(e) => {
+            eventLogRef.current?.recordPointer(stageRef.current?.getPointerPosition(), true);
             if (motorTrackerRef.current) {
               motorTrackerRef.current.trackPointerDownState(e.evt);
             }
@@ -498,6 +736,7 @@ const MotorChallenge = () => {
             }
           }}
           onTouchStart={(e) => {
+            eventLogRef.current?.recordPointer(stageRef.current?.getPointerPosition(), true);
             if (motorTrackerRef.current) {
               motorTrackerRef.current.trackPointerDownState(e.evt);
             }
@@ -545,7 +784,7 @@ const MotorChallenge = () => {
       
       {/* Instructions */}
       <div className="mt-4 text-center text-sm text-gray-500">
-        🎯 Tap fast! Don't let them float away!
+        {t('motor.hint')}
       </div>
     </div>
   );
@@ -1,53 +1,90 @@
 import { useState, useEffect, useRef } from 'react';
 import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
 import useStore from '../../../state/store';
-import { LITERACY_QUESTIONS, calculateLiteracyScore, calculateCategoryScores } from '../../../utils/literacyQuestions';
+import { QUESTION_BANK, calculateCategoryScores } from '../../../utils/literacyQuestions';
+import { AdaptiveTest } from '../../../utils/itemResponseTheory';
+import { analyzeAnswerConfidence } from '../../../utils/answerConfidence';
 import { saveLiteracyResults } from '../../../utils/api';
+import { DEFAULT_LOCALE, localizeQuestion } from '../../../utils/i18n';
+import LiteracyTask from './literacyTasks/LiteracyTask';
 
 const QuizChallenge = () => {
   const { completeChallenge, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
   const sessionId = useStore((state) => state.sessionId);
   const { recordLiteracyResponse, completeLiteracyTest, completeModule } = useStore();
+  const { locale, t } = useTranslation();
   
   // Get saved progress from session
   const savedProgress = state.challengeProgress?.knowledgeQuiz || {};
   
+  // Question language is fixed for the whole quiz and recorded with the results
+  // (a quiz resumed from before the language was saved was in English)
+  const [quizLocale] = useState(() => savedProgress.locale || (savedProgress.adaptive ? DEFAULT_LOCALE : locale));
+  
+  // Adaptive test over the whole bank - restored from session if available
+  // (every locale translates every item; anything missing is shown in English)
+  const testRef = useRef(null);
+  if (!testRef.current) {
+    testRef.current = new AdaptiveTest({ items: QUESTION_BANK, state: savedProgress.adaptive });
+  }
+  
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(savedProgress.currentQuestion || 0);
   const [selectedAnswer, setSelectedAnswer] = useState('');
   const [questionStartTime, setQuestionStartTime] = useState(Date.now());
   const [focusShiftCount, setFocusShiftCount] = useState(0);
   const [hoverEvents, setHoverEvents] = useState([]);
+  const [answerChanges, setAnswerChanges] = useState(0);
   const [responses, setResponses] = useState(savedProgress.responses || []);
   const [isAnimating, setIsAnimating] = useState(false);
   
   const hoverTimerRef = useRef({});
+  // ms from the question appearing to the first hover, click or focus
+  const firstInteractionRef = useRef(null);
   
-  const currentQuestion = LITERACY_QUESTIONS[currentQuestionIndex];
-  const isLastQuestion = currentQuestionIndex === LITERACY_QUESTIONS.length - 1;
-  const totalQuestions = LITERACY_QUESTIONS.length;
+  // Questions are picked one at a time for the current ability estimate; the quiz ends once it is precise enough
+  const [questionId, setQuestionId] = useState(testRef.current.currentItemId);
+  const currentQuestion = QUESTION_BANK.find(q => q.id === questionId);
+  const localizedQuestion = currentQuestion && localizeQuestion(currentQuestion, quizLocale);
+  const maxQuestions = testRef.current.maxItems;
   
   // Save progress when question changes
   useEffect(() => {
-    if (currentQuestionIndex > 0 || responses.length > 0) {
+    if ((currentQuestionIndex > 0 || responses.length > 0) && !testRef.current.isComplete()) {
       updateChallengeProgress('knowledgeQuiz', {
-        currentQuestion: currentQuestionIndex,
+        currentQuestion: responses.length,
         responses,
+        adaptive: testRef.current.getState(),
+        locale: quizLocale,
       });
     }
-  }, [currentQuestionIndex, responses, updateChallengeProgress]);
+  }, [currentQuestionIndex, responses, quizLocale, updateChallengeProgress]);
   
   useEffect(() => {
     setQuestionStartTime(Date.now());
     setFocusShiftCount(0);
     setHoverEvents([]);
+    setAnswerChanges(0);
+    firstInteractionRef.current = null;
   }, [currentQuestionIndex]);
   
+  const markInteraction = () => {
+    if (firstInteractionRef.current === null) {
+      firstInteractionRef.current = Date.now() - questionStartTime;
+    }
+  };
+  
   const handleOptionClick = (option) => {
+    markInteraction();
+    if (selectedAnswer && option !== selectedAnswer) {
+      setAnswerChanges((prev) => prev + 1);
+    }
     setSelectedAnswer(option);
   };
   
   const handleOptionHover = (option, isEntering) => {
     if (isEntering) {
+      markInteraction();
       hoverTimerRef.current[option] = Date.now();
     } else {
       if (hoverTimerRef.current[option]) {
@@ -58,44 +95,84 @@ const QuizChallenge = () => {
   };
   
   const handleFocus = () => {
+    markInteraction();
     setFocusShiftCount((prev) => prev + 1);
   };
   
   const handleSubmit = async () => {
-    if (!selectedAnswer) return;
+    if (!selectedAnswer || !currentQuestion) return;
     
     const responseTime = Date.now() - questionStartTime;
-    const isCorrect = selectedAnswer === currentQuestion.correctAnswer;
+    await recordAnswer(selectedAnswer === currentQuestion.correctAnswer, {
+      userAnswer: selectedAnswer,
+      correctAnswer: currentQuestion.correctAnswer,
+      responseTime,
+      answerChanges,
+      timeToFirstInteractionMs: firstInteractionRef.current ?? responseTime,
+    });
+  };
+  
+  // Hands-on items answer through the task's own outcome
+  const handleTaskComplete = async (outcome) => {
+    let userAnswer = 'completed';
+    if (outcome.timedOut) userAnswer = 'timed_out';
+    else if (outcome.details.skipped) userAnswer = 'skipped';
     
+    await recordAnswer(outcome.success, {
+      userAnswer,
+      correctAnswer: null,
+      responseTime: outcome.durationMs,
+      timeToFirstInteractionMs: outcome.hesitationMs,
+      task: currentQuestion.task,
+      errorClicks: outcome.errorClicks,
+      errorTargets: outcome.errorTargets,
+      hesitationMs: outcome.hesitationMs,
+      longestPauseMs: outcome.longestPauseMs,
+      actionCount: outcome.actionCount,
+      taskDetails: outcome.details,
+    });
+  };
+  
+  /**
+   * Log one answer, update the ability estimate and move on
+   * @param {boolean} isCorrect - Right option picked, or task completed
+   * @param {object} answer - { userAnswer, correctAnswer, responseTime, timeToFirstInteractionMs } plus answer changes or task metrics
+   */
+  const recordAnswer = async (isCorrect, answer) => {
     // Update game stats
     if (isCorrect) {
-      recordCorrectAnswer(responseTime);
+      recordCorrectAnswer(answer.responseTime);
     } else {
-      recordIncorrectAnswer(responseTime);
+      recordIncorrectAnswer(answer.responseTime);
     }
     
     const responseData = {
       questionId: currentQuestion.id,
       question: currentQuestion.question,
-      userAnswer: selectedAnswer,
-      correctAnswer: currentQuestion.correctAnswer,
+      ...answer,
       isCorrect,
-      responseTime,
       focusShifts: focusShiftCount,
       hoverEvents,
     };
     
+    // Ability estimate after this answer
+    const { thetaAfter, seAfter } = testRef.current.recordResponse(isCorrect);
+    responseData.category = currentQuestion.category;
+    responseData.thetaAfter = thetaAfter;
+    responseData.seAfter = seAfter;
+    
     recordLiteracyResponse(responseData);
     
     const newResponses = [...responses, responseData];
     setResponses(newResponses);
     
-    if (isLastQuestion) {
+    if (testRef.current.isComplete()) {
       await finishQuiz(newResponses);
     } else {
       setIsAnimating(true);
       setTimeout(() => {
         setCurrentQuestionIndex(prev => prev + 1);
+        setQuestionId(testRef.current.currentItemId);
         setSelectedAnswer('');
         setIsAnimating(false);
       }, 200);
@@ -105,17 +182,25 @@ const QuizChallenge = () => {
   const finishQuiz = async (allResponses) => {
     completeLiteracyTest();
     
-    const scoreData = calculateLiteracyScore(allResponses);
+    const result = testRef.current.getResult();
     const categoryScores = calculateCategoryScores(allResponses);
+    // Hesitation, answer changes and distractor dwell - separates guesses from real knowledge
+    const answerConfidence = analyzeAnswerConfidence(allResponses);
     
     const resultsData = {
       sessionId,
       userId: state.userId,
       responses: allResponses,
-      score: scoreData.score, // Decimal score (0.0 - 1.0)
-      correctAnswers: scoreData.correctAnswers,
-      totalQuestions: scoreData.totalQuestions,
+      score: result.score, // Decimal score (0.0 - 1.0) from the IRT ability estimate
+      correctAnswers: allResponses.filter(r => r.isCorrect).length,
+      totalQuestions: allResponses.length,
       categoryScores,
+      method: result.method,
+      theta: result.theta,
+      thetaSe: result.thetaSe,
+      stopReason: result.stopReason,
+      answerConfidence,
+      locale: quizLocale,
     };
     
     try {
@@ -126,11 +211,13 @@ const QuizChallenge = () => {
     }
     
     // Clear progress since test is complete
-    updateChallengeProgress('knowledgeQuiz', { currentQuestion: 0, responses: [] });
+    updateChallengeProgress('knowledgeQuiz', { currentQuestion: 0, responses: [], adaptive: null, locale: null });
     
     await completeChallenge('knowledge-quiz', resultsData);
   };
   
+  if (!currentQuestion) return null;
+  
   return (
     <div className={`transition-all duration-200 ${isAnimating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
       {/* Challenge header */}
@@ -144,14 +231,12 @@ const QuizChallenge = () => {
         >
           <span className="text-xl">🧠</span>
           <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
-            Q{currentQuestionIndex + 1} of {totalQuestions}
+            {t('quiz.badge', { current: currentQuestionIndex + 1, max: maxQuestions })}
           </span>
         </div>
-        <h3 className="text-xl font-bold text-white mb-2">Quick Think!</h3>
+        <h3 className="text-xl font-bold text-white mb-2">{t('quiz.title')}</h3>
         <div className="inline-block px-3 py-1 rounded-full text-xs font-medium capitalize bg-gray-800/50" style={{ color: 'var(--primary-color)' }}>
-          {currentQuestion.category === 'icons' ? '🎨 Icons' : 
-           currentQuestion.category === 'terminology' ? '📚 Tech Terms' :
-           '🖱️ Interaction'}
+          {t(`quiz.categories.${currentQuestion.category}`)}
         </div>
       </div>
       
@@ -161,7 +246,7 @@ const QuizChallenge = () => {
           <div
             className="h-full rounded-full transition-all duration-500"
             style={{ 
-              width: `${((currentQuestionIndex + 1) / totalQuestions) * 100}%`,
+              width: `${Math.max((currentQuestionIndex + 1) / maxQuestions, testRef.current.getProgress()) * 100}%`,
               background: 'linear-gradient(90deg, var(--primary-color-dark) 0%, var(--primary-color) 100%)'
             }}
           />
@@ -170,11 +255,22 @@ const QuizChallenge = () => {
       
       {/* Question */}
       <div className="bg-gray-900/50 rounded-xl p-5 mb-6 border border-gray-800">
-        <p className="text-lg font-medium text-white leading-relaxed">
-          {currentQuestion.question}
+        <p lang={quizLocale} className="text-lg font-medium text-white leading-relaxed">
+          {localizedQuestion.question}
         </p>
       </div>
       
+      {currentQuestion.type === 'task' ? (
+        <div onFocus={handleFocus}>
+          <LiteracyTask
+            key={currentQuestion.id}
+            item={currentQuestion}
+            onHover={handleOptionHover}
+            onComplete={handleTaskComplete}
+          />
+        </div>
+      ) : (
+      <>
       {/* Options */}
       <div className="space-y-3 mb-6">
         {currentQuestion.options.map((option) => (
@@ -184,7 +280,7 @@ const QuizChallenge = () => {
             onFocus={handleFocus}
             onMouseEnter={() => handleOptionHover(option, true)}
             onMouseLeave={() => handleOptionHover(option, false)}
-            className="w-full p-4 rounded-xl text-left transition-all duration-300 flex items-center gap-4"
+            className="w-full p-4 rounded-xl text-start transition-all duration-300 flex items-center gap-4"
             style={selectedAnswer === option
               ? { 
                   backgroundColor: 'var(--primary-color)', 
@@ -211,7 +307,7 @@ const QuizChallenge = () => {
                 <div className="w-2 h-2 rounded-full" style={{ backgroundColor: 'var(--primary-color)' }} />
               )}
             </div>
-            <span className="font-medium">{option}</span>
+            <span lang={quizLocale} className="font-medium">{localizedQuestion.optionLabels[option]}</span>
           </button>
         ))}
       </div>
@@ -226,15 +322,13 @@ const QuizChallenge = () => {
           boxShadow: '0 4px 20px var(--primary-color-glow)'
         }}
       >
-        {isLastQuestion ? 'Final Answer!' : (
-          <>
-            Lock It In!
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
-            </svg>
-          </>
-        )}
+        {t('quiz.lockIn')}
+        <svg className="w-5 h-5 rtl:-scale-x-100" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7l5 5m0 0l-5 5m5-5H6" />
+        </svg>
       </button>
+      </>
+      )}
     </div>
   );
 };
@@ -0,0 +1,295 @@
+import { useState, useEffect, useRef } from 'react';
+import { useGame } from '../../../context/GameContext';
+import { useTranslation } from '../../../context/LocaleContext';
+import useStore from '../../../state/store';
+import { ReadingTest, MAX_READING_LEVEL } from '../../../utils/readingAssessment';
+import { saveReadingResults } from '../../../utils/api';
+import { DEFAULT_LOCALE, localizePassage } from '../../../utils/i18n';
+
+// Passage text size - recorded with the results since it affects reading speed
+const PASSAGE_FONT_PX = 18;
+
+// Pause between questions so the next one is not answered by a double tap (ms)
+const NEXT_QUESTION_DELAY_MS = 200;
+
+const ReadingChallenge = () => {
+  const { completeChallenge, recordCorrectAnswer, recordIncorrectAnswer, state, updateChallengeProgress } = useGame();
+  const sessionId = useStore((state) => state.sessionId);
+  const { locale, t } = useTranslation();
+
+  // Get saved progress from session
+  const savedProgress = state.challengeProgress?.readingAssessment || {};
+
+  // Passage language is fixed for the whole test and recorded with the results
+  // (a test resumed from before the language was saved was in English)
+  const [readingLocale] = useState(() => savedProgress.locale || (savedProgress.started ? DEFAULT_LOCALE : locale));
+
+  // Level staircase - restored from session if available
+  const testRef = useRef(null);
+  if (!testRef.current) {
+    testRef.current = new ReadingTest({ state: savedProgress.test });
+  }
+
+  const [started, setStarted] = useState(savedProgress.started || false);
+  // 'reading' while the passage is shown, 'questions' once it is hidden
+  const [stage, setStage] = useState(savedProgress.stage || 'reading');
+  const [passageNumber, setPassageNumber] = useState(testRef.current.passages.length);
+  const [readingMs, setReadingMs] = useState(savedProgress.readingMs ?? null);
+  const [answers, setAnswers] = useState(savedProgress.answers || []);
+  const [selectedAnswer, setSelectedAnswer] = useState('');
+  const [stageStartTime, setStageStartTime] = useState(Date.now());
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  const passage = localizePassage(testRef.current.getCurrentPassage(), readingLocale);
+  const currentQuestion = passage.questions[answers.length];
+
+  // Save progress after every step; a passage interrupted mid-read is timed again from the start
+  useEffect(() => {
+    if (started && !testRef.current.isComplete()) {
+      updateChallengeProgress('readingAssessment', {
+        started: true,
+        stage,
+        readingMs,
+        answers,
+        test: testRef.current.getState(),
+        locale: readingLocale,
+      });
+    }
+  }, [started, stage, readingMs, answers, passageNumber, readingLocale, updateChallengeProgress]);
+
+  // Restart the clock whenever a passage or question is shown
+  useEffect(() => {
+    setStageStartTime(Date.now());
+  }, [started, stage, passageNumber, answers.length]);
+
+  const handleDoneReading = () => {
+    setReadingMs(Date.now() - stageStartTime);
+    setStage('questions');
+  };
+
+  const handleSubmit = async () => {
+    if (!selectedAnswer || !currentQuestion || testRef.current.isComplete()) return;
+
+    const responseTime = Date.now() - stageStartTime;
+    if (selectedAnswer === currentQuestion.correctAnswer) {
+      recordCorrectAnswer(responseTime);
+    } else {
+      recordIncorrectAnswer(responseTime);
+    }
+
+    const newAnswers = [...answers, { questionId: currentQuestion.id, answer: selectedAnswer, responseTime }];
+
+    if (newAnswers.length < passage.questions.length) {
+      setIsAnimating(true);
+      setTimeout(() => {
+        setAnswers(newAnswers);
+        setSelectedAnswer('');
+        setIsAnimating(false);
+      }, NEXT_QUESTION_DELAY_MS);
+      return;
+    }
+
+    testRef.current.recordPassage({ readingMs, answers: newAnswers, text: passage.text });
+
+    if (testRef.current.isComplete()) {
+      await completeTest();
+    } else {
+      setIsAnimating(true);
+      setTimeout(() => {
+        setAnswers([]);
+        setReadingMs(null);
+        setSelectedAnswer('');
+        setStage('reading');
+        setPassageNumber(testRef.current.passages.length);
+        setIsAnimating(false);
+      }, NEXT_QUESTION_DELAY_MS);
+    }
+  };
+
+  const completeTest = async () => {
+    const result = testRef.current.getResult();
+
+    const resultsData = {
+      ...result,
+      passages: testRef.current.passages,
+      fontSizePx: PASSAGE_FONT_PX,
+      locale: readingLocale,
+    };
+
+    try {
+      await saveReadingResults({ sessionId, userId: state.userId, ...resultsData });
+    } catch (error) {
+      console.error('Failed to save results:', error);
+    }
+
+    // Clear progress since test is complete
+    updateChallengeProgress('readingAssessment', { started: false, stage: 'reading', readingMs: null, answers: [], test: null, locale: null });
+
+    await completeChallenge('reading-assessment', resultsData);
+  };
+
+  // Instructions
+  if (!started) {
+    return (
+      <div className="text-center">
+        <div
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-6"
+          style={{
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+            border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+          }}
+        >
+          <span className="text-xl">📖</span>
+          <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+            {t('reading.badge')}
+          </span>
+        </div>
+
+        <h3 className="text-2xl font-bold text-white mb-2">{t('reading.title')}</h3>
+        <p className="text-gray-400 mb-8 max-w-md mx-auto">
+          {t('reading.text')}
+        </p>
+
+        <div className="bg-gray-950 rounded-2xl p-8 mb-6 border border-gray-800">
+          <div className="space-y-3 text-start max-w-sm mx-auto">
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">🐢</span>
+              <div>
+                <div className="font-medium text-white">{t('reading.tips.pace.title')}</div>
+                <div className="text-sm text-gray-400">{t('reading.tips.pace.text')}</div>
+              </div>
+            </div>
+
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">🙈</span>
+              <div>
+                <div className="font-medium text-white">{t('reading.tips.peek.title')}</div>
+                <div className="text-sm text-gray-400">{t('reading.tips.peek.text')}</div>
+              </div>
+            </div>
+
+            <div className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+              <span className="text-xl">👓</span>
+              <div>
+                <div className="font-medium text-white">{t('reading.tips.glasses.title')}</div>
+                <div className="text-sm text-gray-400">{t('reading.tips.glasses.text')}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={() => setStarted(true)}
+          className="w-full py-4 px-6 rounded-xl font-semibold text-black transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] shadow-lg"
+          style={{
+            background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+            boxShadow: '0 4px 20px var(--primary-color-glow)'
+          }}
+        >
+          {t('reading.start')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`transition-all duration-200 ${isAnimating ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
+      {/* Challenge header */}
+      <div className="text-center mb-6">
+        <div
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-4"
+          style={{
+            backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+            border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+          }}
+        >
+          <span className="text-xl">📖</span>
+          <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+            {t('reading.progress', { current: passageNumber + 1, level: passage.level, max: MAX_READING_LEVEL })}
+          </span>
+        </div>
+        <h3 lang={readingLocale} className="text-xl font-bold text-white mb-2">{passage.title}</h3>
+        <p className="text-gray-400">
+          {stage === 'reading'
+            ? t('reading.readPrompt')
+            : t('reading.question', { current: answers.length + 1, total: passage.questions.length })}
+        </p>
+      </div>
+
+      {stage === 'reading' ? (
+        <>
+          {/* Passage */}
+          <div className="bg-gray-950 rounded-2xl p-6 mb-6 border border-gray-800">
+            <p
+              lang={readingLocale}
+              className="text-gray-100 text-start leading-relaxed max-w-prose mx-auto"
+              style={{ fontSize: `${PASSAGE_FONT_PX}px` }}
+            >
+              {passage.text}
+            </p>
+          </div>
+
+          <button
+            onClick={handleDoneReading}
+            className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg"
+            style={{
+              background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+              boxShadow: '0 4px 20px var(--primary-color-glow)'
+            }}
+          >
+            {t('reading.done')}
+          </button>
+        </>
+      ) : currentQuestion && (
+        <>
+          {/* Question */}
+          <div className="bg-gray-900/50 rounded-xl p-5 mb-6 border border-gray-800">
+            <p lang={readingLocale} className="text-lg font-medium text-white leading-relaxed">
+              {currentQuestion.question}
+            </p>
+          </div>
+
+          {/* Options */}
+          <div className="space-y-3 mb-6">
+            {currentQuestion.options.map((option) => (
+              <button
+                key={option}
+                onClick={() => setSelectedAnswer(option)}
+                className="w-full p-4 rounded-xl text-start transition-all duration-300"
+                style={selectedAnswer === option
+                  ? {
+                      backgroundColor: 'var(--primary-color)',
+                      color: 'white',
+                      boxShadow: '0 4px 20px var(--primary-color-glow)',
+                      border: '2px solid var(--primary-color)'
+                    }
+                  : {
+                      backgroundColor: 'rgba(31, 41, 55, 0.5)',
+                      color: '#d1d5db',
+                      border: '2px solid rgba(55, 65, 81, 0.5)'
+                    }
+                }
+              >
+                <span lang={readingLocale} className="font-medium">{currentQuestion.optionLabels[option]}</span>
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            disabled={!selectedAnswer || isAnimating}
+            className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{
+              background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+              boxShadow: '0 4px 20px var(--primary-color-glow)'
+            }}
+          >
+            {t('quiz.lockIn')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReadingChallenge;
@@ -0,0 +1,225 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  BLIND_SPOT_TRIALS,
+  BLIND_SPOT_DOT_SPEED_MM_S,
+  estimateViewingDistance,
+} from '../../../../utils/viewingDistance';
+import { useTranslation } from '../../../../context/LocaleContext';
+
+// Fixation square inset from the right edge of the sweep area (px)
+const FIXATION_INSET_PX = 40;
+
+// Pause between sweeps so the eye can settle back on the square (ms)
+const SWEEP_PAUSE_MS = 800;
+
+/**
+ * Blind-spot sweep for the virtual chinrest
+ * The user closes their right eye, looks at the square with the left eye and
+ * stops the dot when it disappears; the median dot distance gives the viewing distance.
+ *
+ * @param {number} pxPerMm - CSS px per mm from the credit-card calibration
+ * @param {function} onComplete - Called with the estimate from estimateViewingDistance()
+ * @param {function} onBack - Leave without measuring
+ */
+const BlindSpotTest = ({ pxPerMm, onComplete, onBack }) => {
+  const { t } = useTranslation();
+  const [phase, setPhase] = useState('instructions'); // instructions | sweeping | result
+  const [dotDistances, setDotDistances] = useState([]);
+  const [missedEdge, setMissedEdge] = useState(false);
+  const [estimate, setEstimate] = useState(null);
+
+  const areaRef = useRef(null);
+  const dotRef = useRef(null);
+  const sweepRef = useRef(null); // { startTime, fixationX, running }
+  const frameRef = useRef(null);
+  const pauseRef = useRef(null);
+
+  const speedPxPerMs = (BLIND_SPOT_DOT_SPEED_MM_S * pxPerMm) / 1000;
+
+  const startSweep = () => {
+    const area = areaRef.current;
+    if (!area) return;
+
+    const fixationX = area.clientWidth - FIXATION_INSET_PX;
+    sweepRef.current = { startTime: performance.now(), fixationX, running: true };
+
+    const step = (now) => {
+      const sweep = sweepRef.current;
+      if (!sweep?.running) return;
+
+      const dotX = sweep.fixationX - (now - sweep.startTime) * speedPxPerMs;
+      if (dotX <= 0) {
+        // Reached the edge without vanishing - run the sweep again
+        sweep.running = false;
+        setMissedEdge(true);
+        pauseRef.current = setTimeout(startSweep, SWEEP_PAUSE_MS);
+        return;
+      }
+
+      if (dotRef.current) dotRef.current.style.left = `${dotX}px`;
+      frameRef.current = requestAnimationFrame(step);
+    };
+
+    frameRef.current = requestAnimationFrame(step);
+  };
+
+  // Stop the dot where it disappeared
+  const markVanished = () => {
+    const sweep = sweepRef.current;
+    if (!sweep?.running) return;
+
+    sweep.running = false;
+    cancelAnimationFrame(frameRef.current);
+
+    const distancePx = (performance.now() - sweep.startTime) * speedPxPerMs;
+    const nextDistances = [...dotDistances, distancePx];
+    setDotDistances(nextDistances);
+    setMissedEdge(false);
+
+    if (nextDistances.length >= BLIND_SPOT_TRIALS) {
+      setEstimate(estimateViewingDistance(nextDistances, pxPerMm));
+      setPhase('result');
+    } else {
+      pauseRef.current = setTimeout(startSweep, SWEEP_PAUSE_MS);
+    }
+  };
+
+  // Space bar stops the dot; a tap on the button works too
+  useEffect(() => {
+    if (phase !== 'sweeping') return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || e.repeat) return;
+      e.preventDefault();
+      markVanished();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Stop any running sweep when leaving
+  useEffect(() => () => {
+    cancelAnimationFrame(frameRef.current);
+    clearTimeout(pauseRef.current);
+  }, []);
+
+  const begin = () => {
+    setDotDistances([]);
+    setEstimate(null);
+    setMissedEdge(false);
+    setPhase('sweeping');
+  };
+
+  // Start the first sweep once the sweep area is on screen
+  useEffect(() => {
+    if (phase === 'sweeping' && dotDistances.length === 0) startSweep();
+  }, [phase]);
+
+  if (phase === 'result' && estimate) {
+    return (
+      <div className="text-center">
+        <h3 className="text-xl font-bold text-white mb-2">
+          {estimate.isPlausible ? t('acuity.blindSpot.measured') : t('acuity.blindSpot.implausible')}
+        </h3>
+        <p className="text-gray-400 mb-6 text-sm">
+          {estimate.isPlausible ? t('acuity.blindSpot.stay') : t('acuity.blindSpot.retry')}
+        </p>
+
+        <div className="bg-gray-950 rounded-2xl p-8 mb-6 border border-gray-800">
+          <div className="text-4xl font-bold" style={{ color: 'var(--primary-color)' }}>
+            {t('acuity.blindSpot.distance', { distance: Math.round(estimate.viewingDistanceMm / 10) })}
+          </div>
+          <div className="text-sm text-gray-500 mt-2">{t('acuity.blindSpot.fromEyes')}</div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={begin}
+            className="flex-1 py-3 px-4 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all"
+          >
+            {t('acuity.blindSpot.again')}
+          </button>
+          {estimate.isPlausible && (
+            <button
+              onClick={() => onComplete(estimate)}
+              className="flex-1 py-3 px-4 rounded-xl font-semibold text-black transition-all"
+              style={{
+                background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+              }}
+            >
+              {t('acuity.blindSpot.startTest')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center">
+      <h3 className="text-xl font-bold text-white mb-2">{t('acuity.blindSpot.title')}</h3>
+      <p className="text-gray-400 mb-6 text-sm">
+        {t('acuity.blindSpot.textBefore')}
+        <span className="text-white font-medium">{t('acuity.blindSpot.rightEye')}</span>
+        {t('acuity.blindSpot.textMiddle')}
+        <span className="text-white font-medium">{t('acuity.blindSpot.space')}</span>
+        {t('acuity.blindSpot.textAfter')}
+      </p>
+
+      {/* Sweep area */}
+      <div
+        ref={areaRef}
+        className="relative bg-gray-950 rounded-2xl mb-4 border border-gray-800 h-40 overflow-hidden"
+      >
+        <div
+          className="absolute w-5 h-5 bg-white"
+          style={{ right: `${FIXATION_INSET_PX - 10}px`, top: '50%', transform: 'translateY(-50%)' }}
+        />
+        {phase === 'sweeping' && (
+          <div
+            ref={dotRef}
+            className="absolute w-6 h-6 rounded-full bg-red-500"
+            style={{ left: '100%', top: '50%', transform: 'translate(-50%, -50%)' }}
+          />
+        )}
+      </div>
+
+      <div className="text-xs text-gray-500 mb-4">
+        {phase === 'sweeping'
+          ? t('acuity.blindSpot.sweep', { current: Math.min(dotDistances.length + 1, BLIND_SPOT_TRIALS), total: BLIND_SPOT_TRIALS })
+          : t('acuity.blindSpot.sweeps', { count: BLIND_SPOT_TRIALS })}
+        {missedEdge && t('acuity.blindSpot.missedEdge')}
+      </div>
+
+      {phase === 'sweeping' ? (
+        <button
+          onClick={markVanished}
+          className="w-full py-4 px-6 rounded-xl font-semibold text-white bg-red-500/80 transition-all active:scale-[0.98]"
+        >
+          {t('acuity.blindSpot.disappeared')}
+        </button>
+      ) : (
+        <div className="flex gap-3">
+          <button
+            onClick={onBack}
+            className="flex-1 py-3 px-4 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all"
+          >
+            {t('calibration.back')}
+          </button>
+          <button
+            onClick={begin}
+            className="flex-1 py-3 px-4 rounded-xl font-semibold text-black transition-all"
+            style={{
+              background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+            }}
+          >
+            {t('acuity.blindSpot.start')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlindSpotTest;
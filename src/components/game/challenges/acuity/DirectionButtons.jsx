@@ -0,0 +1,38 @@
+import { DIRECTIONS } from '../../../../utils/optotypes';
+import { useTranslation } from '../../../../context/LocaleContext';
+
+// Arrow buttons laid out as a cross
+const BUTTON_LAYOUT = [
+  { direction: DIRECTIONS.UP, label: '↑', gridArea: '1 / 2' },
+  { direction: DIRECTIONS.LEFT, label: '←', gridArea: '2 / 1' },
+  { direction: DIRECTIONS.RIGHT, label: '→', gridArea: '2 / 3' },
+  { direction: DIRECTIONS.DOWN, label: '↓', gridArea: '3 / 2' },
+];
+
+/**
+ * Direction answer buttons for tumbling E / Landolt C
+ */
+const DirectionButtons = ({ onAnswer, disabled = false }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="grid grid-cols-3 grid-rows-3 gap-2 w-48 mx-auto">
+      {BUTTON_LAYOUT.map(({ direction, label, gridArea }) => (
+        <button
+          key={direction}
+          onClick={() => onAnswer(direction, 'button')}
+          disabled={disabled}
+          aria-label={t(`acuity.directions.${direction}`)}
+          className="h-14 rounded-xl text-2xl font-bold text-white bg-gray-800/50 border border-gray-700/50 transition-all duration-200 hover:scale-[1.05] active:scale-[0.95] disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ gridArea }}
+          onMouseEnter={(e) => e.currentTarget.style.borderColor = 'rgba(var(--primary-color-rgb), 0.5)'}
+          onMouseLeave={(e) => e.currentTarget.style.borderColor = ''}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default DirectionButtons;
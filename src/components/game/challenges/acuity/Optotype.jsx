@@ -0,0 +1,45 @@
+import { useTranslation } from '../../../../context/LocaleContext';
+import { OPTOTYPE_TYPES, DIRECTION_ROTATION } from '../../../../utils/optotypes';
+
+// E with its bars opening to the right, on the 5 x 5 optotype grid
+const TUMBLING_E_PATH = 'M0 0H5V1H1V2H5V3H1V4H5V5H0Z';
+
+/**
+ * Tumbling E or Landolt C drawn as SVG at exactly `size` CSS pixels
+ * (the full optotype height - five times the stroke and gap width)
+ *
+ * Both shapes are drawn in a 5-unit viewBox so they scale without font
+ * hinting; the E is rendered with crisp edges so its bars stay sharp at
+ * the small sizes near the 20/20 threshold.
+ *
+ * The accessible name never mentions the direction - that is the answer.
+ */
+const Optotype = ({ type, direction, size, color = '#111827', background = '#ffffff' }) => {
+  const { t } = useTranslation();
+  const rotation = DIRECTION_ROTATION[direction] || 0;
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 5 5"
+      role="img"
+      aria-label={t('acuity.optotype')}
+      style={{ display: 'block' }}
+    >
+      <g transform={`rotate(${rotation} 2.5 2.5)`}>
+        {type === OPTOTYPE_TYPES.LANDOLT_C ? (
+          <>
+            {/* Ring: outer diameter 5, stroke 1; the gap on the right is 1 unit wide */}
+            <circle cx={2.5} cy={2.5} r={2} fill="none" stroke={color} strokeWidth={1} />
+            <rect x={2.5} y={2} width={2.6} height={1} fill={background} />
+          </>
+        ) : (
+          <path d={TUMBLING_E_PATH} fill={color} shapeRendering="crispEdges" />
+        )}
+      </g>
+    </svg>
+  );
+};
+
+export default Optotype;
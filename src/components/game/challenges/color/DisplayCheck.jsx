@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import {
+  DISPLAY_SWATCHES,
+  detectDisplayCapabilities,
+  assessDisplayConditions,
+} from '../../../../utils/displayConditions';
+import { useTranslation } from '../../../../context/LocaleContext';
+
+const grey = (level) => `rgb(${level}, ${level}, ${level})`;
+
+/**
+ * Display check before the colour tests
+ * Asks each reference swatch in turn; clean answers continue straight away,
+ * otherwise the issues are listed with a fix and the check can be retaken.
+ *
+ * @param {function} onComplete - Called with assessDisplayConditions() output
+ */
+const DisplayCheck = ({ onComplete }) => {
+  const { t } = useTranslation();
+  const [swatchIndex, setSwatchIndex] = useState(0);
+  const [responses, setResponses] = useState({});
+  const [assessment, setAssessment] = useState(null);
+
+  const swatch = DISPLAY_SWATCHES[swatchIndex];
+
+  const handleAnswer = (value) => {
+    const nextResponses = { ...responses, [swatch.id]: value };
+    setResponses(nextResponses);
+
+    if (swatchIndex < DISPLAY_SWATCHES.length - 1) {
+      setSwatchIndex(swatchIndex + 1);
+      return;
+    }
+
+    const result = assessDisplayConditions(detectDisplayCapabilities(), nextResponses);
+    if (result.reliable) {
+      onComplete(result);
+    } else {
+      setAssessment(result);
+    }
+  };
+
+  const handleRetry = () => {
+    setSwatchIndex(0);
+    setResponses({});
+    setAssessment(null);
+  };
+
+  const header = (
+    <div className="text-center mb-6">
+      <div
+        className="inline-flex items-center gap-2 px-4 py-2 rounded-full mb-4"
+        style={{
+          backgroundColor: 'rgba(var(--primary-color-rgb), 0.1)',
+          border: '1px solid rgba(var(--primary-color-rgb), 0.2)'
+        }}
+      >
+        <span className="text-xl">🖥️</span>
+        <span className="text-sm font-medium" style={{ color: 'var(--primary-color)' }}>
+          {assessment
+            ? t('color.display.results')
+            : t('color.display.badge', { current: swatchIndex + 1, total: DISPLAY_SWATCHES.length })}
+        </span>
+      </div>
+      <h3 className="text-xl font-bold text-white mb-2">{t('color.display.title')}</h3>
+      <p className="text-gray-400">{t('color.display.text')}</p>
+    </div>
+  );
+
+  if (assessment) {
+    return (
+      <div className="animate-fade-in">
+        {header}
+
+        <div className="bg-gray-950 rounded-2xl p-6 mb-6 border border-gray-800">
+          <p className="text-white font-medium mb-4">{t('color.display.issuesTitle')}</p>
+          <div className="space-y-3">
+            {assessment.issues.map(issue => (
+              <div key={issue} className="flex items-start gap-3 p-3 rounded-xl bg-gray-800/50">
+                <span className="text-xl">⚠️</span>
+                <div className="text-sm text-gray-300">{t(`color.display.advice.${issue}`)}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={() => onComplete(assessment)}
+            className="flex-1 py-3 px-6 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all duration-300"
+          >
+            {t('color.display.continueAnyway')}
+          </button>
+          <button
+            onClick={handleRetry}
+            className="flex-1 py-3 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg"
+            style={{
+              background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+              boxShadow: '0 4px 20px var(--primary-color-glow)'
+            }}
+          >
+            {t('color.display.checkAgain')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div key={swatch.id} className="animate-fade-in">
+      {header}
+
+      <p className="text-center text-white font-medium mb-4">{t(`color.display.swatches.${swatch.id}`)}</p>
+
+      {/* Swatch */}
+      <div className="bg-gray-950 rounded-2xl p-6 mb-6 flex justify-center items-center min-h-[200px] border border-gray-800">
+        {swatch.type === 'choice' ? (
+          <div className="w-full max-w-xs rounded-2xl p-8 flex justify-center" style={{ backgroundColor: swatch.background }}>
+            <div className="w-28 h-28 rounded-xl" style={{ backgroundColor: swatch.color }} />
+          </div>
+        ) : (
+          <div className="w-full max-w-sm rounded-2xl p-6 flex justify-between gap-3" style={{ backgroundColor: grey(swatch.backgroundLevel) }}>
+            {swatch.levels.map(level => (
+              <div key={level} className="flex-1 aspect-square rounded-lg" style={{ backgroundColor: grey(level) }} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Answers */}
+      {swatch.type === 'choice' ? (
+        <div className="grid grid-cols-3 gap-2">
+          {swatch.options.map(option => (
+            <button
+              key={option.value}
+              onClick={() => handleAnswer(option.value)}
+              className="py-3 px-2 rounded-xl text-sm font-medium text-white bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all active:scale-95"
+            >
+              {t(`color.display.options.${option.value}`)}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-6 gap-2">
+          {Array.from({ length: swatch.levels.length + 1 }, (_, count) => (
+            <button
+              key={count}
+              onClick={() => handleAnswer(count)}
+              className="py-3 rounded-xl text-xl font-bold text-white bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all active:scale-95"
+            >
+              {count}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisplayCheck;
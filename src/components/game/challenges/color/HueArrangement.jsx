@@ -0,0 +1,175 @@
+import { useState, useRef, useEffect } from 'react';
+import { PILOT_CAP, getCapColor } from '../../../../utils/hueArrangement';
+import { useTranslation } from '../../../../context/LocaleContext';
+
+// Cap diameter in CSS px
+const CAP_SIZE = 40;
+
+// Pointer travel below this is a tap rather than a drag (px)
+const DRAG_THRESHOLD_PX = 6;
+
+/**
+ * Drag-to-order hue caps after the fixed pilot cap
+ * Tap a tray cap to add it to the end of the row, tap a placed cap to send it
+ * back, or drag either into place.
+ *
+ * @param {array} initialTray - Shuffled cap numbers from shuffleCaps()
+ * @param {object} savedState - { order, tray, moves, startedAt } to resume after a reload
+ * @param {function} onChange - Called with the state after every move
+ * @param {function} onComplete - Called with { order, moves, durationMs }
+ */
+const HueArrangement = ({ initialTray, savedState, onChange, onComplete }) => {
+  const { t } = useTranslation();
+  const [order, setOrder] = useState(savedState?.order || []);
+  const [tray, setTray] = useState(savedState?.tray || initialTray);
+  const [moves, setMoves] = useState(savedState?.moves || []);
+  const [startedAt] = useState(savedState?.startedAt || Date.now());
+  const [drag, setDrag] = useState(null);
+
+  const rowRef = useRef(null);
+  const capRefs = useRef({});
+
+  useEffect(() => {
+    if (moves.length > 0) onChange?.({ order, tray, moves, startedAt });
+  }, [order, tray, moves, startedAt, onChange]);
+
+  /**
+   * Row index a cap dropped at (x, y) goes to
+   * Reading order - the row wraps on narrow screens
+   */
+  const dropIndex = (x, y, excludeCap) => {
+    const others = order.filter(cap => cap !== excludeCap);
+    const index = others.findIndex(cap => {
+      const rect = capRefs.current[cap]?.getBoundingClientRect();
+      if (!rect) return false;
+      if (y < rect.top) return true;
+      return y <= rect.bottom && x < rect.left + rect.width / 2;
+    });
+    return index === -1 ? others.length : index;
+  };
+
+  const moveCap = (cap, toIndex) => {
+    const from = order.indexOf(cap);
+    const nextOrder = order.filter(c => c !== cap);
+    if (toIndex === null) {
+      setTray(prev => [...prev, cap]);
+    } else {
+      nextOrder.splice(toIndex, 0, cap);
+      setTray(prev => prev.filter(c => c !== cap));
+    }
+    setOrder(nextOrder);
+    setMoves(prev => [...prev, { cap, from: from === -1 ? null : from, to: toIndex, t: Date.now() - startedAt }]);
+  };
+
+  const handlePointerDown = (e, cap) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ cap, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, moved: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const moved = drag.moved || Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > DRAG_THRESHOLD_PX;
+    setDrag({ ...drag, x: e.clientX, y: e.clientY, moved });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    const { cap, moved } = drag;
+    setDrag(null);
+    const placed = order.includes(cap);
+
+    if (!moved) {
+      // Tap - toggle between tray and the end of the row
+      moveCap(cap, placed ? null : order.length);
+      return;
+    }
+
+    const rowRect = rowRef.current?.getBoundingClientRect();
+    const overRow = rowRect
+      && e.clientX >= rowRect.left && e.clientX <= rowRect.right
+      && e.clientY >= rowRect.top && e.clientY <= rowRect.bottom;
+
+    if (overRow) {
+      const toIndex = dropIndex(e.clientX, e.clientY, cap);
+      if (!placed || toIndex !== order.indexOf(cap)) moveCap(cap, toIndex);
+    } else if (placed) {
+      moveCap(cap, null);
+    }
+  };
+
+  const renderCap = (cap) => (
+    <button
+      key={cap}
+      ref={el => { capRefs.current[cap] = el; }}
+      onPointerDown={e => handlePointerDown(e, cap)}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDrag(null)}
+      aria-label={t('color.arrangementCap', { cap })}
+      className="rounded-full shadow-lg ring-2 ring-gray-900 touch-none select-none transition-transform active:scale-110"
+      style={{
+        width: CAP_SIZE,
+        height: CAP_SIZE,
+        backgroundColor: getCapColor(cap),
+        opacity: drag?.cap === cap && drag.moved ? 0.3 : 1,
+      }}
+    />
+  );
+
+  return (
+    <div>
+      {/* Arrangement row - the pilot cap is fixed at the start */}
+      <div
+        ref={rowRef}
+        className="bg-gray-950 rounded-2xl p-4 mb-4 border border-gray-800 min-h-[120px] flex flex-wrap gap-2 items-center content-start"
+      >
+        <div
+          className="rounded-full ring-2 ring-white/60 flex items-center justify-center text-[10px] font-bold text-white/80"
+          style={{ width: CAP_SIZE, height: CAP_SIZE, backgroundColor: getCapColor(PILOT_CAP) }}
+        >
+          {t('color.arrangementStart')}
+        </div>
+        {order.map(renderCap)}
+        {order.length === 0 && (
+          <span className="text-sm text-gray-500 ms-2">{t('color.arrangementHint')}</span>
+        )}
+      </div>
+
+      {/* Tray of unplaced caps */}
+      <div className="rounded-2xl p-4 mb-6 bg-gray-800/30 border border-gray-700/50 min-h-[72px] flex flex-wrap gap-2 justify-center">
+        {tray.map(renderCap)}
+        {tray.length === 0 && (
+          <span className="text-sm text-gray-400 self-center">{t('color.arrangementDone')}</span>
+        )}
+      </div>
+
+      {/* Cap following the pointer while dragging */}
+      {drag?.moved && (
+        <div
+          className="fixed rounded-full shadow-2xl ring-2 ring-white pointer-events-none z-50"
+          style={{
+            width: CAP_SIZE,
+            height: CAP_SIZE,
+            left: drag.x - CAP_SIZE / 2,
+            top: drag.y - CAP_SIZE / 2,
+            backgroundColor: getCapColor(drag.cap),
+          }}
+        />
+      )}
+
+      <button
+        onClick={() => onComplete({ order, moves, durationMs: Date.now() - startedAt })}
+        disabled={tray.length > 0}
+        className="w-full py-3 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+        style={{
+          background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+          boxShadow: '0 4px 20px var(--primary-color-glow)'
+        }}
+      >
+        {t('color.complete')}
+      </button>
+    </div>
+  );
+};
+
+export default HueArrangement;
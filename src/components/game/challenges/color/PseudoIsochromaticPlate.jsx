@@ -0,0 +1,86 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { generateDotField, getDotColor } from '../../../../utils/pseudoIsochromaticPlates';
+import { useTranslation } from '../../../../context/LocaleContext';
+
+// Resolution of the digit mask the dots are sampled against
+const MASK_SIZE = 200;
+
+// Gap colour between the dots, like the paper of a printed plate
+const PAPER_COLOR = 'rgb(236, 232, 224)';
+
+/**
+ * Which dots fall on the digit
+ * @param {array} dots - From generateDotField()
+ * @param {string} digit - Digit to hide in the plate
+ * @returns {array} One boolean per dot
+ */
+const maskDots = (dots, digit) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = MASK_SIZE;
+  canvas.height = MASK_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.font = `bold ${Math.round(MASK_SIZE * 0.7)}px Arial, Helvetica, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(digit, MASK_SIZE / 2, MASK_SIZE / 2 + MASK_SIZE * 0.03);
+  const { data } = ctx.getImageData(0, 0, MASK_SIZE, MASK_SIZE);
+
+  return dots.map(({ x, y }) => {
+    const px = Math.min(MASK_SIZE - 1, Math.floor(((x + 1) / 2) * MASK_SIZE));
+    const py = Math.min(MASK_SIZE - 1, Math.floor(((y + 1) / 2) * MASK_SIZE));
+    return data[(py * MASK_SIZE + px) * 4 + 3] > 127;
+  });
+};
+
+/**
+ * Canvas dot-field colour plate
+ *
+ * @param {object} plate - Definition from buildGeneratedPlates()
+ * @param {number} size - Diameter in CSS px
+ */
+const PseudoIsochromaticPlate = ({ plate, size }) => {
+  const { t } = useTranslation();
+  const canvasRef = useRef(null);
+
+  // Layout and digit mask only change with the plate
+  const dots = useMemo(() => generateDotField(plate.seed), [plate.seed]);
+  const figureDots = useMemo(() => maskDots(dots, plate.normalAnswer), [dots, plate.normalAnswer]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(size * dpr);
+    canvas.height = Math.round(size * dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+
+    const radius = size / 2;
+    ctx.fillStyle = PAPER_COLOR;
+    ctx.beginPath();
+    ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    dots.forEach((dot, index) => {
+      ctx.fillStyle = getDotColor(plate, figureDots[index], dot.shade);
+      ctx.beginPath();
+      ctx.arc(radius + dot.x * radius, radius + dot.y * radius, dot.r * radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }, [plate, size, dots, figureDots]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      role="img"
+      aria-label={t('color.plateAlt', { id: plate.plateId })}
+      className="rounded-full shadow-2xl ring-4 ring-gray-800 animate-fade-in"
+      style={{ width: size, height: size }}
+    />
+  );
+};
+
+export default PseudoIsochromaticPlate;
@@ -0,0 +1,109 @@
+import { useState, useRef } from 'react';
+import { useTranslation } from '../../../../context/LocaleContext';
+import { LITERACY_TASKS, LITERACY_TASK_TYPES } from '../../../../utils/literacyTasks';
+
+const TASK = LITERACY_TASKS[LITERACY_TASK_TYPES.DRAG_FILE];
+
+// Pointer travel below this is a click rather than a drag (px)
+const DRAG_THRESHOLD_PX = 6;
+
+/**
+ * Drag task - move one file into the right folder of a mock file manager
+ * Dropping a file on the wrong folder (or the wrong file on any folder) is an
+ * error click; a drop outside every folder just snaps back
+ */
+const DragFileTask = ({ metrics, onHover }) => {
+  const { markAction, recordErrorClick, finish } = metrics;
+  const { t } = useTranslation();
+  const [drag, setDrag] = useState(null);
+  const folderRefs = useRef({});
+  const missedDropsRef = useRef(0);
+
+  const handlePointerDown = (e, fileId) => {
+    markAction();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ fileId, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, moved: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const moved = drag.moved || Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > DRAG_THRESHOLD_PX;
+    setDrag({ ...drag, x: e.clientX, y: e.clientY, moved });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    const { fileId, moved } = drag;
+    setDrag(null);
+    if (!moved) return;
+
+    const folder = TASK.folders.find((id) => {
+      const rect = folderRefs.current[id]?.getBoundingClientRect();
+      return rect && e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+    });
+
+    if (!folder) {
+      missedDropsRef.current += 1;
+    } else if (fileId === TASK.fileId && folder === TASK.folderId) {
+      finish(true, { missedDrops: missedDropsRef.current });
+    } else {
+      recordErrorClick(`${fileId}->${folder}`);
+    }
+  };
+
+  const draggedFile = drag?.moved ? TASK.files.find(f => f.id === drag.fileId) : null;
+
+  return (
+    <div className="rounded-xl overflow-hidden border border-gray-700 bg-white select-none">
+      <div className="px-4 py-2 bg-gray-100 border-b border-gray-200 text-sm font-semibold text-gray-700 text-start">
+        {t('quiz.tasks.downloads')}
+      </div>
+
+      {/* Files */}
+      <div className="flex justify-around p-4">
+        {TASK.files.map(file => (
+          <div
+            key={file.id}
+            onPointerDown={e => handlePointerDown(e, file.id)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+            onMouseEnter={() => onHover(file.id, true)}
+            onMouseLeave={() => onHover(file.id, false)}
+            className="flex flex-col items-center gap-1 p-2 rounded-lg cursor-grab touch-none hover:bg-gray-100"
+            style={{ opacity: drag?.fileId === file.id && drag.moved ? 0.3 : 1 }}
+          >
+            <span className="text-3xl">{file.icon}</span>
+            <span className="text-xs text-gray-700">{file.name}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Folders */}
+      <div className="flex justify-around p-4 border-t border-gray-200 bg-gray-50">
+        {TASK.folders.map(folder => (
+          <div
+            key={folder}
+            ref={el => { folderRefs.current[folder] = el; }}
+            className="flex flex-col items-center gap-1 p-3 rounded-lg"
+          >
+            <span className="text-4xl">📁</span>
+            <span className="text-xs text-gray-700">{t(`quiz.tasks.folders.${folder}`)}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* File following the pointer while dragging */}
+      {draggedFile && (
+        <div
+          className="fixed pointer-events-none z-50 text-3xl"
+          style={{ left: drag.x - 18, top: drag.y - 18 }}
+        >
+          {draggedFile.icon}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DragFileTask;
@@ -0,0 +1,59 @@
+import { useTranslation } from '../../../../context/LocaleContext';
+import { LITERACY_TASKS, LITERACY_TASK_TYPES } from '../../../../utils/literacyTasks';
+
+const TASK = LITERACY_TASKS[LITERACY_TASK_TYPES.FIND_SETTINGS];
+
+/**
+ * Find-and-click task - open the settings from an unlabelled app toolbar
+ * Any other button, or a click on the mock app itself, is an error click
+ */
+const FindSettingsTask = ({ metrics, onHover }) => {
+  const { markAction, recordErrorClick, finish } = metrics;
+  const { t } = useTranslation();
+
+  const handleButtonClick = (e, id) => {
+    e.stopPropagation();
+    if (id === TASK.targetId) {
+      finish(true);
+    } else {
+      recordErrorClick(id);
+    }
+  };
+
+  return (
+    <div
+      onPointerDown={markAction}
+      onClick={() => recordErrorClick('background')}
+      className="rounded-xl overflow-hidden border border-gray-700 bg-white select-none"
+    >
+      {/* Mock app toolbar */}
+      <div className="flex items-center justify-between px-3 py-2 bg-gray-100 border-b border-gray-200">
+        <span className="text-sm font-semibold text-gray-700">{t('quiz.tasks.appName')}</span>
+        <div className="flex gap-1">
+          {TASK.toolbar.map(({ id, icon }) => (
+            <button
+              key={id}
+              onClick={e => handleButtonClick(e, id)}
+              onMouseEnter={() => onHover(id, true)}
+              onMouseLeave={() => onHover(id, false)}
+              aria-label={t(`quiz.tasks.toolbar.${id}`)}
+              className="w-9 h-9 rounded-lg flex items-center justify-center text-lg hover:bg-gray-200 transition-colors"
+            >
+              {icon}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Placeholder page content */}
+      <div className="p-4 space-y-2">
+        <div className="h-3 w-2/3 rounded bg-gray-200" />
+        <div className="h-3 w-full rounded bg-gray-100" />
+        <div className="h-3 w-5/6 rounded bg-gray-100" />
+        <div className="h-3 w-1/2 rounded bg-gray-100" />
+      </div>
+    </div>
+  );
+};
+
+export default FindSettingsTask;
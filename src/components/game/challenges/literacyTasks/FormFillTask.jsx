@@ -0,0 +1,103 @@
+import { useState, useRef } from 'react';
+import { useTranslation } from '../../../../context/LocaleContext';
+import { validateFormTask } from '../../../../utils/literacyTasks';
+
+/**
+ * Form task - fill in a small sign-up form and submit it
+ * Submitting with a wrong or missing field outlines it in red, as real forms
+ * do, and counts as an error click
+ */
+const FormFillTask = ({ metrics, onHover }) => {
+  const { markAction, recordErrorClick, finish } = metrics;
+  const { t } = useTranslation();
+  const [values, setValues] = useState({ name: '', email: '', agree: false });
+  const [invalidFields, setInvalidFields] = useState([]);
+  const attemptsRef = useRef([]);
+
+  const update = (field, value) => {
+    markAction();
+    setValues(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    markAction();
+    const invalid = validateFormTask(values);
+    attemptsRef.current.push(invalid);
+
+    if (invalid.length === 0) {
+      finish(true, { submitAttempts: attemptsRef.current.length, invalidAttempts: attemptsRef.current.slice(0, -1) });
+    } else {
+      recordErrorClick('submit_invalid');
+      setInvalidFields(invalid);
+    }
+  };
+
+  const fieldStyle = (field) => ({
+    border: `2px solid ${invalidFields.includes(field) ? '#ef4444' : '#d1d5db'}`,
+  });
+
+  return (
+    <form onSubmit={handleSubmit} className="rounded-xl p-4 bg-white text-start space-y-3 border border-gray-700">
+      <div className="text-sm font-semibold text-gray-800">{t('quiz.tasks.form.title')}</div>
+
+      <label className="block">
+        <span className="text-xs text-gray-600">{t('quiz.tasks.form.name')}</span>
+        <input
+          type="text"
+          value={values.name}
+          onChange={e => update('name', e.target.value)}
+          onMouseEnter={() => onHover('name', true)}
+          onMouseLeave={() => onHover('name', false)}
+          className="w-full mt-1 px-3 py-2 rounded-lg text-gray-900 focus:outline-none"
+          style={fieldStyle('name')}
+          autoComplete="off"
+        />
+      </label>
+
+      <label className="block">
+        <span className="text-xs text-gray-600">{t('quiz.tasks.form.email')}</span>
+        <input
+          type="email"
+          value={values.email}
+          onChange={e => update('email', e.target.value)}
+          onMouseEnter={() => onHover('email', true)}
+          onMouseLeave={() => onHover('email', false)}
+          className="w-full mt-1 px-3 py-2 rounded-lg text-gray-900 focus:outline-none"
+          style={fieldStyle('email')}
+          autoComplete="off"
+        />
+      </label>
+
+      <label
+        className="flex items-center gap-2 text-sm text-gray-700 rounded-lg p-1"
+        style={invalidFields.includes('agree') ? { outline: '2px solid #ef4444' } : undefined}
+      >
+        <input
+          type="checkbox"
+          checked={values.agree}
+          onChange={e => update('agree', e.target.checked)}
+          onMouseEnter={() => onHover('agree', true)}
+          onMouseLeave={() => onHover('agree', false)}
+          className="w-4 h-4"
+        />
+        {t('quiz.tasks.form.agree')}
+      </label>
+
+      {invalidFields.length > 0 && (
+        <p className="text-xs text-red-600">{t('quiz.tasks.form.invalid')}</p>
+      )}
+
+      <button
+        type="submit"
+        onMouseEnter={() => onHover('submit', true)}
+        onMouseLeave={() => onHover('submit', false)}
+        className="px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-semibold"
+      >
+        {t('quiz.tasks.form.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default FormFillTask;
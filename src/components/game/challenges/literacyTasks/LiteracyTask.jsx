@@ -0,0 +1,43 @@
+import { useTranslation } from '../../../../context/LocaleContext';
+import useLiteracyTaskMetrics from '../../../../hooks/useLiteracyTaskMetrics';
+import { LITERACY_TASK_TYPES } from '../../../../utils/literacyTasks';
+import FindSettingsTask from './FindSettingsTask';
+import FormFillTask from './FormFillTask';
+import ScrollFindTask from './ScrollFindTask';
+import DragFileTask from './DragFileTask';
+
+const TASK_COMPONENTS = {
+  [LITERACY_TASK_TYPES.FIND_SETTINGS]: FindSettingsTask,
+  [LITERACY_TASK_TYPES.FORM_FILL]: FormFillTask,
+  [LITERACY_TASK_TYPES.SCROLL_FIND]: ScrollFindTask,
+  [LITERACY_TASK_TYPES.DRAG_FILE]: DragFileTask,
+};
+
+/**
+ * Hands-on quiz item - the mock interface for item.task plus a way to give up
+ *
+ * @param {object} item - Task item from QUESTION_BANK
+ * @param {function} onHover - (target, isEntering) for the quiz's hover log
+ * @param {function} onComplete - Receives the useLiteracyTaskMetrics() outcome
+ */
+const LiteracyTask = ({ item, onHover, onComplete }) => {
+  const metrics = useLiteracyTaskMetrics({ onComplete });
+  const { t } = useTranslation();
+  const Task = TASK_COMPONENTS[item.task];
+
+  return (
+    <div className="mb-6">
+      <div className="mb-3">
+        <Task metrics={metrics} onHover={onHover} />
+      </div>
+      <button
+        onClick={() => metrics.finish(false, { skipped: true })}
+        className="w-full py-3 px-6 rounded-xl font-medium text-gray-300 bg-gray-800/50 border border-gray-700/50 hover:border-gray-600 transition-all duration-300"
+      >
+        {t('quiz.notSure')}
+      </button>
+    </div>
+  );
+};
+
+export default LiteracyTask;
@@ -0,0 +1,63 @@
+import { useRef } from 'react';
+import { useTranslation } from '../../../../context/LocaleContext';
+import { LITERACY_TASKS, LITERACY_TASK_TYPES } from '../../../../utils/literacyTasks';
+
+const TASK = LITERACY_TASKS[LITERACY_TASK_TYPES.SCROLL_FIND];
+
+// Scroll events come in bursts - count at most one action per this interval (ms)
+const SCROLL_ACTION_INTERVAL_MS = 250;
+
+/**
+ * Scroll task - find a button below the fold of a scrolling help page
+ * Clicking any other topic is an error click
+ */
+const ScrollFindTask = ({ metrics, onHover }) => {
+  const { markAction, recordErrorClick, finish } = metrics;
+  const { t } = useTranslation();
+  const lastScrollActionRef = useRef(0);
+  const maxScrollRef = useRef(0);
+
+  const handleScroll = (e) => {
+    maxScrollRef.current = Math.max(maxScrollRef.current, e.currentTarget.scrollTop);
+    const now = Date.now();
+    if (now - lastScrollActionRef.current >= SCROLL_ACTION_INTERVAL_MS) {
+      lastScrollActionRef.current = now;
+      markAction();
+    }
+  };
+
+  return (
+    <div className="rounded-xl overflow-hidden border border-gray-700 bg-white text-start">
+      <div className="px-4 py-2 bg-gray-100 border-b border-gray-200 text-sm font-semibold text-gray-700">
+        {t('quiz.tasks.help.title')}
+      </div>
+      <div
+        onScroll={handleScroll}
+        onPointerDown={markAction}
+        className="h-56 overflow-y-auto divide-y divide-gray-100"
+      >
+        {TASK.rows.map(row => (
+          <button
+            key={row}
+            onClick={() => recordErrorClick(row)}
+            className="w-full px-4 py-3 text-start text-sm text-gray-700 hover:bg-gray-50"
+          >
+            {t(`quiz.tasks.help.topics.${row}`)}
+          </button>
+        ))}
+        <div className="p-4 flex justify-center">
+          <button
+            onClick={() => finish(true, { scrolledPx: Math.round(maxScrollRef.current) })}
+            onMouseEnter={() => onHover('target', true)}
+            onMouseLeave={() => onHover('target', false)}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-semibold"
+          >
+            {t(`quiz.tasks.help.topics.${TASK.targetId}`)}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScrollFindTask;
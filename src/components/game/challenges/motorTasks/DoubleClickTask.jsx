@@ -0,0 +1,115 @@
+import { useState, useRef } from 'react';
+import { Stage, Layer, Circle, Rect } from 'react-konva';
+import useMotorTaskTrials from '../../../../hooks/useMotorTaskTrials';
+import { MOTOR_TASKS, MOTOR_TASK_TYPES, toStagePoint } from '../../../../utils/motorTasks';
+
+const TASK = MOTOR_TASKS[MOTOR_TASK_TYPES.DOUBLE_CLICK];
+
+const newTapState = () => ({ lastTap: null, taps: 0, slowPairs: 0, strayTaps: 0 });
+
+/**
+ * Double-click task - tap each target twice within maxIntervalMs
+ * Slow pairs (second tap too late) and taps off the target are counted, not failed
+ */
+const DoubleClickTask = ({ width, height, trackerRef, primaryColor, onComplete }) => {
+  const [isArmed, setIsArmed] = useState(false); // First tap landed, waiting for the second
+  const tapsRef = useRef(newTapState());
+
+  const { trialIndex, trialStartRef, finishTrial, isTrialOpen } = useMotorTaskTrials({
+    trialCount: TASK.trials.length,
+    trialTimeoutMs: TASK.trialTimeoutMs,
+    onComplete,
+    onTimeout: (index) => {
+      const target = toStagePoint(TASK.trials[index].at, width, height);
+      const taps = tapsRef.current;
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `double_${index + 1}`,
+        target: { ...target, radius: TASK.radius },
+        startTime: trialStartRef.current,
+        hit: false,
+        details: { outcome: 'timeout', tapCount: taps.taps, slowPairs: taps.slowPairs, strayTaps: taps.strayTaps },
+      });
+      tapsRef.current = newTapState();
+      setIsArmed(false);
+    },
+  });
+
+  const target = toStagePoint(TASK.trials[trialIndex].at, width, height);
+
+  const handleTargetTap = (e) => {
+    if (!isTrialOpen()) return;
+    const now = Date.now();
+    const taps = tapsRef.current;
+    taps.taps += 1;
+
+    if (taps.lastTap !== null) {
+      const interval = now - taps.lastTap;
+
+      if (interval <= TASK.maxIntervalMs) {
+        trackerRef.current?.trackTaskAttempt({
+          taskType: TASK.type,
+          targetId: `double_${trialIndex + 1}`,
+          target: { ...target, radius: TASK.radius },
+          startTime: trialStartRef.current,
+          hit: true,
+          stagePosition: e.target.getStage().getPointerPosition(),
+          event: e.evt,
+          details: {
+            outcome: 'double_clicked',
+            intervalMs: interval,
+            tapCount: taps.taps,
+            slowPairs: taps.slowPairs,
+            strayTaps: taps.strayTaps,
+          },
+        });
+
+        tapsRef.current = newTapState();
+        setIsArmed(false);
+        finishTrial(true);
+        return;
+      }
+
+      // Too slow - this tap becomes the first of a new pair
+      taps.slowPairs += 1;
+    }
+
+    taps.lastTap = now;
+    setIsArmed(true);
+  };
+
+  const handleStrayTap = () => {
+    tapsRef.current.strayTaps += 1;
+    tapsRef.current.lastTap = null;
+    setIsArmed(false);
+  };
+
+  return (
+    <Stage
+      width={width}
+      height={height}
+      style={{ cursor: 'pointer' }}
+      onPointerMove={(e) => {
+        if (e.evt.pointerType !== 'touch') trackerRef.current?.trackPointerMove(e.evt);
+      }}
+      onTouchMove={(e) => trackerRef.current?.trackPointerMove(e.evt)}
+    >
+      <Layer>
+        <Rect x={0} y={0} width={width} height={height} fill="#030712" onPointerDown={handleStrayTap} />
+
+        <Circle
+          x={target.x}
+          y={target.y}
+          radius={TASK.radius}
+          fill={isArmed ? '#fbbf24' : primaryColor}
+          shadowColor={primaryColor}
+          shadowBlur={15}
+          shadowOpacity={0.5}
+          onPointerDown={handleTargetTap}
+        />
+      </Layer>
+    </Stage>
+  );
+};
+
+export default DoubleClickTask;
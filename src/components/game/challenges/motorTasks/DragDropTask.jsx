@@ -0,0 +1,111 @@
+import { useRef } from 'react';
+import { Stage, Layer, Circle, Rect } from 'react-konva';
+import useMotorTaskTrials from '../../../../hooks/useMotorTaskTrials';
+import { MOTOR_TASKS, MOTOR_TASK_TYPES, toStagePoint } from '../../../../utils/motorTasks';
+
+const TASK = MOTOR_TASKS[MOTOR_TASK_TYPES.DRAG_DROP];
+
+/**
+ * Drag-and-drop task - drag each ball into the ring
+ * A drop counts as a hit when the ball's centre lands inside the ring
+ */
+const DragDropTask = ({ width, height, trackerRef, primaryColor, onComplete }) => {
+  const dragStartRef = useRef(null);
+
+  const { trialIndex, trialStartRef, finishTrial, isTrialOpen } = useMotorTaskTrials({
+    trialCount: TASK.trials.length,
+    trialTimeoutMs: TASK.trialTimeoutMs,
+    onComplete,
+    onTimeout: (index) => {
+      const zone = toStagePoint(TASK.trials[index].to, width, height);
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `drag_${index + 1}`,
+        target: { ...zone, radius: TASK.zoneRadius },
+        startTime: trialStartRef.current,
+        hit: false,
+        details: { outcome: 'timeout', dragged: dragStartRef.current !== null },
+      });
+      dragStartRef.current = null;
+    },
+  });
+
+  const trial = TASK.trials[trialIndex];
+  const from = toStagePoint(trial.from, width, height);
+  const zone = toStagePoint(trial.to, width, height);
+
+  const handleDragStart = (e) => {
+    dragStartRef.current = Date.now();
+    // A new movement starts when the ball is picked up
+    trackerRef.current?.trackPointerDown(e.evt);
+  };
+
+  const handleDragEnd = (e) => {
+    if (!isTrialOpen()) return;
+    const drop = { x: e.target.x(), y: e.target.y() };
+    const dropDistance = Math.hypot(drop.x - zone.x, drop.y - zone.y);
+    const hit = dropDistance <= TASK.zoneRadius;
+
+    trackerRef.current?.trackTaskAttempt({
+      taskType: TASK.type,
+      targetId: `drag_${trialIndex + 1}`,
+      target: { ...zone, radius: TASK.zoneRadius },
+      startTime: trialStartRef.current,
+      hit,
+      missType: hit ? 'hit' : 'unknown',
+      stagePosition: drop,
+      event: e.evt,
+      details: {
+        outcome: hit ? 'dropped_inside' : 'dropped_outside',
+        dragDurationMs: dragStartRef.current ? Date.now() - dragStartRef.current : null,
+        travelDistance: parseFloat(Math.hypot(drop.x - from.x, drop.y - from.y).toFixed(2)),
+      },
+    });
+
+    dragStartRef.current = null;
+    finishTrial(hit);
+  };
+
+  return (
+    <Stage
+      width={width}
+      height={height}
+      style={{ cursor: 'grab' }}
+      onPointerMove={(e) => {
+        if (e.evt.pointerType !== 'touch') trackerRef.current?.trackPointerMove(e.evt);
+      }}
+      onTouchMove={(e) => trackerRef.current?.trackPointerMove(e.evt)}
+    >
+      <Layer>
+        <Rect x={0} y={0} width={width} height={height} fill="#030712" />
+
+        {/* Drop ring */}
+        <Circle
+          x={zone.x}
+          y={zone.y}
+          radius={TASK.zoneRadius}
+          stroke={primaryColor}
+          strokeWidth={3}
+          dash={[8, 6]}
+        />
+
+        {/* Ball - keyed by trial so each trial starts from its own position */}
+        <Circle
+          key={trialIndex}
+          x={from.x}
+          y={from.y}
+          radius={TASK.itemRadius}
+          fill={primaryColor}
+          shadowColor={primaryColor}
+          shadowBlur={15}
+          shadowOpacity={0.5}
+          draggable
+          onDragStart={handleDragStart}
+          onDragEnd={handleDragEnd}
+        />
+      </Layer>
+    </Stage>
+  );
+};
+
+export default DragDropTask;
@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef } from 'react';
+import { Stage, Layer, Circle, Rect, Arc } from 'react-konva';
+import useMotorTaskTrials from '../../../../hooks/useMotorTaskTrials';
+import { MOTOR_TASKS, MOTOR_TASK_TYPES, toStagePoint } from '../../../../utils/motorTasks';
+
+const TASK = MOTOR_TASKS[MOTOR_TASK_TYPES.HOVER_DWELL];
+
+// How often dwell progress is checked - a resting pointer sends no move events
+const DWELL_CHECK_INTERVAL = 50;
+
+const newDwellState = () => ({ dwellStart: null, entries: 0, firstEntryAt: null, position: null });
+
+/**
+ * Hover-and-dwell task - keep the pointer on a small target for dwellMs
+ * Leaving the target resets the dwell; each entry is counted
+ */
+const HoverDwellTask = ({ width, height, trackerRef, primaryColor, onComplete }) => {
+  const [progress, setProgress] = useState(0);
+  const dwellRef = useRef(newDwellState());
+
+  const { trialIndex, trialStartRef, finishTrial, isTrialOpen } = useMotorTaskTrials({
+    trialCount: TASK.trials.length,
+    trialTimeoutMs: TASK.trialTimeoutMs,
+    onComplete,
+    onTimeout: (index) => {
+      const target = toStagePoint(TASK.trials[index].at, width, height);
+      const dwell = dwellRef.current;
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `dwell_${index + 1}`,
+        target: { ...target, radius: TASK.radius },
+        startTime: trialStartRef.current,
+        hit: false,
+        details: { outcome: 'timeout', entryCount: dwell.entries },
+      });
+      dwellRef.current = newDwellState();
+      setProgress(0);
+    },
+  });
+
+  const target = toStagePoint(TASK.trials[trialIndex].at, width, height);
+
+  // Completion has to be checked on a timer because a steady pointer stops sending events
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const dwell = dwellRef.current;
+      if (dwell.dwellStart === null || !isTrialOpen()) return;
+
+      const elapsed = Date.now() - dwell.dwellStart;
+      setProgress(Math.min(1, elapsed / TASK.dwellMs));
+      if (elapsed < TASK.dwellMs) return;
+
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `dwell_${trialIndex + 1}`,
+        target: { ...target, radius: TASK.radius },
+        startTime: trialStartRef.current,
+        hit: true,
+        stagePosition: dwell.position,
+        details: {
+          outcome: 'dwelled',
+          entryCount: dwell.entries,
+          timeToFirstEntryMs: dwell.firstEntryAt - trialStartRef.current,
+        },
+      });
+
+      dwellRef.current = newDwellState();
+      setProgress(0);
+      finishTrial(true);
+    }, DWELL_CHECK_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [trialIndex, target.x, target.y, trackerRef, trialStartRef, finishTrial, isTrialOpen]);
+
+  const handleMove = (position) => {
+    if (!position) return;
+
+    const dwell = dwellRef.current;
+    const inside = Math.hypot(position.x - target.x, position.y - target.y) <= TASK.radius;
+    dwell.position = position;
+
+    if (inside && dwell.dwellStart === null) {
+      const now = Date.now();
+      dwell.dwellStart = now;
+      dwell.entries += 1;
+      if (dwell.firstEntryAt === null) dwell.firstEntryAt = now;
+    } else if (!inside && dwell.dwellStart !== null) {
+      dwell.dwellStart = null;
+      setProgress(0);
+    }
+  };
+
+  return (
+    <Stage
+      width={width}
+      height={height}
+      style={{ cursor: 'crosshair' }}
+      onPointerMove={(e) => {
+        if (e.evt.pointerType !== 'touch') trackerRef.current?.trackPointerMove(e.evt);
+        handleMove(e.target.getStage().getPointerPosition());
+      }}
+      onTouchMove={(e) => trackerRef.current?.trackPointerMove(e.evt)}
+    >
+      <Layer>
+        <Rect x={0} y={0} width={width} height={height} fill="#030712" />
+
+        {/* Dwell progress ring */}
+        <Circle x={target.x} y={target.y} radius={TASK.radius * 3} stroke="#1f2937" strokeWidth={4} />
+        {progress > 0 && (
+          <Arc
+            x={target.x}
+            y={target.y}
+            innerRadius={TASK.radius * 3 - 2}
+            outerRadius={TASK.radius * 3 + 2}
+            angle={progress * 360}
+            rotation={-90}
+            fill={primaryColor}
+          />
+        )}
+
+        <Circle
+          x={target.x}
+          y={target.y}
+          radius={TASK.radius}
+          fill={primaryColor}
+          shadowColor={primaryColor}
+          shadowBlur={10}
+          shadowOpacity={0.5}
+        />
+      </Layer>
+    </Stage>
+  );
+};
+
+export default HoverDwellTask;
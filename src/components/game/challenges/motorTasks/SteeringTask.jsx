@@ -0,0 +1,145 @@
+import { useState, useRef } from 'react';
+import { Stage, Layer, Circle, Rect, Line, Text } from 'react-konva';
+import useMotorTaskTrials from '../../../../hooks/useMotorTaskTrials';
+import { MOTOR_TASKS, MOTOR_TASK_TYPES, toStagePoint, distanceToPath, pathLength } from '../../../../utils/motorTasks';
+
+const TASK = MOTOR_TASKS[MOTOR_TASK_TYPES.STEERING];
+
+/**
+ * Steering task - follow a tunnel from the start dot to the flag
+ * A run is a hit when it reaches the flag without leaving the tunnel;
+ * the steering-law index of difficulty is path length / tunnel width
+ */
+const SteeringTask = ({ width, height, trackerRef, primaryColor, onComplete }) => {
+  const [isSteering, setIsSteering] = useState(false);
+  const [isOutside, setIsOutside] = useState(false);
+  const runRef = useRef(null);
+
+  const { trialIndex, trialStartRef, finishTrial, isTrialOpen } = useMotorTaskTrials({
+    trialCount: TASK.trials.length,
+    trialTimeoutMs: TASK.trialTimeoutMs,
+    onComplete,
+    onTimeout: (index) => {
+      const path = TASK.trials[index].path.map(point => toStagePoint(point, width, height));
+      const end = path[path.length - 1];
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `tunnel_${index + 1}`,
+        target: { ...end, radius: TASK.startRadius },
+        startTime: trialStartRef.current,
+        hit: false,
+        details: { outcome: 'timeout', started: runRef.current !== null },
+      });
+      resetRun();
+    },
+  });
+
+  const trial = TASK.trials[trialIndex];
+  const path = trial.path.map(point => toStagePoint(point, width, height));
+  const start = path[0];
+  const end = path[path.length - 1];
+
+  const resetRun = () => {
+    runRef.current = null;
+    setIsSteering(false);
+    setIsOutside(false);
+  };
+
+  const handleMove = (position) => {
+    if (!position || !isTrialOpen()) return;
+
+    const run = runRef.current;
+    if (!run) {
+      // The run starts once the pointer reaches the start dot
+      if (Math.hypot(position.x - start.x, position.y - start.y) <= TASK.startRadius) {
+        runRef.current = { startTime: Date.now(), exits: 0, outside: false, deviations: [] };
+        setIsSteering(true);
+      }
+      return;
+    }
+
+    const deviation = distanceToPath(position, path);
+    const outside = deviation > trial.width / 2;
+    run.deviations.push(deviation);
+    if (outside && !run.outside) run.exits += 1;
+    if (outside !== run.outside) {
+      run.outside = outside;
+      setIsOutside(outside);
+    }
+
+    if (Math.hypot(position.x - end.x, position.y - end.y) <= TASK.startRadius) {
+      const length = pathLength(path);
+      const hit = run.exits === 0;
+      const meanDeviation = run.deviations.reduce((a, b) => a + b, 0) / run.deviations.length;
+
+      trackerRef.current?.trackTaskAttempt({
+        taskType: TASK.type,
+        targetId: `tunnel_${trialIndex + 1}`,
+        target: { ...end, radius: TASK.startRadius },
+        startTime: trialStartRef.current,
+        hit,
+        missType: hit ? 'hit' : 'unknown',
+        stagePosition: position,
+        details: {
+          outcome: hit ? 'completed' : 'left_tunnel',
+          exitCount: run.exits,
+          steeringTimeMs: Date.now() - run.startTime,
+          tunnelWidth: trial.width,
+          pathLength: parseFloat(length.toFixed(2)),
+          steeringId: parseFloat((length / trial.width).toFixed(2)),
+          meanDeviation: parseFloat(meanDeviation.toFixed(2)),
+          maxDeviation: parseFloat(Math.max(...run.deviations).toFixed(2)),
+        },
+      });
+
+      resetRun();
+      finishTrial(hit);
+    }
+  };
+
+  const flatPath = path.flatMap(point => [point.x, point.y]);
+
+  return (
+    <Stage
+      width={width}
+      height={height}
+      style={{ cursor: 'crosshair' }}
+      onPointerMove={(e) => {
+        if (e.evt.pointerType !== 'touch') trackerRef.current?.trackPointerMove(e.evt);
+        handleMove(e.target.getStage().getPointerPosition());
+      }}
+      onTouchMove={(e) => trackerRef.current?.trackPointerMove(e.evt)}
+    >
+      <Layer>
+        <Rect x={0} y={0} width={width} height={height} fill="#030712" />
+
+        {/* Tunnel */}
+        <Line
+          points={flatPath}
+          stroke={isOutside ? '#7f1d1d' : '#1f2937'}
+          strokeWidth={trial.width}
+          lineCap="round"
+          lineJoin="round"
+        />
+        <Line points={flatPath} stroke="#374151" strokeWidth={1} dash={[6, 6]} />
+
+        {/* Start and finish */}
+        <Circle
+          x={start.x}
+          y={start.y}
+          radius={TASK.startRadius}
+          fill={primaryColor}
+          opacity={isSteering ? 0.4 : 1}
+        />
+        <Text
+          x={end.x - 12}
+          y={end.y - 14}
+          text="🏁"
+          fontSize={24}
+        />
+      </Layer>
+    </Stage>
+  );
+};
+
+export default SteeringTask;
@@ -6,39 +6,44 @@ export const CHALLENGE_ORDER = [
   'intro',
   'color-blindness',
   'visual-acuity', 
+  'contrast-sensitivity',
   'motor-skills',
   'knowledge-quiz',
+  'reading-assessment',
   'profile-complete'
 ];
 
-// Skills unlocked by completing challenges (gamified names)
+// Skills unlocked by completing challenges (gamified names are in the locale bundles under traits.<id>)
 export const PROFILE_TRAITS = {
   'color-blindness': {
     id: 'perception',
-    name: 'Pattern Vision',
-    icon: '🎨',
-    description: 'Master of hidden patterns'
+    icon: '🎨'
   },
   'visual-acuity': {
     id: 'clarity',
-    name: 'Eagle Eye',
-    icon: '🦅',
-    description: 'Sharp focus and precision'
+    icon: '🦅'
+  },
+  'contrast-sensitivity': {
+    id: 'contrast',
+    icon: '🌗'
   },
   'motor-skills': {
     id: 'reflexes',
-    name: 'Lightning Reflexes',
-    icon: '⚡',
-    description: 'Quick reactions under pressure'
+    icon: '⚡'
   },
   'knowledge-quiz': {
     id: 'literacy',
-    name: 'Tech Guru',
-    icon: '🧠',
-    description: 'Digital wisdom unlocked'
+    icon: '🧠'
+  },
+  'reading-assessment': {
+    id: 'reading',
+    icon: '📚'
   }
 };
 
+// Number of challenges (every challenge unlocks one trait)
+export const CHALLENGE_COUNT = Object.keys(PROFILE_TRAITS).length;
+
 // Generate session ID
 const generateSessionId = () => {
   return `session_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
@@ -73,16 +78,20 @@ const initialState = {
   challengeResults: {
     colorBlindness: null,
     visualAcuity: null,
+    contrastSensitivity: null,
     motorSkills: null,
     knowledgeQuiz: null,
+    readingAssessment: null,
   },
   
   // Challenge-specific progress (for resuming mid-challenge)
   challengeProgress: {
     colorBlindness: { currentPlate: 0, plates: [] },
     visualAcuity: { currentLevel: 1, distanceConfirmed: false, lastCorrectLevel: 1, attempts: [] },
+    contrastSensitivity: { started: false, staircase: null },
     motorSkills: { currentRound: 1, totalStats: { hits: 0, misses: 0, bestStreak: 0 } },
-    knowledgeQuiz: { currentQuestion: 0, responses: [] },
+    knowledgeQuiz: { currentQuestion: 0, responses: [], adaptive: null, locale: null },
+    readingAssessment: { started: false, stage: 'reading', readingMs: null, answers: [], test: null, locale: null },
   },
   
   // Game timing
@@ -91,7 +100,6 @@ const initialState = {
   
   // UI states
   showingTransition: false,
-  transitionMessage: '',
   isPaused: false,
 };
 
@@ -189,14 +197,12 @@ function gameReducer(state, action) {
       return {
         ...state,
         showingTransition: true,
-        transitionMessage: action.payload,
       };
       
     case ACTIONS.HIDE_TRANSITION:
       return {
         ...state,
         showingTransition: false,
-        transitionMessage: '',
       };
       
     case ACTIONS.SAVE_CHALLENGE_RESULT:
@@ -328,12 +334,8 @@ export function GameProvider({ children }) {
       dispatch({ type: ACTIONS.UNLOCK_TRAIT, payload: trait });
     }
     
-    // Show transition
-    const traitName = trait?.name || 'Challenge';
-    dispatch({ 
-      type: ACTIONS.SHOW_TRANSITION, 
-      payload: `${traitName} Unlocked!` 
-    });
+    // Show transition (TransitionOverlay names the trait just unlocked)
+    dispatch({ type: ACTIONS.SHOW_TRANSITION });
     
     // Wait for transition animation
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -381,8 +383,8 @@ export function GameProvider({ children }) {
   // Computed values
   const progress = {
     current: state.completedChallenges.length,
-    total: 4, // 4 challenges
-    percentage: Math.round((state.completedChallenges.length / 4) * 100),
+    total: CHALLENGE_COUNT,
+    percentage: Math.round((state.completedChallenges.length / CHALLENGE_COUNT) * 100),
   };
   
   const elapsedTime = state.startTime ? Date.now() - state.startTime : 0;
@@ -0,0 +1,50 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import useDeviceInfo from '../hooks/useDeviceInfo';
+import { LOCALES, detectLocale, saveLocale, translate, getDirection } from '../utils/i18n';
+
+// Create context
+const LocaleContext = createContext(null);
+
+// Provider component
+export function LocaleProvider({ children }) {
+  const { language } = useDeviceInfo();
+
+  // An explicit pick wins; until then follow detection (device language arrives after mount)
+  const [chosenLocale, setChosenLocale] = useState(null);
+  const detectedLocale = useMemo(() => detectLocale(language), [language]);
+  const locale = chosenLocale || detectedLocale;
+  const dir = getDirection(locale);
+
+  // Screen readers, fonts and the text direction follow the document language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const setLocale = useCallback((nextLocale) => {
+    if (!LOCALES[nextLocale]) return;
+    saveLocale(nextLocale);
+    setChosenLocale(nextLocale);
+  }, []);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  const value = useMemo(() => ({ locale, dir, t, setLocale }), [locale, dir, t, setLocale]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+}
+
+// Hook for consuming context
+export function useTranslation() {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within a LocaleProvider');
+  }
+  return context;
+}
+
+export default LocaleContext;
@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react';
+import { getDirectionFromKey, getDirectionFromSwipe } from '../utils/optotypes';
+
+/**
+ * Answer a directional optotype with the arrow keys or a swipe
+ *
+ * Arrow keys are read from the whole window while enabled; the returned
+ * swipe handlers go on the element that should accept swipes.
+ *
+ * Returns:
+ * - swipeHandlers: { onTouchStart, onTouchEnd } to spread onto the swipe area
+ */
+const useDirectionInput = ({ enabled, onDirection }) => {
+  const touchStartRef = useRef(null);
+
+  // Keep the latest callback without re-binding the key listener
+  const onDirectionRef = useRef(onDirection);
+  onDirectionRef.current = onDirection;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (e) => {
+      const direction = getDirectionFromKey(e.key);
+      if (!direction || e.repeat) return;
+      // Arrow keys would otherwise scroll the page
+      e.preventDefault();
+      onDirectionRef.current(direction, 'arrow_key');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+
+  const swipeHandlers = {
+    onTouchStart: (e) => {
+      const touch = e.changedTouches[0];
+      touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+    },
+    onTouchEnd: (e) => {
+      const start = touchStartRef.current;
+      touchStartRef.current = null;
+      if (!enabled || !start) return;
+
+      const touch = e.changedTouches[0];
+      const direction = getDirectionFromSwipe(touch.clientX - start.x, touch.clientY - start.y);
+      if (direction) onDirectionRef.current(direction, 'swipe');
+    },
+  };
+
+  return { swipeHandlers };
+};
+
+export default useDirectionInput;
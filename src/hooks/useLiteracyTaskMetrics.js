@@ -0,0 +1,69 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { TASK_TIMEOUT_MS } from '../utils/literacyTasks';
+
+/**
+ * Time, error clicks and hesitation for one hands-on literacy task
+ *
+ * The task calls markAction() on every meaningful input (pointer down, typing,
+ * scrolling), recordErrorClick(target) when a click misses what was asked for,
+ * and finish(success, details) once it is done or given up. If the task is
+ * still open after TASK_TIMEOUT_MS it finishes as a failure by itself.
+ *
+ * onComplete receives:
+ * { success, timedOut, durationMs, hesitationMs, longestPauseMs, actionCount, errorClicks, errorTargets, details }
+ */
+const useLiteracyTaskMetrics = ({ onComplete }) => {
+  const startRef = useRef(Date.now());
+  const firstActionRef = useRef(null);
+  const lastActionRef = useRef(null);
+  const longestPauseRef = useRef(0);
+  const actionCountRef = useRef(0);
+  const errorTargetsRef = useRef([]);
+  const finishedRef = useRef(false);
+
+  // Keep the latest callback without restarting the timeout
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  const markAction = useCallback(() => {
+    const now = Date.now();
+    if (firstActionRef.current === null) firstActionRef.current = now;
+    if (lastActionRef.current !== null) {
+      longestPauseRef.current = Math.max(longestPauseRef.current, now - lastActionRef.current);
+    }
+    lastActionRef.current = now;
+    actionCountRef.current += 1;
+  }, []);
+
+  const recordErrorClick = useCallback((target) => {
+    errorTargetsRef.current.push(target);
+  }, []);
+
+  const finish = useCallback((success, details = {}, timedOut = false) => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+
+    const now = Date.now();
+    onCompleteRef.current({
+      success,
+      timedOut,
+      durationMs: now - startRef.current,
+      // Time before the first action; the whole duration if nothing was tried
+      hesitationMs: (firstActionRef.current ?? now) - startRef.current,
+      longestPauseMs: longestPauseRef.current,
+      actionCount: actionCountRef.current,
+      errorClicks: errorTargetsRef.current.length,
+      errorTargets: [...errorTargetsRef.current],
+      details,
+    });
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => finish(false, {}, true), TASK_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [finish]);
+
+  return { markAction, recordErrorClick, finish };
+};
+
+export default useLiteracyTaskMetrics;
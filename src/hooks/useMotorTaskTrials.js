@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Step through the trials of a motor task
+ *
+ * Each trial ends when the task calls finishTrial(hit), or as a miss after
+ * trialTimeoutMs (onTimeout is called first so the task can log it).
+ * When the last trial ends, onComplete receives { hits, misses, durationMs }.
+ *
+ * Returns:
+ * - trialIndex: index of the current trial
+ * - trialStartRef: ref holding the current trial's start time (ms)
+ * - finishTrial: end the current trial (ignored if it already ended)
+ * - isTrialOpen: whether the current trial still accepts input
+ */
+const useMotorTaskTrials = ({ trialCount, trialTimeoutMs, onTimeout, onComplete }) => {
+  const [trialIndex, setTrialIndex] = useState(0);
+  const trialStartRef = useRef(Date.now());
+  const taskStartRef = useRef(Date.now());
+  const resultsRef = useRef({ hits: 0, misses: 0 });
+  const trialEndedRef = useRef(false);
+
+  // Keep the latest callbacks without restarting the trial timer
+  const onTimeoutRef = useRef(onTimeout);
+  const onCompleteRef = useRef(onComplete);
+  onTimeoutRef.current = onTimeout;
+  onCompleteRef.current = onComplete;
+
+  const finishTrial = useCallback((hit) => {
+    if (trialEndedRef.current) return;
+    trialEndedRef.current = true;
+
+    if (hit) {
+      resultsRef.current.hits += 1;
+    } else {
+      resultsRef.current.misses += 1;
+    }
+
+    if (trialIndex + 1 >= trialCount) {
+      onCompleteRef.current({
+        ...resultsRef.current,
+        durationMs: Date.now() - taskStartRef.current,
+      });
+    } else {
+      setTrialIndex(trialIndex + 1);
+    }
+  }, [trialIndex, trialCount]);
+
+  useEffect(() => {
+    trialStartRef.current = Date.now();
+    trialEndedRef.current = false;
+
+    const timer = setTimeout(() => {
+      if (trialEndedRef.current) return;
+      onTimeoutRef.current(trialIndex);
+      finishTrial(false);
+    }, trialTimeoutMs);
+
+    return () => clearTimeout(timer);
+  }, [trialIndex, trialTimeoutMs, finishTrial]);
+
+  const isTrialOpen = useCallback(() => !trialEndedRef.current, []);
+
+  return { trialIndex, trialStartRef, finishTrial, isTrialOpen };
+};
+
+export default useMotorTaskTrials;
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import outbox from '../utils/outbox';
+
+/**
+ * Subscribe to the upload outbox status
+ * 
+ * Returns:
+ * - pending: requests still waiting to upload
+ * - failed: requests the backend rejected and were dropped
+ * - isFlushing: whether a retry is in progress
+ * - nextRetryAt: timestamp of the next scheduled retry (or null)
+ * - lastError: message from the most recent transient failure
+ */
+const useOutboxStatus = () => {
+  const [status, setStatus] = useState(outbox.getStatus());
+
+  useEffect(() => {
+    // Sync in case the status changed between render and subscribe
+    setStatus(outbox.getStatus());
+    return outbox.subscribe(setStatus);
+  }, []);
+
+  return status;
+};
+
+export default useOutboxStatus;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getDisplaySignature,
+  isSameDisplay,
+  loadScreenCalibration,
+  saveScreenCalibration,
+  clearScreenCalibration,
+  subscribeScreenCalibration,
+} from '../utils/screenCalibration';
+
+/**
+ * Saved screen calibration for the display the window is on
+ *
+ * Watches for the window moving to another display (screen size or DPR
+ * change) while a test is running; the calibration then no longer applies.
+ *
+ * Returns:
+ * - calibration: saved profile for the current display, or null
+ * - displayChanged: whether the display changed since mount or the last acknowledgement
+ * - saveCalibration: store a calibration for the current display
+ * - clearCalibration: forget the current display's calibration
+ * - acknowledgeDisplayChange: accept the new display (hides the prompt)
+ */
+const useScreenCalibration = () => {
+  const [calibration, setCalibration] = useState(loadScreenCalibration);
+  const [displayChanged, setDisplayChanged] = useState(false);
+  const signatureRef = useRef(getDisplaySignature());
+
+  useEffect(() => subscribeScreenCalibration(setCalibration), []);
+
+  useEffect(() => {
+    let resolutionQuery = null;
+
+    const checkDisplay = () => {
+      const signature = getDisplaySignature();
+      if (!isSameDisplay(signature, signatureRef.current)) {
+        setDisplayChanged(true);
+        setCalibration(loadScreenCalibration());
+      }
+      watchResolution();
+    };
+
+    // A DPR change only fires on a query for the current resolution, so re-arm it each time
+    const watchResolution = () => {
+      resolutionQuery?.removeEventListener('change', checkDisplay);
+      resolutionQuery = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`) || null;
+      resolutionQuery?.addEventListener('change', checkDisplay);
+    };
+
+    watchResolution();
+    window.addEventListener('resize', checkDisplay);
+
+    return () => {
+      window.removeEventListener('resize', checkDisplay);
+      resolutionQuery?.removeEventListener('change', checkDisplay);
+    };
+  }, []);
+
+  const saveCalibration = useCallback((nextCalibration) => {
+    signatureRef.current = getDisplaySignature();
+    setDisplayChanged(false);
+    return saveScreenCalibration(nextCalibration);
+  }, []);
+
+  const acknowledgeDisplayChange = useCallback(() => {
+    signatureRef.current = getDisplaySignature();
+    setDisplayChanged(false);
+  }, []);
+
+  return {
+    calibration,
+    displayChanged,
+    saveCalibration,
+    clearCalibration: clearScreenCalibration,
+    acknowledgeDisplayChange,
+  };
+};
+
+export default useScreenCalibration;
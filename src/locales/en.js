@@ -0,0 +1,532 @@
+/**
+ * English - the source bundle
+ * Every key used in the UI must exist here; other bundles fall back to it.
+ * Literacy questions and reading passages come from QUESTION_BANK and
+ * READING_PASSAGES themselves, so `questions` and `passages` are empty.
+ */
+
+export default {
+  meta: { code: 'en', name: 'English', dir: 'ltr' },
+
+  strings: {
+    language: {
+      label: 'Language',
+    },
+
+    intro: {
+      tagline: 'Mind Games',
+      welcomeBefore: 'Welcome ',
+      welcomeAfter: '!',
+      returning: 'First time here? {count} quick games await!',
+      readyTitle: 'Ready to Challenge Yourself?',
+      readyText: '{count} quick games await! Spot hidden patterns, test your focus, catch fading letters, pop bubbles at lightning speed, prove your digital smarts and read a few short passages.',
+      games: {
+        pattern: { name: 'Pattern Hunt', desc: 'Find hidden numbers' },
+        eagle: { name: 'Eagle Eye', desc: 'Shrinking challenge' },
+        fade: { name: 'Fade Out', desc: 'Faint letters' },
+        bubble: { name: 'Bubble Pop', desc: 'Speed & precision' },
+        quiz: { name: 'Quick Think', desc: 'Digital trivia' },
+        reading: { name: 'Page Turner', desc: 'Read & recall' },
+      },
+      howItWorks: 'How It Works',
+      steps: {
+        play: { title: 'Play {count} Mini-Games', desc: 'Quick, fun challenges that take seconds each' },
+        streak: { title: 'Build Your Streak', desc: 'Chain correct answers for bonus points' },
+        skills: { title: 'Unlock Skills', desc: 'Earn cool badges as you complete games' },
+        results: { title: 'See Your Results', desc: 'Get your personalized player profile' },
+      },
+      timeBefore: 'Only ',
+      timeValue: '5 minutes',
+      timeAfter: ' to play',
+      start: "Let's Play!",
+      privacy: 'Your gameplay helps improve our games. All data is anonymous.',
+    },
+
+    flow: {
+      subtitle: 'Digital Profile',
+      player: 'Player:',
+      footer: 'Game {current} of {total} • Auto-saved 💾',
+    },
+
+    color: {
+      badge: 'Pattern {current} of {total}',
+      title: 'Pattern Hunt',
+      prompt: 'Can you spot the hidden number in the dots?',
+      plateAlt: 'Color plate {id}',
+      placeholder: 'Enter the number you see',
+      nothing: 'I See Nothing',
+      next: 'Next',
+      complete: 'Complete',
+      arrangementBadge: 'Colour Line-Up',
+      arrangementTitle: 'Rainbow Order',
+      arrangementPrompt: 'Line the colours up so each one is closest to the one before it',
+      arrangementCap: 'Colour cap {cap}',
+      arrangementStart: 'START',
+      arrangementHint: 'Put the closest colour next to the start cap',
+      arrangementDone: 'All caps placed - check the order, then finish',
+      // Screen check before the colour tests (swatch, option and issue ids from displayConditions.js)
+      display: {
+        badge: 'Check {current} of {total}',
+        results: 'Results',
+        title: 'Screen Check',
+        text: 'A few quick questions so your screen shows colours properly',
+        swatches: {
+          hue: 'What colour is this square?',
+          white_point: 'How does this square look?',
+          dark_steps: 'How many squares can you see on the black strip?',
+          light_steps: 'How many squares can you see on the white strip?',
+        },
+        options: {
+          yellow: 'Yellow',
+          blue: 'Blue',
+          other: 'Something else',
+          white: 'Plain white',
+          warm: 'Yellowish or orange',
+          cool: 'Bluish',
+        },
+        issuesTitle: 'Your screen may be changing colours:',
+        advice: {
+          inverted_colors: 'Turn off colour inversion or "smart invert" in your accessibility settings',
+          forced_colors: 'Turn off high-contrast or forced-colour mode',
+          night_light: 'Turn off Night Shift, Night Light or any blue-light filter',
+          tinted: 'Switch off colour filters or "vivid" colour modes, and reset the screen to its standard colour profile',
+          low_brightness: 'Turn the screen brightness up',
+          washed_out: 'Turn the brightness down a little, or move away from glare',
+        },
+        continueAnyway: 'Continue Anyway',
+        checkAgain: 'Check Again',
+      },
+    },
+
+    acuity: {
+      prompts: {
+        tumblingE: 'Which way do the bars of the E point?',
+        landoltC: 'Which side of the ring is open?',
+        digits: 'How small can you go? Spot the shrinking number!',
+      },
+      eyes: {
+        left: {
+          label: 'Left Eye',
+          title: 'Cover your right eye',
+          text: 'Cup your right hand over your right eye without pressing on it. Keep both eyes open behind your hand.',
+        },
+        right: {
+          label: 'Right Eye',
+          title: 'Now cover your left eye',
+          text: 'Switch hands: cup your left hand over your left eye without pressing on it. Keep both eyes open behind your hand.',
+        },
+        both: {
+          label: 'Both Eyes',
+          title: 'Uncover both eyes',
+          text: 'Lower your hand and look at the screen with both eyes for the last run.',
+        },
+      },
+      setup: {
+        badge: 'Distance Setup',
+        title: 'Position Yourself',
+        text: 'For accurate results, maintain the correct viewing distance throughout the test.',
+        armsLengthApprox: "≈ arm's length",
+        arm: { title: "Arm's Length", text: 'Stretch your arm - your fingertips should almost touch the screen' },
+        seated: { title: 'Stay Seated', text: "Don't lean forward during the test - maintain your position" },
+        glasses: { title: 'Wear Glasses?', text: 'Keep them on if you normally use them for screens' },
+        eachEye: { title: 'Test Each Eye', text: 'Check your left eye, your right eye, then both eyes (takes about three times as long)' },
+        useSaved: "💾 Use Saved Calibration - I'm at {distance}cm",
+        start: "I'm at {distance}cm - Start Test",
+        calibrate: 'Have a credit card? Calibrate screen precisely →',
+        confirmCard: 'Calibrated - Measure Distance',
+        skipBlindSpot: "Skip distance check - I'm at {distance}cm",
+      },
+      blindSpot: {
+        title: 'Find Your Blind Spot',
+        textBefore: 'Close your ',
+        rightEye: 'right eye',
+        textMiddle: ' and keep your left eye on the square. A red dot will move left - press ',
+        space: 'space',
+        textAfter: ' or tap the button the moment it disappears.',
+        sweep: 'Sweep {current} of {total}',
+        sweeps: '{count} short sweeps',
+        missedEdge: ' · The dot reached the edge - keep looking at the square, or sit a little closer',
+        disappeared: 'It Disappeared',
+        start: 'Start',
+        measured: 'Distance Measured',
+        implausible: "That Didn't Look Right",
+        stay: 'Stay at this distance for the rest of the test - the letters are sized for it.',
+        retry: 'Make sure your right eye is closed and you keep looking at the square, then try again.',
+        distance: '{distance} cm',
+        fromEyes: 'from your eyes to the screen',
+        again: '↻ Measure Again',
+        startTest: 'Start Test',
+      },
+      eyeIntro: {
+        step: '{eye} - Step {current} of {total}',
+        reminder: 'Stay {distance}cm from the screen and keep your glasses on if you wear them',
+        start: 'Ready - Start {eye}',
+      },
+      reminderBefore: 'Remember: Stay ',
+      reminderAfter: ' from screen',
+      measured: ' (measured)',
+      armsLength: " (arm's length)",
+      line: 'Line {current} of {total}',
+      title: 'Eagle Eye Challenge',
+      focusLevel: 'Focus Level',
+      optotype: 'Test symbol',
+      directionHint: 'Tap an arrow, swipe on the picture, or use your arrow keys',
+      placeholder: 'Enter number',
+      submit: 'Submit Answer',
+      directions: {
+        up: 'Pointing up',
+        down: 'Pointing down',
+        left: 'Pointing left',
+        right: 'Pointing right',
+      },
+    },
+
+    contrast: {
+      badge: 'Contrast Sensitivity',
+      title: 'Fade Out',
+      text: "Letters will get fainter and fainter. Pick the letter you see - if you're not sure, take your best guess.",
+      tips: {
+        brightness: { title: 'Full Brightness', text: 'Turn screen brightness up and switch off night mode or blue-light filters' },
+        glare: { title: 'Avoid Glare', text: 'Make sure no lamp or window reflects on the screen' },
+        distance: { title: 'Same Distance', text: 'Sit {distance} from the screen, with your glasses on if you wear them' },
+      },
+      distanceCm: '{distance}cm',
+      armsLength: "an arm's length",
+      start: 'Start Test',
+      letter: 'Letter {current}',
+      prompt: 'Which letter is on the card?',
+      faintness: 'Faintness',
+      contrastValue: '{value}% contrast',
+      hint: 'Tap a letter or type it on your keyboard',
+    },
+
+    motor: {
+      taskBadge: 'Task {current} of {total}',
+      waveBadge: 'Wave {current} of {total}',
+      // Bubble waves by round number
+      waves: {
+        1: { title: 'Bubble Pop!', text: 'Pop the rising bubbles before they float away! Tap fast!' },
+        2: { title: 'Faster Bubbles!', text: 'The bubbles are getting faster. Can you keep up?' },
+        3: { title: 'Bubble Frenzy!', text: 'Maximum chaos! Pop everything you can - a few quick tasks come next.' },
+      },
+      adaptiveText: 'The bubbles adjust to how well you are doing. Keep popping!',
+      // Task titles and instructions by MOTOR_TASK_TYPES value (motorTasks.js)
+      tasks: {
+        drag_drop: { title: 'Drag & Drop', instructions: 'Drag each ball into the ring. Let go when it is inside!' },
+        steering: { title: 'Tunnel Run', instructions: 'Start at the green dot and follow the tunnel to the flag without touching the walls.' },
+        double_click: { title: 'Double Tap', instructions: 'Double-tap each target quickly - two taps in a row!' },
+        hover_dwell: { title: 'Steady Hover', instructions: 'Hold your pointer on the tiny dot until the ring fills up.' },
+      },
+      start: "Let's Go!",
+      startTask: 'Start Task!',
+      nextWave: 'Next Wave!',
+      totals: {
+        popped: 'Popped:',
+        bestStreak: 'Best Streak:',
+        escaped: 'Escaped:',
+      },
+      wave: 'Wave {current}',
+      seconds: '{count}s',
+      popped: 'Popped',
+      streak: 'Streak',
+      escaped: 'Escaped',
+      hint: "🎯 Tap fast! Don't let them float away!",
+    },
+
+    quiz: {
+      badge: 'Q{current} · up to {max}',
+      title: 'Quick Think!',
+      categories: {
+        icons: '🎨 Icons',
+        terminology: '📚 Tech Terms',
+        interaction: '🖱️ Interaction',
+        safety: '🛡️ Staying Safe',
+        tasks: '🧩 Hands-On',
+      },
+      lockIn: 'Lock It In!',
+      notSure: "I'm Not Sure How",
+      // Labels on the hands-on mock interfaces (ids from literacyTasks.js)
+      tasks: {
+        appName: 'My App',
+        toolbar: {
+          home: 'Home',
+          search: 'Search',
+          messages: 'Messages',
+          notifications: 'Notifications',
+          settings: 'Settings',
+          profile: 'Profile',
+        },
+        form: {
+          title: 'Create your account',
+          name: 'Full name',
+          email: 'Email',
+          agree: 'I agree to the terms',
+          invalid: 'Please check the highlighted fields.',
+          submit: 'Sign up',
+        },
+        help: {
+          title: 'Help Centre',
+          topics: {
+            gettingStarted: 'Getting started',
+            createAccount: 'Creating an account',
+            changePassword: 'Changing your password',
+            twoStep: 'Two-step sign in',
+            updateEmail: 'Updating your email',
+            notifications: 'Notifications',
+            privacy: 'Privacy settings',
+            blocking: 'Blocking someone',
+            shareFile: 'Sharing a file',
+            downloadData: 'Downloading your data',
+            offline: 'Using the app offline',
+            language: 'Changing the language',
+            textSize: 'Text size and display',
+            printer: 'Connecting a printer',
+            payment: 'Payment methods',
+            refunds: 'Refunds',
+            cancelSubscription: 'Cancelling a subscription',
+            deleteAccount: 'Deleting your account',
+            contactUs: 'Contact us',
+          },
+        },
+        downloads: 'Downloads',
+        folders: {
+          documents: 'Documents',
+          pictures: 'Pictures',
+          music: 'Music',
+        },
+      },
+    },
+
+    reading: {
+      badge: 'Reading',
+      title: 'Page Turner',
+      text: 'Read a few short passages, then answer questions about each one. The passages get easier or harder as you go.',
+      tips: {
+        pace: { title: 'Your Normal Pace', text: 'Read the way you usually would - this is not a race' },
+        peek: { title: 'No Peeking Back', text: 'The passage is hidden once you move on to the questions' },
+        glasses: { title: 'Glasses On', text: 'Wear your reading glasses if you use them' },
+      },
+      start: 'Start Reading',
+      progress: 'Passage {current} · Level {level} of {max}',
+      readPrompt: 'Read the passage, then tap the button below',
+      question: 'Question {current} of {total}',
+      done: "I've Finished Reading",
+    },
+
+    calibration: {
+      badge: 'Screen Calibration',
+      title: 'Credit Card Calibration',
+      text: 'Hold a credit/debit card to your screen and resize the rectangle to match it exactly.',
+      match: 'Match your card here',
+      smaller: 'Smaller',
+      larger: 'Larger',
+      back: '← Back',
+      standard: 'Standard credit card: 85.6mm × 54mm (ISO 7810 ID-1)',
+      // Banner when the window moves to another display mid-test
+      moved: '🖥️ This window moved to a different screen.',
+      savedInUse: ' A saved calibration for this screen is being used.',
+      sizesStale: ' Sizes were set for the previous screen - recalibrate for accurate results.',
+      dismiss: 'Dismiss',
+      recalibrate: 'Recalibrate',
+      confirm: 'Calibrated - Continue',
+    },
+
+    // Skills unlocked by each challenge, by PROFILE_TRAITS id (GameContext)
+    traits: {
+      perception: { name: 'Pattern Vision', description: 'Master of hidden patterns' },
+      clarity: { name: 'Eagle Eye', description: 'Sharp focus and precision' },
+      contrast: { name: 'Shadow Sight', description: 'Spots the faintest details' },
+      reflexes: { name: 'Lightning Reflexes', description: 'Quick reactions under pressure' },
+      literacy: { name: 'Tech Guru', description: 'Digital wisdom unlocked' },
+      reading: { name: 'Bookworm', description: 'Reads fast and reads deep' },
+    },
+
+    journey: {
+      'color-blindness': 'Color',
+      'visual-acuity': 'Acuity',
+      'contrast-sensitivity': 'Contrast',
+      'motor-skills': 'Reflex',
+      'knowledge-quiz': 'Quiz',
+      'reading-assessment': 'Reading',
+    },
+
+    transition: {
+      newSkill: 'New Skill!',
+      unlocked: '{name} Unlocked!',
+      nextUp: 'Next up:',
+      finalResults: 'Final Results Incoming!',
+    },
+
+    stats: {
+      title: 'Your Score',
+      streak: 'Streak',
+      best: 'Best',
+      time: 'Time',
+    },
+
+    profile: {
+      label: 'Profile:',
+      skillsUnlocked: 'Skills Unlocked',
+      skillsCollected: 'Skills Collected',
+      summaries: {
+        perception: '✓ Pattern master!',
+        clarity: 'Level {level} achieved!',
+        contrast: '{value} logCS',
+        reflexes: '{value}% hit rate!',
+        literacy: '{value}% correct!',
+        reading: '{value} words/min',
+        unlocked: '✓ Unlocked!',
+      },
+    },
+
+    final: {
+      // Titles by best streak, highest first
+      titles: {
+        champion: 'Ultimate Champion',
+        legend: 'Streak Legend',
+        master: 'Brain Master',
+        risingStar: 'Rising Star',
+        learner: 'Quick Learner',
+        explorer: 'Game Explorer',
+      },
+      title: 'You Did It!',
+      player: 'Player',
+      bestStreak: 'Best Streak',
+      totalTime: 'Total Time',
+      facts: {
+        onFire: "🔥 Incredible streak! You're on fire!",
+        quick: "⚡ Nice streak! You've got quick reflexes!",
+        effort: '🎮 Great effort! Practice makes perfect.',
+      },
+      pendingOne: '{count} upload pending • keep this tab open',
+      pendingMany: '{count} uploads pending • keep this tab open',
+      saved: 'All results saved',
+      rejectedOne: '{count} upload was rejected by the server',
+      rejectedMany: '{count} uploads were rejected by the server',
+      poweredByBefore: 'Powered by ',
+      poweredByAfter: '',
+      thanks: 'Thanks for playing! 🎮',
+    },
+
+    home: {
+      loading: 'Initializing AURA...',
+      completeTitle: 'Assessment Complete!',
+      completeText: "You've finished all assessment modules.",
+      readyBefore: 'Ready to ',
+      readyHighlight: 'Challenge Yourself?',
+      readyAfter: '',
+      text: '{count} fun brain games await! Spot hidden patterns, test your focus, catch fading letters, pop bubbles at lightning speed, show off your digital smarts and read a few short passages.',
+      previews: {
+        patterns: 'Patterns',
+        focus: 'Focus',
+        speed: 'Speed',
+        trivia: 'Trivia',
+      },
+      timeBefore: 'Takes about ',
+      timeValue: '5-7 minutes',
+      timeAfter: '',
+      privacy: 'Your gameplay helps improve our games 🎮',
+      features: {
+        streaks: { title: 'Build Streaks', desc: 'Chain correct answers for glory' },
+        skills: { title: 'Unlock Skills', desc: 'Earn badges as you play' },
+        results: { title: 'Get Results', desc: 'See your player profile' },
+      },
+      footerBefore: 'Powered by ',
+      footerAfter: ' • Unleash the Future of UI',
+    },
+
+    // Sign-up form before the games
+    signup: {
+      title: 'Ready to Play?',
+      text: 'Quick setup before the games begin!',
+      userId: 'User ID',
+      userIdPlaceholder: 'Enter your unique ID',
+      useSuggested: 'Use suggested: ',
+      userIdHelp: 'This ID will be used to track your progress',
+      age: 'Age',
+      agePlaceholder: 'Enter your age',
+      gender: 'Gender',
+      // Labels only - the stored value stays English
+      genders: {
+        male: 'Male',
+        female: 'Female',
+        other: 'Other',
+        undisclosed: 'Prefer not to say',
+      },
+      privacyTitle: 'Your Privacy is Safe',
+      privacy: 'Just for making the games better! Everything stays anonymous.',
+      submitting: 'Loading Games...',
+      submit: 'Start Playing!',
+      required: ' Required fields',
+      errors: {
+        userIdRequired: 'User ID is required',
+        userIdShort: 'User ID must be at least 2 characters',
+        userIdTaken: 'This User ID is already taken',
+        userIdTakenChoose: 'This User ID is already taken. Please choose a different one.',
+        ageRequired: 'Age is required',
+        ageInvalid: 'You must be 18 or older to participate',
+        genderRequired: 'Please select a gender',
+        submit: 'Failed to save information. Please try again.',
+      },
+    },
+
+    layout: {
+      home: 'Home',
+      footer: 'Mind Games 🎮',
+    },
+
+    results: {
+      loadingTitle: 'Loading Results',
+      loading: 'Fetching your assessment results...',
+      title: 'Results',
+      loadFailed: 'Failed to load results. Please try again.',
+      errorTitle: 'Error Loading Results',
+      returnHome: 'Return to Home',
+      pageTitle: 'Assessment Results',
+      session: 'Session Information',
+      sessionId: 'Session ID: {id}',
+      modulesCompleted: 'Modules Completed',
+      perceptionLab: 'Perception Lab',
+      colorTest: 'Color Blindness Test',
+      score: 'Score',
+      diagnosis: 'Diagnosis',
+      acuityTest: 'Visual Acuity Test',
+      snellen: 'Snellen Estimate',
+      rating: 'Rating',
+      ratings: {
+        perfect: '20/20 (Perfect)',
+        near_perfect: '20/25 (Near Perfect)',
+        normal: '20/40 (Normal)',
+        below_average: '20/60+ (Below Average)',
+        at_least: '{snellen} or better (smallest line this screen can show)',
+      },
+      size: 'Size',
+      mar: 'MAR',
+      knowledgeConsole: 'Knowledge Console',
+      literacyScore: 'Computer Literacy Score',
+      correct: '{correct} / {total} Correct',
+      categories: 'Category Breakdown',
+      confidence: {
+        title: 'Answer Confidence',
+        confidence: 'Confidence',
+        guesses: 'Likely Guesses',
+        guessesValue: '{guesses} of {right} right',
+        firstMove: 'First Move',
+        category: '{changed} changed · {guessed} guessed',
+      },
+      reactionLab: 'Reaction Lab',
+      motorDone: 'Motor skills assessment has been completed. Your interaction data has been recorded for analysis.',
+      status: 'Status',
+      collected: '✓ Data Collected',
+      motorNote: 'Note: This module tracks interactions only. No final score is computed.',
+      back: '← Back to Home',
+      print: '🖨️ Print Results',
+      noticeTitle: '⚠️ Important Notice',
+      notice: 'These results are for research and screening purposes only. They do not constitute a medical diagnosis. If you have concerns about your vision or cognitive abilities, please consult a qualified healthcare professional.',
+    },
+  },
+
+  questions: {},
+
+  passages: {},
+};
@@ -0,0 +1,806 @@
+/**
+ * Sinhala - සිංහල
+ * Question `options` are in the same order as the English options in literacyQuestions.js,
+ * and passage question `options` in the same order as in readingAssessment.js.
+ */
+
+export default {
+  meta: { code: 'si', name: 'සිංහල', dir: 'ltr' },
+
+  strings: {
+    language: {
+      label: 'භාෂාව',
+    },
+
+    intro: {
+      tagline: 'මනස් ක්‍රීඩා',
+      welcomeBefore: 'ආයුබෝවන් ',
+      welcomeAfter: '!',
+      returning: 'පළමු වරට මෙහි ද? කෙටි ක්‍රීඩා {count}ක් ඔබ එනතුරු බලා සිටී!',
+      readyTitle: 'ඔබට අභියෝගයකට සූදානම් ද?',
+      readyText: 'කෙටි ක්‍රීඩා {count}ක් ඔබ එනතුරු බලා සිටී! සැඟවුණු රටා සොයන්න, ඔබේ අවධානය පරීක්ෂා කරන්න, බොඳ වන අකුරු හඳුනා ගන්න, ඉක්මනින් බුබුළු පුපුරවන්න, ඔබේ ඩිජිටල් දැනුම පෙන්වන්න, සහ කෙටි ඡේද කිහිපයක් කියවන්න.',
+      games: {
+        pattern: { name: 'රටා දඩයම', desc: 'සැඟවුණු අංක සොයන්න' },
+        eagle: { name: 'රාජාලි ඇස', desc: 'කුඩා වන අභියෝගය' },
+        fade: { name: 'මැකී යාම', desc: 'බොඳ අකුරු' },
+        bubble: { name: 'බුබුළු පිපිරුම', desc: 'වේගය සහ නිරවද්‍යතාව' },
+        quiz: { name: 'ඉක්මන් සිතුවිලි', desc: 'ඩිජිටල් ප්‍රශ්න' },
+        reading: { name: 'පිටු පෙරළන්නා', desc: 'කියවා මතක තබා ගන්න' },
+      },
+      howItWorks: 'එය ක්‍රියා කරන ආකාරය',
+      steps: {
+        play: { title: 'කුඩා ක්‍රීඩා {count}ක් ක්‍රීඩා කරන්න', desc: 'තත්පර කිහිපයකින් අවසන් වන, විනෝදජනක කෙටි අභියෝග' },
+        streak: { title: 'ඔබේ ජය පෙළ ගොඩනඟන්න', desc: 'නිවැරදි පිළිතුරු පෙළගස්වා අමතර ලකුණු ලබා ගන්න' },
+        skills: { title: 'කුසලතා විවෘත කරන්න', desc: 'ක්‍රීඩා අවසන් කරන විට ලාංඡන දිනා ගන්න' },
+        results: { title: 'ඔබේ ප්‍රතිඵල බලන්න', desc: 'ඔබටම ආවේණික ක්‍රීඩක පැතිකඩක් ලබා ගන්න' },
+      },
+      timeBefore: 'ක්‍රීඩා කිරීමට ',
+      timeValue: 'මිනිත්තු 5ක්',
+      timeAfter: ' පමණයි',
+      start: 'ක්‍රීඩා කරමු!',
+      privacy: 'ඔබේ ක්‍රීඩාව අපගේ ක්‍රීඩා වැඩිදියුණු කිරීමට උපකාරී වේ. සියලු දත්ත නිර්නාමික වේ.',
+    },
+
+    flow: {
+      subtitle: 'ඩිජිටල් පැතිකඩ',
+      player: 'ක්‍රීඩකයා:',
+      footer: 'ක්‍රීඩාව {current} / {total} • ස්වයංක්‍රීයව සුරැකිණි 💾',
+    },
+
+    color: {
+      badge: 'රටාව {current} / {total}',
+      title: 'රටා දඩයම',
+      prompt: 'තිත් අතර සැඟවී ඇති අංකය ඔබට පෙනේ ද?',
+      plateAlt: 'වර්ණ පත්‍රය {id}',
+      placeholder: 'ඔබට පෙනෙන අංකය ඇතුළත් කරන්න',
+      nothing: 'මට කිසිවක් නොපෙනේ',
+      next: 'ඊළඟ',
+      complete: 'අවසන්',
+      arrangementBadge: 'වර්ණ පෙළගැස්ම',
+      arrangementTitle: 'දේදුනු පිළිවෙළ',
+      arrangementPrompt: 'සෑම වර්ණයක්ම ඊට පෙර වර්ණයට වඩාත් සමීප වන සේ වර්ණ පෙළගස්වන්න',
+      arrangementCap: 'වර්ණ මූඩිය {cap}',
+      arrangementStart: 'ආරම්භය',
+      arrangementHint: 'ආරම්භක මූඩියට වඩාත් සමීප වර්ණය එයට යාබදව තබන්න',
+      arrangementDone: 'සියලු මූඩි තබා ඇත - පිළිවෙළ පරීක්ෂා කර අවසන් කරන්න',
+      display: {
+        badge: 'පරීක්ෂාව {current} / {total}',
+        results: 'ප්‍රතිඵල',
+        title: 'තිර පරීක්ෂාව',
+        text: 'ඔබේ තිරය වර්ණ නිවැරදිව පෙන්වන බව තහවුරු කිරීමට කෙටි ප්‍රශ්න කිහිපයක්',
+        swatches: {
+          hue: 'මෙම චතුරශ්‍රය කුමන වර්ණයෙන් ද?',
+          white_point: 'මෙම චතුරශ්‍රය ඔබට පෙනෙන්නේ කෙසේ ද?',
+          dark_steps: 'කළු තීරුව මත ඔබට චතුරශ්‍ර කීයක් පෙනේ ද?',
+          light_steps: 'සුදු තීරුව මත ඔබට චතුරශ්‍ර කීයක් පෙනේ ද?',
+        },
+        options: {
+          yellow: 'කහ',
+          blue: 'නිල්',
+          other: 'වෙනත් වර්ණයක්',
+          white: 'සාමාන්‍ය සුදු',
+          warm: 'කහ පැහැති හෝ තැඹිලි පැහැති',
+          cool: 'නිල් පැහැති',
+        },
+        issuesTitle: 'ඔබේ තිරය වර්ණ වෙනස් කරමින් තිබිය හැක:',
+        advice: {
+          inverted_colors: 'ප්‍රවේශ්‍යතා සැකසුම්වල ඇති වර්ණ ප්‍රතිලෝමනය හෝ "smart invert" අක්‍රිය කරන්න',
+          forced_colors: 'ඉහළ වෙනස (high-contrast) හෝ බලහත්කාර වර්ණ ප්‍රකාරය අක්‍රිය කරන්න',
+          night_light: 'Night Shift, Night Light හෝ ඕනෑම නිල් ආලෝක පෙරහනක් අක්‍රිය කරන්න',
+          tinted: 'වර්ණ පෙරහන් හෝ "vivid" වර්ණ ප්‍රකාර අක්‍රිය කර, තිරය එහි සම්මත වර්ණ පැතිකඩට යළි සකසන්න',
+          low_brightness: 'තිරයේ දීප්තිය වැඩි කරන්න',
+          washed_out: 'දීප්තිය මඳක් අඩු කරන්න, නැතහොත් දිලිසීමෙන් ඈත් වන්න',
+        },
+        continueAnyway: 'කෙසේ වෙතත් ඉදිරියට යන්න',
+        checkAgain: 'නැවත පරීක්ෂා කරන්න',
+      },
+    },
+
+    acuity: {
+      prompts: {
+        tumblingE: 'E අකුරේ ඉරි යොමු වී ඇත්තේ කුමන දිශාවට ද?',
+        landoltC: 'වළල්ලේ විවෘත පැත්ත කුමක් ද?',
+        digits: 'ඔබට කොතරම් කුඩා දක්වා යා හැකි ද? කුඩා වන අංකය හඳුනා ගන්න!',
+      },
+      eyes: {
+        left: {
+          label: 'වම් ඇස',
+          title: 'ඔබේ දකුණු ඇස වසන්න',
+          text: 'ඔබේ දකුණු අත්ල, තද නොකර, දකුණු ඇස මත තබන්න. අත පිටුපසින් ඇස් දෙකම විවෘතව තබා ගන්න.',
+        },
+        right: {
+          label: 'දකුණු ඇස',
+          title: 'දැන් ඔබේ වම් ඇස වසන්න',
+          text: 'අත මාරු කරන්න: ඔබේ වම් අත්ල, තද නොකර, වම් ඇස මත තබන්න. අත පිටුපසින් ඇස් දෙකම විවෘතව තබා ගන්න.',
+        },
+        both: {
+          label: 'ඇස් දෙකම',
+          title: 'ඇස් දෙකම විවෘත කරන්න',
+          text: 'අවසාන වටය සඳහා ඔබේ අත පහත් කර ඇස් දෙකෙන්ම තිරය දෙස බලන්න.',
+        },
+      },
+      setup: {
+        badge: 'දුර සැකසීම',
+        title: 'නිවැරදිව ස්ථානගත වන්න',
+        text: 'නිවැරදි ප්‍රතිඵල සඳහා, පරීක්ෂණය පුරාම නිවැරදි බැලීමේ දුර පවත්වා ගන්න.',
+        armsLengthApprox: '≈ අතක දිග',
+        arm: { title: 'අතක දිග', text: 'ඔබේ අත දිගු කරන්න - ඇඟිලි තුඩු තිරය ආසන්නයටම පැමිණිය යුතුය' },
+        seated: { title: 'වාඩි වී සිටින්න', text: 'පරීක්ෂණය අතරතුර ඉදිරියට නැමෙන්න එපා - ඔබේ ඉරියව්ව පවත්වා ගන්න' },
+        glasses: { title: 'කණ්නාඩි පළඳිනවා ද?', text: 'තිරය බැලීමට සාමාන්‍යයෙන් පළඳිනවා නම් ඒවා ඉවත් නොකරන්න' },
+        eachEye: { title: 'එක් එක් ඇස පරීක්ෂා කරන්න', text: 'වම් ඇස, දකුණු ඇස, පසුව ඇස් දෙකම පරීක්ෂා කරන්න (තුන් ගුණයක පමණ කාලයක් ගත වේ)' },
+        useSaved: '💾 සුරැකි ක්‍රමාංකනය භාවිත කරන්න - මම {distance}cm දුරින් සිටිමි',
+        start: 'මම {distance}cm දුරින් සිටිමි - පරීක්ෂණය අරඹන්න',
+        calibrate: 'ණය කාඩ්පතක් තිබේ ද? තිරය නිවැරදිව ක්‍රමාංකනය කරන්න →',
+        confirmCard: 'ක්‍රමාංකනය කළා - දුර මනින්න',
+        skipBlindSpot: 'දුර පරීක්ෂාව මඟ හරින්න - මම {distance}cm දුරින් සිටිමි',
+      },
+      blindSpot: {
+        title: 'ඔබේ අන්ධ ලක්ෂ්‍යය සොයා ගන්න',
+        textBefore: 'ඔබේ ',
+        rightEye: 'දකුණු ඇස',
+        textMiddle: ' වසා, වම් ඇස චතුරශ්‍රය මතම තබා ගන්න. රතු තිතක් වමට ගමන් කරයි - එය නොපෙනී යන මොහොතේම ',
+        space: 'space',
+        textAfter: ' යතුර ඔබන්න, නැතහොත් බොත්තම තට්ටු කරන්න.',
+        sweep: 'ගමන {current} / {total}',
+        sweeps: 'කෙටි ගමන් {count}ක්',
+        missedEdge: ' · තිත කෙළවරට ළඟා විය - චතුරශ්‍රය දෙසම බලා සිටින්න, නැතහොත් මඳක් ළංව වාඩි වන්න',
+        disappeared: 'එය නොපෙනී ගියා',
+        start: 'අරඹන්න',
+        measured: 'දුර මනින ලදී',
+        implausible: 'එය නිවැරදි යැයි නොපෙනේ',
+        stay: 'පරීක්ෂණයේ ඉතිරි කාලය පුරා මෙම දුරේම සිටින්න - අකුරු මෙම දුරට ගැළපෙන සේ ප්‍රමාණ කර ඇත.',
+        retry: 'ඔබේ දකුණු ඇස වසා ඇති බවත් චතුරශ්‍රය දෙසම බලා සිටින බවත් තහවුරු කර නැවත උත්සාහ කරන්න.',
+        distance: '{distance} cm',
+        fromEyes: 'ඔබේ ඇස්වල සිට තිරයට',
+        again: '↻ නැවත මනින්න',
+        startTest: 'පරීක්ෂණය අරඹන්න',
+      },
+      eyeIntro: {
+        step: '{eye} - පියවර {current} / {total}',
+        reminder: 'තිරයේ සිට {distance}cm දුරින් සිටින්න; කණ්නාඩි පළඳිනවා නම් ඒවා ඉවත් නොකරන්න',
+        start: 'සූදානම් - {eye} අරඹන්න',
+      },
+      reminderBefore: 'මතක තබා ගන්න: තිරයේ සිට ',
+      reminderAfter: ' දුරින් සිටින්න',
+      measured: ' (මනින ලදී)',
+      armsLength: ' (අතක දිග)',
+      line: 'පේළිය {current} / {total}',
+      title: 'රාජාලි ඇස් අභියෝගය',
+      focusLevel: 'අවධාන මට්ටම',
+      optotype: 'පරීක්ෂණ සංකේතය',
+      directionHint: 'ඊතලයක් තට්ටු කරන්න, රූපය මත ස්වයිප් කරන්න, නැතහොත් ඊතල යතුරු භාවිත කරන්න',
+      placeholder: 'අංකය ඇතුළත් කරන්න',
+      submit: 'පිළිතුර යොමු කරන්න',
+      directions: {
+        up: 'ඉහළට යොමු වී ඇත',
+        down: 'පහළට යොමු වී ඇත',
+        left: 'වමට යොමු වී ඇත',
+        right: 'දකුණට යොමු වී ඇත',
+      },
+    },
+
+    contrast: {
+      badge: 'වෙනස හඳුනාගැනීමේ සංවේදීතාව',
+      title: 'මැකී යාම',
+      text: 'අකුරු ක්‍රමයෙන් බොඳ වී යයි. ඔබට පෙනෙන අකුර තෝරන්න - විශ්වාස නැත්නම්, හොඳම අනුමානය කරන්න.',
+      tips: {
+        brightness: { title: 'උපරිම දීප්තිය', text: 'තිරයේ දීප්තිය වැඩි කර, රාත්‍රී ප්‍රකාරය හෝ නිල් ආලෝක පෙරහන් අක්‍රිය කරන්න' },
+        glare: { title: 'දිලිසීම වළක්වන්න', text: 'කිසිදු ලාම්පුවක් හෝ ජනේලයක් තිරය මත පරාවර්තනය නොවන බව තහවුරු කරන්න' },
+        distance: { title: 'එකම දුර', text: 'තිරයේ සිට {distance} දුරින් වාඩි වන්න; කණ්නාඩි පළඳිනවා නම් ඒවා ඉවත් නොකරන්න' },
+      },
+      distanceCm: '{distance}cm',
+      armsLength: 'අතක දිගක්',
+      start: 'පරීක්ෂණය අරඹන්න',
+      letter: 'අකුර {current}',
+      prompt: 'කාඩ්පතේ ඇත්තේ කුමන අකුර ද?',
+      faintness: 'බොඳ බව',
+      contrastValue: 'වෙනස {value}%',
+      hint: 'අකුරක් තට්ටු කරන්න, නැතහොත් යතුරු පුවරුවෙන් එය ටයිප් කරන්න',
+    },
+
+    motor: {
+      taskBadge: 'කාර්යය {current} / {total}',
+      waveBadge: 'රැල්ල {current} / {total}',
+      waves: {
+        1: { title: 'බුබුළු පිපිරුම!', text: 'ඉහළට නඟින බුබුළු පාවී යාමට පෙර පුපුරවන්න! ඉක්මනින් තට්ටු කරන්න!' },
+        2: { title: 'වේගවත් බුබුළු!', text: 'බුබුළු වේගවත් වෙමින් පවතී. ඔබට ඒවා අල්ලා ගත හැකි ද?' },
+        3: { title: 'බුබුළු කලබලය!', text: 'උපරිම අවුල! හැකි තරම් පුපුරවන්න - ඉන්පසු කෙටි කාර්යයන් කිහිපයක් ඇත.' },
+      },
+      adaptiveText: 'ඔබ කරන ආකාරයට අනුව බුබුළු වෙනස් වේ. දිගටම පුපුරවන්න!',
+      tasks: {
+        drag_drop: { title: 'ඇදගෙන ගොස් දමන්න', instructions: 'සෑම බෝලයක්ම වළල්ල තුළට අදින්න. එය ඇතුළට ගිය විට අත හරින්න!' },
+        steering: { title: 'උමං ගමන', instructions: 'කොළ තිතෙන් පටන් ගෙන, බිත්ති නොගැටී උමඟ දිගේ කොඩිය දක්වා යන්න.' },
+        double_click: { title: 'දෙවරක් තට්ටු කිරීම', instructions: 'සෑම ඉලක්කයක්ම ඉක්මනින් දෙවරක් තට්ටු කරන්න - එක පිට එක තට්ටු දෙකක්!' },
+        hover_dwell: { title: 'ස්ථාවර රැඳීම', instructions: 'වළල්ල පිරෙන තුරු ඔබේ දර්ශකය කුඩා තිත මත රඳවා තබන්න.' },
+      },
+      start: 'පටන් ගනිමු!',
+      startTask: 'කාර්යය අරඹන්න!',
+      nextWave: 'ඊළඟ රැල්ල!',
+      totals: {
+        popped: 'පුපුරවා ඇත:',
+        bestStreak: 'හොඳම ජය පෙළ:',
+        escaped: 'ගැලවී ගියා:',
+      },
+      wave: 'රැල්ල {current}',
+      seconds: 'තත්. {count}',
+      popped: 'පුපුරවා ඇත',
+      streak: 'ජය පෙළ',
+      escaped: 'ගැලවී ගියා',
+      hint: '🎯 ඉක්මනින් තට්ටු කරන්න! ඒවා පාවී යාමට ඉඩ නොදෙන්න!',
+    },
+
+    quiz: {
+      badge: 'ප්‍රශ්නය {current} · උපරිම {max}',
+      title: 'ඉක්මන් සිතුවිලි!',
+      categories: {
+        icons: '🎨 අයිකන',
+        terminology: '📚 තාක්ෂණික වචන',
+        interaction: '🖱️ අන්තර්ක්‍රියා',
+        safety: '🛡️ ආරක්ෂිතව සිටීම',
+        tasks: '🧩 ප්‍රායෝගික',
+      },
+      lockIn: 'තහවුරු කරන්න!',
+      notSure: 'කරන්නේ කෙසේදැයි මට විශ්වාස නැත',
+      tasks: {
+        appName: 'මගේ යෙදුම',
+        toolbar: {
+          home: 'මුල් පිටුව',
+          search: 'සෙවීම',
+          messages: 'පණිවිඩ',
+          notifications: 'දැනුම්දීම්',
+          settings: 'සැකසුම්',
+          profile: 'පැතිකඩ',
+        },
+        form: {
+          title: 'ඔබේ ගිණුම සාදන්න',
+          name: 'සම්පූර්ණ නම',
+          email: 'ඊමේල්',
+          agree: 'මම නියමයන්ට එකඟ වෙමි',
+          invalid: 'කරුණාකර උද්දීපනය කළ කොටු පරීක්ෂා කරන්න.',
+          submit: 'ලියාපදිංචි වන්න',
+        },
+        help: {
+          title: 'උදව් මධ්‍යස්ථානය',
+          topics: {
+            gettingStarted: 'ආරම්භ කිරීම',
+            createAccount: 'ගිණුමක් සෑදීම',
+            changePassword: 'ඔබේ මුරපදය වෙනස් කිරීම',
+            twoStep: 'පියවර දෙකේ පිවිසුම',
+            updateEmail: 'ඔබේ ඊමේල් ලිපිනය යාවත්කාලීන කිරීම',
+            notifications: 'දැනුම්දීම්',
+            privacy: 'පෞද්ගලිකත්ව සැකසුම්',
+            blocking: 'යමෙකු අවහිර කිරීම',
+            shareFile: 'ගොනුවක් බෙදා ගැනීම',
+            downloadData: 'ඔබේ දත්ත බාගත කිරීම',
+            offline: 'අන්තර්ජාලය නොමැතිව යෙදුම භාවිත කිරීම',
+            language: 'භාෂාව වෙනස් කිරීම',
+            textSize: 'අකුරු ප්‍රමාණය සහ දර්ශනය',
+            printer: 'මුද්‍රණ යන්ත්‍රයක් සම්බන්ධ කිරීම',
+            payment: 'ගෙවීම් ක්‍රම',
+            refunds: 'මුදල් ආපසු ලබා දීම',
+            cancelSubscription: 'දායකත්වයක් අවලංගු කිරීම',
+            deleteAccount: 'ඔබේ ගිණුම මකා දැමීම',
+            contactUs: 'අප අමතන්න',
+          },
+        },
+        downloads: 'බාගත කිරීම්',
+        folders: {
+          documents: 'ලේඛන',
+          pictures: 'පින්තූර',
+          music: 'සංගීතය',
+        },
+      },
+    },
+
+    reading: {
+      badge: 'කියවීම',
+      title: 'පිටු පෙරළන්නා',
+      text: 'කෙටි ඡේද කිහිපයක් කියවා, එක් එක් ඡේදය ගැන ප්‍රශ්නවලට පිළිතුරු දෙන්න. ඔබ ඉදිරියට යන විට ඡේද පහසු හෝ අපහසු වේ.',
+      tips: {
+        pace: { title: 'ඔබේ සාමාන්‍ය වේගය', text: 'ඔබ සාමාන්‍යයෙන් කියවන ආකාරයටම කියවන්න - මෙය තරඟයක් නොවේ' },
+        peek: { title: 'ආපසු බැලීමක් නැත', text: 'ප්‍රශ්නවලට ගිය පසු ඡේදය සැඟවේ' },
+        glasses: { title: 'කණ්නාඩි පළඳින්න', text: 'ඔබ කියවීමේ කණ්නාඩි භාවිත කරනවා නම් ඒවා පළඳින්න' },
+      },
+      start: 'කියවීම අරඹන්න',
+      progress: 'ඡේදය {current} · මට්ටම {level} / {max}',
+      readPrompt: 'ඡේදය කියවා, පහත බොත්තම තට්ටු කරන්න',
+      question: 'ප්‍රශ්නය {current} / {total}',
+      done: 'මම කියවා අවසන්',
+    },
+
+    calibration: {
+      badge: 'තිර ක්‍රමාංකනය',
+      title: 'ණය කාඩ්පත් ක්‍රමාංකනය',
+      text: 'ණය/හර කාඩ්පතක් ඔබේ තිරයට තබා, සෘජුකෝණාස්‍රය එයට හරියටම ගැළපෙන සේ ප්‍රමාණය වෙනස් කරන්න.',
+      match: 'ඔබේ කාඩ්පත මෙයට ගළපන්න',
+      smaller: 'කුඩා',
+      larger: 'විශාල',
+      back: '← ආපසු',
+      standard: 'සම්මත ණය කාඩ්පත: 85.6mm × 54mm (ISO 7810 ID-1)',
+      moved: '🖥️ මෙම කවුළුව වෙනත් තිරයකට ගෙන ගොස් ඇත.',
+      savedInUse: ' මෙම තිරය සඳහා සුරැකි ක්‍රමාංකනයක් භාවිත වේ.',
+      sizesStale: ' ප්‍රමාණ සකසා ඇත්තේ පෙර තිරයට ය - නිවැරදි ප්‍රතිඵල සඳහා නැවත ක්‍රමාංකනය කරන්න.',
+      dismiss: 'ඉවත් කරන්න',
+      recalibrate: 'නැවත ක්‍රමාංකනය කරන්න',
+      confirm: 'ක්‍රමාංකනය කළා - ඉදිරියට',
+    },
+
+    traits: {
+      perception: { name: 'රටා දැක්ම', description: 'සැඟවුණු රටාවල ප්‍රවීණයා' },
+      clarity: { name: 'රාජාලි ඇස', description: 'තියුණු අවධානය සහ නිරවද්‍යතාව' },
+      contrast: { name: 'සෙවණැලි දැක්ම', description: 'බොඳම විස්තර පවා හඳුනා ගනී' },
+      reflexes: { name: 'අකුණු ප්‍රතික්‍රියා', description: 'පීඩනය යටතේ ඉක්මන් ප්‍රතිචාර' },
+      literacy: { name: 'තාක්ෂණ ගුරු', description: 'ඩිජිටල් ප්‍රඥාව විවෘත විය' },
+      reading: { name: 'පොත් පණුවා', description: 'ඉක්මනින් සහ ගැඹුරින් කියවයි' },
+    },
+
+    journey: {
+      'color-blindness': 'වර්ණ',
+      'visual-acuity': 'දෘෂ්ටිය',
+      'contrast-sensitivity': 'වෙනස',
+      'motor-skills': 'ප්‍රතික්‍රියා',
+      'knowledge-quiz': 'ප්‍රශ්න',
+      'reading-assessment': 'කියවීම',
+    },
+
+    transition: {
+      newSkill: 'නව කුසලතාවක්!',
+      unlocked: '{name} විවෘත විය!',
+      nextUp: 'ඊළඟට:',
+      finalResults: 'අවසාන ප්‍රතිඵල ළඟදීම!',
+    },
+
+    stats: {
+      title: 'ඔබේ ලකුණු',
+      streak: 'ජය පෙළ',
+      best: 'හොඳම',
+      time: 'කාලය',
+    },
+
+    profile: {
+      label: 'පැතිකඩ:',
+      skillsUnlocked: 'විවෘත වූ කුසලතා',
+      skillsCollected: 'එකතු කළ කුසලතා',
+      summaries: {
+        perception: '✓ රටා ප්‍රවීණයා!',
+        clarity: 'මට්ටම {level} ළඟා විය!',
+        contrast: '{value} logCS',
+        reflexes: 'ඉලක්ක සාර්ථකත්වය {value}%!',
+        literacy: '{value}% නිවැරදියි!',
+        reading: 'මිනිත්තුවට වචන {value}',
+        unlocked: '✓ විවෘත විය!',
+      },
+    },
+
+    final: {
+      titles: {
+        champion: 'අග්‍රගණ්‍ය ශූරයා',
+        legend: 'ජය පෙළ වීරයා',
+        master: 'මොළ ප්‍රවීණයා',
+        risingStar: 'නැඟී එන තරුව',
+        learner: 'ඉක්මන් ඉගෙනුම්කරු',
+        explorer: 'ක්‍රීඩා ගවේෂකයා',
+      },
+      title: 'ඔබ එය කළා!',
+      player: 'ක්‍රීඩකයා',
+      bestStreak: 'හොඳම ජය පෙළ',
+      totalTime: 'මුළු කාලය',
+      facts: {
+        onFire: '🔥 විශිෂ්ට ජය පෙළක්! ඔබ නොනවතින්නේ!',
+        quick: '⚡ හොඳ ජය පෙළක්! ඔබට ඉක්මන් ප්‍රතික්‍රියා ඇත!',
+        effort: '🎮 විශිෂ්ට උත්සාහයක්! පුහුණුව පරිපූර්ණත්වය ගෙන එයි.',
+      },
+      pendingOne: 'උඩුගත කිරීමක් {count} ඉතිරිව ඇත • මෙම ටැබය විවෘතව තබන්න',
+      pendingMany: 'උඩුගත කිරීම් {count}ක් ඉතිරිව ඇත • මෙම ටැබය විවෘතව තබන්න',
+      saved: 'සියලු ප්‍රතිඵල සුරැකිණි',
+      rejectedOne: 'උඩුගත කිරීමක් {count} සේවාදායකය විසින් ප්‍රතික්ෂේප කරන ලදී',
+      rejectedMany: 'උඩුගත කිරීම් {count}ක් සේවාදායකය විසින් ප්‍රතික්ෂේප කරන ලදී',
+      poweredByBefore: '',
+      poweredByAfter: ' මගින් බලගැන්වේ',
+      thanks: 'ක්‍රීඩා කළාට ස්තූතියි! 🎮',
+    },
+
+    home: {
+      loading: 'AURA ආරම්භ වෙමින්...',
+      completeTitle: 'තක්සේරුව අවසන්!',
+      completeText: 'ඔබ සියලු තක්සේරු කොටස් අවසන් කර ඇත.',
+      readyBefore: '',
+      readyHighlight: 'අභියෝගයකට',
+      readyAfter: ' සූදානම් ද?',
+      text: 'විනෝදජනක මොළ ක්‍රීඩා {count}ක් ඔබ එනතුරු බලා සිටී! සැඟවුණු රටා සොයන්න, ඔබේ අවධානය පරීක්ෂා කරන්න, බොඳ වන අකුරු හඳුනා ගන්න, අකුණු වේගයෙන් බුබුළු පුපුරවන්න, ඔබේ ඩිජිටල් දැනුම පෙන්වන්න, සහ කෙටි ඡේද කිහිපයක් කියවන්න.',
+      previews: {
+        patterns: 'රටා',
+        focus: 'අවධානය',
+        speed: 'වේගය',
+        trivia: 'ප්‍රශ්න',
+      },
+      timeBefore: 'මිනිත්තු ',
+      timeValue: '5-7',
+      timeAfter: ' පමණ ගත වේ',
+      privacy: 'ඔබේ ක්‍රීඩාව අපගේ ක්‍රීඩා වැඩිදියුණු කිරීමට උපකාරී වේ 🎮',
+      features: {
+        streaks: { title: 'ජය පෙළ ගොඩනඟන්න', desc: 'නිවැරදි පිළිතුරු පෙළගස්වා කීර්තිය දිනන්න' },
+        skills: { title: 'කුසලතා විවෘත කරන්න', desc: 'ක්‍රීඩා කරන විට ලාංඡන දිනා ගන්න' },
+        results: { title: 'ප්‍රතිඵල ලබා ගන්න', desc: 'ඔබේ ක්‍රීඩක පැතිකඩ බලන්න' },
+      },
+      footerBefore: '',
+      footerAfter: ' මගින් බලගැන්වේ • පරිශීලක අතුරුමුහුණත්වල අනාගතය',
+    },
+
+    signup: {
+      title: 'ක්‍රීඩා කිරීමට සූදානම් ද?',
+      text: 'ක්‍රීඩා ආරම්භ වීමට පෙර කෙටි සැකසුමක්!',
+      userId: 'පරිශීලක හැඳුනුම',
+      userIdPlaceholder: 'ඔබේ අනන්‍ය හැඳුනුම ඇතුළත් කරන්න',
+      useSuggested: 'යෝජිත හැඳුනුම භාවිත කරන්න: ',
+      userIdHelp: 'ඔබේ ප්‍රගතිය සොයා බැලීමට මෙම හැඳුනුම භාවිත වේ',
+      age: 'වයස',
+      agePlaceholder: 'ඔබේ වයස ඇතුළත් කරන්න',
+      gender: 'ස්ත්‍රී/පුරුෂ භාවය',
+      genders: {
+        male: 'පුරුෂ',
+        female: 'ස්ත්‍රී',
+        other: 'වෙනත්',
+        undisclosed: 'පැවසීමට අකමැතියි',
+      },
+      privacyTitle: 'ඔබේ පෞද්ගලිකත්වය ආරක්ෂිතයි',
+      privacy: 'ක්‍රීඩා වැඩිදියුණු කිරීමට පමණි! සියල්ල නිර්නාමිකව පවතී.',
+      submitting: 'ක්‍රීඩා පූරණය වෙමින්...',
+      submit: 'ක්‍රීඩා කිරීම අරඹන්න!',
+      required: ' අනිවාර්ය ක්ෂේත්‍ර',
+      errors: {
+        userIdRequired: 'පරිශීලක හැඳුනුම අවශ්‍යයි',
+        userIdShort: 'පරිශීලක හැඳුනුම අවම වශයෙන් අක්ෂර 2ක් විය යුතුය',
+        userIdTaken: 'මෙම පරිශීලක හැඳුනුම දැනටමත් භාවිතයේ ඇත',
+        userIdTakenChoose: 'මෙම පරිශීලක හැඳුනුම දැනටමත් භාවිතයේ ඇත. කරුණාකර වෙනත් එකක් තෝරන්න.',
+        ageRequired: 'වයස අවශ්‍යයි',
+        ageInvalid: 'සහභාගී වීමට ඔබ වයස අවුරුදු 18 හෝ ඊට වැඩි විය යුතුය',
+        genderRequired: 'කරුණාකර ස්ත්‍රී/පුරුෂ භාවය තෝරන්න',
+        submit: 'තොරතුරු සුරැකීමට නොහැකි විය. කරුණාකර නැවත උත්සාහ කරන්න.',
+      },
+    },
+
+    layout: {
+      home: 'මුල් පිටුව',
+      footer: 'මනස් ක්‍රීඩා 🎮',
+    },
+
+    results: {
+      loadingTitle: 'ප්‍රතිඵල පූරණය වෙමින්',
+      loading: 'ඔබේ තක්සේරු ප්‍රතිඵල ලබා ගනිමින්...',
+      title: 'ප්‍රතිඵල',
+      loadFailed: 'ප්‍රතිඵල පූරණය කිරීමට නොහැකි විය. කරුණාකර නැවත උත්සාහ කරන්න.',
+      errorTitle: 'ප්‍රතිඵල පූරණය කිරීමේ දෝෂයකි',
+      returnHome: 'මුල් පිටුවට යන්න',
+      pageTitle: 'තක්සේරු ප්‍රතිඵල',
+      session: 'සැසි තොරතුරු',
+      sessionId: 'සැසි හැඳුනුම: {id}',
+      modulesCompleted: 'අවසන් කළ කොටස්',
+      perceptionLab: 'සංජානන විද්‍යාගාරය',
+      colorTest: 'වර්ණ අන්ධතා පරීක්ෂණය',
+      score: 'ලකුණු',
+      diagnosis: 'නිර්ණය',
+      acuityTest: 'දෘෂ්ටි තියුණුතා පරීක්ෂණය',
+      snellen: 'Snellen ඇස්තමේන්තුව',
+      rating: 'ශ්‍රේණිය',
+      ratings: {
+        perfect: '20/20 (පරිපූර්ණ)',
+        near_perfect: '20/25 (පරිපූර්ණයට ආසන්න)',
+        normal: '20/40 (සාමාන්‍ය)',
+        below_average: '20/60+ (සාමාන්‍යයට අඩු)',
+        at_least: '{snellen} හෝ ඊට වඩා හොඳ (මෙම තිරයට පෙන්විය හැකි කුඩාම පේළිය)',
+      },
+      size: 'ප්‍රමාණය',
+      mar: 'MAR',
+      knowledgeConsole: 'දැනුම් කොන්සෝලය',
+      literacyScore: 'පරිගණක සාක්ෂරතා ලකුණු',
+      correct: '{total} න් {correct} ක් නිවැරදියි',
+      categories: 'ප්‍රවර්ග අනුව',
+      confidence: {
+        title: 'පිළිතුරු විශ්වාසය',
+        confidence: 'විශ්වාසය',
+        guesses: 'අනුමාන විය හැකි',
+        guessesValue: 'නිවැරදි {right} න් {guesses} ක්',
+        firstMove: 'පළමු චලනය',
+        category: 'වෙනස් කළ {changed} · අනුමාන {guessed}',
+      },
+      reactionLab: 'ප්‍රතික්‍රියා විද්‍යාගාරය',
+      motorDone: 'චාලක කුසලතා තක්සේරුව අවසන්. ඔබේ අන්තර්ක්‍රියා දත්ත විශ්ලේෂණය සඳහා සටහන් කර ඇත.',
+      status: 'තත්ත්වය',
+      collected: '✓ දත්ත එකතු කළා',
+      motorNote: 'සටහන: මෙම කොටස අන්තර්ක්‍රියා පමණක් සටහන් කරයි. අවසාන ලකුණක් ගණනය නොකෙරේ.',
+      back: '← මුල් පිටුවට',
+      print: '🖨️ ප්‍රතිඵල මුද්‍රණය කරන්න',
+      noticeTitle: '⚠️ වැදගත් දැන්වීම',
+      notice: 'මෙම ප්‍රතිඵල පර්යේෂණ සහ මූලික පරීක්ෂා අරමුණු සඳහා පමණි. මේවා වෛද්‍ය රෝග විනිශ්චයක් නොවේ. ඔබේ දෘෂ්ටිය හෝ සංජානන හැකියාව ගැන සැලකිලිමත් නම්, සුදුසුකම් ලත් සෞඛ්‍ය වෘත්තිකයෙකුගෙන් උපදෙස් ලබා ගන්න.',
+    },
+  },
+
+  questions: {
+    q1: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? 🔍',
+      options: ['සෙවීම', 'නැවුම් කිරීම', 'බෙදා ගැනීම', 'විශාලනය අඩු කිරීම'],
+    },
+    q2: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? ⚙️',
+      options: ['උඩුගත කිරීම', 'සැකසුම්', 'උදව්', 'සුරැකීම'],
+    },
+    q3: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? 🗑️',
+      options: ['සංරක්ෂණය කිරීම', 'මකා දැමීම', 'බාගත කිරීම', 'පිටපත් කිරීම'],
+    },
+    q4: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? 💾',
+      options: ['විවෘත කිරීම', 'සුරැකීම', 'උඩුගත කිරීම', 'බෙදා ගැනීම'],
+    },
+    q5: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? ⬇️',
+      options: ['අනුචලනය', 'බාගත කිරීම', 'හකුළුවීම', 'අවම කිරීම'],
+    },
+    q6: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? ❓',
+      options: ['දෝෂය', 'උදව් / තොරතුරු', 'අවවාදය', 'ඉවත් වීම'],
+    },
+    q7: {
+      question: 'බ්‍රවුසරයක් (browser) යනු කුමක් ද?',
+      options: ['වෙබ් අඩවියක්', 'වෙබ් අඩවි බැලීමට භාවිත කරන වැඩසටහනක්', 'පරිගණක වෛරසයක්', 'ගබඩා උපාංගයක්'],
+    },
+    q8: {
+      question: 'වෙබ් අඩවියක ඇති සබැඳියක් (link) යනු කුමක් ද?',
+      options: ['ගොනුවක්', 'වෙනත් පිටුවක් විවෘත කරන, ක්ලික් කළ හැකි පෙළක් හෝ රූපයක්', 'මුරපදයක්', 'සැකසුමක්'],
+    },
+    q9: {
+      question: 'වෙබ් බ්‍රවුසරයක ටැබයක් (tab) යනු කුමක් ද?',
+      options: ['සුරැකි ගොනුවක්', 'බ්‍රවුසර කවුළුව තුළ විවෘතව ඇති එක් පිටුවක්', 'මෙනුවක්', 'සෙවුම් ප්‍රතිඵලයක්'],
+    },
+    q10: {
+      question: 'බාගත කිරීම (download) යන්නෙහි අදහස කුමක් ද?',
+      options: ['අන්තර්ජාලයට ගොනුවක් යැවීම', 'අන්තර්ජාලයේ සිට ඔබේ උපාංගයට දත්ත පිටපත් කිරීම', 'වෙබ් අඩවියක් විවෘත කිරීම', 'ලේඛනයක් මුද්‍රණය කිරීම'],
+    },
+    q11: {
+      question: 'පරිශීලක අතුරුමුහුණතක ඇති අයිකනයක් (icon) යනු කුමක් ද?',
+      options: ['කාර්යයක් හෝ යෙදුමක් නිරූපණය කරන රූපයක්', 'පද්ධති දෝෂයක්', 'යතුරුපුවරු කෙටිමඟක්', 'ගොනු වර්ගයක්'],
+    },
+    q12: {
+      question: 'මෘදුකාංගයක ඇති මෙනුවක් (menu) යනු කුමක් ද?',
+      options: ['උදව් ලේඛනයක්', 'කළ හැකි ක්‍රියා හෝ විකල්ප ලැයිස්තුවක්', 'වෙබ් අඩවියක්', 'ගොනුවක්'],
+    },
+    q13: {
+      question: 'සබැඳියක් ක්ලික් කළ විට සාමාන්‍යයෙන් සිදු වන්නේ කුමක් ද?',
+      options: ['පරිගණකය ක්‍රියා විරහිත වේ', 'වෙනත් පිටුවක් හෝ අන්තර්ගතයක් විවෘත වේ', 'ගොනුවක් මැකී යයි', 'කිසිවක් සිදු නොවේ'],
+    },
+    q14: {
+      question: 'පිරික්සුම් කොටුවක් (checkbox) මඟින් ඔබට කළ හැක්කේ කුමක් ද?',
+      options: ['පෙළ ඇතුළත් කිරීම', 'විකල්පයක් සක්‍රිය හෝ අක්‍රිය කිරීම', 'ගොනුවක් බාගත කිරීම', 'කවුළුවක් වැසීම'],
+    },
+    q15: {
+      question: 'පතන මෙනුවක් (dropdown menu) කරන්නේ කුමක් ද?',
+      options: ['අන්තර්ගතය මකා දමයි', 'ක්ලික් කළ විට සැඟවුණු විකල්ප පෙන්වයි', 'පිටුව නැවුම් කරයි', 'නව කවුළුවක් විවෘත කරයි'],
+    },
+    q16: {
+      question: 'වෙබ් ලිපිනයක් අසල ඇති අගුල 🔒 සාමාන්‍යයෙන් අදහස් කරන්නේ කුමක් ද?',
+      options: ['වෙබ් අඩවිය වසා ඇත', 'වෙබ් අඩවියට ඇති සම්බන්ධතාව සංකේතනය කර ඇත', 'ඔබ ගිණුමෙන් ඉවත් වී ඇත', 'පිටුව වෙනස් කළ නොහැක'],
+    },
+    q17: {
+      question: 'සිරස්ව තැබූ තිත් තුනක් ⋮ ඇති බොත්තමකින් සාමාන්‍යයෙන් විවෘත වන්නේ කුමක් ද?',
+      options: ['තවත් විකල්ප', 'පූරණය වන තිරයක්', 'ඊළඟ පිටුව', 'ඇදගෙන යාමේ හසුරුවක්'],
+    },
+    q18: {
+      question: 'තිරස් රේඛා තුනක් ☰ ඇති බොත්තමකින් සාමාන්‍යයෙන් විවෘත වන්නේ කුමක් ද?',
+      options: ['පෙළ පෙළගැස්ම', 'සංචාලන මෙනුව', 'දැනුම්දීම් ලැයිස්තුවක්', 'මුද්‍රණ සංවාදය'],
+    },
+    q19: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? 📎',
+      options: ['ගොනුවක් අමුණන්න', 'පණිවිඩයක් ඉහළින් රඳවන්න', 'පෙළ පිටපත් කරන්න', 'පිටුවකට පිටු සලකුණක් යොදන්න'],
+    },
+    q20: {
+      question: 'මෙම සංකේතයෙන් සාමාන්‍යයෙන් නිරූපණය වන්නේ කුමක් ද? 🔄',
+      options: ['නැවුම් කිරීම හෝ සමමුහුර්ත කිරීම', 'අහෝසි කිරීම', 'තිරය කරකැවීම', 'ගීතයක් නැවත වාදනය කිරීම'],
+    },
+    q21: {
+      question: 'සබැඳියක් අසල ඉහළට සහ දකුණට යොමු වූ කුඩා ඊතලයක් ↗ සාමාන්‍යයෙන් අදහස් කරන්නේ එම සබැඳිය…',
+      options: ['පිටුවේ ඉහළට යන බව', 'වෙනත් වෙබ් අඩවියක් හෝ නව කවුළුවක් විවෘත කරන බව', 'ගොනුවක් බාගත කරන බව', 'ක්‍රියා නොකරන බව'],
+    },
+    q22: {
+      question: 'යෙදුමක මෙම සංකේතයෙන් සාමාන්‍යයෙන් අදහස් වන්නේ කුමක් ද? 🔕',
+      options: ['යෙදුම වසා ඇත', 'දැනුම්දීම් නිහඬ කර ඇත', 'ශබ්දය උපරිමයේ ඇත', 'එලාමයක් සකසා ඇත'],
+    },
+    q23: {
+      question: 'ගොනු නාමයක් අසල ඇති වලාකුළු සංකේතයක් ☁️ සාමාන්‍යයෙන් අදහස් කරන්නේ එම ගොනුව…',
+      options: ['හානි වී ඇති බව', 'අන්තර්ජාලයේ ගබඩා කර ඇති අතර බාගත කිරීමට අවශ්‍ය විය හැකි බව', 'මුද්‍රණය වෙමින් පවතින බව', 'සැමට බෙදා දී ඇති බව'],
+    },
+    q24: {
+      question: 'URL එකක් යනු කුමක් ද?',
+      options: ['වෙබ් පිටුවක ලිපිනය', 'වෛරස් වර්ගයක්', 'සුරැකි මුරපදයක්', 'ඊමේල් වර්ගයක්'],
+    },
+    q25: {
+      question: 'යෙදුමක් යාවත්කාලීන (update) කිරීම යන්නෙහි අදහස කුමක් ද?',
+      options: ['එහි දත්ත මකා දැමීම', 'නිවැරදි කිරීම් හෝ නව විශේෂාංග සහිත නවතම අනුවාදය ස්ථාපනය කිරීම', 'එය වෙනත් උපාංගයකට ගෙන යාම', 'යෙදුම් වෙළඳසැලේ එය ශ්‍රේණිගත කිරීම'],
+    },
+    q26: {
+      question: 'PDF එකක් යනු කුමක් ද?',
+      options: ['ඕනෑම උපාංගයක එක ලෙසම පෙනෙන ලේඛන ගොනුවක්', 'ඡායාරූප සංස්කරණ වැඩසටහනක්', 'වෙබ් බ්‍රවුසරයක්', 'මුද්‍රණ යන්ත්‍ර වර්ගයක්'],
+    },
+    q27: {
+      question: 'මෙහෙයුම් පද්ධතියක් (operating system) යනු කුමක් ද?',
+      options: ['ලිපි ලිවීමේ වැඩසටහනක්', 'Windows හෝ Android වැනි, උපාංගය ක්‍රියාත්මක කරන ප්‍රධාන මෘදුකාංගය', 'සාප්පු සවාරි වෙබ් අඩවියක්', 'පරිගණකයේ තිරය'],
+    },
+    q28: {
+      question: 'යෙදුමක් සමමුහුර්ත (sync) වන බව කියන්නේ කුමක් ද?',
+      options: ['එය සංගීතය වාදනය කරයි', 'එය ඔබේ සියලු උපාංගවල එකම දත්ත යාවත්කාලීනව තබයි', 'එය ඉබේම වැසේ', 'එය පැරණි ගොනු මකා දමයි'],
+    },
+    q29: {
+      question: 'වෙබ් අඩවියක කුකී (cookie) එකක් යනු කුමක් ද?',
+      options: ['දැන්වීමක්', 'ඔබව මතක තබා ගැනීමට වෙබ් අඩවියක් ඔබේ බ්‍රවුසරයේ ගබඩා කරන කුඩා දත්ත කොටසක්', 'වෛරසයක්', 'පූරණය වීමට අසමත් වූ පිටුවක්'],
+    },
+    q30: {
+      question: 'බ්‍රවුසර හැඹිලිය (cache) යනු කුමක් ද?',
+      options: ['ඔබේ පිටු සලකුණු ලැයිස්තුව', 'වෙබ් අඩවි ඉක්මනින් පූරණය වීමට සුරැකි පිටු සහ රූපවල පිටපත්', 'බ්‍රවුසරයේ මුල් පිටුව', 'බාගත කළ ගොනු ඇති ෆෝල්ඩරයක්'],
+    },
+    q31: {
+      question: 'මුරපද කළමනාකරුවෙකු (password manager) යනු කුමක් ද?',
+      options: ['මුරපද නැවත සකසන පුද්ගලයෙක්', 'ඔබේ මුරපද ගබඩා කර ඒවා ස්වයංක්‍රීයව පුරවන යෙදුමක්', 'තහනම් මුරපද ලැයිස්තුවක්', 'වෙබ් අඩවියක පිවිසුම් පිටුව'],
+    },
+    q32: {
+      question: 'බ්‍රවුසරයේ ආපසු (back) බොත්තම කරන්නේ කුමක් ද?',
+      options: ['බ්‍රවුසරය වසයි', 'පෙර පිටුවට ආපසු යයි', 'පිටුව නැවත පූරණය කරයි', 'ඔබේ ඉතිහාසය විවෘත කරයි'],
+    },
+    q33: {
+      question: 'ස්පර්ශ තිරයක, ඡායාරූපයක් මත ඇඟිලි දෙකක් ඈත් කළ විට සිදු වන්නේ කුමක් ද?',
+      options: ['එය මැකී යයි', 'එය විශාලනය වේ', 'එය බෙදා ගැනේ', 'එය කරකැවේ'],
+    },
+    q34: {
+      question: 'අළු පැහැයෙන් දිස් වන (greyed-out) බොත්තමකින් සාමාන්‍යයෙන් අදහස් වන්නේ කුමක් ද?',
+      options: ['එය පෙරනිමි තේරීම බව', 'එය දැනට භාවිත කළ නොහැකි බව', 'එය දැනටමත් ක්ලික් කර ඇති බව', 'එය පූරණය වෙමින් පවතින බව'],
+    },
+    q35: {
+      question: '"යවන්න" (Submit) එබීමෙන් පසු පෝරමයක එක් කොටුවක් රතු පැහැයට හැරේ. එයින් සාමාන්‍යයෙන් අදහස් වන්නේ කුමක් ද?',
+      options: ['පෝරමය යවා ඇත', 'එම කොටුව හිස් හෝ වැරදියට පුරවා ඇත', 'එම කොටුව අනිවාර්ය නොවේ', 'පිටුව වැසීමට ආසන්නයි'],
+    },
+    q36: {
+      question: 'ගොනුවක් ෆෝල්ඩරයක් මතට ඇදගෙන ගිය විට සාමාන්‍යයෙන් සිදු වන්නේ කුමක් ද?',
+      options: ['ගොනුව මැකී යයි', 'ගොනුව ෆෝල්ඩරය තුළට ගෙන යයි හෝ පිටපත් වේ', 'ෆෝල්ඩරය නැවත නම් කෙරේ', 'ගොනුව මුද්‍රණය වේ'],
+    },
+    q37: {
+      question: 'යමක් මත දකුණු-ක්ලික් (right-click) කළ විට සාමාන්‍යයෙන් සිදු වන්නේ කුමක් ද?',
+      options: ['එය මැකී යයි', 'ඒ සඳහා කළ හැකි ක්‍රියා මෙනුවක් විවෘත වේ', 'සියලු අයිතම තේරේ', 'කවුළුව වැසේ'],
+    },
+    q38: {
+      question: 'Ctrl+Z (Mac හි ⌘+Z) සාමාන්‍යයෙන් කරන්නේ කුමක් ද?',
+      options: ['විශාලනය කිරීම', 'අවසන් ක්‍රියාව අහෝසි කිරීම', 'ගොනුව සුරැකීම', 'වැඩසටහන වැසීම'],
+    },
+    q39: {
+      question: 'වෙබ් බ්‍රවුසරයක Ctrl+F (Mac හි ⌘+F) කරන්නේ කුමක් ද?',
+      options: ['ඔබේ ප්‍රියතම දෑ විවෘත කරයි', 'පිටුවේ වචන සොයයි', 'පිටුව සම්පූර්ණ තිරයට පත් කරයි', 'පිටුව ඊමේල් මඟින් යොමු කරයි'],
+    },
+    q40: {
+      question: 'මෙම මුරපද අතරින් වඩාත්ම ශක්තිමත් වන්නේ කුමක් ද?',
+      options: ['password123', 'Sunday', 'blue-Kettle-42-river', '12345678'],
+    },
+    q41: {
+      question: 'පොදු පරිගණකයක් භාවිත කර අවසන් වූ විට ඔබ කළ යුත්තේ කුමක් ද?',
+      options: ['තිරයේ දීප්තිය අඩු කිරීම', 'ඔබේ ගිණුම්වලින් ඉවත් වීම (sign out)', 'ප්‍රතිචක්‍රීකරණ බඳුන හිස් කිරීම', 'බ්‍රවුසර ටැබය පමණක් වැසීම'],
+    },
+    q42: {
+      question: 'තතුබෑම් (phishing) පණිවිඩයක් යනු කුමක් ද?',
+      options: ['මසුන් ඇල්ලීමේ සමාජයකින් එන පණිවිඩයක්', 'පුද්ගලික තොරතුරු ලබා දීමට ඔබව රැවටීමට උත්සාහ කරන ව්‍යාජ පණිවිඩයක්', 'දෙවරක් යවන ලද පණිවිඩයක්', 'විශාල ඇමුණුමක් සහිත පණිවිඩයක්'],
+    },
+    q43: {
+      question: 'ඔබේ බැංකු ගිණුම අවහිර කර ඇති බව පවසන ඊමේල් එකක්, එහි ඇති සබැඳිය හරහා පිවිසෙන ලෙස ඉල්ලයි. වඩාත්ම ආරක්ෂිත දේ කුමක් ද?',
+      options: ['සබැඳිය ක්ලික් කර ඉක්මනින් පිවිසීම', 'ඔබේ ගිණුම් අංකය සමඟ පිළිතුරු යැවීම', 'ඒ වෙනුවට බැංකුවේ වෙබ් අඩවියට හෝ යෙදුමට ඔබම යාම', 'එය මිතුරන්ට යොමු කිරීම'],
+    },
+    q44: {
+      question: 'ඔබේ පරිගණකයේ වෛරසයක් ඇති බවත් දුරකථන අංකයකට ඇමතිය යුතු බවත් උත්පතන (pop-up) පණිවිඩයක් පවසයි. එය බොහෝ විට කුමක් ද?',
+      options: ['ඔබේ පරිගණකයෙන් එන සැබෑ අවවාදයක්', 'වංචාවක්', 'ඔබේ අන්තර්ජාල සේවා සපයන්නාගෙන් එන පණිවිඩයක්', 'මෘදුකාංග යාවත්කාලීනයක්'],
+    },
+    q45: {
+      question: 'සාධක දෙකේ සත්‍යාපනය (two-factor authentication) යනු කුමක් ද?',
+      options: ['වෙනස් බ්‍රවුසර දෙකක් භාවිත කිරීම', 'ඔබේ මුරපදයට අමතරව, ඔබේ දුරකථනයට එවන කේතයක් වැනි දෙවන පරීක්ෂාවකින් පිවිසීම', 'ඊමේල් ලිපින දෙකක් තිබීම', 'ඔබේ මුරපදය දෙවරක් ටයිප් කිරීම'],
+    },
+    t1: {
+      question: 'මෙම යෙදුමේ සැකසුම් විවෘත කරන්න.',
+    },
+    t2: {
+      question: 'මෙම උදව් පිටුවේ ඇති "අප අමතන්න" බොත්තම සොයා එය ඔබන්න.',
+    },
+    t3: {
+      question: 'Sam Lee යන නමින් සහ sam@example.com ඊමේල් ලිපිනයෙන් ලියාපදිංචි වී, නියමයන්ට එකඟ වී පෝරමය යවන්න.',
+    },
+    t4: {
+      question: 'beach.jpg ඡායාරූපය "පින්තූර" ෆෝල්ඩරයට ගෙන යන්න.',
+    },
+  },
+
+  passages: {
+    r1: {
+      title: 'මියාගේ ඡායාරූපය',
+      text: 'මියාට අලුත් රතු දුරකථනයක් ඇති අතර, ඇය සෑම දිනකම ඇගේ අම්මාට කතා කිරීමට එය භාවිත කරයි. ඉරිදා ඇය අව්වේ වාඩි වී සිටි ඇගේ බල්ලා වන මැක්ස්ගේ ඡායාරූපයක් ගත්තාය. මියා එම ඡායාරූපය ඇගේ යහළුවා වන ටොම්ට යැව්වාය. එය ඉතා හොඳ ඡායාරූපයක් බව ටොම් කීවේය. දැන් ඇය දුරකථනය ක්‍රියාත්මක කරන සෑම විටම එම ඡායාරූපය දකියි. මැක්ස් දෙස බලන විට ඇය සිනාසෙයි.',
+      questions: {
+        r1q1: {
+          question: 'මියාගේ දුරකථනය කුමන වර්ණයෙන් ද?',
+          options: ['නිල්', 'රතු', 'කළු', 'සුදු'],
+        },
+        r1q2: {
+          question: 'මැක්ස් කවුද?',
+          options: ['මියාගේ සහෝදරයා', 'මියාගේ යහළුවා', 'මියාගේ බල්ලා', 'මියාගේ පූසා'],
+        },
+        r1q3: {
+          question: 'මියා ඡායාරූපය යැව්වේ කාට ද?',
+          options: ['ටොම්', 'ඇගේ අම්මා', 'ඇගේ ගුරුවරයා', 'කිසිවෙකුට නැත'],
+        },
+      },
+    },
+    r2: {
+      title: 'පුස්තකාලයේ ටැබ්ලට්',
+      text: 'නගරයේ පුස්තකාලය දැන් පොත්වලට වඩා වැඩි දේ ණයට දෙයි. පුස්තකාල කාඩ්පතක් ඇති ඕනෑම අයෙකුට සති දෙකක් සඳහා ටැබ්ලට් එකක් ණයට ගත හැකිය. සෑම ටැබ්ලට් එකක් සමඟම චාජරයක් සහ අන්තර්ජාලයට සම්බන්ධ වන ආකාරය පැහැදිලි කරන කෙටි මාර්ගෝපදේශයක් ලැබේ. ටැබ්ලට් එකක් ප්‍රමාද වී ආපසු ගෙනාවොත්, පුස්තකාලය අමතර සෑම දිනකටම කුඩා ගාස්තුවක් අය කරයි. බොහෝ වැඩිහිටි අමුත්තන් ඈතින් ජීවත් වන පවුලේ අයට වීඩියෝ ඇමතුම් ලබා ගැනීමට ටැබ්ලට් භාවිත කරති. ආරම්භ කිරීමට උදව් අවශ්‍ය අය සඳහා පුස්තකාලය සෑම අඟහරුවාදා උදෑසනකම නොමිලේ පන්තියක් ද පවත්වයි.',
+      questions: {
+        r2q1: {
+          question: 'ටැබ්ලට් එකක් ණයට ගත හැක්කේ කොපමණ කාලයකට ද?',
+          options: ['දින දෙකක්', 'සතියක්', 'සති දෙකක්', 'මාසයක්'],
+        },
+        r2q2: {
+          question: 'ටැබ්ලට් එකක් ප්‍රමාද වී ආපසු ගෙනාවොත් කුමක් සිදු වේ ද?',
+          options: ['අමතර සෑම දිනකටම කුඩා ගාස්තුවක් ගෙවිය යුතුය', 'නැවත කිසි දිනෙක ණයට ගත නොහැක', 'කිසිවක් සිදු නොවේ', 'එය මිලදී ගත යුතුය'],
+        },
+        r2q3: {
+          question: 'බොහෝ වැඩිහිටි අමුත්තන් ටැබ්ලට් ණයට ගන්නේ ඇයි?',
+          options: ['ක්‍රීඩා කිරීමට', 'පොත් කියවීමට', 'නොමිලේ පන්තියට සහභාගී වීමට', 'පවුලේ අයට වීඩියෝ ඇමතුම් ලබා ගැනීමට'],
+        },
+      },
+    },
+    r3: {
+      title: 'පියවර දෙකක පිවිසුම',
+      text: 'බොහෝ මාර්ගගත ගිණුම් දැන් පියවර දෙකක සත්‍යාපනය ලබා දෙයි. ඔබේ මුරපදය ටයිප් කළ පසු, එය ඇත්තටම ඔබ බවට දෙවන සාක්ෂියක් ඉල්ලනු ලැබේ; සාමාන්‍යයෙන් එය ඔබේ දුරකථනයට එවන කෙටි කේතයකි. අපරාධකරුවන් ඔබේ මුරපදය සොරකම් කළත්, එම කේතය නොමැතිව ඔවුන්ට පිවිසිය නොහැක. සමහරුන්ට මෙම අමතර පියවර කරදරයක් ලෙස හැඟෙන නිසා ඔවුන් එය අක්‍රිය කරති. එය වැරැද්දක් බව ආරක්ෂණ විශේෂඥයෝ අනතුරු අඟවති, මන්ද සොරකම් කළ මුරපද විශාල ලැයිස්තු ලෙස විකුණනු ලබන අතර විවිධ වෙබ් අඩවි රැසක ස්වයංක්‍රීයව අත්හදා බලනු ලැබේ. මිනිත්තු කිහිපයකට වරක් වෙනස් වන එක් වරක් භාවිත කේතයක් නිසා මෙවැනි ප්‍රහාර සාර්ථක වීමේ ඉඩ බෙහෙවින් අඩු වේ.',
+      questions: {
+        r3q1: {
+          question: 'දෙවන පියවර සාමාන්‍යයෙන් කුමක් ද?',
+          options: ['දෙවන මුරපදයක්', 'ඔබේ දුරකථනයට එවන කේතයක්', 'ඔබේ මුහුණේ ඡායාරූපයක්', 'ආරක්ෂණ ප්‍රශ්නයක්'],
+        },
+        r3q2: {
+          question: 'එය අක්‍රිය කිරීම වැරැද්දක් බව විශේෂඥයන් පවසන්නේ ඇයි?',
+          options: ['සොරකම් කළ මුරපද වෙබ් අඩවි රැසක අත්හදා බලනු ලැබේ', 'කේත සඳහා කිසිදු වියදමක් නැත', 'පරිගණකවලට වඩා දුරකථන ආරක්ෂිතයි', 'එමඟින් පිවිසීම වේගවත් වේ'],
+        },
+        r3q3: {
+          question: 'මෙම ඡේදයේ ප්‍රධාන අදහස කුමක් ද?',
+          options: ['මුරපද මිනිත්තු කිහිපයකට වරක් වෙනස් විය යුතුය', 'පිවිසීමට හොඳම ක්‍රමය දුරකථනයයි', 'මුරපද සොරකම් කළ විට පවා පියවර දෙකක සත්‍යාපනය ගිණුම් ආරක්ෂා කරයි', 'අපරාධකරුවන් බොහෝ විට සොරකම් කරන්නේ දුරකථනයි'],
+        },
+      },
+    },
+    r4: {
+      title: 'ඔබ සඳහා නිර්දේශිත',
+      text: 'ඔබ ඊළඟට රසවිඳින දේ අනාවැකි කීමට, ප්‍රවාහ සේවා ඔබේ නැරඹුම් ඉතිහාසය අධ්‍යයනය කරන නිර්දේශ ඇල්ගොරිතම භාවිත කරයි. මෙම පද්ධති පහසුය. කෙසේ වෙතත්, නුහුරු අදහස් හඳුන්වා දෙනවා වෙනුවට පවතින රුචිකත්වයන් තවත් ශක්තිමත් කරමින්, මිනිසුන් සොයා ගන්නා වැඩසටහන් පරාසය ඒවා ක්‍රමයෙන් පටු කරන බව විවේචකයෝ තර්ක කරති. සමහර වේදිකා මීට ප්‍රතිචාර ලෙස අනපේක්ෂිත යෝජනා කිහිපයක් හිතාමතාම එක් කර ඇත; පර්යේෂකයෝ මෙම ක්‍රමය සැලසුම් කළ අහඹු සොයාගැනීම ලෙස හඳුන්වති. මෙය ඇත්තටම රුචිකත්වයන් පුළුල් කරන්නේ දැයි මැනීම අපහසුය, මන්ද අසාමාන්‍ය යෝජනා පිළිගන්නා නරඹන්නන් දැනටමත් සාමාන්‍යයට වඩා නව දේ අත්හදා බැලීමට කැමති අය විය හැකි බැවිනි.',
+      questions: {
+        r4q1: {
+          question: 'නිර්දේශ ඇල්ගොරිතම කරන බව විවේචකයන් පවසන්නේ කුමක් ද?',
+          options: ['දායකත්ව ගාස්තු වැඩි කරයි', 'මිනිසුන් දකින අන්තර්ගත පරාසය පටු කරයි', 'දැන්වීම් ඕනෑවට වඩා පෙන්වයි', 'නැරඹුම් ඉතිහාසය මකා දමයි'],
+        },
+        r4q2: {
+          question: "මෙහි 'සැලසුම් කළ අහඹු සොයාගැනීම' යන්නෙන් අදහස් කරන්නේ කුමක් ද?",
+          options: ['ජනප්‍රිය මාතෘකා පමණක් නිර්දේශ කිරීම', 'නරඹන දේ ශ්‍රේණිගත කරන ලෙස නරඹන්නන්ගෙන් ඉල්ලීම', 'අනපේක්ෂිත යෝජනා හිතාමතාම එක් කිරීම', 'පැරණි වැඩසටහන් ඉවත් කිරීම'],
+        },
+        r4q3: {
+          question: 'මෙම යෝජනාවල බලපෑම මැනීම අපහසු ඇයි?',
+          options: ['වේදිකා නැරඹුම් ඉතිහාසය තබා නොගනී', 'ඒවා පිළිගන්නා අය දැනටමත් නව දේ අත්හදා බැලීමට කැමති අය විය හැක', 'නරඹන්නන් තම දායකත්වය අවලංගු කරති', 'ඇල්ගොරිතම සෑම දිනකම වෙනස් වේ'],
+        },
+      },
+    },
+    r5: {
+      title: 'පිරික්සුම් ලැයිස්තුවෙන් ඔබ්බට',
+      text: 'රාජ්‍ය ආයතනවල ඩිජිටල් සේවා පිළිගත් තාක්ෂණික ප්‍රමිතීන්ට අනුකූල කළ යුතු බව ප්‍රවේශ්‍යතා නීති වැඩි වැඩියෙන් නියම කරයි. කෙසේ වෙතත්, අනුකූලතාව බොහෝ විට සලකනු ලබන්නේ ක්‍රියාපටිපාටිමය අභ්‍යාසයක් ලෙසය. ස්වයංක්‍රීය ඇගයීම් මෙවලම් විකල්ප පෙළ හෝ වර්ණ වෙනස් අනුපාත වැනි මැනිය හැකි ලක්ෂණ තහවුරු කරයි; එහෙත් සහායක තාක්ෂණය භාවිත කරන කෙනෙකුට අතුරුමුහුණතක් සැබවින්ම තේරුම් ගත හැකි දැයි ඒවාට තීරණය කළ නොහැක. එහි ප්‍රතිඵලයක් ලෙස, වෙබ් අඩවියක් මැනිය හැකි සෑම නිර්ණායකයක්ම සපුරාලමින් ප්‍රායෝගිකව භාවිත කළ නොහැකි ලෙස පැවතිය හැකිය. එබැවින් අනුකූලතා පරීක්ෂාවට අමතරව, කිසිදු පූර්ව නිශ්චිත පිරික්සුම් ලැයිස්තුවකට අපේක්ෂා කළ නොහැකි ගැටලු තම ජීවන අත්දැකීමෙන් හෙළි කරන ආබාධිත සහභාගිවන්නන් සමඟ නැවත නැවතත් ඇගයීම් කළ යුතු බව උපදේශකයෝ තර්ක කරති.',
+      questions: {
+        r5q1: {
+          question: 'ඡේදයේ විස්තර කරන ස්වයංක්‍රීය මෙවලම්වල සීමාව කුමක් ද?',
+          options: ['රාජ්‍ය ආයතනවලට ඒවා ඉතා මිල අධිකයි', 'ඒවා වර්ණ වෙනස නොසලකා හරියි', 'අතුරුමුහුණතක් සැබවින්ම තේරුම් ගත හැකි දැයි ඒවාට විනිශ්චය කළ නොහැක', 'ඒවා ක්‍රියා කරන්නේ රජයේ වෙබ් අඩවිවල පමණි'],
+        },
+        r5q2: {
+          question: "අනුකූලතාව 'ක්‍රියාපටිපාටිමය අභ්‍යාසයක්' ලෙස හැඳින්වීමෙන් ඇඟවෙන්නේ එය බොහෝ විට...",
+          options: ['සේවා භාවිත කළ හැකි කිරීම වෙනුවට කොටු සලකුණු කිරීමක් බවයි', 'සැබෑ පරිශීලකයන් සමඟ කරන සවිස්තර අධ්‍යයනයක් බවයි', 'නීතිමය දඬුවමක් බවයි', 'වෙබ් අඩවි සෑදීමේ වේගවත් ක්‍රමයක් බවයි'],
+        },
+        r5q3: {
+          question: 'උපදේශකයන් නිර්දේශ කරන්නේ කුමක් ද?',
+          options: ['නීති වෙනුවට පිරික්සුම් ලැයිස්තු යෙදීම', 'ආබාධිත සහභාගිවන්නන් සමඟ ද පරීක්ෂා කිරීම', 'ස්වයංක්‍රීය මෙවලම් සම්පූර්ණයෙන්ම අත්හැරීම', 'තවත් විකල්ප පෙළ එක් කිරීම'],
+        },
+      },
+    },
+  },
+};
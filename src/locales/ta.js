@@ -0,0 +1,806 @@
+/**
+ * Tamil - தமிழ்
+ * Question `options` are in the same order as the English options in literacyQuestions.js,
+ * and passage question `options` in the same order as in readingAssessment.js.
+ */
+
+export default {
+  meta: { code: 'ta', name: 'தமிழ்', dir: 'ltr' },
+
+  strings: {
+    language: {
+      label: 'மொழி',
+    },
+
+    intro: {
+      tagline: 'மூளை விளையாட்டுகள்',
+      welcomeBefore: 'வருக ',
+      welcomeAfter: '!',
+      returning: 'முதல் முறையா? {count} சிறிய விளையாட்டுகள் உங்களுக்காகக் காத்திருக்கின்றன!',
+      readyTitle: 'சவாலுக்குத் தயாரா?',
+      readyText: '{count} சிறிய விளையாட்டுகள் உங்களுக்காகக் காத்திருக்கின்றன! மறைந்திருக்கும் வடிவங்களைக் கண்டறியுங்கள், உங்கள் கவனத்தைச் சோதியுங்கள், மங்கும் எழுத்துகளை அடையாளம் காணுங்கள், மின்னல் வேகத்தில் குமிழ்களை உடையுங்கள், உங்கள் டிஜிட்டல் அறிவை நிரூபியுங்கள், சில சிறு பத்திகளைப் படியுங்கள்.',
+      games: {
+        pattern: { name: 'வடிவ வேட்டை', desc: 'மறைந்த எண்களைக் கண்டறியுங்கள்' },
+        eagle: { name: 'கழுகுப் பார்வை', desc: 'சுருங்கும் சவால்' },
+        fade: { name: 'மங்கல்', desc: 'மங்கிய எழுத்துகள்' },
+        bubble: { name: 'குமிழ் உடைப்பு', desc: 'வேகமும் துல்லியமும்' },
+        quiz: { name: 'விரைவுச் சிந்தனை', desc: 'டிஜிட்டல் வினாடி வினா' },
+        reading: { name: 'பக்கம் புரட்டு', desc: 'படித்து நினைவுகூருங்கள்' },
+      },
+      howItWorks: 'இது எப்படி வேலை செய்கிறது',
+      steps: {
+        play: { title: '{count} சிறு விளையாட்டுகளை விளையாடுங்கள்', desc: 'சில நொடிகளில் முடியும், வேடிக்கையான சிறிய சவால்கள்' },
+        streak: { title: 'தொடர் வெற்றியை உருவாக்குங்கள்', desc: 'தொடர்ந்து சரியான பதில்களுக்குக் கூடுதல் புள்ளிகள்' },
+        skills: { title: 'திறன்களைத் திறவுங்கள்', desc: 'விளையாட்டுகளை முடிக்கும்போது பதக்கங்களைப் பெறுங்கள்' },
+        results: { title: 'உங்கள் முடிவுகளைப் பாருங்கள்', desc: 'உங்களுக்கான தனிப்பட்ட வீரர் சுயவிவரத்தைப் பெறுங்கள்' },
+      },
+      timeBefore: 'விளையாட ',
+      timeValue: '5 நிமிடங்கள்',
+      timeAfter: ' மட்டுமே',
+      start: 'விளையாடுவோம்!',
+      privacy: 'உங்கள் விளையாட்டு எங்கள் விளையாட்டுகளை மேம்படுத்த உதவுகிறது. எல்லாத் தரவும் அநாமதேயமானது.',
+    },
+
+    flow: {
+      subtitle: 'டிஜிட்டல் சுயவிவரம்',
+      player: 'வீரர்:',
+      footer: 'விளையாட்டு {current} / {total} • தானாகச் சேமிக்கப்பட்டது 💾',
+    },
+
+    color: {
+      badge: 'வடிவம் {current} / {total}',
+      title: 'வடிவ வேட்டை',
+      prompt: 'புள்ளிகளுக்குள் மறைந்திருக்கும் எண்ணைக் கண்டுபிடிக்க முடிகிறதா?',
+      plateAlt: 'வண்ணத் தட்டு {id}',
+      placeholder: 'நீங்கள் பார்க்கும் எண்ணை உள்ளிடுங்கள்',
+      nothing: 'எனக்கு எதுவும் தெரியவில்லை',
+      next: 'அடுத்து',
+      complete: 'முடி',
+      arrangementBadge: 'வண்ண வரிசை',
+      arrangementTitle: 'வானவில் வரிசை',
+      arrangementPrompt: 'ஒவ்வொரு வண்ணமும் அதற்கு முந்தைய வண்ணத்துக்கு மிக நெருக்கமாக இருக்கும்படி வண்ணங்களை வரிசைப்படுத்துங்கள்',
+      arrangementCap: 'வண்ண மூடி {cap}',
+      arrangementStart: 'தொடக்கம்',
+      arrangementHint: 'தொடக்க மூடிக்கு மிக நெருக்கமான வண்ணத்தை அதன் அருகில் வையுங்கள்',
+      arrangementDone: 'எல்லா மூடிகளும் வைக்கப்பட்டன - வரிசையைச் சரிபார்த்து முடியுங்கள்',
+      display: {
+        badge: 'சோதனை {current} / {total}',
+        results: 'முடிவுகள்',
+        title: 'திரைச் சோதனை',
+        text: 'உங்கள் திரை வண்ணங்களைச் சரியாகக் காட்டுகிறதா என்பதை உறுதிசெய்ய சில விரைவுக் கேள்விகள்',
+        swatches: {
+          hue: 'இந்தச் சதுரம் என்ன வண்ணம்?',
+          white_point: 'இந்தச் சதுரம் உங்களுக்கு எப்படித் தெரிகிறது?',
+          dark_steps: 'கருப்புப் பட்டையில் எத்தனை சதுரங்கள் தெரிகின்றன?',
+          light_steps: 'வெள்ளைப் பட்டையில் எத்தனை சதுரங்கள் தெரிகின்றன?',
+        },
+        options: {
+          yellow: 'மஞ்சள்',
+          blue: 'நீலம்',
+          other: 'வேறு வண்ணம்',
+          white: 'சாதாரண வெள்ளை',
+          warm: 'மஞ்சள் அல்லது ஆரஞ்சு சாயல்',
+          cool: 'நீலச் சாயல்',
+        },
+        issuesTitle: 'உங்கள் திரை வண்ணங்களை மாற்றிக் காட்டக்கூடும்:',
+        advice: {
+          inverted_colors: 'அணுகல்தன்மை அமைப்புகளில் வண்ணத் தலைகீழாக்கம் அல்லது "smart invert" ஐ அணைக்கவும்',
+          forced_colors: 'உயர் மாறுபாடு (high-contrast) அல்லது கட்டாய வண்ணப் பயன்முறையை அணைக்கவும்',
+          night_light: 'Night Shift, Night Light அல்லது எந்த நீல ஒளி வடிகட்டியையும் அணைக்கவும்',
+          tinted: 'வண்ண வடிகட்டிகள் அல்லது "vivid" வண்ணப் பயன்முறைகளை அணைத்து, திரையை அதன் நிலையான வண்ணச் சுயவிவரத்துக்கு மீட்டமைக்கவும்',
+          low_brightness: 'திரையின் ஒளிர்வை அதிகரிக்கவும்',
+          washed_out: 'ஒளிர்வைச் சற்றுக் குறைக்கவும், அல்லது கண்கூச்சத்திலிருந்து விலகவும்',
+        },
+        continueAnyway: 'எப்படியும் தொடரவும்',
+        checkAgain: 'மீண்டும் சரிபார்',
+      },
+    },
+
+    acuity: {
+      prompts: {
+        tumblingE: 'E எழுத்தின் கோடுகள் எந்தத் திசையைக் காட்டுகின்றன?',
+        landoltC: 'வளையத்தின் எந்தப் பக்கம் திறந்திருக்கிறது?',
+        digits: 'எவ்வளவு சிறியதுவரை பார்க்க முடியும்? சுருங்கும் எண்ணைக் கண்டறியுங்கள்!',
+      },
+      eyes: {
+        left: {
+          label: 'இடது கண்',
+          title: 'உங்கள் வலது கண்ணை மூடுங்கள்',
+          text: 'அழுத்தாமல், உங்கள் வலது உள்ளங்கையால் வலது கண்ணை மூடுங்கள். கையின் பின்னால் இரு கண்களையும் திறந்தே வைத்திருங்கள்.',
+        },
+        right: {
+          label: 'வலது கண்',
+          title: 'இப்போது உங்கள் இடது கண்ணை மூடுங்கள்',
+          text: 'கையை மாற்றுங்கள்: அழுத்தாமல், உங்கள் இடது உள்ளங்கையால் இடது கண்ணை மூடுங்கள். கையின் பின்னால் இரு கண்களையும் திறந்தே வைத்திருங்கள்.',
+        },
+        both: {
+          label: 'இரு கண்களும்',
+          title: 'இரு கண்களையும் திறவுங்கள்',
+          text: 'கடைசிச் சுற்றுக்கு, கையைக் கீழே இறக்கி இரு கண்களாலும் திரையைப் பாருங்கள்.',
+        },
+      },
+      setup: {
+        badge: 'தூர அமைப்பு',
+        title: 'சரியாக அமருங்கள்',
+        text: 'துல்லியமான முடிவுகளுக்கு, சோதனை முழுவதும் சரியான பார்வைத் தூரத்தைப் பேணுங்கள்.',
+        armsLengthApprox: '≈ ஒரு கை நீளம்',
+        arm: { title: 'ஒரு கை நீளம்', text: 'உங்கள் கையை நீட்டுங்கள் - விரல் நுனிகள் திரையைக் கிட்டத்தட்டத் தொட வேண்டும்' },
+        seated: { title: 'அமர்ந்தே இருங்கள்', text: 'சோதனையின்போது முன்னால் சாய வேண்டாம் - உங்கள் நிலையைப் பேணுங்கள்' },
+        glasses: { title: 'கண்ணாடி அணிகிறீர்களா?', text: 'திரையைப் பார்க்க வழக்கமாக அணிந்தால், கண்ணாடியைக் கழற்ற வேண்டாம்' },
+        eachEye: { title: 'ஒவ்வொரு கண்ணையும் சோதியுங்கள்', text: 'இடது கண், வலது கண், பிறகு இரு கண்களையும் சோதியுங்கள் (ஏறக்குறைய மூன்று மடங்கு நேரம் எடுக்கும்)' },
+        useSaved: '💾 சேமித்த அளவீட்டைப் பயன்படுத்து - நான் {distance}cm தொலைவில் இருக்கிறேன்',
+        start: 'நான் {distance}cm தொலைவில் இருக்கிறேன் - சோதனையைத் தொடங்கு',
+        calibrate: 'கடன் அட்டை உள்ளதா? திரையைத் துல்லியமாக அளவீடு செய்யுங்கள் →',
+        confirmCard: 'அளவீடு முடிந்தது - தூரத்தை அளவிடு',
+        skipBlindSpot: 'தூரச் சோதனையைத் தவிர் - நான் {distance}cm தொலைவில் இருக்கிறேன்',
+      },
+      blindSpot: {
+        title: 'உங்கள் குருட்டுப் புள்ளியைக் கண்டறியுங்கள்',
+        textBefore: 'உங்கள் ',
+        rightEye: 'வலது கண்ணை',
+        textMiddle: ' மூடி, இடது கண்ணைச் சதுரத்தின் மீதே வைத்திருங்கள். ஒரு சிவப்புப் புள்ளி இடப்பக்கம் நகரும் - அது மறையும் அந்தக் கணமே ',
+        space: 'space',
+        textAfter: ' விசையை அழுத்துங்கள், அல்லது பொத்தானைத் தட்டுங்கள்.',
+        sweep: 'நகர்வு {current} / {total}',
+        sweeps: '{count} குறுகிய நகர்வுகள்',
+        missedEdge: ' · புள்ளி ஓரத்தை அடைந்தது - சதுரத்தையே பார்த்துக்கொண்டிருங்கள், அல்லது சற்று அருகில் அமருங்கள்',
+        disappeared: 'அது மறைந்தது',
+        start: 'தொடங்கு',
+        measured: 'தூரம் அளவிடப்பட்டது',
+        implausible: 'அது சரியாகத் தெரியவில்லை',
+        stay: 'சோதனையின் மீதிப் பகுதி முழுவதும் இதே தூரத்தில் இருங்கள் - எழுத்துகள் இந்தத் தூரத்துக்கு ஏற்ப அளவிடப்பட்டுள்ளன.',
+        retry: 'உங்கள் வலது கண் மூடியிருப்பதையும் சதுரத்தையே பார்த்துக்கொண்டிருப்பதையும் உறுதிசெய்து மீண்டும் முயலுங்கள்.',
+        distance: '{distance} cm',
+        fromEyes: 'உங்கள் கண்களிலிருந்து திரைக்கு',
+        again: '↻ மீண்டும் அளவிடு',
+        startTest: 'சோதனையைத் தொடங்கு',
+      },
+      eyeIntro: {
+        step: '{eye} - படி {current} / {total}',
+        reminder: 'திரையிலிருந்து {distance}cm தொலைவில் இருங்கள்; கண்ணாடி அணிந்தால் அதைக் கழற்ற வேண்டாம்',
+        start: 'தயார் - {eye} தொடங்கு',
+      },
+      reminderBefore: 'நினைவில் கொள்ளுங்கள்: திரையிலிருந்து ',
+      reminderAfter: ' தொலைவில் இருங்கள்',
+      measured: ' (அளக்கப்பட்டது)',
+      armsLength: ' (ஒரு கை நீளம்)',
+      line: 'வரி {current} / {total}',
+      title: 'கழுகுப் பார்வைச் சவால்',
+      focusLevel: 'கவன நிலை',
+      optotype: 'சோதனைக் குறியீடு',
+      directionHint: 'ஒரு அம்புக்குறியைத் தட்டுங்கள், படத்தின் மேல் ஸ்வைப் செய்யுங்கள், அல்லது அம்பு விசைகளைப் பயன்படுத்துங்கள்',
+      placeholder: 'எண்ணை உள்ளிடுங்கள்',
+      submit: 'பதிலைச் சமர்ப்பி',
+      directions: {
+        up: 'மேல்நோக்கி',
+        down: 'கீழ்நோக்கி',
+        left: 'இடப்பக்கம் நோக்கி',
+        right: 'வலப்பக்கம் நோக்கி',
+      },
+    },
+
+    contrast: {
+      badge: 'மாறுபாட்டு உணர்திறன்',
+      title: 'மங்கல்',
+      text: 'எழுத்துகள் படிப்படியாக மங்கும். நீங்கள் பார்க்கும் எழுத்தைத் தேர்ந்தெடுங்கள் - உறுதியாகத் தெரியவில்லை என்றால், சிறந்த ஊகத்தைச் செய்யுங்கள்.',
+      tips: {
+        brightness: { title: 'முழு ஒளிர்வு', text: 'திரையின் ஒளிர்வை அதிகரித்து, இரவுப் பயன்முறை அல்லது நீல ஒளி வடிகட்டிகளை அணைக்கவும்' },
+        glare: { title: 'கண்கூச்சம் வேண்டாம்', text: 'எந்த விளக்கும் ஜன்னலும் திரையில் பிரதிபலிக்காமல் இருப்பதை உறுதிசெய்யுங்கள்' },
+        distance: { title: 'ஒரே தூரம்', text: 'திரையிலிருந்து {distance} தொலைவில் அமருங்கள்; கண்ணாடி அணிபவர் என்றால் அதை அணிந்திருங்கள்' },
+      },
+      distanceCm: '{distance}cm',
+      armsLength: 'ஒரு கை நீளம்',
+      start: 'சோதனையைத் தொடங்கு',
+      letter: 'எழுத்து {current}',
+      prompt: 'அட்டையில் உள்ள எழுத்து எது?',
+      faintness: 'மங்கல் அளவு',
+      contrastValue: '{value}% மாறுபாடு',
+      hint: 'ஒரு எழுத்தைத் தட்டுங்கள், அல்லது விசைப்பலகையில் தட்டச்சு செய்யுங்கள்',
+    },
+
+    motor: {
+      taskBadge: 'பணி {current} / {total}',
+      waveBadge: 'அலை {current} / {total}',
+      waves: {
+        1: { title: 'குமிழ் உடைப்பு!', text: 'மேலே எழும் குமிழ்கள் மிதந்து போகும் முன் உடையுங்கள்! வேகமாகத் தட்டுங்கள்!' },
+        2: { title: 'வேகக் குமிழ்கள்!', text: 'குமிழ்கள் வேகமெடுக்கின்றன. உங்களால் பிடிக்க முடியுமா?' },
+        3: { title: 'குமிழ் குழப்பம்!', text: 'முழுக் குழப்பம்! முடிந்த அளவு உடையுங்கள் - பிறகு சில சிறு பணிகள் உள்ளன.' },
+      },
+      adaptiveText: 'நீங்கள் விளையாடும் விதத்துக்கு ஏற்பக் குமிழ்கள் மாறும். தொடர்ந்து உடையுங்கள்!',
+      tasks: {
+        drag_drop: { title: 'இழுத்து விடு', instructions: 'ஒவ்வொரு பந்தையும் வளையத்துக்குள் இழுங்கள். அது உள்ளே சென்றதும் விடுங்கள்!' },
+        steering: { title: 'சுரங்கப் பாதை', instructions: 'பச்சைப் புள்ளியில் தொடங்கி, சுவர்களைத் தொடாமல் சுரங்கத்தின் வழியே கொடி வரை செல்லுங்கள்.' },
+        double_click: { title: 'இரட்டைத் தட்டு', instructions: 'ஒவ்வொரு இலக்கையும் விரைவாக இருமுறை தட்டுங்கள் - அடுத்தடுத்து இரண்டு தட்டுகள்!' },
+        hover_dwell: { title: 'நிலையான பிடிப்பு', instructions: 'வளையம் நிரம்பும் வரை உங்கள் சுட்டியைச் சிறிய புள்ளியின் மேல் நிறுத்தி வையுங்கள்.' },
+      },
+      start: 'தொடங்குவோம்!',
+      startTask: 'பணியைத் தொடங்கு!',
+      nextWave: 'அடுத்த அலை!',
+      totals: {
+        popped: 'உடைத்தவை:',
+        bestStreak: 'சிறந்த தொடர்:',
+        escaped: 'தப்பியவை:',
+      },
+      wave: 'அலை {current}',
+      seconds: '{count}வி',
+      popped: 'உடைத்தவை',
+      streak: 'தொடர்',
+      escaped: 'தப்பியவை',
+      hint: '🎯 வேகமாகத் தட்டுங்கள்! அவற்றை மிதந்து போக விடாதீர்கள்!',
+    },
+
+    quiz: {
+      badge: 'கேள்வி {current} · அதிகபட்சம் {max}',
+      title: 'விரைவுச் சிந்தனை!',
+      categories: {
+        icons: '🎨 ஐகான்கள்',
+        terminology: '📚 தொழில்நுட்பச் சொற்கள்',
+        interaction: '🖱️ பயன்பாடு',
+        safety: '🛡️ பாதுகாப்பாக இருத்தல்',
+        tasks: '🧩 செய்முறை',
+      },
+      lockIn: 'உறுதிசெய்!',
+      notSure: 'எப்படிச் செய்வது என்று தெரியவில்லை',
+      tasks: {
+        appName: 'எனது செயலி',
+        toolbar: {
+          home: 'முகப்பு',
+          search: 'தேடல்',
+          messages: 'செய்திகள்',
+          notifications: 'அறிவிப்புகள்',
+          settings: 'அமைப்புகள்',
+          profile: 'சுயவிவரம்',
+        },
+        form: {
+          title: 'உங்கள் கணக்கை உருவாக்குங்கள்',
+          name: 'முழுப் பெயர்',
+          email: 'மின்னஞ்சல்',
+          agree: 'விதிமுறைகளை ஏற்கிறேன்',
+          invalid: 'குறிக்கப்பட்ட புலங்களைச் சரிபாருங்கள்.',
+          submit: 'பதிவு செய்',
+        },
+        help: {
+          title: 'உதவி மையம்',
+          topics: {
+            gettingStarted: 'தொடங்குதல்',
+            createAccount: 'கணக்கை உருவாக்குதல்',
+            changePassword: 'கடவுச்சொல்லை மாற்றுதல்',
+            twoStep: 'இரண்டு படி உள்நுழைவு',
+            updateEmail: 'மின்னஞ்சலைப் புதுப்பித்தல்',
+            notifications: 'அறிவிப்புகள்',
+            privacy: 'தனியுரிமை அமைப்புகள்',
+            blocking: 'ஒருவரைத் தடுத்தல்',
+            shareFile: 'கோப்பைப் பகிர்தல்',
+            downloadData: 'உங்கள் தரவைப் பதிவிறக்குதல்',
+            offline: 'இணையம் இல்லாமல் செயலியைப் பயன்படுத்துதல்',
+            language: 'மொழியை மாற்றுதல்',
+            textSize: 'எழுத்து அளவும் காட்சியும்',
+            printer: 'அச்சுப்பொறியை இணைத்தல்',
+            payment: 'கட்டண முறைகள்',
+            refunds: 'பணத்தைத் திரும்பப் பெறுதல்',
+            cancelSubscription: 'சந்தாவை ரத்து செய்தல்',
+            deleteAccount: 'உங்கள் கணக்கை நீக்குதல்',
+            contactUs: 'எங்களைத் தொடர்புகொள்ள',
+          },
+        },
+        downloads: 'பதிவிறக்கங்கள்',
+        folders: {
+          documents: 'ஆவணங்கள்',
+          pictures: 'படங்கள்',
+          music: 'இசை',
+        },
+      },
+    },
+
+    reading: {
+      badge: 'வாசிப்பு',
+      title: 'பக்கம் புரட்டு',
+      text: 'சில சிறு பத்திகளைப் படித்து, ஒவ்வொன்றைப் பற்றிய கேள்விகளுக்கும் பதிலளியுங்கள். நீங்கள் முன்னேறும்போது பத்திகள் எளிதாகவோ கடினமாகவோ மாறும்.',
+      tips: {
+        pace: { title: 'உங்கள் வழக்கமான வேகம்', text: 'நீங்கள் வழக்கமாகப் படிப்பது போலவே படியுங்கள் - இது பந்தயம் அல்ல' },
+        peek: { title: 'திரும்பிப் பார்க்க முடியாது', text: 'கேள்விகளுக்குச் சென்றதும் பத்தி மறைக்கப்படும்' },
+        glasses: { title: 'கண்ணாடி அணியுங்கள்', text: 'வாசிப்புக் கண்ணாடி பயன்படுத்துபவர் என்றால் அதை அணியுங்கள்' },
+      },
+      start: 'வாசிப்பைத் தொடங்கு',
+      progress: 'பத்தி {current} · நிலை {level} / {max}',
+      readPrompt: 'பத்தியைப் படித்து, கீழே உள்ள பொத்தானைத் தட்டுங்கள்',
+      question: 'கேள்வி {current} / {total}',
+      done: 'படித்து முடித்தேன்',
+    },
+
+    calibration: {
+      badge: 'திரை அளவீடு',
+      title: 'கடன் அட்டை அளவீடு',
+      text: 'ஒரு கடன்/பற்று அட்டையைத் திரையில் வைத்து, செவ்வகம் அதற்குச் சரியாகப் பொருந்தும் வரை அளவை மாற்றுங்கள்.',
+      match: 'உங்கள் அட்டையை இதனுடன் பொருத்துங்கள்',
+      smaller: 'சிறியது',
+      larger: 'பெரியது',
+      back: '← பின்செல்',
+      standard: 'நிலையான கடன் அட்டை: 85.6mm × 54mm (ISO 7810 ID-1)',
+      moved: '🖥️ இந்தச் சாளரம் வேறொரு திரைக்கு நகர்த்தப்பட்டுள்ளது.',
+      savedInUse: ' இந்தத் திரைக்குச் சேமிக்கப்பட்ட அளவீடு பயன்படுத்தப்படுகிறது.',
+      sizesStale: ' அளவுகள் முந்தைய திரைக்கு அமைக்கப்பட்டவை - துல்லியமான முடிவுகளுக்கு மீண்டும் அளவீடு செய்யுங்கள்.',
+      dismiss: 'மூடு',
+      recalibrate: 'மீண்டும் அளவீடு செய்',
+      confirm: 'அளவீடு முடிந்தது - தொடர்',
+    },
+
+    traits: {
+      perception: { name: 'வடிவப் பார்வை', description: 'மறைந்த வடிவங்களின் வல்லுநர்' },
+      clarity: { name: 'கழுகுக் கண்', description: 'கூர்மையான கவனமும் துல்லியமும்' },
+      contrast: { name: 'நிழல் பார்வை', description: 'மிக மங்கலான விவரங்களையும் காண்கிறது' },
+      reflexes: { name: 'மின்னல் அனிச்சை', description: 'அழுத்தத்திலும் விரைவான எதிர்வினை' },
+      literacy: { name: 'தொழில்நுட்ப குரு', description: 'டிஜிட்டல் ஞானம் திறக்கப்பட்டது' },
+      reading: { name: 'புத்தகப் புழு', description: 'வேகமாகவும் ஆழமாகவும் படிக்கிறது' },
+    },
+
+    journey: {
+      'color-blindness': 'வண்ணம்',
+      'visual-acuity': 'பார்வை',
+      'contrast-sensitivity': 'மாறுபாடு',
+      'motor-skills': 'அனிச்சை',
+      'knowledge-quiz': 'வினாடி வினா',
+      'reading-assessment': 'வாசிப்பு',
+    },
+
+    transition: {
+      newSkill: 'புதிய திறன்!',
+      unlocked: '{name} திறக்கப்பட்டது!',
+      nextUp: 'அடுத்தது:',
+      finalResults: 'இறுதி முடிவுகள் விரைவில்!',
+    },
+
+    stats: {
+      title: 'உங்கள் மதிப்பெண்',
+      streak: 'தொடர்',
+      best: 'சிறந்தது',
+      time: 'நேரம்',
+    },
+
+    profile: {
+      label: 'சுயவிவரம்:',
+      skillsUnlocked: 'திறக்கப்பட்ட திறன்கள்',
+      skillsCollected: 'சேகரித்த திறன்கள்',
+      summaries: {
+        perception: '✓ வடிவ வல்லுநர்!',
+        clarity: 'நிலை {level} எட்டப்பட்டது!',
+        contrast: '{value} logCS',
+        reflexes: '{value}% இலக்கு வெற்றி!',
+        literacy: '{value}% சரி!',
+        reading: 'நிமிடத்துக்கு {value} சொற்கள்',
+        unlocked: '✓ திறக்கப்பட்டது!',
+      },
+    },
+
+    final: {
+      titles: {
+        champion: 'தலைசிறந்த சாம்பியன்',
+        legend: 'தொடர் நாயகன்',
+        master: 'மூளை வல்லுநர்',
+        risingStar: 'வளரும் நட்சத்திரம்',
+        learner: 'விரைவுக் கற்பவர்',
+        explorer: 'விளையாட்டு ஆய்வாளர்',
+      },
+      title: 'நீங்கள் சாதித்தீர்கள்!',
+      player: 'விளையாடுபவர்',
+      bestStreak: 'சிறந்த தொடர்',
+      totalTime: 'மொத்த நேரம்',
+      facts: {
+        onFire: '🔥 அருமையான தொடர்! உங்களைத் தடுக்க முடியாது!',
+        quick: '⚡ நல்ல தொடர்! உங்களுக்கு விரைவான அனிச்சை உள்ளது!',
+        effort: '🎮 சிறந்த முயற்சி! பயிற்சியே முழுமை தரும்.',
+      },
+      pendingOne: '{count} பதிவேற்றம் நிலுவையில் உள்ளது • இந்தத் தாவலைத் திறந்தே வையுங்கள்',
+      pendingMany: '{count} பதிவேற்றங்கள் நிலுவையில் உள்ளன • இந்தத் தாவலைத் திறந்தே வையுங்கள்',
+      saved: 'எல்லா முடிவுகளும் சேமிக்கப்பட்டன',
+      rejectedOne: '{count} பதிவேற்றத்தைச் சேவையகம் நிராகரித்தது',
+      rejectedMany: '{count} பதிவேற்றங்களைச் சேவையகம் நிராகரித்தது',
+      poweredByBefore: '',
+      poweredByAfter: ' மூலம் இயக்கப்படுகிறது',
+      thanks: 'விளையாடியதற்கு நன்றி! 🎮',
+    },
+
+    home: {
+      loading: 'AURA தொடங்குகிறது...',
+      completeTitle: 'மதிப்பீடு முடிந்தது!',
+      completeText: 'எல்லா மதிப்பீட்டுப் பகுதிகளையும் முடித்துவிட்டீர்கள்.',
+      readyBefore: '',
+      readyHighlight: 'சவாலுக்குத்',
+      readyAfter: ' தயாரா?',
+      text: '{count} வேடிக்கையான மூளை விளையாட்டுகள் உங்களுக்காகக் காத்திருக்கின்றன! மறைந்த வடிவங்களைக் கண்டறியுங்கள், உங்கள் கவனத்தைச் சோதியுங்கள், மங்கும் எழுத்துகளை அடையாளம் காணுங்கள், மின்னல் வேகத்தில் குமிழ்களை உடையுங்கள், உங்கள் டிஜிட்டல் அறிவைக் காட்டுங்கள், சில சிறு பத்திகளைப் படியுங்கள்.',
+      previews: {
+        patterns: 'வடிவங்கள்',
+        focus: 'கவனம்',
+        speed: 'வேகம்',
+        trivia: 'வினாடி வினா',
+      },
+      timeBefore: 'சுமார் ',
+      timeValue: '5-7 நிமிடங்கள்',
+      timeAfter: ' ஆகும்',
+      privacy: 'நீங்கள் விளையாடுவது எங்கள் விளையாட்டுகளை மேம்படுத்த உதவுகிறது 🎮',
+      features: {
+        streaks: { title: 'தொடர்களை உருவாக்குங்கள்', desc: 'சரியான பதில்களைத் தொடர்ச்சியாக்கிப் பெருமை பெறுங்கள்' },
+        skills: { title: 'திறன்களைத் திறவுங்கள்', desc: 'விளையாடும்போது பதக்கங்களைப் பெறுங்கள்' },
+        results: { title: 'முடிவுகளைப் பெறுங்கள்', desc: 'உங்கள் விளையாட்டுச் சுயவிவரத்தைப் பாருங்கள்' },
+      },
+      footerBefore: '',
+      footerAfter: ' மூலம் இயக்கப்படுகிறது • பயனர் இடைமுகங்களின் எதிர்காலம்',
+    },
+
+    signup: {
+      title: 'விளையாடத் தயாரா?',
+      text: 'விளையாட்டுகள் தொடங்கும் முன் ஒரு சிறு அமைப்பு!',
+      userId: 'பயனர் அடையாளம்',
+      userIdPlaceholder: 'உங்கள் தனித்துவ அடையாளத்தை உள்ளிடுங்கள்',
+      useSuggested: 'பரிந்துரைக்கப்பட்டதைப் பயன்படுத்து: ',
+      userIdHelp: 'உங்கள் முன்னேற்றத்தைக் கண்காணிக்க இந்த அடையாளம் பயன்படும்',
+      age: 'வயது',
+      agePlaceholder: 'உங்கள் வயதை உள்ளிடுங்கள்',
+      gender: 'பாலினம்',
+      genders: {
+        male: 'ஆண்',
+        female: 'பெண்',
+        other: 'பிற',
+        undisclosed: 'சொல்ல விரும்பவில்லை',
+      },
+      privacyTitle: 'உங்கள் தனியுரிமை பாதுகாப்பானது',
+      privacy: 'விளையாட்டுகளை மேம்படுத்த மட்டுமே! அனைத்தும் அநாமதேயமாகவே இருக்கும்.',
+      submitting: 'விளையாட்டுகள் ஏற்றப்படுகின்றன...',
+      submit: 'விளையாடத் தொடங்கு!',
+      required: ' கட்டாயப் புலங்கள்',
+      errors: {
+        userIdRequired: 'பயனர் அடையாளம் தேவை',
+        userIdShort: 'பயனர் அடையாளம் குறைந்தது 2 எழுத்துகள் கொண்டிருக்க வேண்டும்',
+        userIdTaken: 'இந்தப் பயனர் அடையாளம் ஏற்கனவே பயன்பாட்டில் உள்ளது',
+        userIdTakenChoose: 'இந்தப் பயனர் அடையாளம் ஏற்கனவே பயன்பாட்டில் உள்ளது. வேறொன்றைத் தேர்ந்தெடுங்கள்.',
+        ageRequired: 'வயது தேவை',
+        ageInvalid: 'பங்கேற்க நீங்கள் 18 வயது அல்லது அதற்கு மேற்பட்டவராக இருக்க வேண்டும்',
+        genderRequired: 'பாலினத்தைத் தேர்ந்தெடுங்கள்',
+        submit: 'தகவலைச் சேமிக்க முடியவில்லை. மீண்டும் முயலுங்கள்.',
+      },
+    },
+
+    layout: {
+      home: 'முகப்பு',
+      footer: 'மூளை விளையாட்டுகள் 🎮',
+    },
+
+    results: {
+      loadingTitle: 'முடிவுகள் ஏற்றப்படுகின்றன',
+      loading: 'உங்கள் மதிப்பீட்டு முடிவுகள் பெறப்படுகின்றன...',
+      title: 'முடிவுகள்',
+      loadFailed: 'முடிவுகளை ஏற்ற முடியவில்லை. மீண்டும் முயலுங்கள்.',
+      errorTitle: 'முடிவுகளை ஏற்றுவதில் பிழை',
+      returnHome: 'முகப்புக்குத் திரும்பு',
+      pageTitle: 'மதிப்பீட்டு முடிவுகள்',
+      session: 'அமர்வுத் தகவல்',
+      sessionId: 'அமர்வு அடையாளம்: {id}',
+      modulesCompleted: 'முடித்த பகுதிகள்',
+      perceptionLab: 'புலனுணர்வு ஆய்வகம்',
+      colorTest: 'வண்ணக் குருட்டுத்தன்மைச் சோதனை',
+      score: 'மதிப்பெண்',
+      diagnosis: 'கண்டறிதல்',
+      acuityTest: 'பார்வைக் கூர்மைச் சோதனை',
+      snellen: 'Snellen மதிப்பீடு',
+      rating: 'தரநிலை',
+      ratings: {
+        perfect: '20/20 (சரியானது)',
+        near_perfect: '20/25 (கிட்டத்தட்ட சரியானது)',
+        normal: '20/40 (சாதாரணம்)',
+        below_average: '20/60+ (சராசரிக்குக் கீழ்)',
+        at_least: '{snellen} அல்லது அதைவிடச் சிறந்தது (இந்தத் திரை காட்டக்கூடிய மிகச் சிறிய வரி)',
+      },
+      size: 'அளவு',
+      mar: 'MAR',
+      knowledgeConsole: 'அறிவுக் கன்சோல்',
+      literacyScore: 'கணினி எழுத்தறிவு மதிப்பெண்',
+      correct: '{total} இல் {correct} சரி',
+      categories: 'வகை வாரியாக',
+      confidence: {
+        title: 'பதில் நம்பிக்கை',
+        confidence: 'நம்பிக்கை',
+        guesses: 'ஊகங்களாக இருக்கலாம்',
+        guessesValue: 'சரியான {right} இல் {guesses}',
+        firstMove: 'முதல் நகர்வு',
+        category: '{changed} மாற்றப்பட்டன · {guessed} ஊகிக்கப்பட்டன',
+      },
+      reactionLab: 'எதிர்வினை ஆய்வகம்',
+      motorDone: 'இயக்கத் திறன் மதிப்பீடு முடிந்தது. உங்கள் தொடர்புத் தரவு பகுப்பாய்வுக்காகப் பதிவுசெய்யப்பட்டது.',
+      status: 'நிலை',
+      collected: '✓ தரவு சேகரிக்கப்பட்டது',
+      motorNote: 'குறிப்பு: இந்தப் பகுதி தொடர்புகளை மட்டுமே பதிவுசெய்கிறது. இறுதி மதிப்பெண் கணக்கிடப்படுவதில்லை.',
+      back: '← முகப்புக்கு',
+      print: '🖨️ முடிவுகளை அச்சிடு',
+      noticeTitle: '⚠️ முக்கிய அறிவிப்பு',
+      notice: 'இந்த முடிவுகள் ஆராய்ச்சி மற்றும் ஆரம்பத் திரையிடல் நோக்கங்களுக்கு மட்டுமே. இவை மருத்துவ நோயறிதல் அல்ல. உங்கள் பார்வை அல்லது அறிவாற்றல் திறன்கள் குறித்துக் கவலை இருந்தால், தகுதிவாய்ந்த சுகாதார நிபுணரை அணுகுங்கள்.',
+    },
+  },
+
+  questions: {
+    q1: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 🔍',
+      options: ['தேடல்', 'புதுப்பித்தல்', 'பகிர்தல்', 'பெரிதாக்கத்தைக் குறைத்தல்'],
+    },
+    q2: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? ⚙️',
+      options: ['பதிவேற்றம்', 'அமைப்புகள்', 'உதவி', 'சேமித்தல்'],
+    },
+    q3: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 🗑️',
+      options: ['காப்பகப்படுத்தல்', 'நீக்குதல்', 'பதிவிறக்கம்', 'நகலெடுத்தல்'],
+    },
+    q4: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 💾',
+      options: ['திறத்தல்', 'சேமித்தல்', 'பதிவேற்றம்', 'பகிர்தல்'],
+    },
+    q5: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? ⬇️',
+      options: ['உருட்டுதல்', 'பதிவிறக்கம்', 'சுருக்குதல்', 'சாளரத்தைச் சிறிதாக்குதல்'],
+    },
+    q6: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? ❓',
+      options: ['பிழை', 'உதவி / தகவல்', 'எச்சரிக்கை', 'வெளியேறுதல்'],
+    },
+    q7: {
+      question: 'உலாவி (browser) என்றால் என்ன?',
+      options: ['ஒரு இணையதளம்', 'இணையதளங்களைப் பார்க்கப் பயன்படும் ஒரு நிரல்', 'ஒரு கணினி வைரஸ்', 'ஒரு சேமிப்புச் சாதனம்'],
+    },
+    q8: {
+      question: 'இணையதளத்தில் உள்ள இணைப்பு (link) என்றால் என்ன?',
+      options: ['ஒரு கோப்பு', 'வேறொரு பக்கத்தைத் திறக்கும், கிளிக் செய்யக்கூடிய உரை அல்லது படம்', 'ஒரு கடவுச்சொல்', 'ஒரு அமைப்பு'],
+    },
+    q9: {
+      question: 'இணைய உலாவியில் தாவல் (tab) என்றால் என்ன?',
+      options: ['சேமிக்கப்பட்ட கோப்பு', 'உலாவிச் சாளரத்தினுள் திறந்திருக்கும் ஒரு பக்கம்', 'ஒரு மெனு', 'ஒரு தேடல் முடிவு'],
+    },
+    q10: {
+      question: 'பதிவிறக்கம் (download) என்பதன் பொருள் என்ன?',
+      options: ['இணையத்துக்கு ஒரு கோப்பை அனுப்புதல்', 'இணையத்திலிருந்து உங்கள் சாதனத்துக்குத் தரவை நகலெடுத்தல்', 'ஒரு இணையதளத்தைத் திறத்தல்', 'ஒரு ஆவணத்தை அச்சிடுதல்'],
+    },
+    q11: {
+      question: 'பயனர் இடைமுகத்தில் ஐகான் (icon) என்றால் என்ன?',
+      options: ['ஒரு செயல்பாட்டையோ செயலியையோ குறிக்கும் படம்', 'ஒரு கணினிப் பிழை', 'ஒரு விசைப்பலகைக் குறுக்குவழி', 'ஒரு கோப்பு வகை'],
+    },
+    q12: {
+      question: 'மென்பொருளில் மெனு (menu) என்றால் என்ன?',
+      options: ['ஒரு உதவி ஆவணம்', 'செய்யக்கூடிய செயல்கள் அல்லது விருப்பங்களின் பட்டியல்', 'ஒரு இணையதளம்', 'ஒரு கோப்பு'],
+    },
+    q13: {
+      question: 'ஒரு இணைப்பைக் கிளிக் செய்யும்போது பொதுவாக என்ன நடக்கும்?',
+      options: ['கணினி அணைந்துவிடும்', 'வேறொரு பக்கம் அல்லது உள்ளடக்கம் திறக்கும்', 'ஒரு கோப்பு நீக்கப்படும்', 'எதுவும் நடக்காது'],
+    },
+    q14: {
+      question: 'தேர்வுப்பெட்டி (checkbox) மூலம் என்ன செய்யலாம்?',
+      options: ['உரையை உள்ளிடலாம்', 'ஒரு விருப்பத்தை இயக்கலாம் அல்லது முடக்கலாம்', 'ஒரு கோப்பைப் பதிவிறக்கலாம்', 'ஒரு சாளரத்தை மூடலாம்'],
+    },
+    q15: {
+      question: 'கீழிறங்கு மெனு (dropdown menu) என்ன செய்யும்?',
+      options: ['உள்ளடக்கத்தை நீக்கும்', 'கிளிக் செய்யும்போது மறைந்திருக்கும் விருப்பங்களைக் காட்டும்', 'பக்கத்தைப் புதுப்பிக்கும்', 'புதிய சாளரத்தைத் திறக்கும்'],
+    },
+    q16: {
+      question: 'இணைய முகவரிக்கு அருகில் உள்ள பூட்டு 🔒 பொதுவாக எதைக் குறிக்கிறது?',
+      options: ['தளம் மூடப்பட்டுள்ளது', 'தளத்துடனான இணைப்பு மறையாக்கம் செய்யப்பட்டுள்ளது', 'நீங்கள் வெளியேறியுள்ளீர்கள்', 'பக்கத்தை மாற்ற முடியாது'],
+    },
+    q17: {
+      question: 'செங்குத்தாக அடுக்கிய மூன்று புள்ளிகள் ⋮ உள்ள பொத்தான் பொதுவாக எதைத் திறக்கும்?',
+      options: ['கூடுதல் விருப்பங்கள்', 'ஏற்றுதல் திரை', 'அடுத்த பக்கம்', 'இழுப்பதற்கான பிடி'],
+    },
+    q18: {
+      question: 'மூன்று கிடைக்கோடுகள் ☰ உள்ள பொத்தான் பொதுவாக எதைத் திறக்கும்?',
+      options: ['உரைச் சீரமைப்பு', 'வழிசெலுத்தல் மெனு', 'அறிவிப்புகளின் பட்டியல்', 'அச்சு உரையாடல் பெட்டி'],
+    },
+    q19: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 📎',
+      options: ['கோப்பை இணைத்தல்', 'செய்தியைப் பின் செய்தல்', 'உரையை நகலெடுத்தல்', 'பக்கத்தைப் புத்தகக்குறியிடுதல்'],
+    },
+    q20: {
+      question: 'இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 🔄',
+      options: ['புதுப்பித்தல் அல்லது ஒத்திசைத்தல்', 'செயல்தவிர்த்தல்', 'திரையைச் சுழற்றுதல்', 'பாடலை மீண்டும் இயக்குதல்'],
+    },
+    q21: {
+      question: 'இணைப்புக்கு அருகில் மேல்-வலமாகச் சுட்டும் சிறிய அம்பு ↗ பொதுவாக அந்த இணைப்பு…',
+      options: ['பக்கத்தின் மேற்பகுதிக்குச் செல்லும் என்பதைக் குறிக்கும்', 'வேறொரு இணையதளத்தையோ புதிய சாளரத்தையோ திறக்கும் என்பதைக் குறிக்கும்', 'ஒரு கோப்பைப் பதிவிறக்கும் என்பதைக் குறிக்கும்', 'வேலை செய்யாது என்பதைக் குறிக்கும்'],
+    },
+    q22: {
+      question: 'செயலியில் இந்தக் குறியீடு பொதுவாக எதைக் குறிக்கிறது? 🔕',
+      options: ['செயலி மூடப்பட்டுள்ளது', 'அறிவிப்புகள் முடக்கப்பட்டுள்ளன', 'ஒலி அதிகபட்ச அளவில் உள்ளது', 'அலாரம் அமைக்கப்பட்டுள்ளது'],
+    },
+    q23: {
+      question: 'கோப்புப் பெயருக்கு அருகில் உள்ள மேகக் குறியீடு ☁️ பொதுவாக அந்தக் கோப்பு…',
+      options: ['சேதமடைந்துள்ளது என்பதைக் குறிக்கும்', 'இணையத்தில் சேமிக்கப்பட்டுள்ளது, பதிவிறக்க வேண்டியிருக்கலாம் என்பதைக் குறிக்கும்', 'அச்சிடப்படுகிறது என்பதைக் குறிக்கும்', 'எல்லோருடனும் பகிரப்பட்டுள்ளது என்பதைக் குறிக்கும்'],
+    },
+    q24: {
+      question: 'URL என்றால் என்ன?',
+      options: ['ஒரு இணையப் பக்கத்தின் முகவரி', 'ஒரு வகை வைரஸ்', 'சேமிக்கப்பட்ட கடவுச்சொல்', 'ஒரு வகை மின்னஞ்சல்'],
+    },
+    q25: {
+      question: 'ஒரு செயலியைப் புதுப்பித்தல் (update) என்பதன் பொருள் என்ன?',
+      options: ['அதன் தரவை நீக்குதல்', 'திருத்தங்கள் அல்லது புதிய வசதிகளுடன் கூடிய புதிய பதிப்பை நிறுவுதல்', 'அதை வேறொரு சாதனத்துக்கு நகர்த்துதல்', 'செயலி அங்காடியில் அதை மதிப்பிடுதல்'],
+    },
+    q26: {
+      question: 'PDF என்றால் என்ன?',
+      options: ['எந்தச் சாதனத்திலும் ஒரே மாதிரித் தோன்றும் ஆவணக் கோப்பு', 'புகைப்படத் திருத்த நிரல்', 'ஒரு இணைய உலாவி', 'ஒரு வகை அச்சுப்பொறி'],
+    },
+    q27: {
+      question: 'இயக்க முறைமை (operating system) என்றால் என்ன?',
+      options: ['கடிதங்கள் எழுதுவதற்கான நிரல்', 'Windows அல்லது Android போல, சாதனத்தை இயக்கும் முதன்மை மென்பொருள்', 'இணையவழிக் கடைத் தளம்', 'கணினியின் திரை'],
+    },
+    q28: {
+      question: 'ஒரு செயலி ஒத்திசைகிறது (sync) என்றால் என்ன பொருள்?',
+      options: ['அது இசையை இயக்குகிறது', 'உங்கள் எல்லாச் சாதனங்களிலும் ஒரே தரவைப் புதுப்பித்த நிலையில் வைத்திருக்கிறது', 'அது தானாக மூடிக்கொள்கிறது', 'பழைய கோப்புகளை நீக்குகிறது'],
+    },
+    q29: {
+      question: 'இணையதளத்தில் குக்கீ (cookie) என்றால் என்ன?',
+      options: ['ஒரு விளம்பரம்', 'உங்களை நினைவில் வைக்க ஒரு தளம் உங்கள் உலாவியில் சேமிக்கும் சிறிய தரவு', 'ஒரு வைரஸ்', 'ஏறத் தவறிய பக்கம்'],
+    },
+    q30: {
+      question: 'உலாவியின் தற்காலிகச் சேமிப்பு (cache) என்றால் என்ன?',
+      options: ['உங்கள் புத்தகக்குறிகளின் பட்டியல்', 'தளங்கள் விரைவாக ஏற, பக்கங்கள் மற்றும் படங்களின் சேமித்த நகல்கள்', 'உலாவியின் முகப்புப் பக்கம்', 'பதிவிறக்கிய கோப்புகளின் கோப்புறை'],
+    },
+    q31: {
+      question: 'கடவுச்சொல் மேலாளர் (password manager) என்றால் என்ன?',
+      options: ['கடவுச்சொற்களை மீட்டமைக்கும் நபர்', 'உங்கள் கடவுச்சொற்களைச் சேமித்துத் தானாக நிரப்பும் செயலி', 'தடைசெய்யப்பட்ட கடவுச்சொற்களின் பட்டியல்', 'இணையதளத்தின் உள்நுழைவுப் பக்கம்'],
+    },
+    q32: {
+      question: 'உலாவியின் பின்செல் (back) பொத்தான் என்ன செய்யும்?',
+      options: ['உலாவியை மூடும்', 'முந்தைய பக்கத்துக்குத் திரும்பும்', 'பக்கத்தை மீண்டும் ஏற்றும்', 'உங்கள் வரலாற்றைத் திறக்கும்'],
+    },
+    q33: {
+      question: 'தொடுதிரையில், ஒரு புகைப்படத்தின் மேல் இரண்டு விரல்களை விரித்தால் என்ன நடக்கும்?',
+      options: ['அது நீக்கப்படும்', 'பெரிதாக்கப்படும்', 'பகிரப்படும்', 'சுழற்றப்படும்'],
+    },
+    q34: {
+      question: 'சாம்பல் நிறமாக்கப்பட்ட (greyed-out) பொத்தான் பொதுவாக எதைக் குறிக்கும்?',
+      options: ['அது இயல்புநிலைத் தேர்வு', 'இப்போது அதைப் பயன்படுத்த முடியாது', 'அது ஏற்கனவே கிளிக் செய்யப்பட்டது', 'அது ஏற்றப்படுகிறது'],
+    },
+    q35: {
+      question: '"சமர்ப்பி" (Submit) அழுத்திய பின் படிவத்தில் ஒரு பெட்டி சிவப்பாக மாறுகிறது. இது பொதுவாக எதைக் குறிக்கும்?',
+      options: ['படிவம் அனுப்பப்பட்டது', 'அந்தப் பெட்டி காலியாக அல்லது தவறாக நிரப்பப்பட்டுள்ளது', 'அந்தப் பெட்டி கட்டாயமில்லை', 'பக்கம் மூடப்படப் போகிறது'],
+    },
+    q36: {
+      question: 'ஒரு கோப்பை ஒரு கோப்புறையின் மேல் இழுத்து விட்டால் பொதுவாக என்ன நடக்கும்?',
+      options: ['கோப்பு நீக்கப்படும்', 'கோப்பு அந்தக் கோப்புறைக்குள் நகர்த்தப்படும் அல்லது நகலெடுக்கப்படும்', 'கோப்புறையின் பெயர் மாற்றப்படும்', 'கோப்பு அச்சிடப்படும்'],
+    },
+    q37: {
+      question: 'ஒன்றின் மேல் வலது-கிளிக் (right-click) செய்தால் பொதுவாக என்ன நடக்கும்?',
+      options: ['அது நீக்கப்படும்', 'அதற்கான செயல்களின் மெனு திறக்கும்', 'எல்லா உருப்படிகளும் தேர்ந்தெடுக்கப்படும்', 'சாளரம் மூடப்படும்'],
+    },
+    q38: {
+      question: 'Ctrl+Z (Mac-இல் ⌘+Z) பொதுவாக என்ன செய்யும்?',
+      options: ['பெரிதாக்கும்', 'கடைசிச் செயலைச் செயல்தவிர்க்கும்', 'கோப்பைச் சேமிக்கும்', 'நிரலை மூடும்'],
+    },
+    q39: {
+      question: 'இணைய உலாவியில் Ctrl+F (Mac-இல் ⌘+F) என்ன செய்யும்?',
+      options: ['உங்களுக்குப் பிடித்தவற்றைத் (favourites) திறக்கும்', 'பக்கத்தில் சொற்களைத் தேடும்', 'பக்கத்தை முழுத்திரையாக்கும்', 'பக்கத்தை மின்னஞ்சலில் அனுப்பும்'],
+    },
+    q40: {
+      question: 'இவற்றில் மிக வலிமையான கடவுச்சொல் எது?',
+      options: ['password123', 'Sunday', 'blue-Kettle-42-river', '12345678'],
+    },
+    q41: {
+      question: 'பொதுக் கணினியைப் பயன்படுத்தி முடித்ததும் என்ன செய்ய வேண்டும்?',
+      options: ['திரையின் ஒளிர்வைக் குறைத்தல்', 'உங்கள் கணக்குகளிலிருந்து வெளியேறுதல்', 'மறுசுழற்சித் தொட்டியைக் காலியாக்குதல்', 'உலாவித் தாவலை மட்டும் மூடுதல்'],
+    },
+    q42: {
+      question: 'ஃபிஷிங் (phishing) செய்தி என்றால் என்ன?',
+      options: ['மீன்பிடிச் சங்கத்திடமிருந்து வரும் செய்தி', 'தனிப்பட்ட விவரங்களைத் தர உங்களை ஏமாற்ற முயலும் போலிச் செய்தி', 'இரண்டு முறை அனுப்பப்பட்ட செய்தி', 'பெரிய இணைப்புக் கோப்புடன் வரும் செய்தி'],
+    },
+    q43: {
+      question: 'உங்கள் வங்கிக் கணக்கு பூட்டப்பட்டுள்ளதாகக் கூறி, அதிலுள்ள இணைப்பு வழியாக உள்நுழையுமாறு ஒரு மின்னஞ்சல் கேட்கிறது. மிகப் பாதுகாப்பானது எது?',
+      options: ['இணைப்பைக் கிளிக் செய்து விரைவாக உள்நுழைதல்', 'உங்கள் கணக்கு எண்ணுடன் பதிலளித்தல்', 'அதற்குப் பதிலாக வங்கியின் இணையதளத்துக்கோ செயலிக்கோ நீங்களே செல்லுதல்', 'அதை நண்பர்களுக்கு அனுப்புதல்'],
+    },
+    q44: {
+      question: 'உங்கள் கணினியில் வைரஸ் இருப்பதாகவும் ஒரு தொலைபேசி எண்ணை அழைக்க வேண்டும் என்றும் ஒரு பாப்-அப் கூறுகிறது. இது பெரும்பாலும் என்ன?',
+      options: ['உங்கள் கணினியிடமிருந்து வரும் உண்மையான எச்சரிக்கை', 'ஒரு மோசடி', 'உங்கள் இணைய சேவை வழங்குநரிடமிருந்து வரும் செய்தி', 'மென்பொருள் புதுப்பிப்பு'],
+    },
+    q45: {
+      question: 'இரு-காரணி அங்கீகாரம் (two-factor authentication) என்றால் என்ன?',
+      options: ['இரண்டு வெவ்வேறு உலாவிகளைப் பயன்படுத்துதல்', 'கடவுச்சொல்லுடன், உங்கள் தொலைபேசிக்கு அனுப்பப்படும் குறியீடு போன்ற இரண்டாவது சரிபார்ப்புடன் உள்நுழைதல்', 'இரண்டு மின்னஞ்சல் முகவரிகள் வைத்திருத்தல்', 'கடவுச்சொல்லை இரண்டு முறை தட்டச்சு செய்தல்'],
+    },
+    t1: {
+      question: 'இந்தச் செயலியின் அமைப்புகளைத் திறங்கள்.',
+    },
+    t2: {
+      question: 'இந்த உதவிப் பக்கத்தில் "எங்களைத் தொடர்புகொள்ள" பொத்தானைக் கண்டுபிடித்து அழுத்துங்கள்.',
+    },
+    t3: {
+      question: 'Sam Lee என்ற பெயரிலும் sam@example.com என்ற மின்னஞ்சலிலும் பதிவு செய்து, விதிமுறைகளை ஏற்று, படிவத்தை அனுப்புங்கள்.',
+    },
+    t4: {
+      question: 'beach.jpg புகைப்படத்தை "படங்கள்" கோப்புறைக்குள் நகர்த்துங்கள்.',
+    },
+  },
+
+  passages: {
+    r1: {
+      title: 'மியாவின் புகைப்படம்',
+      text: 'மியாவிடம் ஒரு புதிய சிவப்புத் தொலைபேசி உள்ளது; அவள் ஒவ்வொரு நாளும் அம்மாவை அழைக்க அதைப் பயன்படுத்துகிறாள். ஞாயிற்றுக்கிழமை வெயிலில் அமர்ந்திருந்த தன் நாய் மேக்ஸைப் புகைப்படம் எடுத்தாள். மியா அந்தப் புகைப்படத்தைத் தன் நண்பன் டாமுக்கு அனுப்பினாள். அது மிக நல்ல புகைப்படம் என்று டாம் சொன்னான். இப்போது தொலைபேசியை இயக்கும் ஒவ்வொரு முறையும் அவள் அந்தப் புகைப்படத்தைப் பார்க்கிறாள். மேக்ஸைப் பார்க்கும்போது அவள் புன்னகைக்கிறாள்.',
+      questions: {
+        r1q1: {
+          question: 'மியாவின் தொலைபேசி என்ன நிறம்?',
+          options: ['நீலம்', 'சிவப்பு', 'கருப்பு', 'வெள்ளை'],
+        },
+        r1q2: {
+          question: 'மேக்ஸ் யார்?',
+          options: ['மியாவின் சகோதரன்', 'மியாவின் நண்பன்', 'மியாவின் நாய்', 'மியாவின் பூனை'],
+        },
+        r1q3: {
+          question: 'மியா புகைப்படத்தை யாருக்கு அனுப்பினாள்?',
+          options: ['டாம்', 'அவள் அம்மா', 'அவள் ஆசிரியர்', 'யாருக்கும் இல்லை'],
+        },
+      },
+    },
+    r2: {
+      title: 'நூலகத்தில் டேப்லெட்டுகள்',
+      text: 'நகர நூலகம் இப்போது புத்தகங்களை விட அதிகமானவற்றை இரவல் தருகிறது. நூலக அட்டை உள்ள எவரும் இரண்டு வாரங்களுக்கு ஒரு டேப்லெட்டை இரவல் பெறலாம். ஒவ்வொரு டேப்லெட்டுடனும் ஒரு சார்ஜரும், இணையத்துடன் இணைவது எப்படி என்று விளக்கும் சிறு வழிகாட்டியும் வரும். டேப்லெட் தாமதமாகத் திருப்பித் தரப்பட்டால், ஒவ்வொரு கூடுதல் நாளுக்கும் நூலகம் சிறு கட்டணம் வசூலிக்கிறது. பல வயதான வாசகர்கள் தொலைவில் வசிக்கும் குடும்பத்தினருடன் வீடியோ அழைப்புகள் செய்ய டேப்லெட்டுகளைப் பயன்படுத்துகிறார்கள். தொடங்குவதற்கு உதவி தேவைப்படுவோருக்காக நூலகம் ஒவ்வொரு செவ்வாய்க்கிழமை காலையும் இலவச வகுப்பையும் நடத்துகிறது.',
+      questions: {
+        r2q1: {
+          question: 'ஒரு டேப்லெட்டை எவ்வளவு காலம் இரவல் பெறலாம்?',
+          options: ['இரண்டு நாட்கள்', 'ஒரு வாரம்', 'இரண்டு வாரங்கள்', 'ஒரு மாதம்'],
+        },
+        r2q2: {
+          question: 'டேப்லெட் தாமதமாகத் திருப்பித் தரப்பட்டால் என்ன நடக்கும்?',
+          options: ['ஒவ்வொரு கூடுதல் நாளுக்கும் சிறு கட்டணம் செலுத்த வேண்டும்', 'மீண்டும் ஒருபோதும் இரவல் பெற முடியாது', 'எதுவும் நடக்காது', 'அதை வாங்க வேண்டும்'],
+        },
+        r2q3: {
+          question: 'பல வயதான வாசகர்கள் டேப்லெட்டுகளை ஏன் இரவல் பெறுகிறார்கள்?',
+          options: ['விளையாட்டுகள் விளையாட', 'புத்தகங்கள் படிக்க', 'இலவச வகுப்பில் கலந்துகொள்ள', 'குடும்பத்தினருடன் வீடியோ அழைப்புகள் செய்ய'],
+        },
+      },
+    },
+    r3: {
+      title: 'இரண்டு-படி உள்நுழைவு',
+      text: 'பெரும்பாலான இணையக் கணக்குகள் இப்போது இரண்டு-படிச் சரிபார்ப்பை வழங்குகின்றன. கடவுச்சொல்லைத் தட்டச்சு செய்த பிறகு, உண்மையில் நீங்கள்தான் என்பதற்கு இரண்டாவது சான்று கேட்கப்படும்; பொதுவாக அது உங்கள் தொலைபேசிக்கு அனுப்பப்படும் ஒரு சிறு குறியீடு. குற்றவாளிகள் உங்கள் கடவுச்சொல்லைத் திருடினாலும், அந்தக் குறியீடு இல்லாமல் அவர்களால் உள்நுழைய முடியாது. சிலருக்கு இந்தக் கூடுதல் படி எரிச்சலாகத் தோன்றுவதால் அதை அணைத்துவிடுகிறார்கள். இது ஒரு தவறு என்று பாதுகாப்பு நிபுணர்கள் எச்சரிக்கிறார்கள், ஏனெனில் திருடப்பட்ட கடவுச்சொற்கள் பெரும் பட்டியல்களாக விற்கப்பட்டு, பல்வேறு இணையதளங்களில் தானாகவே முயற்சிக்கப்படுகின்றன. சில நிமிடங்களுக்கு ஒருமுறை மாறும் ஒருமுறைக் குறியீடு இத்தகைய தாக்குதல்கள் வெற்றிபெறும் வாய்ப்பைப் பெரிதும் குறைக்கிறது.',
+      questions: {
+        r3q1: {
+          question: 'இரண்டாவது படி பொதுவாக என்ன?',
+          options: ['இரண்டாவது கடவுச்சொல்', 'உங்கள் தொலைபேசிக்கு அனுப்பப்படும் குறியீடு', 'உங்கள் முகத்தின் புகைப்படம்', 'ஒரு பாதுகாப்புக் கேள்வி'],
+        },
+        r3q2: {
+          question: 'அதை அணைப்பது தவறு என்று நிபுணர்கள் ஏன் சொல்கிறார்கள்?',
+          options: ['திருடப்பட்ட கடவுச்சொற்கள் பல இணையதளங்களில் முயற்சிக்கப்படுகின்றன', 'குறியீடுகளுக்குச் செலவு இல்லை', 'கணினிகளை விடத் தொலைபேசிகள் பாதுகாப்பானவை', 'அது உள்நுழைவை வேகமாக்குகிறது'],
+        },
+        r3q3: {
+          question: 'இந்தப் பத்தியின் முக்கியக் கருத்து என்ன?',
+          options: ['கடவுச்சொற்கள் சில நிமிடங்களுக்கு ஒருமுறை மாற வேண்டும்', 'உள்நுழைய சிறந்த வழி தொலைபேசிதான்', 'கடவுச்சொற்கள் திருடப்பட்டாலும் இரண்டு-படிச் சரிபார்ப்பு கணக்குகளைப் பாதுகாக்கிறது', 'குற்றவாளிகள் பெரும்பாலும் தொலைபேசிகளைத் திருடுகிறார்கள்'],
+        },
+      },
+    },
+    r4: {
+      title: 'உங்களுக்காகப் பரிந்துரைக்கப்பட்டவை',
+      text: 'நீங்கள் அடுத்து எதை ரசிப்பீர்கள் என்று கணிக்க, ஸ்ட்ரீமிங் சேவைகள் உங்கள் பார்வை வரலாற்றை ஆராயும் பரிந்துரை வழிமுறைகளைப் பயன்படுத்துகின்றன. இந்த அமைப்புகள் வசதியானவை. ஆனால், அறிமுகமில்லாத கருத்துகளை அறிமுகப்படுத்துவதற்குப் பதிலாக ஏற்கனவே உள்ள விருப்பங்களை வலுப்படுத்தி, மக்கள் கண்டறியும் நிகழ்ச்சிகளின் வரம்பை அவை படிப்படியாகக் குறுக்குகின்றன என்று விமர்சகர்கள் வாதிடுகிறார்கள். இதற்குப் பதிலாகச் சில தளங்கள் எதிர்பாராத சில பரிந்துரைகளை வேண்டுமென்றே சேர்த்துள்ளன; ஆய்வாளர்கள் இந்த நுட்பத்தை வடிவமைக்கப்பட்ட தற்செயல் கண்டுபிடிப்பு என்று அழைக்கிறார்கள். இது உண்மையில் ரசனையை விரிவாக்குகிறதா என்று அளவிடுவது கடினம், ஏனெனில் வழக்கத்துக்கு மாறான பரிந்துரைகளை ஏற்கும் பார்வையாளர்கள் ஏற்கனவே சராசரியை விடப் புதியவற்றை முயல்பவர்களாக இருந்திருக்கலாம்.',
+      questions: {
+        r4q1: {
+          question: 'பரிந்துரை வழிமுறைகள் என்ன செய்வதாக விமர்சகர்கள் கூறுகிறார்கள்?',
+          options: ['சந்தாக்களை அதிக விலையாக்குகின்றன', 'மக்கள் பார்க்கும் உள்ளடக்கத்தின் வரம்பைக் குறுக்குகின்றன', 'அதிகமான விளம்பரங்களைக் காட்டுகின்றன', 'பார்வை வரலாற்றை நீக்குகின்றன'],
+        },
+        r4q2: {
+          question: "இங்கு 'வடிவமைக்கப்பட்ட தற்செயல் கண்டுபிடிப்பு' என்பது எதைக் குறிக்கிறது?",
+          options: ['பிரபலமான தலைப்புகளை மட்டும் பரிந்துரைப்பது', 'பார்ப்பவற்றை மதிப்பிடுமாறு பார்வையாளர்களைக் கேட்பது', 'எதிர்பாராத பரிந்துரைகளை வேண்டுமென்றே சேர்ப்பது', 'பழைய நிகழ்ச்சிகளை நீக்குவது'],
+        },
+        r4q3: {
+          question: 'இந்தப் பரிந்துரைகளின் விளைவை அளவிடுவது ஏன் கடினம்?',
+          options: ['தளங்கள் பார்வை வரலாற்றை வைத்திருப்பதில்லை', 'அவற்றை ஏற்பவர்கள் ஏற்கனவே புதியவற்றை முயல்பவர்களாக இருக்கலாம்', 'பார்வையாளர்கள் சந்தாக்களை ரத்து செய்கிறார்கள்', 'வழிமுறைகள் ஒவ்வொரு நாளும் மாறுகின்றன'],
+        },
+      },
+    },
+    r5: {
+      title: 'சரிபார்ப்புப் பட்டியலுக்கு அப்பால்',
+      text: 'பொது நிறுவனங்கள் தங்கள் டிஜிட்டல் சேவைகளை அங்கீகரிக்கப்பட்ட தொழில்நுட்பத் தரநிலைகளுக்கு இணங்கச் செய்ய வேண்டும் என்று அணுகல்தன்மைச் சட்டங்கள் மேலும் மேலும் கோருகின்றன. ஆனால், இணக்கம் பெரும்பாலும் ஒரு நடைமுறைச் சடங்காகவே கருதப்படுகிறது. தானியங்கு மதிப்பீட்டுக் கருவிகள் மாற்று உரை அல்லது வண்ண மாறுபாட்டு விகிதங்கள் போன்ற அளவிடக்கூடிய பண்புகளைச் சரிபார்க்கின்றன; ஆனால் உதவித் தொழில்நுட்பத்தைப் பயன்படுத்தும் ஒருவருக்கு ஓர் இடைமுகம் உண்மையிலேயே புரியக்கூடியதா என்பதை அவற்றால் தீர்மானிக்க முடியாது. இதன் விளைவாக, ஓர் இணையதளம் அளவிடக்கூடிய ஒவ்வொரு நிபந்தனையையும் பூர்த்தி செய்தும் நடைமுறையில் பயன்படுத்த முடியாததாக இருக்கலாம். எனவே, இணக்கச் சோதனையுடன், எந்த முன்கூட்டிய சரிபார்ப்புப் பட்டியலும் எதிர்பார்க்காத சிக்கல்களைத் தங்கள் வாழ்வனுபவத்தால் வெளிப்படுத்தும் மாற்றுத்திறனாளிப் பங்கேற்பாளர்களுடன் மீண்டும் மீண்டும் மதிப்பீடு செய்ய வேண்டும் என்று ஆதரவாளர்கள் வாதிடுகிறார்கள்.',
+      questions: {
+        r5q1: {
+          question: 'தானியங்கு கருவிகளின் எந்த வரம்பைப் பத்தி விவரிக்கிறது?',
+          options: ['பொது அமைப்புகளுக்கு அவை மிக விலை உயர்ந்தவை', 'அவை வண்ண மாறுபாட்டைப் புறக்கணிக்கின்றன', 'ஓர் இடைமுகம் உண்மையில் புரியக்கூடியதா என்பதை அவற்றால் மதிப்பிட முடியாது', 'அவை அரசு இணையதளங்களில் மட்டுமே இயங்குகின்றன'],
+        },
+        r5q2: {
+          question: "இணக்கத்தை 'நடைமுறைச் சடங்கு' என்று அழைப்பது, அது பெரும்பாலும்... என்பதைக் குறிக்கிறது",
+          options: ['சேவைகளைப் பயன்படுத்தக்கூடியதாக்குவதை விடப் பெட்டிகளைக் குறியிடுவது', 'உண்மையான பயனர்களுடன் செய்யப்படும் முழுமையான ஆய்வு', 'ஒரு சட்டத் தண்டனை', 'இணையதளங்களை உருவாக்கும் விரைவான வழி'],
+        },
+        r5q3: {
+          question: 'ஆதரவாளர்கள் எதைப் பரிந்துரைக்கிறார்கள்?',
+          options: ['சட்டங்களுக்குப் பதிலாகச் சரிபார்ப்புப் பட்டியல்கள்', 'மாற்றுத்திறனாளிப் பங்கேற்பாளர்களுடனும் சோதிப்பது', 'தானியங்கு கருவிகளை முற்றிலும் கைவிடுவது', 'மேலும் மாற்று உரையைச் சேர்ப்பது'],
+        },
+      },
+    },
+  },
+};
@@ -8,7 +8,9 @@ import {
   calculateLiteracyScore,
   calculateCategoryScores,
 } from '../../utils/literacyQuestions';
+import { analyzeAnswerConfidence } from '../../utils/answerConfidence';
 import { saveLiteracyResults } from '../../utils/api';
+import { DEFAULT_LOCALE } from '../../utils/i18n';
 
 const LiteracyQuiz = () => {
   const navigate = useNavigate();
@@ -126,6 +128,11 @@ const LiteracyQuiz = () => {
       correctAnswers: scoreData.correctAnswers,
       totalQuestions: scoreData.totalQuestions,
       categoryScores,
+      theta: scoreData.theta,
+      thetaSe: scoreData.thetaSe,
+      answerConfidence: analyzeAnswerConfidence(allResponses),
+      // The legacy quiz is English only
+      locale: DEFAULT_LOCALE,
     };
 
     setResults(resultsData);
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { Stage, Layer, Circle, Rect } from 'react-konva';
 import useStore from '../../state/store';
 import MotorSkillsTracker from '../../utils/motorSkillsTracking';
+import MotorEventLog, { loadLocalReplay } from '../../utils/motorEventLog';
 import usePerformanceMetrics from '../../hooks/usePerformanceMetrics';
 import logo from '../../resources/logo.png';
 
@@ -47,6 +48,7 @@ const MotorSkillsGame = () => {
   
   // Enhanced motor skills tracking (only for this module)
   const motorTrackerRef = useRef(null);
+  const eventLogRef = useRef(null);
   
   // Performance metrics tracking
   const perfMetrics = usePerformanceMetrics();
@@ -92,6 +94,21 @@ const MotorSkillsGame = () => {
     }
   }, [sessionId]);
   
+  // Event log for the replay view - continues the stored log when resuming mid-test
+  useEffect(() => {
+    if (!sessionId || eventLogRef.current?.sessionId === sessionId) return;
+    eventLogRef.current = new MotorEventLog(sessionId, { stage: { width: STAGE_WIDTH, height: STAGE_HEIGHT } });
+    
+    if (getInitialRound() > 1) {
+      loadLocalReplay(sessionId).then((saved) => {
+        const log = eventLogRef.current;
+        if (saved && !saved.completedAt && log?.sessionId === sessionId && log.events.length === 0) {
+          eventLogRef.current = new MotorEventLog(sessionId, { saved });
+        }
+      });
+    }
+  }, [sessionId]);
+  
   // Check if motor test was already completed (module marked complete in store)
   const motorCompleted = useStore((state) => state.motorSkillsData.completed);
   useEffect(() => {
@@ -105,10 +122,10 @@ const MotorSkillsGame = () => {
     isPlayingRef.current = isPlaying;
   }, [isPlaying]);
 
-  // Generate unique bubble ID
-  const generateBubbleId = () => {
-    return `bubble_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-  };
+  // Seeded per session so a replay shows the same IDs as the attempt logs
+  const generateBubbleId = () => eventLogRef.current
+    ? eventLogRef.current.nextBubbleId(currentRound)
+    : `bubble_r${currentRound}_${patternIndexRef.current}`;
 
   // Spawn a new bubble
   const spawnBubble = useCallback(() => {
@@ -130,6 +147,7 @@ const MotorSkillsGame = () => {
 
     bubblesRef.current.push(newBubble);
     setBubbles([...bubblesRef.current]);
+    eventLogRef.current?.recordSpawn(newBubble);
 
     // Track bubble spawn with enhanced tracker
     if (motorTrackerRef.current) {
@@ -141,13 +159,15 @@ const MotorSkillsGame = () => {
   const animate = useCallback(() => {
     // Record frame timing for performance metrics
     perfMetrics.recordFrame();
+    eventLogRef.current?.recordFrame();
     
-    const now = Date.now();
     const updatedBubbles = bubblesRef.current.filter((bubble) => {
       bubble.y -= bubble.speed;
       
       // Remove if off screen (top of canvas)
       if (bubble.y < -BUBBLE_RADIUS) {
+        eventLogRef.current?.recordEscape(bubble.id);
+        
         // Track bubble escape with enhanced tracker
         if (motorTrackerRef.current) {
           motorTrackerRef.current.trackBubbleMiss(bubble);
@@ -171,9 +191,12 @@ const MotorSkillsGame = () => {
     // Record input event for input lag estimation
     perfMetrics.recordInputEvent(event.evt?.timeStamp);
     
+    const stagePosition = stageRef.current?.getPointerPosition();
+    eventLogRef.current?.recordPop(bubble.id, stagePosition);
+    
     // Track bubble hit with enhanced metrics
     if (motorTrackerRef.current) {
-      motorTrackerRef.current.trackBubbleHit(bubble, event.evt);
+      motorTrackerRef.current.trackBubbleHit(bubble, event.evt, stagePosition);
       // NOTE: Don't call trackPointerUp here - it creates duplicate events!
       // trackBubbleHit already logs all the data we need
     }
@@ -196,7 +219,9 @@ const MotorSkillsGame = () => {
 
   // Track mouse/touch movement during game
   const handlePointerMove = (event) => {
-    if (!isPlaying || !motorTrackerRef.current) return;
+    if (!isPlaying) return;
+    eventLogRef.current?.recordPointer(stageRef.current?.getPointerPosition(), event.evt.buttons > 0 || event.evt.type === 'touchmove');
+    if (!motorTrackerRef.current) return;
     
     // Track movement for velocity, acceleration, trajectory
     motorTrackerRef.current.trackPointerMove(event.evt);
@@ -204,7 +229,9 @@ const MotorSkillsGame = () => {
   
   // Track pointer down
   const handlePointerDown = (event) => {
-    if (!isPlaying || !motorTrackerRef.current) return;
+    if (!isPlaying) return;
+    eventLogRef.current?.recordPointer(stageRef.current?.getPointerPosition(), true);
+    if (!motorTrackerRef.current) return;
     
     motorTrackerRef.current.trackPointerDown(event.evt);
   };
@@ -290,6 +317,7 @@ const MotorSkillsGame = () => {
     setBubbles([]);
 
     setMotorRound(currentRound);
+    eventLogRef.current?.recordRoundStart(currentRound);
     
     // Update tracker round
     if (motorTrackerRef.current) {
@@ -364,6 +392,11 @@ const MotorSkillsGame = () => {
           duration: BUBBLE_PATTERNS[currentRound - 1].duration,
           averageReactionTime: 0, // Could calculate this if needed
         });
+        
+        if (eventLogRef.current) {
+          eventLogRef.current.recordRoundEnd(currentRound, { hits, misses });
+          await eventLogRef.current.save();
+        }
       } catch (error) {
         console.error('Error tracking round completion:', error);
         // Continue game even if tracking fails
@@ -415,6 +448,15 @@ const MotorSkillsGame = () => {
       }
     }
     
+    // Upload the event log for /replay/:sessionId
+    if (eventLogRef.current) {
+      try {
+        await eventLogRef.current.complete();
+      } catch (error) {
+        console.error('Error uploading motor replay:', error);
+      }
+    }
+    
     // Save performance metrics to session
     try {
       const { updateSessionPerformance } = await import('../../utils/api');
@@ -441,6 +483,10 @@ const MotorSkillsGame = () => {
       if (spawnTimerRef.current) clearInterval(spawnTimerRef.current);
       if (roundTimerRef.current) clearInterval(roundTimerRef.current);
       if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
+      if (motorTrackerRef.current) {
+        motorTrackerRef.current.dispose();
+        motorTrackerRef.current = null;
+      }
     };
   }, []);
 
@@ -5,6 +5,9 @@ import ProgressBar from '../../components/ProgressBar';
 import useStore from '../../state/store';
 import { ISHIHARA_PLATES, analyzeColorBlindness } from '../../utils/colorBlindnessAnalysis';
 import { saveVisionResults } from '../../utils/api';
+import { getPlateDiameterPx } from '../../utils/screenCalibration';
+import useScreenCalibration from '../../hooks/useScreenCalibration';
+import RecalibrationPrompt from '../../components/game/RecalibrationPrompt';
 
 // Import Ishihara plate images
 import ishihara1 from '../../resources/ishihara_1.jpg';
@@ -25,6 +28,12 @@ const ColorBlindnessTest = () => {
   const sessionId = useStore((state) => state.sessionId);
   const { recordColorBlindnessResponse, completeColorBlindnessTest } = useStore();
 
+  // Plates match a printed plate's visual angle once the screen is calibrated
+  const { calibration, displayChanged, saveCalibration, acknowledgeDisplayChange } = useScreenCalibration();
+  const plateDiameterPx = getPlateDiameterPx(calibration);
+  const plateSizeClass = plateDiameterPx ? '' : 'w-64 h-64 sm:w-80 sm:h-80 ';
+  const plateSizeStyle = plateDiameterPx ? { width: plateDiameterPx, height: plateDiameterPx } : {};
+
   // Load initial state from sessionStorage for persistence across refresh
   const getInitialPlateIndex = () => {
     const saved = sessionStorage.getItem('sensecheck_colorblindness_plate');
@@ -97,6 +106,7 @@ const ColorBlindnessTest = () => {
           colorBlindness: {
             plates: allPlates,
             ...analysis,
+            plateDiameterPx,
           },
         });
       } catch (error) {
@@ -171,6 +181,14 @@ const ColorBlindnessTest = () => {
   return (
     <Layout title="Pattern Hunt" subtitle="Find the Hidden Numbers">
       <div className="max-w-3xl mx-auto">
+        {displayChanged && (
+          <RecalibrationPrompt
+            calibration={calibration}
+            onSave={saveCalibration}
+            onDismiss={acknowledgeDisplayChange}
+          />
+        )}
+
         <ProgressBar
           current={currentPlateIndex + 1}
           total={ISHIHARA_PLATES.length}
@@ -200,15 +218,16 @@ const ColorBlindnessTest = () => {
               <img
                 src={imageMap[currentPlate.imageName]}
                 alt={`Ishihara Plate ${currentPlate.plateId}`}
-                className="w-64 h-64 sm:w-80 sm:h-80 rounded-full object-cover shadow-2xl ring-4 ring-gray-800"
+                className={`${plateSizeClass}rounded-full object-cover shadow-2xl ring-4 ring-gray-800`}
+                style={plateSizeStyle}
                 onError={(e) => {
                   e.target.style.display = 'none';
                   e.target.nextElementSibling.style.display = 'flex';
                 }}
               />
               <div
-                className="w-64 h-64 sm:w-80 sm:h-80 rounded-full bg-gradient-to-br from-red-300 via-green-300 to-yellow-300 items-center justify-center flex-col"
-                style={{ display: 'none' }}
+                className={`${plateSizeClass}rounded-full bg-gradient-to-br from-red-300 via-green-300 to-yellow-300 items-center justify-center flex-col`}
+                style={{ ...plateSizeStyle, display: 'none' }}
               >
                 <div className="text-white text-6xl font-bold opacity-50">
                   {currentPlate.plateId}
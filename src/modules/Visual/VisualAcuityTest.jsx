@@ -1,15 +1,34 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../../components/Layout';
 import useStore from '../../state/store';
 import { calculateVisualAcuityMetrics } from '../../utils/visualAcuityCalculations';
 import { saveVisionResults } from '../../utils/api';
+import { OPTOTYPE_TYPES, getOptotypeType, isDirectionalOptotype, pickDirection } from '../../utils/optotypes';
+import useDirectionInput from '../../hooks/useDirectionInput';
+import useScreenCalibration from '../../hooks/useScreenCalibration';
+import Optotype from '../../components/game/challenges/acuity/Optotype';
+import DirectionButtons from '../../components/game/challenges/acuity/DirectionButtons';
+import RecalibrationPrompt from '../../components/game/RecalibrationPrompt';
+
+const OPTOTYPE_PROMPTS = {
+  [OPTOTYPE_TYPES.TUMBLING_E]: 'Which way do the bars of the E point?',
+  [OPTOTYPE_TYPES.LANDOLT_C]: 'Which side of the ring is open?',
+  [OPTOTYPE_TYPES.DIGITS]: 'Spot the shrinking number!',
+};
 
 /**
  * Calculate screen-adaptive sizes for visual acuity test
  * Level 7 = 20/20 vision threshold for this specific screen
+ *
+ * @param {object|null} calibration - Saved screen calibration; without it the PPI is
+ *   estimated from the resolution and 57cm is assumed
  */
-const calculateAdaptiveSizes = () => {
+const calculateAdaptiveSizes = (calibration = null) => {
+  if (calibration?.pxPerMm) {
+    return calculateCalibratedSizes(calibration);
+  }
+  
   const dpr = window.devicePixelRatio || 1;
   const screenWidth = window.screen.width * dpr;
   const screenHeight = window.screen.height * dpr;
@@ -46,6 +65,31 @@ const calculateAdaptiveSizes = () => {
   return { sizes, twentyTwentyPixels, ppi: Math.round(ppi) };
 };
 
+/**
+ * Same 7 levels, from the measured px/mm and viewing distance
+ */
+const calculateCalibratedSizes = ({ pxPerMm, viewingDistanceMm }) => {
+  const angleRadians = (5 / 60) * (Math.PI / 180);
+  const physicalSizeMM = 2 * viewingDistanceMm * Math.tan(angleRadians / 2);
+  const twentyTwentyPixels = Math.round(physicalSizeMM * pxPerMm);
+  
+  const level1Size = Math.max(80, twentyTwentyPixels * 4);
+  const level7Size = Math.max(10, twentyTwentyPixels);
+  
+  const sizes = [];
+  for (let i = 0; i < 7; i++) {
+    sizes.push(Math.round(level1Size - (level1Size - level7Size) * (i / 6)));
+  }
+  
+  return {
+    sizes,
+    twentyTwentyPixels,
+    ppi: Math.round(pxPerMm * 25.4),
+    pxPerMm: Math.round(pxPerMm * 100) / 100,
+    viewingDistanceMM: viewingDistanceMm,
+  };
+};
+
 const VisualAcuityTest = () => {
   const navigate = useNavigate();
   const sessionId = useStore((state) => state.sessionId);
@@ -56,8 +100,9 @@ const VisualAcuityTest = () => {
     completeModule,
   } = useStore();
 
-  // Calculate adaptive sizes
-  const screenCalibration = useMemo(() => calculateAdaptiveSizes(), []);
+  // Calculate adaptive sizes - from the saved calibration for this screen when there is one
+  const { calibration, displayChanged, saveCalibration, acknowledgeDisplayChange } = useScreenCalibration();
+  const screenCalibration = useMemo(() => calculateAdaptiveSizes(calibration), [calibration]);
   const { sizes: levelSizes, twentyTwentyPixels } = screenCalibration;
 
   // Load initial state from sessionStorage for persistence
@@ -75,8 +120,20 @@ const VisualAcuityTest = () => {
     return saved ? JSON.parse(saved) : null;
   };
 
+  // Optotype stays fixed for the whole test, including after a reload
+  const getInitialOptotype = () => {
+    const saved = sessionStorage.getItem('sensecheck_visualacuity_optotype');
+    if (saved) return saved;
+    const optotype = getOptotypeType();
+    sessionStorage.setItem('sensecheck_visualacuity_optotype', optotype);
+    return optotype;
+  };
+
   const [currentLevel, setCurrentLevel] = useState(getInitialLevel);
+  const [optotype] = useState(getInitialOptotype);
+  const isDirectional = isDirectionalOptotype(optotype);
   const [currentNumber, setCurrentNumber] = useState(null);
+  const [currentDirection, setCurrentDirection] = useState(null);
   const [userAnswer, setUserAnswer] = useState('');
   const [attemptNumber, setAttemptNumber] = useState(1);
   const [attemptStartTime, setAttemptStartTime] = useState(Date.now());
@@ -87,6 +144,9 @@ const VisualAcuityTest = () => {
   // Get current size based on level
   const currentSize = levelSizes[currentLevel - 1];
 
+  // Ignore further input once an answer is in, until the next stimulus shows
+  const answerLockedRef = useRef(false);
+
   // Check if test was already completed in store
   const storeCompleted = useStore((state) => state.visualAcuityResults.completed);
   useEffect(() => {
@@ -101,23 +161,43 @@ const VisualAcuityTest = () => {
 
   useEffect(() => {
     if (!isComplete) {
-      const number = generateNumber();
-      setCurrentNumber(number);
+      if (isDirectional) {
+        setCurrentDirection(pickDirection());
+      } else {
+        setCurrentNumber(generateNumber());
+      }
       setAttemptStartTime(Date.now());
+      answerLockedRef.current = false;
     }
-  }, [currentLevel, attemptNumber, isComplete, currentSize]);
+  }, [currentLevel, attemptNumber, isComplete, currentSize, isDirectional]);
 
-  const handleSubmit = async () => {
+  const handleSubmit = () => {
     if (!userAnswer.trim()) return;
+    submitAnswer(userAnswer, 'typed');
+  };
+
+  const { swipeHandlers } = useDirectionInput({
+    enabled: !isComplete && isDirectional,
+    onDirection: (direction, inputMethod) => submitAnswer(direction, inputMethod),
+  });
+
+  const submitAnswer = async (answer, inputMethod) => {
+    if (answerLockedRef.current) return;
+    answerLockedRef.current = true;
 
     const responseTime = Date.now() - attemptStartTime;
-    const isCorrect = parseInt(userAnswer) === currentNumber;
+    const isCorrect = isDirectional
+      ? answer === currentDirection
+      : parseInt(answer) === currentNumber;
 
     const attemptData = {
       level: currentLevel,
       size: currentSize,
-      number: currentNumber,
-      userAnswer: parseInt(userAnswer),
+      optotype,
+      ...(isDirectional
+        ? { direction: currentDirection, userAnswer: answer }
+        : { number: currentNumber, userAnswer: parseInt(answer) }),
+      inputMethod,
       isCorrect,
       responseTime,
       attemptNumber,
@@ -168,6 +248,7 @@ const VisualAcuityTest = () => {
       finalLevel,
       finalResolvedSize: finalSize,
       twentyTwentyThreshold: twentyTwentyPixels,
+      optotype,
       screenCalibration,
       visionRating,
       isPerfectVision: finalLevel >= 7,
@@ -190,6 +271,7 @@ const VisualAcuityTest = () => {
     sessionStorage.setItem('sensecheck_visualacuity_complete', 'true');
     sessionStorage.setItem('sensecheck_visualacuity_results', JSON.stringify(resultsData));
     sessionStorage.removeItem('sensecheck_visualacuity_level');
+    sessionStorage.removeItem('sensecheck_visualacuity_optotype');
 
     setIsComplete(true);
   };
@@ -245,6 +327,14 @@ const VisualAcuityTest = () => {
   return (
     <Layout title="Eagle Eye Challenge" subtitle="How Small Can You Go?">
       <div className="max-w-3xl mx-auto">
+        {displayChanged && (
+          <RecalibrationPrompt
+            calibration={calibration}
+            onSave={saveCalibration}
+            onDismiss={acknowledgeDisplayChange}
+          />
+        )}
+        
         {/* Progress Indicator */}
         <div className="mb-6">
           <div className="flex justify-between text-sm mb-2">
@@ -285,66 +375,87 @@ const VisualAcuityTest = () => {
               {attemptNumber === 1 
                 ? currentLevel === 7 
                   ? '🎯 Final level - 20/20 vision test!'
-                  : 'Spot the shrinking number!' 
+                  : OPTOTYPE_PROMPTS[optotype]
                 : '⚠️ Oops! One more try!'}
             </h3>
           </div>
 
-          {/* Number Display */}
-          <div className="bg-gray-950 rounded-2xl p-8 mb-6 flex justify-center items-center min-h-[400px] sm:min-h-[450px] border border-gray-800">
-            <div
-              className="rounded-full bg-white flex items-center justify-center font-bold text-gray-900 shadow-2xl transition-all duration-500"
-              style={{
-                width: `${currentSize}px`,
-                height: `${currentSize}px`,
-                fontSize: `${currentSize * 0.5}px`,
-              }}
-            >
-              {currentNumber}
-            </div>
+          {/* Stimulus - swipe here to answer a directional optotype */}
+          <div
+            className="bg-gray-950 rounded-2xl p-8 mb-6 flex justify-center items-center min-h-[400px] sm:min-h-[450px] border border-gray-800"
+            style={isDirectional ? { touchAction: 'none' } : undefined}
+            {...(isDirectional ? swipeHandlers : {})}
+          >
+            {isDirectional ? (
+              currentDirection && (
+                <div key={`${currentLevel}-${attemptNumber}`} className="rounded-2xl bg-white shadow-2xl animate-fade-in" style={{ padding: `${Math.max(12, Math.round(currentSize * 0.4))}px` }}>
+                  <Optotype type={optotype} direction={currentDirection} size={currentSize} />
+                </div>
+              )
+            ) : (
+              <div
+                className="rounded-full bg-white flex items-center justify-center font-bold text-gray-900 shadow-2xl transition-all duration-500"
+                style={{
+                  width: `${currentSize}px`,
+                  height: `${currentSize}px`,
+                  fontSize: `${currentSize * 0.5}px`,
+                }}
+              >
+                {currentNumber}
+              </div>
+            )}
           </div>
 
           {/* Input Section */}
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="number-input" className="block text-sm font-medium text-gray-300 mb-2">
-                What number is it?
-              </label>
-              <input
-                id="number-input"
-                type="number"
-                value={userAnswer}
-                onChange={(e) => setUserAnswer(e.target.value)}
-                onFocus={(e) => {
-                  e.target.style.borderColor = 'rgba(var(--primary-color-rgb), 0.5)';
-                  e.target.style.boxShadow = '0 0 15px rgba(var(--primary-color-rgb), 0.1)';
-                }}
-                onBlur={(e) => {
-                  e.target.style.borderColor = 'rgba(55, 65, 81, 0.5)';
-                  e.target.style.boxShadow = 'none';
-                }}
-                className="w-full px-4 py-4 rounded-xl bg-gray-800/50 text-white text-center text-2xl placeholder-gray-500 transition-all duration-300 focus:outline-none"
-                style={{ border: '2px solid rgba(55, 65, 81, 0.5)' }}
-                placeholder="Enter number"
-                autoFocus
-                onKeyPress={(e) => {
-                  if (e.key === 'Enter') handleSubmit();
-                }}
-              />
+          {isDirectional ? (
+            <div className="space-y-3">
+              <DirectionButtons onAnswer={submitAnswer} />
+              <p className="text-center text-xs text-gray-500">
+                Tap an arrow, swipe on the picture, or use your arrow keys
+              </p>
             </div>
+          ) : (
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="number-input" className="block text-sm font-medium text-gray-300 mb-2">
+                  What number is it?
+                </label>
+                <input
+                  id="number-input"
+                  type="number"
+                  value={userAnswer}
+                  onChange={(e) => setUserAnswer(e.target.value)}
+                  onFocus={(e) => {
+                    e.target.style.borderColor = 'rgba(var(--primary-color-rgb), 0.5)';
+                    e.target.style.boxShadow = '0 0 15px rgba(var(--primary-color-rgb), 0.1)';
+                  }}
+                  onBlur={(e) => {
+                    e.target.style.borderColor = 'rgba(55, 65, 81, 0.5)';
+                    e.target.style.boxShadow = 'none';
+                  }}
+                  className="w-full px-4 py-4 rounded-xl bg-gray-800/50 text-white text-center text-2xl placeholder-gray-500 transition-all duration-300 focus:outline-none"
+                  style={{ border: '2px solid rgba(55, 65, 81, 0.5)' }}
+                  placeholder="Enter number"
+                  autoFocus
+                  onKeyPress={(e) => {
+                    if (e.key === 'Enter') handleSubmit();
+                  }}
+                />
+              </div>
 
-            <button
-              onClick={handleSubmit}
-              disabled={!userAnswer.trim()}
-              className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:shadow-none"
-              style={{ 
-                background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
-                boxShadow: '0 4px 20px var(--primary-color-glow)'
-              }}
-            >
-              Submit Answer
-            </button>
-          </div>
+              <button
+                onClick={handleSubmit}
+                disabled={!userAnswer.trim()}
+                className="w-full py-4 px-6 rounded-xl font-semibold text-white transition-all duration-300 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:shadow-none"
+                style={{ 
+                  background: 'linear-gradient(135deg, var(--primary-color) 0%, var(--primary-color-light) 100%)',
+                  boxShadow: '0 4px 20px var(--primary-color-glow)'
+                }}
+              >
+                Submit Answer
+              </button>
+            </div>
+          )}
 
           {/* Second Attempt Warning */}
           {attemptNumber === 2 && (
@@ -377,8 +488,12 @@ const VisualAcuityTest = () => {
               <h4 className="font-semibold text-white mb-2">Instructions</h4>
               <ul className="text-sm text-gray-400 space-y-1">
                 <li>• Keep a one meter distance from the screen</li>
-                <li>• Identify the number displayed in the white circle</li>
-                <li>• The number will get smaller with each correct answer</li>
+                {isDirectional ? (
+                  <li>• Show which way the {optotype === OPTOTYPE_TYPES.LANDOLT_C ? 'ring opens' : 'E points'} with the arrows, a swipe or your arrow keys</li>
+                ) : (
+                  <li>• Identify the number displayed in the white circle</li>
+                )}
+                <li>• The picture will get smaller with each correct answer</li>
                 <li>• You get two attempts if you answer incorrectly</li>
               </ul>
             </div>
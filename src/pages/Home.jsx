@@ -2,7 +2,8 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import UserInfoModal from '../components/UserInfoModal';
 import useStore from '../state/store';
-import { useGame } from '../context/GameContext';
+import { useGame, CHALLENGE_COUNT } from '../context/GameContext';
+import { useTranslation } from '../context/LocaleContext';
 import logo from '../resources/logo.png';
 
 const Home = () => {
@@ -10,6 +11,7 @@ const Home = () => {
   const completedModules = useStore((state) => state.completedModules);
   const loadSessionData = useStore((state) => state.loadSessionData);
   const { setUserId } = useGame();
+  const { t } = useTranslation();
   const [showUserInfoModal, setShowUserInfoModal] = useState(false);
   const [userInfoCollected, setUserInfoCollected] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -86,7 +88,7 @@ const Home = () => {
       <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-black flex items-center justify-center">
         <div className="text-center">
           <img src={logo} alt="AURA Logo" className="w-16 h-16 mx-auto mb-6 animate-pulse" />
-          <p className="text-gray-400 text-sm">Initializing AURA...</p>
+          <p className="text-gray-400 text-sm">{t('home.loading')}</p>
         </div>
       </div>
     );
@@ -122,8 +124,8 @@ const Home = () => {
                 </svg>
               </div>
               
-              <h2 className="text-2xl font-bold text-white mb-2">Assessment Complete!</h2>
-              <p className="text-gray-400 mb-6">You've finished all assessment modules.</p>
+              <h2 className="text-2xl font-bold text-white mb-2">{t('home.completeTitle')}</h2>
+              <p className="text-gray-400 mb-6">{t('home.completeText')}</p>
             </div>
           </div>
         </div>
@@ -165,30 +167,29 @@ const Home = () => {
             {/* Logo */}
             <div className="inline-flex items-center gap-3 mb-8">
               <img src={logo} alt="AURA Logo" className="w-16 h-16 sm:w-20 sm:h-20 object-contain" />
-              <div className="text-left">
+              <div className="text-start">
                 <h1 className="text-4xl sm:text-5xl font-black tracking-tight text-white">AURA</h1>
-                <p className="text-xs sm:text-sm font-medium tracking-widest uppercase" style={{ color: 'var(--primary-color)' }}>Digital Profile</p>
+                <p className="text-xs sm:text-sm font-medium tracking-widest uppercase" style={{ color: 'var(--primary-color)' }}>{t('flow.subtitle')}</p>
               </div>
             </div>
 
             <h2 className="text-2xl sm:text-4xl font-bold mb-4 text-white leading-tight">
-              Ready to <span className="text-aura-gradient">Challenge Yourself?</span>
+              {t('home.readyBefore')}<span className="text-aura-gradient">{t('home.readyHighlight')}</span>{t('home.readyAfter')}
             </h2>
             <p className="text-base sm:text-lg text-gray-400 leading-relaxed max-w-xl mx-auto mb-10">
-              Four fun brain games await! Spot hidden patterns, test your focus, 
-              pop bubbles at lightning speed, and show off your digital smarts.
+              {t('home.text', { count: CHALLENGE_COUNT })}
             </p>
 
             {/* Challenge preview */}
             <div className="flex justify-center gap-4 sm:gap-6 mb-10">
               {[
-                { icon: '🎨', name: 'Patterns' },
-                { icon: '🦅', name: 'Focus' },
-                { icon: '🎯', name: 'Speed' },
-                { icon: '🧠', name: 'Trivia' },
+                { icon: '🎨', key: 'patterns' },
+                { icon: '🦅', key: 'focus' },
+                { icon: '🎯', key: 'speed' },
+                { icon: '🧠', key: 'trivia' },
               ].map((challenge, index) => (
                 <div 
-                  key={challenge.name}
+                  key={challenge.key}
                   className="flex flex-col items-center"
                 >
                   <div 
@@ -200,7 +201,7 @@ const Home = () => {
                   >
                     {challenge.icon}
                   </div>
-                  <span className="text-xs text-gray-500">{challenge.name}</span>
+                  <span className="text-xs text-gray-500">{t(`home.previews.${challenge.key}`)}</span>
                 </div>
               ))}
             </div>
@@ -210,7 +211,7 @@ const Home = () => {
               <svg className="w-4 h-4 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              <span className="text-sm text-gray-400">Takes about <span className="text-white font-semibold">5-7 minutes</span></span>
+              <span className="text-sm text-gray-400">{t('home.timeBefore')}<span className="text-white font-semibold">{t('home.timeValue')}</span>{t('home.timeAfter')}</span>
             </div>
 
             {/* CTA Button */}
@@ -224,7 +225,7 @@ const Home = () => {
                 }}
               >
                 <span className="flex items-center justify-center gap-2">
-                  Let's Play!
+                  {t('intro.start')}
                   <svg className="w-5 h-5 group-hover:translate-x-1 transition-transform" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
                   </svg>
@@ -232,7 +233,7 @@ const Home = () => {
               </button>
               
               <p className="text-xs text-gray-600">
-                Your gameplay helps improve our games 🎮
+                {t('home.privacy')}
               </p>
             </div>
           </div>
@@ -241,14 +242,14 @@ const Home = () => {
           <div className="mt-16 max-w-4xl w-full">
             <div className="grid sm:grid-cols-3 gap-4">
               {[
-                { icon: '🔥', title: 'Build Streaks', desc: 'Chain correct answers for glory' },
-                { icon: '⚡', title: 'Unlock Skills', desc: 'Earn badges as you play' },
-                { icon: '🏆', title: 'Get Results', desc: 'See your player profile' },
+                { icon: '🔥', key: 'streaks' },
+                { icon: '⚡', key: 'skills' },
+                { icon: '🏆', key: 'results' },
               ].map((item) => (
-                <div key={item.title} className="p-5 rounded-xl bg-gray-900/50 border border-gray-800 text-center">
+                <div key={item.key} className="p-5 rounded-xl bg-gray-900/50 border border-gray-800 text-center">
                   <div className="text-2xl mb-2">{item.icon}</div>
-                  <div className="font-semibold text-white mb-1">{item.title}</div>
-                  <div className="text-xs text-gray-500">{item.desc}</div>
+                  <div className="font-semibold text-white mb-1">{t(`home.features.${item.key}.title`)}</div>
+                  <div className="text-xs text-gray-500">{t(`home.features.${item.key}.desc`)}</div>
                 </div>
               ))}
             </div>
@@ -257,7 +258,7 @@ const Home = () => {
           {/* Footer */}
           <div className="mt-12 text-center">
             <p className="text-gray-600 text-xs tracking-wider">
-              Powered by <span className="font-semibold" style={{ color: 'var(--primary-color)' }}>AURA</span> • Unleash the Future of UI
+              {t('home.footerBefore')}<span className="font-semibold" style={{ color: 'var(--primary-color)' }}>AURA</span>{t('home.footerAfter')}
             </p>
           </div>
         </div>
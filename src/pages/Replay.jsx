@@ -0,0 +1,301 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Stage, Layer, Circle, Rect, Line } from 'react-konva';
+import Layout from '../components/Layout';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { useTranslation } from '../context/LocaleContext';
+import { loadReplay, buildReplayFrames } from '../utils/motorEventLog';
+import { MOTOR_TASKS } from '../utils/motorTasks';
+
+const PLAYBACK_RATES = [0.25, 0.5, 1, 2, 4];
+
+// Recent pointer movement is drawn brighter than the rest of the round's path
+const TRAIL_MS = 1000;
+
+// Pauses longer than this (round intros) are skipped during playback
+const MAX_PLAYBACK_GAP_MS = 1000;
+
+const BUBBLE_COLUMNS = 5;
+
+const getPrimaryColor = () => getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() || '#8BC53F';
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+const Replay = () => {
+  const navigate = useNavigate();
+  const { sessionId } = useParams();
+  const { t } = useTranslation();
+
+  const [replay, setReplay] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const frameIndexRef = useRef(0);
+
+  useEffect(() => {
+    const fetchReplay = async () => {
+      try {
+        setLoading(true);
+        const log = await loadReplay(sessionId);
+        if (!log) {
+          setError('No motor test recording was found for this session.');
+          return;
+        }
+        setReplay(log);
+      } catch (err) {
+        console.error('Error fetching replay:', err);
+        setError('Failed to load the replay. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReplay();
+  }, [sessionId]);
+
+  const timeline = useMemo(() => buildReplayFrames(replay), [replay]);
+
+  // Pointer samples and pops grouped by round segment for drawing
+  const pointerBySegment = useMemo(() => groupBySegment(timeline.pointer), [timeline]);
+  const popsBySegment = useMemo(() => groupBySegment(timeline.pops), [timeline]);
+
+  const goToFrame = (index) => {
+    const clamped = Math.max(0, Math.min(timeline.frames.length - 1, index));
+    frameIndexRef.current = clamped;
+    setFrameIndex(clamped);
+  };
+
+  // Real-time playback - advances through frames by their recorded timestamps
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    const { frames } = timeline;
+    let playhead = frames[frameIndexRef.current]?.t ?? 0;
+    let lastTimestamp = null;
+    let animationFrame = null;
+
+    const tick = (timestamp) => {
+      if (lastTimestamp !== null) playhead += (timestamp - lastTimestamp) * playbackRate;
+      lastTimestamp = timestamp;
+
+      let index = frameIndexRef.current;
+      while (index + 1 < frames.length) {
+        const next = frames[index + 1];
+        if (next.t - frames[index].t > MAX_PLAYBACK_GAP_MS) playhead = Math.max(playhead, next.t);
+        if (next.t > playhead) break;
+        index += 1;
+      }
+
+      if (index !== frameIndexRef.current) goToFrame(index);
+
+      if (index >= frames.length - 1) {
+        setIsPlaying(false);
+        return;
+      }
+      animationFrame = requestAnimationFrame(tick);
+    };
+
+    animationFrame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(animationFrame);
+  }, [isPlaying, playbackRate, timeline]);
+
+  if (loading) {
+    return (
+      <Layout title="Loading Replay" subtitle="Please wait...">
+        <LoadingSpinner message="Fetching the motor test recording..." />
+      </Layout>
+    );
+  }
+
+  if (error || timeline.frames.length === 0) {
+    return (
+      <Layout title="Replay" subtitle="Motor Test Replay">
+        <div className="max-w-2xl mx-auto">
+          <div className="card text-center">
+            <div className="text-6xl mb-4">⚠️</div>
+            <h3 className="text-2xl font-bold mb-4">Replay Unavailable</h3>
+            <p className="text-gray-400 mb-6">{error || 'This recording has no frames to show.'}</p>
+            <button onClick={() => navigate('/')} className="btn-primary">
+              Return to Home
+            </button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  const { frames, rounds } = timeline;
+  const frame = frames[frameIndex];
+  const stage = replay.stage || { width: 700, height: 500 };
+  const primaryColor = getPrimaryColor();
+
+  const roundPointer = (pointerBySegment[frame.segment] || []).filter(sample => sample.t <= frame.t);
+  const trail = roundPointer.filter(sample => sample.t >= frame.t - TRAIL_MS);
+  const cursor = roundPointer[roundPointer.length - 1];
+  const roundPops = (popsBySegment[frame.segment] || []).filter(pop => pop.t <= frame.t && pop.x !== null);
+  const roundLabel = frame.task
+    ? (MOTOR_TASKS[frame.task] ? t(`motor.tasks.${frame.task}.title`) : frame.task)
+    : t('motor.wave', { current: frame.round });
+
+  const toPoints = samples => samples.flatMap(sample => [sample.x, sample.y]);
+
+  return (
+    <Layout title="Replay" subtitle="Motor Test Replay">
+      <div className="max-w-4xl mx-auto">
+        {/* Session Info */}
+        <div className="card mb-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-xl font-bold mb-2">Session Replay</h3>
+              <p className="text-sm text-gray-400">Session ID: {sessionId}</p>
+              <p className="text-xs text-gray-500">Seed: {replay.seed}</p>
+            </div>
+            <div className="text-right">
+              <div className="text-2xl font-bold" style={{ color: 'var(--primary-color)' }}>
+                {roundLabel}
+              </div>
+              <div className="text-sm text-gray-400">
+                Frame {frameIndex + 1} / {frames.length} · {formatSeconds(frame.t)}
+              </div>
+            </div>
+          </div>
+          {replay.truncated && (
+            <p className="mt-3 text-sm text-amber-400">
+              This recording hit its size limit - later frames and pointer moves were not stored.
+            </p>
+          )}
+        </div>
+
+        {/* Stage */}
+        <div className="bg-gray-950 rounded-2xl border border-gray-800 overflow-hidden flex justify-center mb-4">
+          <Stage width={stage.width} height={stage.height}>
+            <Layer>
+              <Rect x={0} y={0} width={stage.width} height={stage.height} fill="#030712" />
+
+              {/* Column guides for bubble waves */}
+              {!frame.task && Array.from({ length: BUBBLE_COLUMNS - 1 }, (_, i) => i + 1).map((i) => (
+                <Rect
+                  key={i}
+                  x={(i * stage.width) / BUBBLE_COLUMNS - 0.5}
+                  y={0}
+                  width={1}
+                  height={stage.height}
+                  fill="#1f2937"
+                />
+              ))}
+
+              {frame.bubbles.map((bubble) => (
+                <Circle
+                  key={bubble.id}
+                  x={bubble.x}
+                  y={bubble.y}
+                  radius={bubble.radius}
+                  fill={primaryColor}
+                  opacity={0.8}
+                />
+              ))}
+
+              {/* Pointer path - whole round faint, last second bright */}
+              {roundPointer.length > 1 && (
+                <Line points={toPoints(roundPointer)} stroke="#4b5563" strokeWidth={1} />
+              )}
+              {trail.length > 1 && (
+                <Line points={toPoints(trail)} stroke="#f9fafb" strokeWidth={2} lineCap="round" lineJoin="round" />
+              )}
+
+              {/* Pops */}
+              {roundPops.map((pop) => (
+                <Circle key={pop.id} x={pop.x} y={pop.y} radius={4} stroke="#fbbf24" strokeWidth={2} />
+              ))}
+
+              {cursor && (
+                <Circle
+                  x={cursor.x}
+                  y={cursor.y}
+                  radius={6}
+                  fill={cursor.isDown ? '#ef4444' : '#f9fafb'}
+                  stroke="#030712"
+                  strokeWidth={1}
+                />
+              )}
+            </Layer>
+          </Stage>
+        </div>
+
+        {/* Controls */}
+        <div className="card">
+          <input
+            type="range"
+            min={0}
+            max={frames.length - 1}
+            value={frameIndex}
+            onChange={(e) => {
+              setIsPlaying(false);
+              goToFrame(Number(e.target.value));
+            }}
+            className="w-full mb-4"
+          />
+
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex gap-2">
+              <button onClick={() => goToFrame(frameIndex - 1)} className="btn-secondary" disabled={isPlaying}>
+                ◀ Frame
+              </button>
+              <button
+                onClick={() => {
+                  if (frameIndex >= frames.length - 1) goToFrame(0);
+                  setIsPlaying(!isPlaying);
+                }}
+                className="btn-primary"
+              >
+                {isPlaying ? 'Pause' : 'Play'}
+              </button>
+              <button onClick={() => goToFrame(frameIndex + 1)} className="btn-secondary" disabled={isPlaying}>
+                Frame ▶
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-gray-400">Speed</span>
+              {PLAYBACK_RATES.map((rate) => (
+                <button
+                  key={rate}
+                  onClick={() => setPlaybackRate(rate)}
+                  className={`px-2 py-1 rounded-lg ${rate === playbackRate ? 'font-bold text-black' : 'text-gray-300 bg-gray-800/50'}`}
+                  style={rate === playbackRate ? { backgroundColor: 'var(--primary-color)' } : undefined}
+                >
+                  {rate}×
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Jump to a round */}
+          <div className="flex flex-wrap gap-2 mt-4">
+            {rounds.map((round, segment) => (
+              <button
+                key={segment}
+                onClick={() => goToFrame(round.frameIndex)}
+                className={`px-3 py-1 rounded-lg text-sm ${
+                  segment === frame.segment ? 'text-white bg-gray-700' : 'text-gray-400 bg-gray-800/50'
+                }`}
+              >
+                {round.task ? MOTOR_TASKS[round.task]?.icon || round.task : `Wave ${round.round}`}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+const groupBySegment = (items) => items.reduce((acc, item) => {
+  (acc[item.segment] = acc[item.segment] || []).push(item);
+  return acc;
+}, {});
+
+export default Replay;
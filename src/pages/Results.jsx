@@ -3,16 +3,21 @@ import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
 import LoadingSpinner from '../components/LoadingSpinner';
 import useStore from '../state/store';
+import { useTranslation } from '../context/LocaleContext';
 import { getSessionResults } from '../utils/api';
 
+// Rating codes saved by the acuity game (older results and the legacy module store English text)
+const VISION_RATINGS = ['perfect', 'near_perfect', 'normal', 'below_average', 'at_least'];
+
 const Results = () => {
   const navigate = useNavigate();
   const sessionId = useStore((state) => state.sessionId);
   const completedModules = useStore((state) => state.completedModules);
+  const { t } = useTranslation();
   
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(false);
 
   useEffect(() => {
     const fetchResults = async () => {
@@ -22,7 +27,7 @@ const Results = () => {
         setResults(response.data);
       } catch (err) {
         console.error('Error fetching results:', err);
-        setError('Failed to load results. Please try again.');
+        setError(true);
       } finally {
         setLoading(false);
       }
@@ -33,22 +38,22 @@ const Results = () => {
 
   if (loading) {
     return (
-      <Layout title="Loading Results" subtitle="Please wait...">
-        <LoadingSpinner message="Fetching your assessment results..." />
+      <Layout title={t('results.loadingTitle')}>
+        <LoadingSpinner message={t('results.loading')} />
       </Layout>
     );
   }
 
   if (error) {
     return (
-      <Layout title="Results" subtitle="Assessment Summary">
+      <Layout title={t('results.title')}>
         <div className="max-w-2xl mx-auto">
           <div className="card text-center">
             <div className="text-6xl mb-4">⚠️</div>
-            <h3 className="text-2xl font-bold mb-4">Error Loading Results</h3>
-            <p className="text-gray-400 mb-6">{error}</p>
+            <h3 className="text-2xl font-bold mb-4">{t('results.errorTitle')}</h3>
+            <p className="text-gray-400 mb-6">{t('results.loadFailed')}</p>
             <button onClick={() => navigate('/')} className="btn-primary">
-              Return to Home
+              {t('results.returnHome')}
             </button>
           </div>
         </div>
@@ -58,22 +63,23 @@ const Results = () => {
 
   const hasVision = results?.visionResult;
   const hasLiteracy = results?.literacyResult;
+  const answerConfidence = hasLiteracy?.answerConfidence;
 
   return (
-    <Layout title="Assessment Results" subtitle="Your Performance Summary">
+    <Layout title={t('results.pageTitle')}>
       <div className="max-w-5xl mx-auto">
         {/* Session Info */}
         <div className="card mb-6 bg-gradient-to-r from-cyber-blue-900/50 to-cyber-purple-900/50">
           <div className="flex justify-between items-center">
             <div>
-              <h3 className="text-xl font-bold mb-2">Session Information</h3>
-              <p className="text-sm text-gray-400">Session ID: {sessionId}</p>
+              <h3 className="text-xl font-bold mb-2">{t('results.session')}</h3>
+              <p className="text-sm text-gray-400">{t('results.sessionId', { id: sessionId })}</p>
             </div>
-            <div className="text-right">
+            <div className="text-end">
               <div className="text-3xl font-bold text-cyber-blue-400">
                 {completedModules.length}
               </div>
-              <div className="text-sm text-gray-400">Modules Completed</div>
+              <div className="text-sm text-gray-400">{t('results.modulesCompleted')}</div>
             </div>
           </div>
         </div>
@@ -84,24 +90,24 @@ const Results = () => {
           {hasVision && (
             <div className="card">
               <h3 className="text-2xl font-bold mb-4 flex items-center">
-                <span className="mr-2">👁️</span> Perception Lab
+                <span className="me-2">👁️</span> {t('results.perceptionLab')}
               </h3>
 
               {/* Color Blindness */}
               {hasVision.colorBlindness && (
                 <div className="mb-6">
                   <h4 className="text-lg font-semibold mb-3 text-cyber-blue-400">
-                    Color Blindness Test
+                    {t('results.colorTest')}
                   </h4>
                   <div className="space-y-3">
                     <div className="bg-gray-700/50 p-3 rounded-lg">
-                      <div className="text-sm text-gray-400">Score</div>
+                      <div className="text-sm text-gray-400">{t('results.score')}</div>
                       <div className="text-2xl font-bold">
                         {hasVision.colorBlindness.colorVisionScore}%
                       </div>
                     </div>
                     <div className="bg-gray-700/50 p-3 rounded-lg">
-                      <div className="text-sm text-gray-400">Diagnosis</div>
+                      <div className="text-sm text-gray-400">{t('results.diagnosis')}</div>
                       <div className="text-lg font-semibold">
                         {hasVision.colorBlindness.diagnosis}
                       </div>
@@ -114,24 +120,32 @@ const Results = () => {
               {hasVision.visualAcuity && (
                 <div>
                   <h4 className="text-lg font-semibold mb-3 text-cyber-blue-400">
-                    Visual Acuity Test
+                    {t('results.acuityTest')}
                   </h4>
                   <div className="space-y-3">
                     <div className="bg-gray-700/50 p-3 rounded-lg">
-                      <div className="text-sm text-gray-400">Snellen Estimate</div>
+                      <div className="text-sm text-gray-400">{t('results.snellen')}</div>
                       <div className="text-3xl font-bold">
                         {hasVision.visualAcuity.snellenEstimate}
                       </div>
                     </div>
+                    {VISION_RATINGS.includes(hasVision.visualAcuity.visionRating) && (
+                      <div className="bg-gray-700/50 p-3 rounded-lg">
+                        <div className="text-sm text-gray-400">{t('results.rating')}</div>
+                        <div className="text-lg font-semibold">
+                          {t(`results.ratings.${hasVision.visualAcuity.visionRating}`, { snellen: hasVision.visualAcuity.snellenEstimate })}
+                        </div>
+                      </div>
+                    )}
                     <div className="grid grid-cols-2 gap-2">
                       <div className="bg-gray-700/50 p-2 rounded-lg">
-                        <div className="text-xs text-gray-400">Size</div>
+                        <div className="text-xs text-gray-400">{t('results.size')}</div>
                         <div className="text-sm font-semibold">
                           {hasVision.visualAcuity.finalResolvedSize}px
                         </div>
                       </div>
                       <div className="bg-gray-700/50 p-2 rounded-lg">
-                        <div className="text-xs text-gray-400">MAR</div>
+                        <div className="text-xs text-gray-400">{t('results.mar')}</div>
                         <div className="text-sm font-semibold">
                           {hasVision.visualAcuity.mar}
                         </div>
@@ -147,14 +161,14 @@ const Results = () => {
           {hasLiteracy && (
             <div className="card">
               <h3 className="text-2xl font-bold mb-4 flex items-center">
-                <span className="mr-2">💻</span> Knowledge Console
+                <span className="me-2">💻</span> {t('results.knowledgeConsole')}
               </h3>
 
               <div className="space-y-4">
                 {/* CLS Score */}
                 <div className="bg-gradient-to-r from-cyber-blue-500/30 to-cyber-purple-500/30 p-4 rounded-lg">
                   <div className="text-sm text-gray-300 mb-1">
-                    Computer Literacy Score
+                    {t('results.literacyScore')}
                   </div>
                   <div className="text-4xl font-bold">
                     {typeof hasLiteracy.score === 'number' 
@@ -162,20 +176,23 @@ const Results = () => {
                       : hasLiteracy.score?.percentage || 0}%
                   </div>
                   <div className="text-sm text-gray-400 mt-1">
-                    {hasLiteracy.correctAnswers || hasLiteracy.score?.correctAnswers || 0} / {hasLiteracy.totalQuestions || hasLiteracy.score?.totalQuestions || 0} Correct
+                    {t('results.correct', {
+                      correct: hasLiteracy.correctAnswers || hasLiteracy.score?.correctAnswers || 0,
+                      total: hasLiteracy.totalQuestions || hasLiteracy.score?.totalQuestions || 0,
+                    })}
                   </div>
                 </div>
 
                 {/* Category Scores */}
                 <div>
-                  <div className="text-sm font-semibold mb-2">Category Breakdown</div>
+                  <div className="text-sm font-semibold mb-2">{t('results.categories')}</div>
                   <div className="space-y-2">
                     {hasLiteracy.categoryScores?.map((cat) => (
                       <div
                         key={cat.category}
                         className="bg-gray-700/50 p-2 rounded-lg flex justify-between items-center"
                       >
-                        <span className="text-sm capitalize">{cat.category}</span>
+                        <span className="text-sm">{t(`quiz.categories.${cat.category}`)}</span>
                         <span className="font-bold text-cyber-blue-400">
                           {cat.score != null ? (cat.score * 100).toFixed(0) : cat.percentage}%
                         </span>
@@ -183,6 +200,56 @@ const Results = () => {
                     ))}
                   </div>
                 </div>
+
+                {/* Answer Confidence - guessing vs genuine knowledge */}
+                {answerConfidence && (
+                  <div>
+                    <div className="text-sm font-semibold mb-2">{t('results.confidence.title')}</div>
+                    <div className="grid grid-cols-3 gap-2 mb-2">
+                      <div className="bg-gray-700/50 p-2 rounded-lg">
+                        <div className="text-xs text-gray-400">{t('results.confidence.confidence')}</div>
+                        <div className="text-sm font-semibold">
+                          {answerConfidence.overall.confidence != null
+                            ? `${(answerConfidence.overall.confidence * 100).toFixed(0)}%`
+                            : '—'}
+                        </div>
+                      </div>
+                      <div className="bg-gray-700/50 p-2 rounded-lg">
+                        <div className="text-xs text-gray-400">{t('results.confidence.guesses')}</div>
+                        <div className="text-sm font-semibold">
+                          {t('results.confidence.guessesValue', {
+                            guesses: answerConfidence.overall.likelyGuesses,
+                            right: answerConfidence.overall.known + answerConfidence.overall.likelyGuesses,
+                          })}
+                        </div>
+                      </div>
+                      <div className="bg-gray-700/50 p-2 rounded-lg">
+                        <div className="text-xs text-gray-400">{t('results.confidence.firstMove')}</div>
+                        <div className="text-sm font-semibold">
+                          {answerConfidence.overall.meanTimeToFirstInteractionMs != null
+                            ? `${(answerConfidence.overall.meanTimeToFirstInteractionMs / 1000).toFixed(1)}s`
+                            : '—'}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="space-y-2">
+                      {answerConfidence.categories.map((cat) => (
+                        <div
+                          key={cat.category}
+                          className="bg-gray-700/50 p-2 rounded-lg flex justify-between items-center"
+                        >
+                          <span className="text-sm">{t(`quiz.categories.${cat.category}`)}</span>
+                          <span className="text-xs text-gray-400">
+                            {t('results.confidence.category', { changed: cat.answerChanges, guessed: cat.likelyGuesses })}
+                            <span className="ms-2 font-bold text-sm text-cyber-purple-200">
+                              {cat.confidence != null ? `${(cat.confidence * 100).toFixed(0)}%` : '—'}
+                            </span>
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -191,20 +258,19 @@ const Results = () => {
           {completedModules.some((m) => m.name === 'reaction') && (
             <div className="card bg-purple-900/20 border-purple-500/30">
               <h3 className="text-2xl font-bold mb-4 flex items-center">
-                <span className="mr-2">🎯</span> Reaction Lab
+                <span className="me-2">🎯</span> {t('results.reactionLab')}
               </h3>
               <p className="text-gray-300 mb-3">
-                Motor skills assessment has been completed. Your interaction data has been
-                recorded for analysis.
+                {t('results.motorDone')}
               </p>
               <div className="bg-gray-700/50 p-3 rounded-lg">
-                <div className="text-sm text-gray-400">Status</div>
+                <div className="text-sm text-gray-400">{t('results.status')}</div>
                 <div className="text-lg font-semibold text-green-400">
-                  ✓ Data Collected
+                  {t('results.collected')}
                 </div>
               </div>
               <p className="text-xs text-gray-400 mt-3">
-                Note: This module tracks interactions only. No final score is computed.
+                {t('results.motorNote')}
               </p>
             </div>
           )}
@@ -216,23 +282,21 @@ const Results = () => {
             onClick={() => navigate('/')}
             className="btn-secondary flex-1"
           >
-            ← Back to Home
+            {t('results.back')}
           </button>
           <button
             onClick={() => window.print()}
             className="btn-primary flex-1"
           >
-            🖨️ Print Results
+            {t('results.print')}
           </button>
         </div>
 
         {/* Disclaimer */}
         <div className="card mt-6 bg-yellow-900/20 border-yellow-500/30">
-          <h4 className="font-bold mb-2 text-yellow-400">⚠️ Important Notice</h4>
+          <h4 className="font-bold mb-2 text-yellow-400">{t('results.noticeTitle')}</h4>
           <p className="text-sm text-gray-300">
-            These results are for research and screening purposes only. They do not constitute
-            a medical diagnosis. If you have concerns about your vision or cognitive abilities,
-            please consult a qualified healthcare professional.
+            {t('results.notice')}
           </p>
         </div>
       </div>
@@ -0,0 +1,211 @@
+/**
+ * Answer Confidence
+ * Behavioural signals around each literacy quiz answer, used to tell a
+ * confident answer from a guess:
+ * - answer changes (a different option picked before locking in; error
+ *   clicks for hands-on tasks)
+ * - dwell time on distractors (hovering wrong options rather than the right
+ *   one); for certainty, time on any option other than the one finally picked
+ * - time to first interaction (first hover, click or focus after the question shows)
+ * - response time relative to the person's own median
+ *
+ * Each available signal gives a certainty between 0 and 1, and the response's
+ * confidence is their weighted mean (weights renormalised over the signals
+ * that were measured - touch screens have no hovers, for example). Crossing
+ * confidence with correctness gives the answer pattern: right and confident
+ * is known, right but hesitant is a likely guess, wrong and confident points
+ * to a misconception.
+ */
+
+import { QUESTION_BANK } from './literacyQuestions';
+
+// Confidence at or above this counts as a confident answer
+export const CONFIDENT_THRESHOLD = 0.6;
+
+export const ANSWER_PATTERNS = {
+  KNOWN: 'known',
+  LIKELY_GUESS: 'likely_guess',
+  MISCONCEPTION: 'misconception',
+  UNSURE: 'unsure',
+};
+
+const SIGNAL_WEIGHTS = {
+  changes: 0.35,
+  distractorDwell: 0.3,
+  slowness: 0.25,
+  hesitation: 0.1,
+};
+
+// Answer changes (or task error clicks) at which the change signal bottoms out
+const MAX_CHANGES = 2;
+const MAX_ERROR_CLICKS = 3;
+
+// Multiples of the median time past which the slowness and hesitation signals bottom out
+const SLOWNESS_RANGE = 2;
+const HESITATION_RANGE = 3;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const isTask = (response) => response.task != null || response.taskDetails != null;
+
+/**
+ * Time from the question appearing to the first hover, click or focus
+ * @param {object} response - Logged quiz response
+ * @returns {number|null} ms, or null if not recorded
+ */
+export const getTimeToFirstInteraction = (response) =>
+  response.timeToFirstInteractionMs ?? response.hesitationMs ?? null;
+
+/**
+ * Hover time on the correct option and on the distractors
+ * @param {object} response - Logged quiz response with hoverEvents
+ * @param {string} correctAnswer - The right option
+ * @returns {object} { correctDwellMs, distractorDwellMs }
+ */
+export const getOptionDwell = (response, correctAnswer) => {
+  let correctDwellMs = 0;
+  let distractorDwellMs = 0;
+  (response.hoverEvents || []).forEach(({ option, duration }) => {
+    if (option === correctAnswer) {
+      correctDwellMs += duration;
+    } else {
+      distractorDwellMs += duration;
+    }
+  });
+  return { correctDwellMs, distractorDwellMs };
+};
+
+/**
+ * Signals and confidence for one response
+ * @param {object} response - Logged quiz response
+ * @param {object} norms - { medianResponseTime, medianFirstInteraction } for this person
+ * @returns {object} { questionId, category, isCorrect, answerChanges, timeToFirstInteractionMs, distractorDwellMs, distractorDwellShare, confidence, pattern }
+ */
+export const analyzeResponse = (response, norms = {}) => {
+  const question = QUESTION_BANK.find(q => q.id === response.questionId);
+  const task = isTask(response);
+  const certainties = {};
+
+  // Changes of mind - error clicks stand in for hands-on tasks
+  const answerChanges = task ? response.errorClicks ?? null : response.answerChanges ?? null;
+  if (answerChanges !== null) {
+    certainties.changes = 1 - clamp01(answerChanges / (task ? MAX_ERROR_CLICKS : MAX_CHANGES));
+  }
+
+  // Hovering on wrong options (task hovers are interface parts, not options). Certainty comes
+  // from time weighing up options other than the one picked, so a confidently wrong pick still reads as confident
+  let distractorDwellMs = null;
+  let distractorDwellShare = null;
+  if (!task) {
+    const dwell = getOptionDwell(response, response.correctAnswer ?? question?.correctAnswer);
+    distractorDwellMs = dwell.distractorDwellMs;
+    const totalDwell = dwell.correctDwellMs + dwell.distractorDwellMs;
+    if (totalDwell > 0) {
+      distractorDwellShare = round(dwell.distractorDwellMs / totalDwell);
+      const pickedDwell = (response.hoverEvents || [])
+        .filter(({ option }) => option === response.userAnswer)
+        .reduce((sum, { duration }) => sum + duration, 0);
+      certainties.distractorDwell = pickedDwell / totalDwell;
+    }
+  }
+
+  if (norms.medianResponseTime && response.responseTime != null) {
+    const ratio = response.responseTime / norms.medianResponseTime;
+    certainties.slowness = 1 - clamp01((ratio - 1) / SLOWNESS_RANGE);
+  }
+
+  const timeToFirstInteractionMs = getTimeToFirstInteraction(response);
+  if (norms.medianFirstInteraction && timeToFirstInteractionMs !== null) {
+    const ratio = timeToFirstInteractionMs / norms.medianFirstInteraction;
+    certainties.hesitation = 1 - clamp01((ratio - 1) / HESITATION_RANGE);
+  }
+
+  const signals = Object.keys(certainties);
+  const weightSum = signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+  const confidence = weightSum > 0
+    ? round(signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal] * certainties[signal], 0) / weightSum)
+    : null;
+
+  let pattern = null;
+  if (confidence !== null) {
+    const confident = confidence >= CONFIDENT_THRESHOLD;
+    if (response.isCorrect) {
+      pattern = confident ? ANSWER_PATTERNS.KNOWN : ANSWER_PATTERNS.LIKELY_GUESS;
+    } else {
+      pattern = confident ? ANSWER_PATTERNS.MISCONCEPTION : ANSWER_PATTERNS.UNSURE;
+    }
+  }
+
+  return {
+    questionId: response.questionId,
+    category: response.category ?? question?.category ?? null,
+    isCorrect: response.isCorrect,
+    answerChanges,
+    timeToFirstInteractionMs,
+    distractorDwellMs,
+    distractorDwellShare,
+    confidence,
+    pattern,
+  };
+};
+
+const summarize = (analyzed) => {
+  const values = (key) => analyzed.map(item => item[key]).filter(value => value !== null);
+  const rated = analyzed.filter(item => item.pattern !== null);
+  const correct = rated.filter(item => item.isCorrect);
+  const count = (pattern) => rated.filter(item => item.pattern === pattern).length;
+  const meanOf = (key, digits) => {
+    const m = mean(values(key));
+    return m === null ? null : round(m, digits);
+  };
+
+  return {
+    count: analyzed.length,
+    confidence: meanOf('confidence', 2),
+    answerChanges: values('answerChanges').reduce((a, b) => a + b, 0),
+    meanDistractorDwellMs: meanOf('distractorDwellMs', 0),
+    meanTimeToFirstInteractionMs: meanOf('timeToFirstInteractionMs', 0),
+    known: count(ANSWER_PATTERNS.KNOWN),
+    likelyGuesses: count(ANSWER_PATTERNS.LIKELY_GUESS),
+    misconceptions: count(ANSWER_PATTERNS.MISCONCEPTION),
+    // Share of right answers that look guessed
+    guessRate: correct.length > 0 ? round(count(ANSWER_PATTERNS.LIKELY_GUESS) / correct.length) : null,
+  };
+};
+
+/**
+ * Analyse a whole quiz: per-response signals plus per-category and overall summaries
+ * @param {Array} responses - Logged quiz responses
+ * @returns {object} { overall, categories: [{ category, ...summary }], responses }
+ */
+export const analyzeAnswerConfidence = (responses = []) => {
+  const norms = {
+    medianResponseTime: median(responses.map(r => r.responseTime).filter(t => t > 0)),
+    medianFirstInteraction: median(responses.map(getTimeToFirstInteraction).filter(t => t > 0)),
+  };
+  const analyzed = responses.map(response => analyzeResponse(response, norms));
+
+  const byCategory = {};
+  analyzed.forEach(item => {
+    const category = item.category ?? 'other';
+    (byCategory[category] = byCategory[category] || []).push(item);
+  });
+
+  return {
+    overall: summarize(analyzed),
+    categories: Object.entries(byCategory).map(([category, items]) => ({ category, ...summarize(items) })),
+    responses: analyzed,
+  };
+};
+
+export default { analyzeResponse, analyzeAnswerConfidence, getOptionDwell, getTimeToFirstInteraction };
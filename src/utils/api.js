@@ -1,19 +1,153 @@
 import axios from 'axios';
+import outbox from './outbox';
+import { hashString } from './hash';
+import { buildIdempotencyKey, isAcknowledged, markAcknowledged } from './idempotency';
+import { getAxiosAdapter } from './transport';
+import { preparePayload, checkResponse } from './payloadSchemas';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
+  adapter: getAxiosAdapter(), // Mock backend when VITE_API_TRANSPORT=mock or ?backend=mock
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Session Management
+// ==================== IDEMPOTENCY ====================
+
+// Requests made with an `idempotencyKey` config option carry it as a header
+// so the backend can reject replays; successful ones are recorded locally
+api.interceptors.request.use((config) => {
+  if (config.idempotencyKey) {
+    config.headers['Idempotency-Key'] = config.idempotencyKey;
+  }
+  return config;
+});
+
+api.interceptors.response.use((response) => {
+  if (response.config.idempotencyKey) {
+    markAcknowledged(response.config.idempotencyKey);
+  }
+  return response;
+});
+
+// ==================== OFFLINE OUTBOX ====================
+
+// Network errors, timeouts and server errors are worth retrying later;
+// any other 4xx means the backend rejected the payload itself
+const isRetryableError = (error) => {
+  if (!error.response) return true;
+  const { status } = error.response;
+  return status >= 500 || status === 408 || status === 429;
+};
+
+outbox.start({
+  send: (entry) => api.request({
+    method: entry.method,
+    url: entry.url,
+    data: entry.data,
+    idempotencyKey: entry.idempotencyKey,
+  }),
+  isRetryable: isRetryableError,
+});
+
+/**
+ * Send a write request, parking it in the outbox when the backend is unreachable
+ * Writes also queue while older uploads are pending, so the backend sees them in order.
+ * Payloads failing validation in development are never sent or queued (the backend
+ * would reject them on every retry) - they resolve to { success: false, invalid: true }.
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint path
+ * @param {string} schemaName - Payload schema in payloadSchemas.js
+ * @param {object} payload - Request body (stamped with its schema version before sending)
+ * @param {string} idempotencyKey - Optional key from buildIdempotencyKey()
+ * @returns {Promise<object>} Response data, { success: false, queued: true } if queued,
+ *   { success: false, invalid: true, errors } if the payload failed validation,
+ *   or { success: true, duplicate: true } if this key was already acknowledged
+ */
+const sendOrQueue = async (method, url, schemaName, payload, idempotencyKey = null) => {
+  if (isAcknowledged(idempotencyKey)) {
+    console.warn(`Skipping duplicate ${method.toUpperCase()} ${url} (${idempotencyKey})`);
+    return { success: true, duplicate: true };
+  }
+
+  let data;
+  try {
+    data = preparePayload(schemaName, payload);
+  } catch (error) {
+    console.error(`Not sending ${method.toUpperCase()} ${url}:`, error.message);
+    return { success: false, invalid: true, errors: error.errors || [] };
+  }
+
+  const key = idempotencyKey || `${method}:${url}:${hashString(JSON.stringify(data ?? null))}`;
+
+  if (!outbox.hasPending()) {
+    try {
+      const response = await api.request({ method, url, data, idempotencyKey });
+      checkResponse(url, response.data);
+      return response.data;
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+      console.warn(`Queued ${method.toUpperCase()} ${url} for retry:`, error.message);
+    }
+  }
+
+  await outbox.enqueue({ key, method, url, data, idempotencyKey });
+  return { success: false, queued: true };
+};
+
+/**
+ * Send a write request whose answer the caller needs now - it is never queued
+ * Used for session creation (the backend's duplicate userId check) and for summaries
+ * computed from uploaded data. Queued uploads are replayed first so the backend
+ * sees them in order; if they still cannot be delivered the request is not sent.
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint path
+ * @param {string} schemaName - Payload schema in payloadSchemas.js
+ * @param {object} payload - Request body (stamped with its schema version before sending)
+ * @param {string} idempotencyKey - Optional key from buildIdempotencyKey()
+ * @returns {Promise<object>} Response data, or { success: true, duplicate: true } if this key was already acknowledged
+ * @throws Network and server errors, pending uploads that could not be replayed,
+ *   and (in development) PayloadValidationError
+ */
+const sendNow = async (method, url, schemaName, payload, idempotencyKey = null) => {
+  if (isAcknowledged(idempotencyKey)) {
+    console.warn(`Skipping duplicate ${method.toUpperCase()} ${url} (${idempotencyKey})`);
+    return { success: true, duplicate: true };
+  }
+
+  const data = preparePayload(schemaName, payload);
+
+  if (outbox.hasPending()) {
+    await outbox.flush();
+    if (outbox.hasPending()) {
+      throw new Error(`Earlier uploads are still queued - not sending ${method.toUpperCase()} ${url}`);
+    }
+  }
+
+  const response = await api.request({ method, url, data, idempotencyKey });
+  checkResponse(url, response.data);
+  return response.data;
+};
+
+// Rounds covered by a batch of motor samples/attempts, e.g. "r1" or "r1-r2"
+const getRoundsKey = (items = []) => {
+  const rounds = [...new Set(items.map(item => item.round))].sort((a, b) => a - b);
+  return rounds.map(round => `r${round}`).join('-') || null;
+};
+
+// Session Management - sent straight away (never queued) so a taken userId is reported
 export const createSession = async (sessionData) => {
   try {
-    const response = await api.post('/results/session', sessionData);
-    return response.data;
+    return await sendNow(
+      'post',
+      '/results/session',
+      'session',
+      sessionData,
+      buildIdempotencyKey(sessionData?.sessionId, 'session')
+    );
   } catch (error) {
     console.error('Error creating session:', error);
     throw error;
@@ -46,22 +180,42 @@ export const suggestUserId = async (baseId = '') => {
 // Update session with performance metrics
 export const updateSessionPerformance = async (sessionId, perfMetrics) => {
   try {
-    const response = await api.patch('/results/session/performance', {
+    return await sendOrQueue('patch', '/results/session/performance', 'sessionPerformance', {
       sessionId,
       perf: perfMetrics,
     });
-    return response.data;
   } catch (error) {
     console.error('Error updating session performance:', error);
     throw error;
   }
 };
 
+// Update session with the language the games are played in (may differ from the one at sign-up)
+export const updateSessionLocale = async (sessionId, locale) => {
+  try {
+    return await sendOrQueue('patch', '/results/session/locale', 'sessionLocale', {
+      sessionId,
+      locale,
+    });
+  } catch (error) {
+    console.error('Error updating session locale:', error);
+    throw error;
+  }
+};
+
 // Vision Results
 export const saveVisionResults = async (resultsData) => {
   try {
-    const response = await api.post('/results/vision', resultsData);
-    return response.data;
+    // Colour plates, hue arrangement, acuity (and each eye's acuity run) and contrast results are submitted separately for the same session
+    const parts = ['colorBlindness', 'hueArrangement', 'visualAcuity', 'visualAcuityLeftEye', 'visualAcuityRightEye', 'contrastSensitivity']
+      .filter(part => resultsData?.[part]);
+    return await sendOrQueue(
+      'post',
+      '/results/vision',
+      'visionResults',
+      resultsData,
+      buildIdempotencyKey(resultsData?.sessionId, 'vision', parts.join('+') || null)
+    );
   } catch (error) {
     console.error('Error saving vision results:', error);
     throw error;
@@ -71,14 +225,35 @@ export const saveVisionResults = async (resultsData) => {
 // Literacy Results
 export const saveLiteracyResults = async (resultsData) => {
   try {
-    const response = await api.post('/results/literacy', resultsData);
-    return response.data;
+    return await sendOrQueue(
+      'post',
+      '/results/literacy',
+      'literacyResults',
+      resultsData,
+      buildIdempotencyKey(resultsData?.sessionId, 'literacy')
+    );
   } catch (error) {
     console.error('Error saving literacy results:', error);
     throw error;
   }
 };
 
+// Reading Results
+export const saveReadingResults = async (resultsData) => {
+  try {
+    return await sendOrQueue(
+      'post',
+      '/results/reading',
+      'readingResults',
+      resultsData,
+      buildIdempotencyKey(resultsData?.sessionId, 'reading')
+    );
+  } catch (error) {
+    console.error('Error saving reading results:', error);
+    throw error;
+  }
+};
+
 // Get Session Results
 export const getSessionResults = async (sessionId) => {
   try {
@@ -93,11 +268,10 @@ export const getSessionResults = async (sessionId) => {
 // Update Session Module Completion
 export const updateModuleCompletion = async (sessionId, moduleName) => {
   try {
-    const response = await api.post('/results/module-complete', {
+    return await sendOrQueue('post', '/results/module-complete', 'moduleCompletion', {
       sessionId,
       moduleName,
-    });
-    return response.data;
+    }, buildIdempotencyKey(sessionId, 'module-complete', moduleName));
   } catch (error) {
     console.error('Error updating module completion:', error);
     throw error;
@@ -114,12 +288,11 @@ export const updateModuleCompletion = async (sessionId, moduleName) => {
  */
 export const logPointerSamples = async (sessionId, userId, samples) => {
   try {
-    const response = await api.post('/motor/trace', {
+    return await sendOrQueue('post', '/motor/trace', 'pointerTrace', {
       sessionId,
       userId,
       samples,
-    });
-    return response.data;
+    }, buildIdempotencyKey(sessionId, 'motor-trace', getRoundsKey(samples)));
   } catch (error) {
     console.error('Error logging pointer samples:', error);
     throw error;
@@ -134,12 +307,11 @@ export const logPointerSamples = async (sessionId, userId, samples) => {
  */
 export const logMotorAttempts = async (sessionId, userId, attempts) => {
   try {
-    const response = await api.post('/motor/attempts', {
+    return await sendOrQueue('post', '/motor/attempts', 'motorAttempts', {
       sessionId,
       userId,
       attempts,
-    });
-    return response.data;
+    }, buildIdempotencyKey(sessionId, 'motor-attempts', getRoundsKey(attempts)));
   } catch (error) {
     console.error('Error logging motor attempts:', error);
     throw error;
@@ -148,18 +320,19 @@ export const logMotorAttempts = async (sessionId, userId, attempts) => {
 
 /**
  * Compute round summary
+ * Not queued - throws when the backend or earlier uploads cannot be reached
+ * No idempotency key: a repeat call must get the summary again, not a bare duplicate ack
  * @param {string} sessionId - Session ID
  * @param {string} participantId - Participant ID
  * @param {number} round - Round number (1-3)
  */
 export const computeRoundSummary = async (sessionId, participantId, round) => {
   try {
-    const response = await api.post('/motor/summary/round', {
+    return await sendNow('post', '/motor/summary/round', 'roundSummary', {
       sessionId,
       participantId,
       round,
     });
-    return response.data;
   } catch (error) {
     console.error('Error computing round summary:', error);
     throw error;
@@ -168,22 +341,57 @@ export const computeRoundSummary = async (sessionId, participantId, round) => {
 
 /**
  * Compute session summary
+ * Not queued - throws when the backend or earlier uploads cannot be reached
+ * No idempotency key: a repeat call must get the summary again, not a bare duplicate ack
  * @param {string} sessionId - Session ID
  * @param {string} participantId - Participant ID
  */
 export const computeSessionSummary = async (sessionId, participantId) => {
   try {
-    const response = await api.post('/motor/summary/session', {
+    return await sendNow('post', '/motor/summary/session', 'sessionSummary', {
       sessionId,
       participantId,
     });
-    return response.data;
   } catch (error) {
     console.error('Error computing session summary:', error);
     throw error;
   }
 };
 
+/**
+ * Save the motor event log used by the replay view
+ * @param {object} replay - Log from MotorEventLog.toJSON() ({ sessionId, seed, stage, events, ... })
+ */
+export const saveMotorReplay = async (replay) => {
+  try {
+    return await sendOrQueue(
+      'post',
+      '/motor/replay',
+      'motorReplay',
+      replay,
+      buildIdempotencyKey(replay?.sessionId, 'motor-replay')
+    );
+  } catch (error) {
+    console.error('Error saving motor replay:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the motor event log for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object>} Replay log
+ */
+export const getMotorReplay = async (sessionId) => {
+  try {
+    const response = await api.get(`/motor/replay/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching motor replay:', error);
+    throw error;
+  }
+};
+
 // ==================== INTERACTION ANALYTICS APIs ====================
 
 /**
@@ -192,8 +400,7 @@ export const computeSessionSummary = async (sessionId, participantId) => {
  */
 export const saveInteractionAnalytics = async (analyticsData) => {
   try {
-    const response = await api.post('/interactions', analyticsData);
-    return response.data;
+    return await sendOrQueue('post', '/interactions', 'interactionAnalytics', analyticsData);
   } catch (error) {
     console.error('Error saving interaction analytics:', error);
     throw error;
@@ -206,8 +413,7 @@ export const saveInteractionAnalytics = async (analyticsData) => {
  */
 export const saveInteractionAnalyticsBatch = async (batches) => {
   try {
-    const response = await api.post('/interactions/batch', { batches });
-    return response.data;
+    return await sendOrQueue('post', '/interactions/batch', 'interactionAnalyticsBatch', { batches });
   } catch (error) {
     console.error('Error saving interaction analytics batch:', error);
     throw error;
@@ -252,15 +458,22 @@ export const getInteractionAnalyticsSummary = async (sessionId) => {
  * Save impairment profile
  * @param {object} profileData - Impairment profile (snake_case)
  * 
- * Schema:
+ * Schema (validated against PAYLOAD_SCHEMAS.impairmentProfile):
  * {
+ *   schema_version: 7,                // Added by preparePayload()
  *   user_id: "u_001",
  *   session_id: "onb_001",
  *   captured_at: "2025-10-06T11:00:00Z",
  *   impairment_probs: {
- *     vision: { vision_loss: 0.2, color_blindness: 0.1 },
- *     motor: { inaccurate_click: 0.2 },
- *     literacy: 0.4
+ *     vision: {
+ *       vision_loss: 0.2, color_blindness: 0.1,
+ *       color_deficiency_type: "deutan", color_deficiency_severity: 0.6,   // null when not measured, inconclusive or on an unreliable screen
+ *       vision_loss_left: 0.2, vision_loss_right: 0.5, acuity_asymmetry: true,  // null unless each eye was tested
+ *       contrast_sensitivity: 1.65   // Pelli-Robson logCS, null if not measured
+ *     },
+ *     motor: { inaccurate_click: 0.2, throughput_bps: 4.1, tremor_prob: 0.05, overshoot_rate: 0.15 },
+ *     literacy: 0.4,
+ *     reading: { reading_level: 3, reading_grade: 9, words_per_minute: 230, comprehension: 0.78 }   // all null if the reading test was not taken
  *   },
  *   onboarding_metrics: { avg_reaction_ms: 720, hit_rate: 0.88 },
  *   device_context: { os: "Windows", browser: "Chrome", screen_w: 1440, screen_h: 900, dpr: 1 }
@@ -268,8 +481,13 @@ export const getInteractionAnalyticsSummary = async (sessionId) => {
  */
 export const saveImpairmentProfile = async (profileData) => {
   try {
-    const response = await api.post('/impairment/profile', profileData);
-    return response.data;
+    return await sendOrQueue(
+      'post',
+      '/impairment/profile',
+      'impairmentProfile',
+      profileData,
+      buildIdempotencyKey(profileData?.session_id, 'impairment-profile')
+    );
   } catch (error) {
     console.error('Error saving impairment profile:', error);
     throw error;
@@ -326,8 +544,9 @@ export const deleteUserImpairmentProfile = async (userId) => {
  * Save device context
  * @param {object} contextData - Device context data
  * 
- * Schema:
+ * Schema (validated against PAYLOAD_SCHEMAS.deviceContext):
  * {
+ *   schema_version: 1,                // Added by preparePayload()
  *   user_id: "u_29922",
  *   session_id: "onb_001",
  *   captured_at: "2025-10-06T11:00:00Z",
@@ -338,8 +557,13 @@ export const deleteUserImpairmentProfile = async (userId) => {
  */
 export const saveDeviceContext = async (contextData) => {
   try {
-    const response = await api.post('/device-context', contextData);
-    return response.data;
+    return await sendOrQueue(
+      'post',
+      '/device-context',
+      'deviceContext',
+      contextData,
+      buildIdempotencyKey(contextData?.session_id, 'device-context')
+    );
   } catch (error) {
     console.error('Error saving device context:', error);
     throw error;
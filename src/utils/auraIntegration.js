@@ -1,6 +1,8 @@
 // AURA Integration for Sensecheck Game
 // This file enables sensecheck to work with AURA's backend and user system
 
+import { getTransport } from './transport';
+
 class AuraIntegration {
   constructor() {
     this.userId = null;
@@ -45,21 +47,23 @@ class AuraIntegration {
     }
     
     try {
-      const response = await fetch(`${this.auraAPI}/${endpoint}`, {
+      const response = await getTransport().request({
+        service: 'aura',
         method: 'POST',
+        baseURL: this.auraAPI,
+        url: `/${endpoint}`,
         headers: {
           'Authorization': `Bearer ${this.token}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(data),
+        data,
       });
       
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'API call failed');
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(response.data?.error || 'API call failed');
       }
       
-      return await response.json();
+      return response.data;
     } catch (error) {
       console.error(`AURA API error (${endpoint}):`, error);
       throw error;
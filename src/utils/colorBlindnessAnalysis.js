@@ -1,8 +1,36 @@
 /**
  * Color Blindness Analysis Utilities
- * Based on Ishihara plate interpretation
+ * Based on Ishihara plate interpretation - generated plates from
+ * pseudoIsochromaticPlates.js use the same definition shape
+ *
+ * Plates carry diagnostic metadata: the confusion axes a plate tests
+ * (`axis` on generated plates, `diagnosticAxes` on Ishihara plates, which
+ * cannot separate protan from deutan) and its colour `saturation`. The axis
+ * whose plates were missed gives the deficiency type, and the most saturated
+ * level missed on it gives the severity.
  */
 
+import { DEFICIENCY_AXES } from './pseudoIsochromaticPlates';
+
+export const DEFICIENCY_TYPES = {
+  NORMAL: 'normal',
+  PROTAN: 'protan',
+  DEUTAN: 'deutan',
+  TRITAN: 'tritan',
+  ACHROMAT: 'achromat',
+  INCONCLUSIVE: 'inconclusive',
+};
+
+const DEFICIENCY_LABELS = {
+  [DEFICIENCY_TYPES.PROTAN]: 'Protan (Red)',
+  [DEFICIENCY_TYPES.DEUTAN]: 'Deutan (Green)',
+  [DEFICIENCY_TYPES.TRITAN]: 'Tritan (Blue-Yellow)',
+};
+
+// Severity bands over the most saturated plate missed (0-1)
+const SEVERE_SATURATION = 1;
+const MODERATE_SATURATION = 0.6;
+
 // Ishihara plate definitions
 export const ISHIHARA_PLATES = [
   {
@@ -18,6 +46,8 @@ export const ISHIHARA_PLATES = [
     normalAnswer: '6',
     colorBlindAnswer: '5',
     description: 'Normal sees 6, red/green deficiency sees 5',
+    diagnosticAxes: [DEFICIENCY_AXES.PROTAN, DEFICIENCY_AXES.DEUTAN],
+    saturation: 1,
   },
   {
     plateId: 3,
@@ -25,6 +55,8 @@ export const ISHIHARA_PLATES = [
     normalAnswer: '6',
     colorBlindAnswer: 'nothing',
     description: 'Normal sees 6, red/green deficiency sees nothing',
+    diagnosticAxes: [DEFICIENCY_AXES.PROTAN, DEFICIENCY_AXES.DEUTAN],
+    saturation: 1,
   },
   {
     plateId: 4,
@@ -32,6 +64,8 @@ export const ISHIHARA_PLATES = [
     normalAnswer: 'nothing',
     colorBlindAnswer: '2',
     description: 'Normal sees nothing, red/green deficiency sees 2',
+    diagnosticAxes: [DEFICIENCY_AXES.PROTAN, DEFICIENCY_AXES.DEUTAN],
+    saturation: 1,
   },
 ];
 
@@ -80,12 +114,113 @@ export const getColorVisionCategory = (colorVisionDecimal) => {
   }
 };
 
+/**
+ * Confusion axes a plate tests (none for control plates)
+ * @param {object} definition - Plate definition
+ */
+const getPlateAxes = (definition) => definition.diagnosticAxes || (definition.axis ? [definition.axis] : []);
+
+const getSeverityLevel = (severity) => {
+  if (severity >= SEVERE_SATURATION) return 'severe';
+  if (severity >= MODERATE_SATURATION) return 'moderate';
+  if (severity > 0) return 'mild';
+  return 'none';
+};
+
+/**
+ * Severity on one axis: the most saturated level failed, counting up from the
+ * least saturated level, where a level fails when most of its plates were missed.
+ * A miss on a saturated plate after seeing a fainter one is treated as a lapse.
+ * @param {Array} plates - [{ saturation, seen }] shown on the axis
+ * @returns {number} 0 (no deficiency) to 1
+ */
+const getAxisSeverity = (plates) => {
+  const levels = [...new Set(plates.map(plate => plate.saturation))].sort((a, b) => a - b);
+  let severity = 0;
+
+  for (const level of levels) {
+    const atLevel = plates.filter(plate => plate.saturation === level);
+    const missed = atLevel.filter(plate => !plate.seen).length;
+    if (missed * 2 <= atLevel.length) break;
+    severity = level;
+  }
+
+  return severity;
+};
+
+/**
+ * Classify the deficiency type and severity from per-plate outcomes
+ * The axis with the highest severity is the type, ties broken by the summed
+ * saturation of missed plates. Protan and deutan plates sit on neighbouring
+ * confusion lines, so a remaining tie between them is called deutan (about
+ * three times as common) with low confidence. Failing the most saturated
+ * plates on every axis is read as achromatopsia; missing a control plate
+ * makes the result inconclusive.
+ *
+ * @param {Array} outcomes - [{ axes, saturation, seen }] per plate shown
+ * @returns {object} { type, severity, severityLevel, confidence, axes: { [axis]: { shown, missed, severity } } }
+ */
+export const classifyColorDeficiency = (outcomes) => {
+  const platesByAxis = {};
+  Object.values(DEFICIENCY_AXES).forEach(axis => {
+    platesByAxis[axis] = [];
+  });
+
+  let controlMissed = false;
+  outcomes.forEach(({ axes, saturation, seen }) => {
+    if (axes.length === 0) {
+      if (!seen) controlMissed = true;
+      return;
+    }
+    axes.forEach(axis => platesByAxis[axis].push({ saturation: saturation ?? 1, seen }));
+  });
+
+  const axes = Object.fromEntries(Object.entries(platesByAxis).map(([axis, plates]) => [axis, {
+    shown: plates.length,
+    missed: plates.filter(plate => !plate.seen).length,
+    severity: getAxisSeverity(plates),
+    missedSaturation: plates.reduce((sum, plate) => sum + (plate.seen ? 0 : plate.saturation), 0),
+  }]));
+
+  const result = (type, severity, confidence) => ({
+    type,
+    severity,
+    severityLevel: getSeverityLevel(severity),
+    confidence,
+    axes: Object.fromEntries(Object.entries(axes).map(([axis, { shown, missed, severity: axisSeverity }]) => [
+      axis,
+      { shown, missed, severity: axisSeverity },
+    ])),
+  });
+
+  const tested = Object.keys(axes).filter(axis => axes[axis].shown > 0);
+  if (controlMissed || tested.length === 0) return result(DEFICIENCY_TYPES.INCONCLUSIVE, 0, 'low');
+
+  const allAxesSevere = tested.length === Object.keys(axes).length
+    && tested.every(axis => axes[axis].severity >= SEVERE_SATURATION);
+  if (allAxesSevere) return result(DEFICIENCY_TYPES.ACHROMAT, 1, 'high');
+
+  const ranked = [...tested].sort((a, b) => (axes[b].severity - axes[a].severity)
+    || (axes[b].missedSaturation - axes[a].missedSaturation));
+  const top = axes[ranked[0]];
+  if (top.severity === 0) return result(DEFICIENCY_TYPES.NORMAL, 0, 'high');
+
+  const tied = ranked.filter(axis => axes[axis].severity === top.severity
+    && axes[axis].missedSaturation === top.missedSaturation);
+  if (tied.length === 1) return result(ranked[0], top.severity, 'high');
+
+  const redGreenTie = tied.length === 2
+    && tied.includes(DEFICIENCY_AXES.PROTAN) && tied.includes(DEFICIENCY_AXES.DEUTAN);
+  return result(redGreenTie ? DEFICIENCY_TYPES.DEUTAN : ranked[0], top.severity, 'low');
+};
+
 /**
  * Analyze color blindness test results
  * @param {Array} plates - Array of plate response objects
+ * @param {Array} definitions - Plate definitions shown (ISHIHARA_PLATES or buildGeneratedPlates())
  * @returns {object} Analysis results
  */
-export const analyzeColorBlindness = (plates) => {
+export const analyzeColorBlindness = (plates, definitions = ISHIHARA_PLATES) => {
   if (!plates || plates.length === 0) {
     return {
       colorVisionScore: 0,        // Decimal: 0.0 to 1.0
@@ -98,9 +233,10 @@ export const analyzeColorBlindness = (plates) => {
   let normalVisionCount = 0;
   let colorBlindCount = 0;
   let totalResponseTime = 0;
+  const outcomes = [];
 
   plates.forEach((plate, index) => {
-    const definition = ISHIHARA_PLATES[index];
+    const definition = definitions.find(d => d.plateId === plate.plateId) || definitions[index];
     if (!definition) return;
 
     const userAnswer = String(plate.userAnswer).toLowerCase().trim();
@@ -113,6 +249,12 @@ export const analyzeColorBlindness = (plates) => {
     } else if (userAnswer === colorBlindAnswer) {
       colorBlindCount++;
     }
+    
+    outcomes.push({
+      axes: getPlateAxes(definition),
+      saturation: definition.saturation,
+      seen: userAnswer === normalAnswer,
+    });
 
     totalResponseTime += plate.responseTime || 0;
   });
@@ -133,11 +275,21 @@ export const analyzeColorBlindness = (plates) => {
   
   // Get category
   const colorCategory = getColorVisionCategory(colorVisionScore);
+  
+  // Type and severity from the plates' diagnostic axes
+  const deficiency = classifyColorDeficiency(outcomes);
 
   // Determine diagnosis
   let diagnosis = 'Inconclusive';
   
-  if (colorVisionScore >= 0.75) {
+  if (deficiency.type === DEFICIENCY_TYPES.INCONCLUSIVE) {
+    // Control plate missed - the other answers can't be trusted
+    diagnosis = 'Inconclusive';
+  } else if (deficiency.type === DEFICIENCY_TYPES.ACHROMAT) {
+    diagnosis = 'Suspected Achromatopsia';
+  } else if (DEFICIENCY_LABELS[deficiency.type]) {
+    diagnosis = `Suspected ${DEFICIENCY_LABELS[deficiency.type]} Deficiency (${deficiency.severityLevel})`;
+  } else if (colorVisionScore >= 0.75) {
     diagnosis = 'Normal';
   } else if (colorBlindCount >= 2) {
     diagnosis = 'Suspected Red-Green Deficiency';
@@ -163,6 +315,13 @@ export const analyzeColorBlindness = (plates) => {
     colorVisionCategory: colorCategory.category,
     colorVisionCategoryName: colorCategory.name,
     
+    // Deficiency type (protan / deutan / tritan / achromat) and severity (0-1)
+    deficiencyType: deficiency.type,
+    deficiencySeverity: deficiency.severity,
+    deficiencySeverityLevel: deficiency.severityLevel,
+    deficiencyConfidence: deficiency.confidence,
+    deficiencyAxes: deficiency.axes,
+    
     // Detailed counts
     normalVisionCount,
     colorBlindCount,
@@ -179,12 +338,13 @@ export const analyzeColorBlindness = (plates) => {
 
 /**
  * Check if an answer is correct for normal vision
- * @param {number} plateId - Plate identifier
+ * @param {number|string} plateId - Plate identifier
  * @param {string} userAnswer - User's answer
+ * @param {Array} definitions - Plate definitions shown
  * @returns {boolean} True if correct for normal vision
  */
-export const isNormalVisionAnswer = (plateId, userAnswer) => {
-  const plate = ISHIHARA_PLATES.find(p => p.plateId === plateId);
+export const isNormalVisionAnswer = (plateId, userAnswer, definitions = ISHIHARA_PLATES) => {
+  const plate = definitions.find(p => p.plateId === plateId);
   if (!plate) return false;
   
   return String(userAnswer).toLowerCase().trim() === String(plate.normalAnswer).toLowerCase();
@@ -192,12 +352,13 @@ export const isNormalVisionAnswer = (plateId, userAnswer) => {
 
 /**
  * Check if an answer matches color blind pattern
- * @param {number} plateId - Plate identifier
+ * @param {number|string} plateId - Plate identifier
  * @param {string} userAnswer - User's answer
+ * @param {Array} definitions - Plate definitions shown
  * @returns {boolean} True if matches color blind pattern
  */
-export const isColorBlindAnswer = (plateId, userAnswer) => {
-  const plate = ISHIHARA_PLATES.find(p => p.plateId === plateId);
+export const isColorBlindAnswer = (plateId, userAnswer, definitions = ISHIHARA_PLATES) => {
+  const plate = definitions.find(p => p.plateId === plateId);
   if (!plate) return false;
   
   return String(userAnswer).toLowerCase().trim() === String(plate.colorBlindAnswer).toLowerCase();
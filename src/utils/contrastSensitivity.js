@@ -0,0 +1,256 @@
+/**
+ * Contrast Sensitivity
+ * Pelli-Robson style letter test: large Sloan letters drawn darker than a white
+ * background at decreasing contrast, with a 2-down/1-up staircase on log
+ * contrast sensitivity (logCS = -log10(Weber contrast)). The staircase settles
+ * where 71% of letters are read, and the threshold is the mean of the last
+ * reversals.
+ *
+ * An 8-bit display cannot draw every contrast, so each letter level is rounded
+ * to the nearest grey the screen can show and the contrast actually drawn is
+ * recorded alongside the nominal one. The faintest drawable letter (one grey
+ * level below the background) caps the score at about 2.0 logCS.
+ */
+
+import { ASSUMED_VIEWING_DISTANCE_MM } from './viewingDistance';
+import { getPxPerMm } from './screenCalibration';
+
+// Sloan letters, as on the Pelli-Robson and ETDRS charts
+export const SLOAN_LETTERS = ['C', 'D', 'H', 'K', 'N', 'O', 'R', 'S', 'V', 'Z'];
+
+export const GUESS_RATE = 1 / SLOAN_LETTERS.length;
+
+// White background - the top of the sRGB curve gives the finest contrast steps
+export const BACKGROUND_LEVEL = 255;
+
+// Pelli-Robson letters subtend 2.8° (4.9cm at 1m)
+const LETTER_ANGLE_DEG = 2.8;
+const MIN_LETTER_PX = 60;
+const MAX_LETTER_PX = 200;
+
+// Staircase in logCS: start at 25% contrast, coarse steps until the first reversal
+const START_LOG_CS = 0.6;
+const COARSE_STEP = 0.3;
+const FINE_STEP = 0.15;
+const CORRECT_TO_STEP_DOWN = 2;
+
+// Stop after this many reversals or trials, whichever comes first
+const MAX_REVERSALS = 8;
+const MAX_TRIALS = 40;
+
+// Threshold = mean of up to this many final reversals
+const THRESHOLD_REVERSALS = 6;
+
+// Stop early when letters at the display's faintest contrast keep being read
+const FLOOR_PASSES_TO_STOP = 2;
+
+// Pelli-Robson score bands (logCS)
+const NORMAL_LOG_CS = 1.65;
+const REDUCED_LOG_CS = 1.5;
+const SEVERE_LOG_CS = 1.0;
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+const srgbToLinear = (level) => {
+  const v = level / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const linearToSrgb = (value) => {
+  const v = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return v * 255;
+};
+
+/**
+ * Weber contrast of a letter grey against the background grey
+ * @param {number} level - Letter sRGB level (0-255)
+ * @param {number} backgroundLevel - Background sRGB level (0-255)
+ */
+export const levelContrast = (level, backgroundLevel = BACKGROUND_LEVEL) => {
+  const background = srgbToLinear(backgroundLevel);
+  return (background - srgbToLinear(level)) / background;
+};
+
+/**
+ * Closest drawable letter grey for a logCS
+ * @param {number} logCS - Target log contrast sensitivity
+ * @param {number} backgroundLevel - Background sRGB level (0-255)
+ * @returns {object} { level, contrast, actualLogCS }
+ */
+export const letterForLogCS = (logCS, backgroundLevel = BACKGROUND_LEVEL) => {
+  const contrast = Math.pow(10, -logCS);
+  const target = linearToSrgb(srgbToLinear(backgroundLevel) * (1 - contrast));
+  // At least one grey level below the background, so the letter is never invisible
+  const level = Math.max(0, Math.min(backgroundLevel - 1, Math.round(target)));
+  const actualContrast = levelContrast(level, backgroundLevel);
+
+  return {
+    level,
+    contrast: round(actualContrast, 4),
+    actualLogCS: round(-Math.log10(actualContrast), 3),
+  };
+};
+
+/**
+ * Highest logCS this display can test (one grey level below the background)
+ * @param {number} backgroundLevel - Background sRGB level (0-255)
+ */
+export const getDisplayLimitLogCS = (backgroundLevel = BACKGROUND_LEVEL) =>
+  round(-Math.log10(levelContrast(backgroundLevel - 1, backgroundLevel)), 2);
+
+/**
+ * Letter height for the Pelli-Robson visual angle at the user's distance
+ * @param {object|null} calibration - Saved screen calibration, if any
+ * @returns {number} Letter height in CSS px
+ */
+export const getLetterSizePx = (calibration) => {
+  const distanceMm = calibration?.viewingDistanceMm || ASSUMED_VIEWING_DISTANCE_MM;
+  const sizeMm = 2 * distanceMm * Math.tan((LETTER_ANGLE_DEG / 2) * Math.PI / 180);
+  const sizePx = Math.round(sizeMm * getPxPerMm(calibration));
+  return Math.max(MIN_LETTER_PX, Math.min(MAX_LETTER_PX, sizePx));
+};
+
+/**
+ * Pelli-Robson category for a logCS score
+ * @returns {string} 'normal' | 'reduced' | 'impaired' | 'severe'
+ */
+export const classifyContrastSensitivity = (logCS) => {
+  if (logCS >= NORMAL_LOG_CS) return 'normal';
+  if (logCS >= REDUCED_LOG_CS) return 'reduced';
+  if (logCS >= SEVERE_LOG_CS) return 'impaired';
+  return 'severe';
+};
+
+const pickLetter = (previous) => {
+  const choices = SLOAN_LETTERS.filter(letter => letter !== previous);
+  return choices[Math.floor(Math.random() * choices.length)];
+};
+
+export class ContrastSensitivityTest {
+  /**
+   * @param {object} options
+   * @param {number} options.backgroundLevel - Background sRGB level (0-255)
+   * @param {object} options.state - Saved staircase (challengeProgress.contrastSensitivity.staircase);
+   *   the letter on screen is restored too, so a reload does not change the question
+   */
+  constructor({ backgroundLevel = BACKGROUND_LEVEL, state = null } = {}) {
+    this.backgroundLevel = backgroundLevel;
+    this.maxLogCS = getDisplayLimitLogCS(backgroundLevel);
+    this.logCS = state?.logCS ?? START_LOG_CS;
+    this.step = state?.step ?? COARSE_STEP;
+    this.correctRun = state?.correctRun ?? 0;
+    this.lastDirection = state?.lastDirection ?? null;
+    this.reversals = state?.reversals || [];
+    this.floorPasses = state?.floorPasses ?? 0;
+    this.trials = state?.trials || [];
+    this.letter = state?.letter || pickLetter(null);
+  }
+
+  isComplete() {
+    return this.reversals.length >= MAX_REVERSALS
+      || this.trials.length >= MAX_TRIALS
+      || this.floorPasses >= FLOOR_PASSES_TO_STOP;
+  }
+
+  /**
+   * The letter to show next
+   * @returns {object} { trialIndex, letter, logCS, level, contrast, actualLogCS }
+   */
+  getCurrentTrial() {
+    return {
+      trialIndex: this.trials.length,
+      letter: this.letter,
+      logCS: this.logCS,
+      ...letterForLogCS(this.logCS, this.backgroundLevel),
+    };
+  }
+
+  /**
+   * Score the current letter and move the staircase
+   * @param {string} response - Letter the user picked
+   * @param {object} details - Extra fields to record with the trial (responseTime, inputMethod)
+   * @returns {object} The trial as recorded
+   */
+  recordResponse(response, details = {}) {
+    const current = this.getCurrentTrial();
+    const correct = String(response).toUpperCase() === current.letter;
+    const trial = { ...current, response, correct, ...details };
+    this.trials.push(trial);
+
+    if (correct) {
+      this.correctRun += 1;
+      if (this.correctRun >= CORRECT_TO_STEP_DOWN) {
+        this.correctRun = 0;
+        if (this.logCS >= this.maxLogCS) {
+          this.floorPasses += 1;
+        } else {
+          this.move('fainter');
+        }
+      }
+    } else {
+      this.correctRun = 0;
+      this.move('stronger');
+    }
+
+    this.letter = pickLetter(this.letter);
+    return trial;
+  }
+
+  move(direction) {
+    if (this.lastDirection && direction !== this.lastDirection) {
+      this.reversals.push(this.logCS);
+      this.step = FINE_STEP;
+    }
+    this.lastDirection = direction;
+
+    const next = direction === 'fainter' ? this.logCS + this.step : this.logCS - this.step;
+    this.logCS = round(Math.max(0, Math.min(this.maxLogCS, next)));
+  }
+
+  /**
+   * logCS from the mean of the last reversals, or the display limit when the
+   * faintest drawable letter kept being read (displayLimited - the true score may be higher)
+   * @returns {object} { logCS, thresholdContrast, category, reversals, displayLimitLogCS, displayLimited, trialCount, correctCount }
+   */
+  getResult() {
+    let logCS;
+    if (this.floorPasses >= FLOOR_PASSES_TO_STOP) {
+      // Read at the faintest contrast the screen can draw - the true score may be higher
+      logCS = this.maxLogCS;
+    } else if (this.reversals.length > 0) {
+      const last = this.reversals.slice(-THRESHOLD_REVERSALS);
+      logCS = last.reduce((a, b) => a + b, 0) / last.length;
+    } else {
+      logCS = this.logCS;
+    }
+    logCS = round(logCS);
+
+    return {
+      method: 'staircase_2down1up',
+      logCS,
+      thresholdContrast: round(Math.pow(10, -logCS), 4),
+      category: classifyContrastSensitivity(logCS),
+      reversals: [...this.reversals],
+      displayLimitLogCS: this.maxLogCS,
+      displayLimited: this.floorPasses >= FLOOR_PASSES_TO_STOP,
+      trialCount: this.trials.length,
+      correctCount: this.trials.filter(trial => trial.correct).length,
+    };
+  }
+
+  // Current contrast, step size, reversals and the letter shown
+  getState() {
+    return {
+      logCS: this.logCS,
+      step: this.step,
+      correctRun: this.correctRun,
+      lastDirection: this.lastDirection,
+      reversals: [...this.reversals],
+      floorPasses: this.floorPasses,
+      trials: [...this.trials],
+      letter: this.letter,
+    };
+  }
+}
+
+export default ContrastSensitivityTest;
@@ -0,0 +1,139 @@
+/**
+ * Display Conditions
+ * Checks run before the colour tests. Media queries report what the screen
+ * says about itself (colour gamut, HDR, inverted or forced colours); a few
+ * reference swatches catch what it does not report - night light / blue-light
+ * filters, colour inversion from accessibility settings, and brightness set so
+ * low or high that near-black or near-white steps merge.
+ *
+ * The outcome goes into the colour results' testConditions as `display`, with
+ * `reliable: false` when any issue was found, so the analysis can discount it.
+ */
+
+export const DISPLAY_ISSUES = {
+  INVERTED_COLORS: 'inverted_colors',
+  FORCED_COLORS: 'forced_colors',
+  NIGHT_LIGHT: 'night_light',
+  TINTED: 'tinted',
+  LOW_BRIGHTNESS: 'low_brightness',
+  WASHED_OUT: 'washed_out',
+};
+
+/**
+ * Reference swatches, asked one at a time
+ * 'choice' swatches show one colour and each wrong option names its issue;
+ * 'steps' swatches show grey squares close to the strip's own grey
+ * Questions, option labels and issue advice are in the locale bundles under color.display
+ */
+export const DISPLAY_SWATCHES = [
+  {
+    id: 'hue',
+    type: 'choice',
+    color: 'rgb(255, 214, 0)',
+    background: 'rgb(128, 128, 128)',
+    options: [
+      { value: 'yellow', issue: null },
+      { value: 'blue', issue: DISPLAY_ISSUES.INVERTED_COLORS },
+      { value: 'other', issue: DISPLAY_ISSUES.TINTED },
+    ],
+  },
+  {
+    id: 'white_point',
+    type: 'choice',
+    color: 'rgb(255, 255, 255)',
+    background: 'rgb(128, 128, 128)',
+    options: [
+      { value: 'white', issue: null },
+      { value: 'warm', issue: DISPLAY_ISSUES.NIGHT_LIGHT },
+      { value: 'cool', issue: DISPLAY_ISSUES.TINTED },
+    ],
+  },
+  {
+    id: 'dark_steps',
+    type: 'steps',
+    levels: [4, 10, 18, 30, 46],
+    backgroundLevel: 0,
+    minVisible: 3,
+    issue: DISPLAY_ISSUES.LOW_BRIGHTNESS,
+  },
+  {
+    id: 'light_steps',
+    type: 'steps',
+    levels: [251, 245, 236, 222, 204],
+    backgroundLevel: 255,
+    minVisible: 3,
+    issue: DISPLAY_ISSUES.WASHED_OUT,
+  },
+];
+
+const matches = (query) => {
+  try {
+    return window.matchMedia?.(query).matches ?? null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * What the screen reports about itself
+ * @returns {object} { colorGamut, dynamicRange, invertedColors, forcedColors }
+ */
+export const detectDisplayCapabilities = () => {
+  // Widest gamut first - a P3 screen also matches srgb; null when nothing matches (narrower or unsupported)
+  const colorGamut = ['rec2020', 'p3', 'srgb'].find(gamut => matches(`(color-gamut: ${gamut})`)) || null;
+
+  let dynamicRange = null;
+  if (matches('(dynamic-range: high)')) dynamicRange = 'high';
+  else if (matches('(dynamic-range: standard)')) dynamicRange = 'standard';
+
+  return {
+    colorGamut,
+    dynamicRange,
+    invertedColors: matches('(inverted-colors: inverted)'),
+    forcedColors: matches('(forced-colors: active)'),
+  };
+};
+
+/**
+ * Issue one swatch answer points at
+ * @param {object} swatch - From DISPLAY_SWATCHES
+ * @param {string|number} response - Option value, or squares seen for 'steps'
+ * @returns {string|null} DISPLAY_ISSUES value, or null when the answer is as expected
+ */
+export const getSwatchIssue = (swatch, response) => {
+  if (swatch.type === 'steps') return response < swatch.minVisible ? swatch.issue : null;
+  return swatch.options.find(option => option.value === response)?.issue ?? null;
+};
+
+/**
+ * Combine capabilities and swatch answers
+ * @param {object} capabilities - From detectDisplayCapabilities()
+ * @param {object} responses - Swatch id -> answer
+ * @returns {object} { colorGamut, dynamicRange, invertedColors, forcedColors, responses, issues, reliable }
+ */
+export const assessDisplayConditions = (capabilities, responses) => {
+  const issues = [];
+  if (capabilities.invertedColors) issues.push(DISPLAY_ISSUES.INVERTED_COLORS);
+  if (capabilities.forcedColors) issues.push(DISPLAY_ISSUES.FORCED_COLORS);
+
+  DISPLAY_SWATCHES.forEach(swatch => {
+    const response = responses[swatch.id];
+    const issue = response === undefined ? null : getSwatchIssue(swatch, response);
+    if (issue && !issues.includes(issue)) issues.push(issue);
+  });
+
+  return {
+    ...capabilities,
+    responses: { ...responses },
+    issues,
+    reliable: issues.length === 0,
+  };
+};
+
+export default {
+  DISPLAY_ISSUES,
+  DISPLAY_SWATCHES,
+  detectDisplayCapabilities,
+  getSwatchIssue,
+  assessDisplayConditions,
+};
@@ -0,0 +1,180 @@
+/**
+ * Fitts' Law Analysis
+ * Throughput for the bubble-pop motor test (ISO 9241-9 effective measures).
+ *
+ * A trial is one hit: the movement runs from the previous hit (or the bubble
+ * spawn, if later) to the click. Amplitude is measured to the bubble centre at
+ * click time, so the moving target is treated as stationary for the last step.
+ * All distances are in stage pixels.
+ */
+
+// Effective width = 4.133 x SD of the click scatter (covers ~96% of hits)
+const EFFECTIVE_WIDTH_FACTOR = 4.133;
+
+// Trials outside this window are pauses or double-taps, not aimed movements
+const MIN_MOVEMENT_TIME_MS = 50;
+const MAX_MOVEMENT_TIME_MS = 3000;
+
+// Fewer trials than this give a meaningless click-scatter SD
+const MIN_TRIALS = 3;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  // Sample SD, as used for effective width
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+};
+
+/**
+ * Shannon index of difficulty
+ * @param {number} amplitude - Movement distance
+ * @param {number} width - Target width
+ * @returns {number} ID in bits
+ */
+export const indexOfDifficulty = (amplitude, width) => {
+  if (width <= 0) return 0;
+  return Math.log2(amplitude / width + 1);
+};
+
+/**
+ * Build Fitts trials from consecutive hits of one round
+ * @param {Array<object>} hits - In click order: { target: { x, y, radius }, click: { x, y, time }, spawnTime }
+ * @returns {Array<object>} Trials: { hitIndex, amplitude, width, indexOfDifficulty, movementTimeMs, deviation, effectiveAmplitude }
+ */
+export const buildFittsTrials = (hits) => {
+  const trials = [];
+
+  for (let i = 1; i < hits.length; i++) {
+    const start = hits[i - 1].click;
+    const { target, click, spawnTime } = hits[i];
+
+    const movementTimeMs = click.time - Math.max(start.time, spawnTime || 0);
+    if (movementTimeMs < MIN_MOVEMENT_TIME_MS || movementTimeMs > MAX_MOVEMENT_TIME_MS) continue;
+
+    const axisX = target.x - start.x;
+    const axisY = target.y - start.y;
+    const amplitude = Math.hypot(axisX, axisY);
+    if (amplitude === 0) continue;
+
+    // Click error projected onto the task axis (positive = overshoot)
+    const deviation = ((click.x - target.x) * axisX + (click.y - target.y) * axisY) / amplitude;
+    const width = target.radius * 2;
+
+    trials.push({
+      hitIndex: i,
+      amplitude,
+      width,
+      indexOfDifficulty: indexOfDifficulty(amplitude, width),
+      movementTimeMs,
+      deviation,
+      effectiveAmplitude: amplitude + deviation,
+    });
+  }
+
+  return trials;
+};
+
+/**
+ * Effective throughput for one round
+ * @param {Array<object>} trials - From buildFittsTrials()
+ * @returns {object} { trialCount, meanAmplitude, nominalWidth, effectiveWidth, effectiveId, meanMovementTimeMs, throughputBps }
+ */
+export const analyzeFittsRound = (trials) => {
+  if (trials.length < MIN_TRIALS) {
+    return {
+      trialCount: trials.length,
+      meanAmplitude: null,
+      nominalWidth: null,
+      effectiveWidth: null,
+      effectiveId: null,
+      meanMovementTimeMs: null,
+      throughputBps: null,
+    };
+  }
+
+  const nominalWidth = mean(trials.map(t => t.width));
+  const scatter = standardDeviation(trials.map(t => t.deviation));
+  // Identical clicks give zero scatter - fall back to the drawn width
+  const effectiveWidth = scatter > 0 ? EFFECTIVE_WIDTH_FACTOR * scatter : nominalWidth;
+  const effectiveAmplitude = mean(trials.map(t => t.effectiveAmplitude));
+  const effectiveId = indexOfDifficulty(effectiveAmplitude, effectiveWidth);
+  const meanMovementTimeMs = mean(trials.map(t => t.movementTimeMs));
+
+  return {
+    trialCount: trials.length,
+    meanAmplitude: round(mean(trials.map(t => t.amplitude)), 2),
+    nominalWidth: round(nominalWidth, 2),
+    effectiveWidth: round(effectiveWidth, 2),
+    effectiveId: round(effectiveId, 3),
+    meanMovementTimeMs: Math.round(meanMovementTimeMs),
+    throughputBps: round(effectiveId / (meanMovementTimeMs / 1000), 3),
+  };
+};
+
+/**
+ * Least-squares fit of movement time against index of difficulty (MT = a + b x ID)
+ * @param {Array<object>} trials - From buildFittsTrials()
+ * @returns {object|null} { interceptMs, slopeMsPerBit, r2, trialCount } or null with too few trials
+ */
+export const fitMovementTime = (trials) => {
+  if (trials.length < MIN_TRIALS) return null;
+
+  const ids = trials.map(t => t.indexOfDifficulty);
+  const times = trials.map(t => t.movementTimeMs);
+  const meanId = mean(ids);
+  const meanTime = mean(times);
+
+  let covariance = 0;
+  let idVariance = 0;
+  let timeVariance = 0;
+  for (let i = 0; i < trials.length; i++) {
+    covariance += (ids[i] - meanId) * (times[i] - meanTime);
+    idVariance += Math.pow(ids[i] - meanId, 2);
+    timeVariance += Math.pow(times[i] - meanTime, 2);
+  }
+
+  // All trials at the same ID - slope is undefined
+  if (idVariance === 0) return null;
+
+  const slope = covariance / idVariance;
+  const r2 = timeVariance > 0 ? Math.pow(covariance, 2) / (idVariance * timeVariance) : 0;
+
+  return {
+    interceptMs: round(meanTime - slope * meanId, 1),
+    slopeMsPerBit: round(slope, 1),
+    r2: round(r2, 3),
+    trialCount: trials.length,
+  };
+};
+
+/**
+ * Session-level Fitts analysis
+ * Throughput is the mean of the per-round throughputs (one round = one speed condition)
+ * @param {object} trialsByRound - { [round]: trials }
+ * @returns {object} { rounds: [{ round, ...analyzeFittsRound }], throughputBps, regression }
+ */
+export const analyzeFittsSession = (trialsByRound) => {
+  const rounds = Object.entries(trialsByRound)
+    .map(([roundNumber, trials]) => ({ round: Number(roundNumber), ...analyzeFittsRound(trials) }))
+    .sort((a, b) => a.round - b.round);
+
+  const throughputs = rounds.map(r => r.throughputBps).filter(tp => tp !== null);
+
+  return {
+    rounds,
+    throughputBps: throughputs.length > 0 ? round(mean(throughputs), 3) : null,
+    regression: fitMovementTime(Object.values(trialsByRound).flat()),
+  };
+};
+
+export default {
+  indexOfDifficulty,
+  buildFittsTrials,
+  analyzeFittsRound,
+  fitMovementTime,
+  analyzeFittsSession,
+};
@@ -0,0 +1,21 @@
+/**
+ * Hash
+ * Small non-cryptographic string hash shared by the upload de-duplication keys,
+ * the seeded RNG and the device fingerprint.
+ */
+
+/**
+ * Stable 32-bit FNV-1a hash of a string (hex encoded)
+ * @param {string} value - String to hash
+ * @returns {string} 8 hex characters
+ */
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+export default { hashString };
@@ -0,0 +1,260 @@
+/**
+ * Hue Arrangement
+ * Farnsworth D-15 style colour test: 15 caps of equal lightness and chroma
+ * are put in hue order after a fixed pilot cap. Nothing has to be read, so the
+ * result does not depend on literacy or acuity the way the numeral plates do.
+ *
+ * Scoring follows Vingrys & King-Smith (1988): the colour-difference vectors
+ * between successive caps in CIELUV are treated as a moment of inertia. The
+ * major axis angle gives the confusion axis, the major radius against a
+ * perfect arrangement gives the confusion index (C-index, 1 = perfect), and
+ * the major/minor ratio gives the selectivity (S-index, low = random order).
+ * The classic crossing count is reported alongside: a major crossing jumps
+ * more than two caps, and each one is assigned to the axis its angle falls in.
+ *
+ * Select plates, arrangement or both with VITE_COLOR_TEST, or per browser
+ * session with ?colorTest=...
+ */
+
+import { SeededRandom } from './seededRandom';
+import { DEFICIENCY_TYPES } from './colorBlindnessAnalysis';
+import { resolveModeFlag } from './modeFlags';
+
+export const COLOR_TESTS = {
+  PLATES: 'plates',
+  ARRANGEMENT: 'arrangement',
+  BOTH: 'both',
+};
+
+// D-15 cap chromaticities in CIELUV (u*, v*), pilot first - Vingrys & King-Smith (1988), Table 1
+export const PILOT_CAP = 0;
+const CAP_LUV = [
+  [-21.54, -38.39],
+  [-23.26, -25.56],
+  [-22.41, -15.53],
+  [-23.11, -7.45],
+  [-22.45, 1.1],
+  [-21.67, 7.35],
+  [-14.08, 18.74],
+  [-2.72, 28.13],
+  [14.84, 31.13],
+  [23.87, 26.35],
+  [31.82, 14.76],
+  [31.42, 6.99],
+  [29.79, 0.1],
+  [26.64, -9.38],
+  [22.92, -18.65],
+  [11.2, -24.61],
+];
+
+// Cap numbers the user arranges (the pilot stays put)
+export const CAP_NUMBERS = CAP_LUV.map((_, cap) => cap).filter(cap => cap !== PILOT_CAP);
+
+// Munsell value 5 caps
+const CAP_LIGHTNESS = 51;
+
+// D65 white in CIE 1976 u'v' - caps are drawn for an sRGB screen, not the illuminant C booth
+const WHITE_U = 0.1978;
+const WHITE_V = 0.4683;
+
+// A jump of more than this many cap numbers crosses the circle
+const MAX_MINOR_GAP = 2;
+
+// C-index above this fails the test; above the dichromat level reads as severe
+const FAIL_CONFUSION_INDEX = 1.6;
+const DICHROMAT_CONFUSION_INDEX = 3;
+
+// S-index below this has no clear axis (random or careless ordering)
+const MIN_SELECTIVITY_INDEX = 1.8;
+
+// Axis angle bands in degrees (protan ~+8, deutan ~-8, tritan ~-80)
+const PROTAN_MIN_ANGLE = 0.7;
+const TRITAN_MIN_ABS_ANGLE = 65;
+
+const COLOR_TEST_STORAGE_KEY = 'sensecheck_color_test';
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Resolve which colour tests to run
+ */
+export const getColorTestMode = () => resolveModeFlag(
+  'colorTest',
+  COLOR_TEST_STORAGE_KEY,
+  import.meta.env.VITE_COLOR_TEST,
+  Object.values(COLOR_TESTS),
+  COLOR_TESTS.BOTH
+);
+
+const linearToSrgbLevel = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  const encoded = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  return Math.round(encoded * 255);
+};
+
+/**
+ * CSS colour of a cap
+ * @param {number} cap - Cap number (0 = pilot)
+ */
+export const getCapColor = (cap) => {
+  const [uStar, vStar] = CAP_LUV[cap];
+  const Y = Math.pow((CAP_LIGHTNESS + 16) / 116, 3);
+  const u = uStar / (13 * CAP_LIGHTNESS) + WHITE_U;
+  const v = vStar / (13 * CAP_LIGHTNESS) + WHITE_V;
+  const X = Y * (9 * u) / (4 * v);
+  const Z = Y * (12 - 3 * u - 20 * v) / (4 * v);
+
+  const rgb = [
+    3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+    -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+    0.0557 * X - 0.204 * Y + 1.057 * Z,
+  ];
+  return `rgb(${rgb.map(linearToSrgbLevel).join(', ')})`;
+};
+
+/**
+ * Starting tray order for a session
+ * @param {number} seed - e.g. seedFromString(sessionId)
+ * @returns {array} Cap numbers, shuffled
+ */
+export const shuffleCaps = (seed) => {
+  const random = new SeededRandom(seed);
+  const caps = [...CAP_NUMBERS];
+  for (let i = caps.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1);
+    [caps[i], caps[j]] = [caps[j], caps[i]];
+  }
+  return caps;
+};
+
+/**
+ * Confusion axis for a direction in the u*v* plane
+ * @param {number} angle - Degrees, folded to -90..90
+ * @returns {string} 'protan' | 'deutan' | 'tritan'
+ */
+export const axisForAngle = (angle) => {
+  if (Math.abs(angle) >= TRITAN_MIN_ABS_ANGLE) return DEFICIENCY_TYPES.TRITAN;
+  return angle > PROTAN_MIN_ANGLE ? DEFICIENCY_TYPES.PROTAN : DEFICIENCY_TYPES.DEUTAN;
+};
+
+// Fold a direction to -90..90 degrees (vectors and their reverse share an axis)
+const foldAngle = (radians) => {
+  let degrees = radians * 180 / Math.PI;
+  while (degrees > 90) degrees -= 180;
+  while (degrees <= -90) degrees += 180;
+  return degrees;
+};
+
+// Colour-difference vectors from the pilot through the arrangement
+const differenceVectors = (order) => {
+  const path = [PILOT_CAP, ...order];
+  return path.slice(1).map((cap, index) => {
+    const [u1, v1] = CAP_LUV[path[index]];
+    const [u2, v2] = CAP_LUV[cap];
+    return { from: path[index], to: cap, du: u2 - u1, dv: v2 - v1 };
+  });
+};
+
+/**
+ * Moment-of-inertia axes of an arrangement
+ * @param {array} order - Cap numbers after the pilot
+ * @returns {object} { angle, majorRadius, minorRadius }
+ */
+const momentAxes = (order) => {
+  const vectors = differenceVectors(order);
+  let uu = 0;
+  let vv = 0;
+  let uv = 0;
+  vectors.forEach(({ du, dv }) => {
+    uu += du * du;
+    vv += dv * dv;
+    uv += du * dv;
+  });
+
+  // Eigenvalues of the 2x2 scatter matrix; the larger one lies along the vectors
+  const mean = (uu + vv) / 2;
+  const spread = Math.sqrt(((uu - vv) / 2) ** 2 + uv ** 2);
+  const major = mean + spread;
+  const minor = Math.max(0, mean - spread);
+
+  return {
+    angle: foldAngle(Math.atan2(2 * uv, uu - vv) / 2),
+    majorRadius: Math.sqrt(major / vectors.length),
+    minorRadius: Math.sqrt(minor / vectors.length),
+  };
+};
+
+// Major radius of the perfect arrangement - the C-index reference
+const PERFECT_MAJOR_RADIUS = momentAxes(CAP_NUMBERS).majorRadius;
+
+/**
+ * Jumps of more than two caps, each with the axis its direction falls in
+ * @param {array} order - Cap numbers after the pilot
+ * @returns {array} [{ from, to, angle, axis }]
+ */
+export const findMajorCrossings = (order) => differenceVectors(order)
+  .filter(({ from, to }) => Math.abs(to - from) > MAX_MINOR_GAP)
+  .map(({ from, to, du, dv }) => {
+    const angle = round(foldAngle(Math.atan2(dv, du)), 1);
+    return { from, to, angle, axis: axisForAngle(angle) };
+  });
+
+/**
+ * Score an arrangement
+ * @param {array} order - Cap numbers after the pilot, as arranged
+ * @returns {object} { confusionIndex, selectivityIndex, totalErrorScore, confusionAngle, majorRadius, minorRadius,
+ *   majorCrossings, crossingAxis, passed, deficiencyType, deficiencySeverity, colorBlindnessScore }
+ */
+export const analyzeArrangement = (order) => {
+  const { angle, majorRadius, minorRadius } = momentAxes(order);
+  const confusionIndex = majorRadius / PERFECT_MAJOR_RADIUS;
+  const selectivityIndex = minorRadius > 0 ? majorRadius / minorRadius : null;
+  const crossings = findMajorCrossings(order);
+
+  // Classic scoring: the axis with the most crossings (null without any)
+  const crossingCounts = crossings.reduce((counts, { axis }) => ({ ...counts, [axis]: (counts[axis] || 0) + 1 }), {});
+  const crossingAxis = Object.keys(crossingCounts)
+    .sort((a, b) => crossingCounts[b] - crossingCounts[a])[0] || null;
+
+  const passed = confusionIndex <= FAIL_CONFUSION_INDEX;
+  let deficiencyType = DEFICIENCY_TYPES.NORMAL;
+  if (!passed) {
+    deficiencyType = selectivityIndex !== null && selectivityIndex < MIN_SELECTIVITY_INDEX
+      ? DEFICIENCY_TYPES.INCONCLUSIVE
+      : axisForAngle(angle);
+  }
+
+  // A D-15 fail means at least a moderate deficiency; mild anomalous trichromats usually pass
+  let deficiencySeverity = 0;
+  if (!passed) deficiencySeverity = confusionIndex >= DICHROMAT_CONFUSION_INDEX ? 1 : 0.6;
+
+  return {
+    confusionIndex: round(confusionIndex),
+    selectivityIndex: selectivityIndex !== null ? round(selectivityIndex) : null,
+    totalErrorScore: round(Math.hypot(majorRadius, minorRadius)),
+    confusionAngle: round(angle, 1),
+    majorRadius: round(majorRadius),
+    minorRadius: round(minorRadius),
+    majorCrossings: crossings,
+    crossingAxis,
+    passed,
+    deficiencyType,
+    deficiencySeverity: deficiencyType === DEFICIENCY_TYPES.INCONCLUSIVE ? null : deficiencySeverity,
+    // 0 at a perfect arrangement, 1 at a typical dichromat's C-index
+    colorBlindnessScore: deficiencyType === DEFICIENCY_TYPES.INCONCLUSIVE
+      ? null
+      : round(Math.min(1, Math.max(0, (confusionIndex - 1) / (DICHROMAT_CONFUSION_INDEX - 1)))),
+  };
+};
+
+export default {
+  COLOR_TESTS,
+  PILOT_CAP,
+  CAP_NUMBERS,
+  getColorTestMode,
+  getCapColor,
+  shuffleCaps,
+  axisForAngle,
+  findMajorCrossings,
+  analyzeArrangement,
+};
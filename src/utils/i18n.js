@@ -0,0 +1,174 @@
+/**
+ * Localisation
+ * Locale bundles live in src/locales, one module per language:
+ * - meta: { code, name (in the language itself), dir ('ltr' or 'rtl') }
+ * - strings: nested UI strings, looked up by dotted key ('quiz.title')
+ * - questions: literacy question translations by id; `options` follow the
+ *   English order so answers are still scored and logged against the
+ *   English option values
+ * - passages: reading passage translations by id ({ title, text, questions }),
+ *   with question `options` in the English order in the same way
+ *
+ * Missing strings fall back to English, then to the key itself, so a
+ * partly translated bundle never breaks the UI.
+ */
+
+import en from '../locales/en';
+import si from '../locales/si';
+import ta from '../locales/ta';
+import { resolveModeFlag } from './modeFlags';
+
+export const LOCALES = { en, si, ta };
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_STORAGE_KEY = 'sensecheck_locale';
+
+// Zero of each decimal digit block participants may type in (the other nine follow it)
+const DIGIT_ZEROS = [
+  0x0660, // Arabic-Indic
+  0x06F0, // Extended Arabic-Indic
+  0x0966, // Devanagari
+  0x09E6, // Bengali
+  0x0BE6, // Tamil
+  0x0DE6, // Sinhala Lith
+  0xFF10, // Full-width
+];
+
+const isSupported = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+/**
+ * Supported locale for a language tag ('ta-LK' -> 'ta')
+ * @param {string} language - BCP 47 tag, e.g. from navigator.language
+ * @returns {string|null} Locale code, or null if not supported
+ */
+export const matchLocale = (language) => {
+  if (typeof language !== 'string') return null;
+  const base = language.toLowerCase().split(/[-_]/)[0];
+  return isSupported(base) ? base : null;
+};
+
+/**
+ * Resolve which locale to show
+ * Order: ?lang= query param, the choice remembered in sessionStorage,
+ * VITE_DEFAULT_LOCALE, the device language, then English
+ * @param {string} deviceLanguage - useDeviceInfo().language
+ */
+export const detectLocale = (deviceLanguage) => resolveModeFlag(
+  'lang',
+  LOCALE_STORAGE_KEY,
+  import.meta.env.VITE_DEFAULT_LOCALE,
+  matchLocale,
+  matchLocale(deviceLanguage) || DEFAULT_LOCALE
+);
+
+/**
+ * Remember a locale the participant picked for the rest of the session
+ * @param {string} locale - Locale code
+ */
+export const saveLocale = (locale) => {
+  try {
+    sessionStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+    // sessionStorage may be unavailable - the choice lasts until reload
+  }
+};
+
+const lookup = (strings, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), strings);
+
+/**
+ * Translated UI string
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key, e.g. 'color.title'
+ * @param {object} params - Values for {placeholders} in the string
+ * @returns {string} Translation, the English string, or the key if neither exists
+ */
+export const translate = (locale, key, params = {}) => {
+  let text = lookup(LOCALES[locale]?.strings, key);
+  if (typeof text !== 'string') text = lookup(LOCALES[DEFAULT_LOCALE].strings, key);
+  if (typeof text !== 'string') return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+};
+
+/**
+ * Text direction for a locale
+ * @param {string} locale - Locale code
+ * @returns {string} 'ltr' or 'rtl'
+ */
+export const getDirection = (locale) => LOCALES[locale]?.meta.dir || 'ltr';
+
+/**
+ * Replace digits from other scripts (Tamil ௩, Sinhala Lith ෩, full-width ３ ...) with ASCII digits
+ * @param {string} value - Typed text
+ * @returns {string}
+ */
+export const normalizeDigits = (value) =>
+  String(value).replace(/\p{Nd}/gu, (digit) => {
+    const code = digit.codePointAt(0);
+    const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+    return zero === undefined ? digit : String(code - zero);
+  });
+
+/**
+ * Whole number typed in any supported script; spaces and grouping separators are ignored
+ * @param {string} value - Typed text
+ * @returns {number} The number, or NaN if there is none
+ */
+export const parseLocaleNumber = (value) =>
+  parseInt(normalizeDigits(value).replace(/[\s,.'٬]/g, ''), 10);
+
+/**
+ * Question text and option labels in a locale
+ * Option values stay English - scoring, hover logs and answer confidence use them
+ * @param {object} question - Item from QUESTION_BANK
+ * @param {string} locale - Locale code
+ * @returns {object} The question with translated `question` and `optionLabels` ({ [option]: label })
+ */
+export const localizeQuestion = (question, locale) => {
+  const translation = LOCALES[locale]?.questions?.[question.id];
+  const options = question.options || [];
+  return {
+    ...question,
+    question: translation?.question || question.question,
+    optionLabels: Object.fromEntries(options.map((option, i) => [option, translation?.options?.[i] || option])),
+  };
+};
+
+/**
+ * Reading passage, with its questions, in a locale
+ * Option values stay English - answers are scored against them
+ * @param {object} passage - Item from READING_PASSAGES
+ * @param {string} locale - Locale code
+ * @returns {object} The passage with translated `title`, `text` and questions (each with `optionLabels`)
+ */
+export const localizePassage = (passage, locale) => {
+  const translation = LOCALES[locale]?.passages?.[passage.id];
+  return {
+    ...passage,
+    title: translation?.title || passage.title,
+    text: translation?.text || passage.text,
+    questions: passage.questions.map((question) => {
+      const questionTranslation = translation?.questions?.[question.id];
+      return {
+        ...question,
+        question: questionTranslation?.question || question.question,
+        optionLabels: Object.fromEntries(question.options.map((option, i) => [option, questionTranslation?.options?.[i] || option])),
+      };
+    }),
+  };
+};
+
+export default {
+  detectLocale,
+  saveLocale,
+  matchLocale,
+  translate,
+  getDirection,
+  normalizeDigits,
+  parseLocaleNumber,
+  localizeQuestion,
+  localizePassage,
+};
@@ -0,0 +1,74 @@
+/**
+ * Idempotency Keys & Submission Ledger
+ * Deterministic keys per (sessionId, module, round/attempt) plus a local
+ * record of submissions the backend has acknowledged, so a result restored
+ * from sessionStorage after a reload is never posted twice from one browser.
+ */
+
+const LEDGER_STORAGE_KEY = 'sensecheck_submission_ledger';
+const MAX_LEDGER_ENTRIES = 500;
+
+/**
+ * Build a deterministic idempotency key
+ * @param {string} sessionId - Session ID
+ * @param {string} module - Module/result name (e.g. 'vision-color', 'motor-attempts')
+ * @param {string|number} part - Optional round/attempt discriminator
+ * @returns {string|null} Key, or null when there is no session to scope it to
+ */
+export const buildIdempotencyKey = (sessionId, module, part = null) => {
+  if (!sessionId) return null;
+  return part === null || part === undefined
+    ? `${sessionId}:${module}`
+    : `${sessionId}:${module}:${part}`;
+};
+
+const loadLedger = () => {
+  try {
+    const saved = localStorage.getItem(LEDGER_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error('Failed to load submission ledger:', e);
+    return {};
+  }
+};
+
+const saveLedger = (ledger) => {
+  try {
+    localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(ledger));
+  } catch (e) {
+    console.error('Failed to save submission ledger:', e);
+  }
+};
+
+/**
+ * Check whether the backend already acknowledged a submission
+ * @param {string} key - Idempotency key
+ */
+export const isAcknowledged = (key) => {
+  if (!key) return false;
+  return Boolean(loadLedger()[key]);
+};
+
+/**
+ * Record that the backend acknowledged a submission
+ * Keeps only the most recent entries so localStorage does not grow unbounded
+ * @param {string} key - Idempotency key
+ */
+export const markAcknowledged = (key) => {
+  if (!key) return;
+
+  const ledger = loadLedger();
+  ledger[key] = Date.now();
+
+  const keys = Object.keys(ledger);
+  if (keys.length > MAX_LEDGER_ENTRIES) {
+    keys
+      .sort((a, b) => ledger[a] - ledger[b])
+      .slice(0, keys.length - MAX_LEDGER_ENTRIES)
+      .forEach(oldKey => delete ledger[oldKey]);
+  }
+
+  saveLedger(ledger);
+};
+
+export default { buildIdempotencyKey, isAcknowledged, markAcknowledged };
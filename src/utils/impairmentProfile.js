@@ -1,6 +1,7 @@
 /**
  * Impairment Profile Builder
  * Builds profile matching EXACT research schema
+ * (enforced by PAYLOAD_SCHEMAS.impairmentProfile in payloadSchemas.js)
  */
 
 import { saveImpairmentProfile } from './api';
@@ -27,19 +28,50 @@ export const buildImpairmentProfile = ({
   // Challenge results use hyphenated keys from completeChallenge()
   const colorBlindness = challengeResults?.['color-blindness'];
   const visualAcuity = challengeResults?.['visual-acuity'];
+  const contrastSensitivity = challengeResults?.['contrast-sensitivity'];
   const motorSkills = challengeResults?.['motor-skills'];
   const knowledgeQuiz = challengeResults?.['knowledge-quiz'];
+  const readingAssessment = challengeResults?.['reading-assessment'];
   
   // Vision loss from visual acuity (0.0 = no loss, 1.0 = total loss)
-  const visionLoss = visualAcuity?.visionLoss ?? 0;
+  // A censored result passed the smallest line the screen could show, so no loss was measured
+  const visionLoss = visualAcuity?.censored ? 0 : visualAcuity?.visionLoss ?? 0;
+  
+  // Per-eye vision loss and interocular asymmetry (null unless each eye was tested)
+  const eyeVisionLoss = (eye) => (eye ? (eye.censored ? 0 : eye.visionLoss ?? null) : null);
+  const visionLossLeft = eyeVisionLoss(visualAcuity?.perEye?.left);
+  const visionLossRight = eyeVisionLoss(visualAcuity?.perEye?.right);
+  const acuityAsymmetry = visualAcuity?.acuityAsymmetry ?? null;
+  
+  // Pelli-Robson log contrast sensitivity (higher = better, ~1.65+ is normal; null if not measured)
+  const contrastSensitivityLogCS = contrastSensitivity?.logCS ?? null;
   
   // Color blindness probability based on color blind pattern answers only
   // Uses colorBlindnessScore (colorBlindCount / totalPlates) instead of 1 - colorVisionScore
   // This ensures only actual color blind responses are counted, not random wrong answers
-  const colorBlindnessProb = colorBlindness?.colorBlindnessScore != null
-    ? parseFloat(colorBlindness.colorBlindnessScore.toFixed(2))
+  // The hue arrangement stands in when the plates were not shown
+  const hueArrangement = colorBlindness?.hueArrangement;
+  const colorBlindnessScore = colorBlindness?.colorBlindnessScore ?? hueArrangement?.colorBlindnessScore;
+  const colorBlindnessProb = colorBlindnessScore != null
+    ? parseFloat(colorBlindnessScore.toFixed(2))
     : 0;
   
+  // Deficiency type and severity (null when not measured, the control plate was missed or the
+  // screen check found night light, inversion or bad brightness)
+  // A protan/deutan tie on the plates is settled by the arrangement's confusion axis
+  let colorDeficiencySource = colorBlindness?.deficiencyType ? colorBlindness : hueArrangement;
+  const arrangementSplitsTie = colorBlindness?.deficiencyConfidence === 'low'
+    && ['protan', 'deutan'].includes(hueArrangement?.deficiencyType);
+  if (arrangementSplitsTie) {
+    colorDeficiencySource = { ...colorBlindness, deficiencyType: hueArrangement.deficiencyType };
+  }
+  const deficiencyType = colorDeficiencySource?.deficiencyType;
+  const colorDisplayReliable = colorBlindness?.testConditions?.display?.reliable !== false;
+  const colorDeficiencyType = colorDisplayReliable && deficiencyType && deficiencyType !== 'inconclusive'
+    ? deficiencyType
+    : null;
+  const colorDeficiencySeverity = colorDeficiencyType ? colorDeficiencySource.deficiencySeverity ?? null : null;
+  
   // Inaccurate click from miss rate
   const totalAttempts = motorSkills 
     ? (motorSkills.totalHits || 0) + (motorSkills.totalMisses || 0)
@@ -49,6 +81,15 @@ export const buildImpairmentProfile = ({
     : 1;
   const inaccurateClick = parseFloat((1 - hitRate).toFixed(2));
   
+  // Fitts' Law effective throughput in bits/s (null if the test had too few hits to measure)
+  const throughputBps = motorSkills?.fitts?.throughputBps ?? null;
+  
+  // Tremor probability from the 4-12Hz pointer velocity spectrum
+  const tremorProb = motorSkills?.tremor?.tremorProb ?? 0;
+  
+  // Share of hit movements that travelled past the target before correcting
+  const overshootRate = motorSkills?.overshoot?.overshootRate ?? 0;
+  
   // Literacy score as decimal (0.0 - 1.0)
   // Higher score = better literacy
   const literacyScore = typeof knowledgeQuiz?.score === 'number'
@@ -57,6 +98,12 @@ export const buildImpairmentProfile = ({
       ? knowledgeQuiz.correctAnswers / knowledgeQuiz.totalQuestions
       : 0;
   
+  // Reading level (0-5) and speed from the graded passages, null if the reading test was not taken
+  const readingLevel = readingAssessment?.readingLevel ?? null;
+  const readingGrade = readingAssessment?.readingGrade ?? null;
+  const wordsPerMinute = readingAssessment?.wordsPerMinute ?? null;
+  const readingComprehension = readingAssessment?.comprehension ?? null;
+  
   // Average reaction time
   const avgReactionMs = Math.round(stats?.averageResponseTime || 0);
   
@@ -68,12 +115,27 @@ export const buildImpairmentProfile = ({
     impairment_probs: {
       vision: {
         vision_loss: parseFloat(visionLoss.toFixed(2)),
+        vision_loss_left: visionLossLeft,
+        vision_loss_right: visionLossRight,
+        acuity_asymmetry: acuityAsymmetry,
         color_blindness: colorBlindnessProb,
+        color_deficiency_type: colorDeficiencyType,
+        color_deficiency_severity: colorDeficiencySeverity,
+        contrast_sensitivity: contrastSensitivityLogCS,
       },
       motor: {
         inaccurate_click: inaccurateClick,
+        throughput_bps: throughputBps,
+        tremor_prob: tremorProb,
+        overshoot_rate: overshootRate,
       },
       literacy: parseFloat(literacyScore.toFixed(2)),
+      reading: {
+        reading_level: readingLevel,
+        reading_grade: readingGrade,
+        words_per_minute: wordsPerMinute,
+        comprehension: readingComprehension,
+      },
     },
     onboarding_metrics: {
       avg_reaction_ms: avgReactionMs,
@@ -0,0 +1,52 @@
+/**
+ * Minimal IndexedDB helpers
+ * Promise wrappers around the raw IndexedDB API used by the outbox
+ */
+
+/**
+ * Check whether IndexedDB is usable in this browser
+ * (private browsing modes and some webviews disable it)
+ */
+export const isIndexedDbAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Open (and upgrade if needed) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {function} upgrade - Called with (db) when the schema needs creating
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Run a single request against an object store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} Result of the request
+ */
+export const runStoreRequest = (db, storeName, mode, operation) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export default { isIndexedDbAvailable, openDatabase, runStoreRequest };
@@ -0,0 +1,221 @@
+/**
+ * Item Response Theory
+ * Two-parameter logistic (2PL) model: the chance of answering an item right is
+ * 1 / (1 + e^(-a(θ - b))), where θ is the person's ability, b the item's
+ * difficulty on the same scale and a its discrimination (how sharply the
+ * chance rises around b).
+ *
+ * Ability is the expected a posteriori (EAP) estimate over a grid with a
+ * standard normal prior, so all-correct or all-wrong patterns still give a
+ * finite θ; its standard error is the posterior SD.
+ *
+ * AdaptiveTest runs a computerized adaptive test over an item bank: each next
+ * item is the most informative at the current θ (picked at random among the
+ * top few, to spread item exposure), categories are rotated so every topic is
+ * asked, and the test stops once the SE is small enough.
+ */
+
+// Quadrature grid for θ
+const THETA_MIN = -4;
+const THETA_MAX = 4;
+const THETA_STEP = 0.05;
+const THETA_GRID = Array.from(
+  { length: Math.round((THETA_MAX - THETA_MIN) / THETA_STEP) + 1 },
+  (_, i) => THETA_MIN + i * THETA_STEP
+);
+
+// Stopping rule
+const DEFAULT_TARGET_SE = 0.45;
+const DEFAULT_MIN_ITEMS = 6;
+const DEFAULT_MAX_ITEMS = 15;
+
+// Next item is drawn from this many of the most informative candidates
+const RANDOMESQUE_POOL = 3;
+
+export const STOP_REASONS = {
+  PRECISION: 'precision',
+  MAX_ITEMS: 'max_items',
+  BANK_EXHAUSTED: 'bank_exhausted',
+};
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+/**
+ * Chance of a correct answer
+ * @param {number} theta - Ability
+ * @param {object} item - { a, b } 2PL parameters
+ */
+export const probabilityCorrect = (theta, { a, b }) => 1 / (1 + Math.exp(-a * (theta - b)));
+
+/**
+ * Fisher information an item gives at an ability
+ * @param {number} theta - Ability
+ * @param {object} item - { a, b } 2PL parameters
+ */
+export const itemInformation = (theta, item) => {
+  const p = probabilityCorrect(theta, item);
+  return item.a * item.a * p * (1 - p);
+};
+
+/**
+ * EAP ability estimate
+ * @param {array} responses - [{ a, b, correct }]
+ * @returns {object} { theta, se } - the prior (0, 1) when there are no responses
+ */
+export const estimateAbility = (responses) => {
+  // Log posterior on the grid, standard normal prior
+  const logPosterior = THETA_GRID.map(theta => responses.reduce((sum, { a, b, correct }) => {
+    const p = probabilityCorrect(theta, { a, b });
+    return sum + Math.log(correct ? p : 1 - p);
+  }, -theta * theta / 2));
+
+  const peak = Math.max(...logPosterior);
+  const weights = logPosterior.map(value => Math.exp(value - peak));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  const theta = THETA_GRID.reduce((sum, t, i) => sum + t * weights[i], 0) / total;
+  const variance = THETA_GRID.reduce((sum, t, i) => sum + (t - theta) ** 2 * weights[i], 0) / total;
+
+  return { theta: round(theta), se: round(Math.sqrt(variance)) };
+};
+
+/**
+ * Expected share of items answered right at an ability (the test characteristic curve)
+ * @param {number} theta - Ability
+ * @param {array} items - [{ a, b }]
+ * @returns {number} 0-1
+ */
+export const expectedScore = (theta, items) => {
+  if (items.length === 0) return 0;
+  return items.reduce((sum, item) => sum + probabilityCorrect(theta, item), 0) / items.length;
+};
+
+export class AdaptiveTest {
+  /**
+   * @param {object} options
+   * @param {array} options.items - Item bank [{ id, category, a, b, ... }]
+   * @param {number} options.targetSe - Stop once the ability SE is at or below this
+   * @param {number} options.minItems - Never stop before this many items
+   * @param {number} options.maxItems - Always stop after this many items
+   * @param {object} options.state - Saved responses and θ (challengeProgress.knowledgeQuiz.adaptive);
+   *   the pending item is kept, so a reload re-asks the same question rather than picking a new one
+   */
+  constructor({
+    items,
+    targetSe = DEFAULT_TARGET_SE,
+    minItems = DEFAULT_MIN_ITEMS,
+    maxItems = DEFAULT_MAX_ITEMS,
+    state = null,
+  }) {
+    this.items = items;
+    this.targetSe = targetSe;
+    this.minItems = minItems;
+    this.maxItems = Math.min(maxItems, items.length);
+    this.responses = state?.responses || [];
+    this.estimate = state?.estimate || estimateAbility([]);
+    this.currentItemId = state?.currentItemId || this.selectNextItem()?.id || null;
+  }
+
+  getStopReason() {
+    if (this.responses.length >= this.items.length) return STOP_REASONS.BANK_EXHAUSTED;
+    if (this.responses.length >= this.maxItems) return STOP_REASONS.MAX_ITEMS;
+    if (this.responses.length >= this.minItems && this.estimate.se <= this.targetSe) return STOP_REASONS.PRECISION;
+    return null;
+  }
+
+  isComplete() {
+    return this.getStopReason() !== null;
+  }
+
+  /**
+   * Most informative unused item at the current θ, from the least-asked category
+   */
+  selectNextItem() {
+    const askedIds = new Set(this.responses.map(r => r.itemId));
+    const unused = this.items.filter(item => !askedIds.has(item.id));
+    if (unused.length === 0) return null;
+
+    const askedPerCategory = {};
+    this.items.forEach(item => { askedPerCategory[item.category] = 0; });
+    this.responses.forEach(r => { askedPerCategory[r.category] += 1; });
+
+    const fewestAsked = Math.min(...unused.map(item => askedPerCategory[item.category]));
+    const candidates = unused
+      .filter(item => askedPerCategory[item.category] === fewestAsked)
+      .sort((x, y) => itemInformation(this.estimate.theta, y) - itemInformation(this.estimate.theta, x))
+      .slice(0, RANDOMESQUE_POOL);
+
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  /**
+   * The item to show next
+   * @returns {object|null} Bank item, or null once the test is complete
+   */
+  getCurrentItem() {
+    if (this.isComplete()) return null;
+    return this.items.find(item => item.id === this.currentItemId) || null;
+  }
+
+  /**
+   * Score the current item, update θ and pick the next item
+   * @param {boolean} correct - Whether the answer was right
+   * @returns {object} The response as recorded, with θ and SE after it
+   */
+  recordResponse(correct) {
+    const item = this.getCurrentItem();
+    if (!item) return null;
+
+    const thetaBefore = this.estimate.theta;
+    this.responses.push({ itemId: item.id, category: item.category, a: item.a, b: item.b, correct });
+    this.estimate = estimateAbility(this.responses);
+
+    const record = {
+      ...this.responses[this.responses.length - 1],
+      thetaBefore,
+      thetaAfter: this.estimate.theta,
+      seAfter: this.estimate.se,
+    };
+    this.responses[this.responses.length - 1] = record;
+
+    this.currentItemId = this.isComplete() ? null : this.selectNextItem()?.id || null;
+    return record;
+  }
+
+  /**
+   * How far along the test is, 0-1 - by items asked or precision reached, whichever is further
+   */
+  getProgress() {
+    if (this.isComplete()) return 1;
+    const byItems = this.responses.length / this.maxItems;
+    const bySe = (1 - this.estimate.se) / (1 - this.targetSe);
+    return Math.max(0, Math.min(1, Math.max(byItems, this.responses.length >= this.minItems ? bySe : 0)));
+  }
+
+  /**
+   * θ with its standard error, and θ mapped to the expected share of the whole bank answered right
+   * @returns {object} { method, theta, thetaSe, score, itemsAdministered, stopReason }
+   */
+  getResult() {
+    return {
+      method: 'irt_2pl_cat',
+      theta: this.estimate.theta,
+      thetaSe: this.estimate.se,
+      // Expected share of the whole bank answered right at this θ
+      score: round(expectedScore(this.estimate.theta, this.items), 2),
+      itemsAdministered: this.responses.length,
+      stopReason: this.getStopReason(),
+    };
+  }
+
+  // Responses and the θ estimate - item parameters come from the bank, not the saved state
+  getState() {
+    return {
+      responses: [...this.responses],
+      estimate: { ...this.estimate },
+      currentItemId: this.currentItemId,
+    };
+  }
+}
+
+export default AdaptiveTest;
@@ -1,9 +1,18 @@
 /**
  * Computer Literacy Quiz Questions
- * Categories: Icons, Terminology, Interaction
- * Total: 15 questions
+ * Categories: Icons, Terminology, Interaction, Safety, Tasks
+ * Total: 49 items - LITERACY_QUESTIONS (the original 15), EXTENDED_QUESTIONS
+ * and the hands-on TASK_QUESTIONS
+ *
+ * Each item carries topic `tags` and 2PL parameters for itemResponseTheory.js:
+ * `b` is difficulty on the ability scale (negative = easier) and `a` is
+ * discrimination. They are provisional expert estimates - `difficulty` is the
+ * rough band of `b` - to be re-fitted once enough logged responses exist.
  */
 
+import { estimateAbility, expectedScore } from './itemResponseTheory';
+import { LITERACY_TASK_TYPES } from './literacyTasks';
+
 export const LITERACY_QUESTIONS = [
   // ========== SECTION A: ICON KNOWLEDGE (6 questions) ==========
   {
@@ -13,6 +22,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Search', 'Refresh', 'Share', 'Zoom out'],
     correctAnswer: 'Search',
     difficulty: 'easy',
+    tags: ['search'],
+    a: 1.3,
+    b: -2.0,
   },
   {
     id: 'q2',
@@ -21,6 +33,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Upload', 'Settings', 'Help', 'Save'],
     correctAnswer: 'Settings',
     difficulty: 'easy',
+    tags: ['settings'],
+    a: 1.4,
+    b: -1.6,
   },
   {
     id: 'q3',
@@ -29,6 +44,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Archive', 'Delete', 'Download', 'Copy'],
     correctAnswer: 'Delete',
     difficulty: 'easy',
+    tags: ['files'],
+    a: 1.3,
+    b: -1.9,
   },
   {
     id: 'q4',
@@ -37,6 +55,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Open', 'Save', 'Upload', 'Share'],
     correctAnswer: 'Save',
     difficulty: 'easy',
+    tags: ['files'],
+    a: 1.1,
+    b: -1.1,
   },
   {
     id: 'q5',
@@ -45,6 +66,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Scroll', 'Download', 'Collapse', 'Minimize'],
     correctAnswer: 'Download',
     difficulty: 'easy',
+    tags: ['files', 'browser'],
+    a: 1.2,
+    b: -1.4,
   },
   {
     id: 'q6',
@@ -53,6 +77,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Error', 'Help / Information', 'Warning', 'Logout'],
     correctAnswer: 'Help / Information',
     difficulty: 'easy',
+    tags: ['help'],
+    a: 1.0,
+    b: -1.7,
   },
 
   // ========== SECTION B: TERMINOLOGY KNOWLEDGE (6 questions) ==========
@@ -63,6 +90,9 @@ export const LITERACY_QUESTIONS = [
     options: ['A website', 'A program used to view websites', 'A computer virus', 'A storage device'],
     correctAnswer: 'A program used to view websites',
     difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.5,
+    b: -1.2,
   },
   {
     id: 'q8',
@@ -71,6 +101,9 @@ export const LITERACY_QUESTIONS = [
     options: ['A file', 'Clickable text or image that opens another page', 'A password', 'A setting'],
     correctAnswer: 'Clickable text or image that opens another page',
     difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.6,
+    b: -1.5,
   },
   {
     id: 'q9',
@@ -79,6 +112,9 @@ export const LITERACY_QUESTIONS = [
     options: ['A saved file', 'One open page within the browser window', 'A menu', 'A search result'],
     correctAnswer: 'One open page within the browser window',
     difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.4,
+    b: -0.9,
   },
   {
     id: 'q10',
@@ -87,6 +123,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Sending a file to the internet', 'Copying data from the internet to your device', 'Opening a website', 'Printing a document'],
     correctAnswer: 'Copying data from the internet to your device',
     difficulty: 'easy',
+    tags: ['files', 'browser'],
+    a: 1.5,
+    b: -1.0,
   },
   {
     id: 'q11',
@@ -95,6 +134,9 @@ export const LITERACY_QUESTIONS = [
     options: ['A picture representing a function or app', 'A system error', 'A keyboard shortcut', 'A file type'],
     correctAnswer: 'A picture representing a function or app',
     difficulty: 'easy',
+    tags: ['ui'],
+    a: 1.2,
+    b: -1.3,
   },
   {
     id: 'q12',
@@ -103,6 +145,9 @@ export const LITERACY_QUESTIONS = [
     options: ['A help document', 'A list of available actions or options', 'A website', 'A file'],
     correctAnswer: 'A list of available actions or options',
     difficulty: 'easy',
+    tags: ['ui'],
+    a: 1.3,
+    b: -1.4,
   },
 
   // ========== SECTION C: INTERACTION CONCEPTS (3 questions) ==========
@@ -113,6 +158,9 @@ export const LITERACY_QUESTIONS = [
     options: ['The computer shuts down', 'Another page or content opens', 'A file is deleted', 'Nothing happens'],
     correctAnswer: 'Another page or content opens',
     difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.5,
+    b: -1.8,
   },
   {
     id: 'q14',
@@ -121,6 +169,9 @@ export const LITERACY_QUESTIONS = [
     options: ['Enter text', 'Turn an option on or off', 'Download a file', 'Close a window'],
     correctAnswer: 'Turn an option on or off',
     difficulty: 'easy',
+    tags: ['forms'],
+    a: 1.4,
+    b: -1.0,
   },
   {
     id: 'q15',
@@ -129,13 +180,418 @@ export const LITERACY_QUESTIONS = [
     options: ['Deletes content', 'Shows hidden options when clicked', 'Refreshes the page', 'Opens a new window'],
     correctAnswer: 'Shows hidden options when clicked',
     difficulty: 'easy',
+    tags: ['forms', 'ui'],
+    a: 1.5,
+    b: -0.8,
+  },
+];
+
+/**
+ * Further items for the adaptive quiz - harder icons and terms, everyday
+ * interactions and online safety. Together with LITERACY_QUESTIONS (still the
+ * fixed form of the standalone literacy module) they make QUESTION_BANK.
+ */
+export const EXTENDED_QUESTIONS = [
+  // ========== ICONS ==========
+  {
+    id: 'q16',
+    category: 'icons',
+    question: 'What does a padlock 🔒 next to a web address usually mean?',
+    options: ['The site is closed', 'The connection to the site is encrypted', 'You are logged out', 'The page cannot be changed'],
+    correctAnswer: 'The connection to the site is encrypted',
+    difficulty: 'medium',
+    tags: ['browser', 'security'],
+    a: 1.4,
+    b: 0.3,
+  },
+  {
+    id: 'q17',
+    category: 'icons',
+    question: 'What does a button with three stacked dots ⋮ usually open?',
+    options: ['More options', 'A loading screen', 'The next page', 'A drag handle'],
+    correctAnswer: 'More options',
+    difficulty: 'medium',
+    tags: ['ui'],
+    a: 1.6,
+    b: -0.2,
+  },
+  {
+    id: 'q18',
+    category: 'icons',
+    question: 'What does a button with three horizontal lines ☰ usually open?',
+    options: ['Text alignment', 'The navigation menu', 'A list of notifications', 'The print dialog'],
+    correctAnswer: 'The navigation menu',
+    difficulty: 'medium',
+    tags: ['ui', 'mobile'],
+    a: 1.7,
+    b: -0.4,
+  },
+  {
+    id: 'q19',
+    category: 'icons',
+    question: 'What does this symbol usually represent? 📎',
+    options: ['Attach a file', 'Pin a message', 'Copy text', 'Bookmark a page'],
+    correctAnswer: 'Attach a file',
+    difficulty: 'easy',
+    tags: ['email', 'files'],
+    a: 1.5,
+    b: -0.9,
+  },
+  {
+    id: 'q20',
+    category: 'icons',
+    question: 'What does this symbol usually represent? 🔄',
+    options: ['Refresh or sync', 'Undo', 'Rotate the screen', 'Repeat a song'],
+    correctAnswer: 'Refresh or sync',
+    difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.2,
+    b: -0.7,
+  },
+  {
+    id: 'q21',
+    category: 'icons',
+    question: 'A small arrow pointing up and to the right ↗ next to a link usually means the link…',
+    options: ['Goes to the top of the page', 'Opens another website or a new window', 'Downloads a file', 'Is broken'],
+    correctAnswer: 'Opens another website or a new window',
+    difficulty: 'hard',
+    tags: ['browser'],
+    a: 1.3,
+    b: 1.0,
+  },
+  {
+    id: 'q22',
+    category: 'icons',
+    question: 'What does this symbol usually mean in an app? 🔕',
+    options: ['The app is closed', 'Notifications are muted', 'The volume is at maximum', 'An alarm is set'],
+    correctAnswer: 'Notifications are muted',
+    difficulty: 'medium',
+    tags: ['mobile', 'settings'],
+    a: 1.4,
+    b: -0.3,
+  },
+  {
+    id: 'q23',
+    category: 'icons',
+    question: 'A cloud symbol ☁️ next to a file name usually means the file is…',
+    options: ['Damaged', 'Stored online and may need downloading', 'Being printed', 'Shared with everyone'],
+    correctAnswer: 'Stored online and may need downloading',
+    difficulty: 'hard',
+    tags: ['files'],
+    a: 1.3,
+    b: 0.8,
+  },
+
+  // ========== TERMINOLOGY ==========
+  {
+    id: 'q24',
+    category: 'terminology',
+    question: 'What is a URL?',
+    options: ['The address of a web page', 'A type of virus', 'A saved password', 'A kind of email'],
+    correctAnswer: 'The address of a web page',
+    difficulty: 'medium',
+    tags: ['browser'],
+    a: 1.6,
+    b: -0.2,
+  },
+  {
+    id: 'q25',
+    category: 'terminology',
+    question: 'What does it mean to update an app?',
+    options: ['Delete its data', 'Install a newer version with fixes or features', 'Move it to another device', 'Rate it in the app store'],
+    correctAnswer: 'Install a newer version with fixes or features',
+    difficulty: 'easy',
+    tags: ['mobile'],
+    a: 1.3,
+    b: -0.8,
+  },
+  {
+    id: 'q26',
+    category: 'terminology',
+    question: 'What is a PDF?',
+    options: ['A document file that looks the same on any device', 'A photo editing program', 'A web browser', 'A type of printer'],
+    correctAnswer: 'A document file that looks the same on any device',
+    difficulty: 'medium',
+    tags: ['files'],
+    a: 1.4,
+    b: 0.1,
+  },
+  {
+    id: 'q27',
+    category: 'terminology',
+    question: 'What is an operating system?',
+    options: ['A program for writing letters', 'The main software that runs the device, like Windows or Android', 'A website for shopping', 'The screen of a computer'],
+    correctAnswer: 'The main software that runs the device, like Windows or Android',
+    difficulty: 'medium',
+    tags: ['device'],
+    a: 1.5,
+    b: 0.4,
+  },
+  {
+    id: 'q28',
+    category: 'terminology',
+    question: 'What does it mean when an app syncs?',
+    options: ['It plays music', 'It keeps the same data up to date on all your devices', 'It closes itself', 'It deletes old files'],
+    correctAnswer: 'It keeps the same data up to date on all your devices',
+    difficulty: 'hard',
+    tags: ['mobile', 'files'],
+    a: 1.5,
+    b: 0.7,
+  },
+  {
+    id: 'q29',
+    category: 'terminology',
+    question: 'What is a cookie on a website?',
+    options: ['An advert', 'A small piece of data a site stores in your browser to remember you', 'A virus', 'A page that failed to load'],
+    correctAnswer: 'A small piece of data a site stores in your browser to remember you',
+    difficulty: 'hard',
+    tags: ['browser', 'privacy'],
+    a: 1.6,
+    b: 1.0,
+  },
+  {
+    id: 'q30',
+    category: 'terminology',
+    question: 'What is the browser cache?',
+    options: ['Your list of bookmarks', 'Saved copies of pages and images so sites load faster', 'The browser\'s home page', 'A folder of downloaded files'],
+    correctAnswer: 'Saved copies of pages and images so sites load faster',
+    difficulty: 'hard',
+    tags: ['browser'],
+    a: 1.7,
+    b: 1.4,
+  },
+  {
+    id: 'q31',
+    category: 'terminology',
+    question: 'What is a password manager?',
+    options: ['A person who resets passwords', 'An app that stores your passwords and fills them in', 'A list of banned passwords', 'A website\'s login page'],
+    correctAnswer: 'An app that stores your passwords and fills them in',
+    difficulty: 'hard',
+    tags: ['security'],
+    a: 1.5,
+    b: 0.6,
+  },
+
+  // ========== INTERACTION ==========
+  {
+    id: 'q32',
+    category: 'interaction',
+    question: 'What does the browser\'s back button do?',
+    options: ['Closes the browser', 'Returns to the previous page', 'Reloads the page', 'Opens your history'],
+    correctAnswer: 'Returns to the previous page',
+    difficulty: 'easy',
+    tags: ['browser'],
+    a: 1.4,
+    b: -1.4,
+  },
+  {
+    id: 'q33',
+    category: 'interaction',
+    question: 'On a touchscreen, what does spreading two fingers apart on a photo do?',
+    options: ['Deletes it', 'Zooms in', 'Shares it', 'Rotates it'],
+    correctAnswer: 'Zooms in',
+    difficulty: 'easy',
+    tags: ['mobile'],
+    a: 1.3,
+    b: -0.9,
+  },
+  {
+    id: 'q34',
+    category: 'interaction',
+    question: 'What does a greyed-out button usually mean?',
+    options: ['It is the default choice', 'It cannot be used right now', 'It was clicked already', 'It is loading'],
+    correctAnswer: 'It cannot be used right now',
+    difficulty: 'medium',
+    tags: ['ui', 'forms'],
+    a: 1.6,
+    b: 0.2,
+  },
+  {
+    id: 'q35',
+    category: 'interaction',
+    question: 'After pressing Submit, one box on a form turns red. What does that usually mean?',
+    options: ['The form was sent', 'That box is empty or filled in wrongly', 'The box is optional', 'The page is about to close'],
+    correctAnswer: 'That box is empty or filled in wrongly',
+    difficulty: 'medium',
+    tags: ['forms'],
+    a: 1.7,
+    b: 0.0,
+  },
+  {
+    id: 'q36',
+    category: 'interaction',
+    question: 'What usually happens when you drag a file onto a folder?',
+    options: ['The file is deleted', 'The file is moved or copied into the folder', 'The folder is renamed', 'The file is printed'],
+    correctAnswer: 'The file is moved or copied into the folder',
+    difficulty: 'medium',
+    tags: ['files'],
+    a: 1.4,
+    b: 0.3,
+  },
+  {
+    id: 'q37',
+    category: 'interaction',
+    question: 'What does right-clicking something usually do?',
+    options: ['Deletes it', 'Opens a menu of actions for it', 'Selects all items', 'Closes the window'],
+    correctAnswer: 'Opens a menu of actions for it',
+    difficulty: 'medium',
+    tags: ['ui'],
+    a: 1.5,
+    b: 0.5,
+  },
+  {
+    id: 'q38',
+    category: 'interaction',
+    question: 'What does Ctrl+Z (⌘+Z on a Mac) usually do?',
+    options: ['Zoom in', 'Undo the last action', 'Save the file', 'Close the program'],
+    correctAnswer: 'Undo the last action',
+    difficulty: 'hard',
+    tags: ['keyboard'],
+    a: 1.8,
+    b: 0.8,
+  },
+  {
+    id: 'q39',
+    category: 'interaction',
+    question: 'What does Ctrl+F (⌘+F on a Mac) do in a web browser?',
+    options: ['Opens your favourites', 'Finds words on the page', 'Makes the page full screen', 'Forwards the page by email'],
+    correctAnswer: 'Finds words on the page',
+    difficulty: 'hard',
+    tags: ['keyboard', 'browser'],
+    a: 1.8,
+    b: 1.3,
+  },
+
+  // ========== ONLINE SAFETY ==========
+  {
+    id: 'q40',
+    category: 'safety',
+    question: 'Which of these passwords is the strongest?',
+    options: ['password123', 'Sunday', 'blue-Kettle-42-river', '12345678'],
+    correctAnswer: 'blue-Kettle-42-river',
+    difficulty: 'medium',
+    tags: ['security', 'passwords'],
+    a: 1.2,
+    b: -0.5,
+  },
+  {
+    id: 'q41',
+    category: 'safety',
+    question: 'What should you do when you finish using a shared computer?',
+    options: ['Turn the screen brightness down', 'Sign out of your accounts', 'Empty the recycle bin', 'Close only the browser tab'],
+    correctAnswer: 'Sign out of your accounts',
+    difficulty: 'medium',
+    tags: ['security'],
+    a: 1.3,
+    b: -0.3,
+  },
+  {
+    id: 'q42',
+    category: 'safety',
+    question: 'What is a phishing message?',
+    options: ['A message from a fishing club', 'A fake message trying to trick you into giving personal details', 'A message that was sent twice', 'A message with a large attachment'],
+    correctAnswer: 'A fake message trying to trick you into giving personal details',
+    difficulty: 'medium',
+    tags: ['security', 'email'],
+    a: 1.6,
+    b: 0.5,
+  },
+  {
+    id: 'q43',
+    category: 'safety',
+    question: 'An email says your bank account is locked and asks you to log in through its link. What is safest?',
+    options: ['Click the link and log in quickly', 'Reply with your account number', 'Go to the bank\'s website or app yourself instead', 'Forward it to friends'],
+    correctAnswer: 'Go to the bank\'s website or app yourself instead',
+    difficulty: 'hard',
+    tags: ['security', 'email'],
+    a: 1.5,
+    b: 0.7,
+  },
+  {
+    id: 'q44',
+    category: 'safety',
+    question: 'A pop-up says your computer has a virus and you must call a phone number. What is it most likely?',
+    options: ['A real warning from your computer', 'A scam', 'A message from your internet provider', 'A software update'],
+    correctAnswer: 'A scam',
+    difficulty: 'hard',
+    tags: ['security'],
+    a: 1.4,
+    b: 0.6,
+  },
+  {
+    id: 'q45',
+    category: 'safety',
+    question: 'What is two-factor authentication?',
+    options: ['Using two different browsers', 'Signing in with your password plus a second check, like a code sent to your phone', 'Having two email addresses', 'Typing your password twice'],
+    correctAnswer: 'Signing in with your password plus a second check, like a code sent to your phone',
+    difficulty: 'hard',
+    tags: ['security'],
+    a: 1.7,
+    b: 1.1,
+  },
+];
+
+/**
+ * Hands-on items - done in a mock interface instead of picked from options
+ * (see literacyTasks.js); `question` is the instruction shown above it
+ */
+export const TASK_QUESTIONS = [
+  {
+    id: 't1',
+    type: 'task',
+    task: LITERACY_TASK_TYPES.FIND_SETTINGS,
+    category: 'tasks',
+    question: 'Open the settings of this app.',
+    difficulty: 'easy',
+    tags: ['ui', 'settings'],
+    a: 1.4,
+    b: -0.7,
+  },
+  {
+    id: 't2',
+    type: 'task',
+    task: LITERACY_TASK_TYPES.SCROLL_FIND,
+    category: 'tasks',
+    question: 'Find the "Contact us" button on this help page and press it.',
+    difficulty: 'medium',
+    tags: ['browser', 'ui'],
+    a: 1.3,
+    b: -0.1,
+  },
+  {
+    id: 't3',
+    type: 'task',
+    task: LITERACY_TASK_TYPES.FORM_FILL,
+    category: 'tasks',
+    question: 'Sign up as Sam Lee with the email sam@example.com, agree to the terms and send the form.',
+    difficulty: 'medium',
+    tags: ['forms'],
+    a: 1.5,
+    b: 0.4,
+  },
+  {
+    id: 't4',
+    type: 'task',
+    task: LITERACY_TASK_TYPES.DRAG_FILE,
+    category: 'tasks',
+    question: 'Move the photo beach.jpg into the Pictures folder.',
+    difficulty: 'hard',
+    tags: ['files'],
+    a: 1.5,
+    b: 0.7,
   },
 ];
 
+// Full bank for the adaptive quiz
+export const QUESTION_BANK = [...LITERACY_QUESTIONS, ...EXTENDED_QUESTIONS, ...TASK_QUESTIONS];
+
 /**
  * Calculate Computer Literacy Score (CLS)
+ * The score is the 2PL ability estimate expressed as the expected share of the
+ * whole bank answered right, so it stays 0.0 - 1.0 and comparable whichever
+ * items were asked.
  * @param {Array} responses - Array of response objects
- * @returns {object} Score breakdown with decimal score (0.0 - 1.0)
+ * @returns {object} Score breakdown with decimal score (0.0 - 1.0), theta and its standard error
  */
 export const calculateLiteracyScore = (responses) => {
   if (!responses || responses.length === 0) {
@@ -143,19 +599,29 @@ export const calculateLiteracyScore = (responses) => {
       correctAnswers: 0,
       totalQuestions: 0,
       score: 0, // Decimal score (0.0 - 1.0)
+      theta: null,
+      thetaSe: null,
     };
   }
 
   const totalQuestions = responses.length;
   const correctAnswers = responses.filter(r => r.isCorrect).length;
   
+  const scored = responses
+    .map(r => ({ item: QUESTION_BANK.find(q => q.id === r.questionId), correct: r.isCorrect }))
+    .filter(({ item }) => item)
+    .map(({ item, correct }) => ({ a: item.a, b: item.b, correct }));
+  const { theta, se } = estimateAbility(scored);
+  
   // Score as decimal (0.0 - 1.0)
-  const score = Number((correctAnswers / totalQuestions).toFixed(2));
+  const score = Number(expectedScore(theta, QUESTION_BANK).toFixed(2));
   
   return {
     correctAnswers,
     totalQuestions,
     score, // e.g., 0.5, 0.75, 1.0
+    theta,
+    thetaSe: se,
   };
 };
 
@@ -168,7 +634,7 @@ export const calculateCategoryScores = (responses) => {
   const categories = {};
   
   responses.forEach(response => {
-    const question = LITERACY_QUESTIONS.find(q => q.id === response.questionId);
+    const question = QUESTION_BANK.find(q => q.id === response.questionId);
     if (!question) return;
     
     if (!categories[question.category]) {
@@ -0,0 +1,99 @@
+/**
+ * Literacy Tasks
+ * Hands-on quiz items: instead of naming an icon, the user has to use a small
+ * mock interface - find the settings button in a toolbar, fill in a form,
+ * scroll to a button, drag a file into a folder.
+ *
+ * Task items sit in QUESTION_BANK with `type: 'task'` and 2PL parameters like
+ * any other item, so the adaptive quiz picks and scores them the same way
+ * (success = correct). Each one also records its time, clicks that missed
+ * the target, and hesitation (delay before the first action and the longest
+ * pause between actions).
+ *
+ * Only ids live here - the labels on the mock interfaces come from the locale
+ * bundles (quiz.tasks.*), so error clicks are logged the same in every language.
+ */
+
+export const LITERACY_TASK_TYPES = {
+  FIND_SETTINGS: 'find_settings',
+  FORM_FILL: 'form_fill',
+  SCROLL_FIND: 'scroll_find',
+  DRAG_FILE: 'drag_file',
+};
+
+// A task not finished in this time counts as failed
+export const TASK_TIMEOUT_MS = 60000;
+
+export const LITERACY_TASKS = {
+  [LITERACY_TASK_TYPES.FIND_SETTINGS]: {
+    type: LITERACY_TASK_TYPES.FIND_SETTINGS,
+    // Unlabelled toolbar buttons, as in many apps
+    toolbar: [
+      { id: 'home', icon: '🏠' },
+      { id: 'search', icon: '🔍' },
+      { id: 'messages', icon: '✉️' },
+      { id: 'notifications', icon: '🔔' },
+      { id: 'settings', icon: '⚙️' },
+      { id: 'profile', icon: '👤' },
+    ],
+    targetId: 'settings',
+  },
+
+  [LITERACY_TASK_TYPES.FORM_FILL]: {
+    type: LITERACY_TASK_TYPES.FORM_FILL,
+    expected: {
+      name: 'Sam Lee',
+      email: 'sam@example.com',
+      agree: true,
+    },
+  },
+
+  [LITERACY_TASK_TYPES.SCROLL_FIND]: {
+    type: LITERACY_TASK_TYPES.SCROLL_FIND,
+    // Help-centre topics above the target, so it starts out of view
+    rows: [
+      'gettingStarted', 'createAccount', 'changePassword', 'twoStep',
+      'updateEmail', 'notifications', 'privacy', 'blocking',
+      'shareFile', 'downloadData', 'offline', 'language',
+      'textSize', 'printer', 'payment', 'refunds',
+      'cancelSubscription', 'deleteAccount',
+    ],
+    targetId: 'contactUs',
+  },
+
+  [LITERACY_TASK_TYPES.DRAG_FILE]: {
+    type: LITERACY_TASK_TYPES.DRAG_FILE,
+    files: [
+      { id: 'report', name: 'report.pdf', icon: '📄' },
+      { id: 'photo', name: 'beach.jpg', icon: '🖼️' },
+      { id: 'song', name: 'song.mp3', icon: '🎵' },
+    ],
+    folders: ['documents', 'pictures', 'music'],
+    fileId: 'photo',
+    folderId: 'pictures',
+  },
+};
+
+/**
+ * Whether the form values match the instructions
+ * Case and surrounding spaces are ignored; each failing field is listed
+ * @param {object} values - { name, email, agree }
+ * @returns {array} Field names that are wrong or missing
+ */
+export const validateFormTask = (values) => {
+  const { expected } = LITERACY_TASKS[LITERACY_TASK_TYPES.FORM_FILL];
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b).toLowerCase();
+
+  const invalid = [];
+  if (!same(values.name, expected.name)) invalid.push('name');
+  if (!same(values.email, expected.email)) invalid.push('email');
+  if (values.agree !== expected.agree) invalid.push('agree');
+  return invalid;
+};
+
+export default {
+  LITERACY_TASK_TYPES,
+  LITERACY_TASKS,
+  TASK_TIMEOUT_MS,
+  validateFormTask,
+};
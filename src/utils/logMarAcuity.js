@@ -0,0 +1,301 @@
+/**
+ * LogMAR Acuity
+ * Chart-style acuity test on log-spaced lines (0.1 logMAR apart, like an
+ * ETDRS chart) with letter-by-letter scoring and a maximum-likelihood
+ * threshold estimate with a 95% interval.
+ *
+ * Procedure:
+ * 1. Screening - one optotype per line, skipping two lines after each correct answer
+ * 2. Reading - five optotypes per line from the last screened line that was read,
+ *    moving down a line while at least 3 of 5 are correct. If the first line read
+ *    fails, lines are read upwards until one passes.
+ *
+ * logMAR of an optotype = log10(size / size at 20/20), where the 20/20 size
+ * subtends 5 arc minutes (1 arc minute detail) at the viewing distance.
+ *
+ * Low-resolution screens cannot draw the smallest lines (at 96 DPI and 50 cm the
+ * 20/20 size is under 3 px), so a chart may stop above logMAR 0. Reading its
+ * smallest line only shows acuity is at least that good: the result is censored
+ * there and reports how far the chart reached.
+ */
+
+export const LOGMAR_STEP = 0.1;
+export const OPTOTYPES_PER_LINE = 5;
+
+// Chart range: 20/200 down to 20/10
+const MAX_LOGMAR = 1.0;
+const MIN_LOGMAR = -0.3;
+
+// Each optotype read is worth a fifth of a line
+const LETTER_VALUE = LOGMAR_STEP / OPTOTYPES_PER_LINE;
+
+// A line is passed with 3 or more of its 5 optotypes correct
+const LINE_PASS_CORRECT = 3;
+
+// Screening skips this many lines after each correct answer
+const SCREENING_STEP_LINES = 2;
+
+// Psychometric function (Weibull over logMAR, as in QUEST)
+const PSYCHOMETRIC_SLOPE = 3.5;
+const LAPSE_RATE = 0.02;
+
+// Threshold grid searched by the likelihood estimate
+const GRID_MIN = -0.6;
+const GRID_MAX = 1.6;
+const GRID_STEP = 0.01;
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Chart lines for this screen
+ * Sizes are rounded to whole CSS pixels, so each line also carries the logMAR
+ * of the size actually drawn.
+ *
+ * @param {object} options
+ * @param {number} options.twentyTwentyPixels - Optotype size at logMAR 0 (px, unrounded)
+ * @param {number} options.minSizePx - Smallest size that can be drawn legibly
+ * @param {number} options.maxSizePx - Largest size that fits the stimulus area
+ * @returns {array} [{ logMar, actualLogMar, sizePx }] from largest to smallest
+ */
+export const buildLogMarLines = ({ twentyTwentyPixels, minSizePx = 10, maxSizePx = 240 }) => {
+  const lines = [];
+  const steps = Math.round((MAX_LOGMAR - MIN_LOGMAR) / LOGMAR_STEP);
+
+  for (let i = 0; i <= steps; i++) {
+    const logMar = round(MAX_LOGMAR - i * LOGMAR_STEP, 1);
+    const sizePx = Math.round(twentyTwentyPixels * Math.pow(10, logMar));
+    if (sizePx < minSizePx || sizePx > maxSizePx) continue;
+    // Neighbouring lines can round to the same size on low-resolution screens
+    if (lines.length > 0 && lines[lines.length - 1].sizePx === sizePx) continue;
+
+    lines.push({
+      logMar,
+      actualLogMar: round(Math.log10(sizePx / twentyTwentyPixels), 3),
+      sizePx,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Probability of a correct answer at a given size for a given threshold
+ * @param {number} logMar - logMAR of the optotype shown
+ * @param {number} threshold - Threshold logMAR
+ * @param {number} guessRate - Chance of guessing right (0.25 for 4 directions)
+ */
+export const probabilityCorrect = (logMar, threshold, guessRate) => {
+  const detect = 1 - Math.exp(-Math.pow(10, PSYCHOMETRIC_SLOPE * (logMar - threshold)));
+  return guessRate + (1 - guessRate - LAPSE_RATE) * detect;
+};
+
+/**
+ * Maximum-likelihood threshold over all responses
+ * The 95% interval is the central 95% of the normalised likelihood
+ * (the QUEST posterior with a flat prior).
+ *
+ * @param {array} trials - [{ logMar, correct }] with the logMAR actually shown
+ * @param {number} guessRate - Chance of guessing right
+ * @returns {object|null} { logMar, ci95: [lower, upper] } or null without trials
+ */
+export const estimateThreshold = (trials, guessRate) => {
+  if (!trials || trials.length === 0) return null;
+
+  const grid = [];
+  for (let t = GRID_MIN; t <= GRID_MAX + GRID_STEP / 2; t += GRID_STEP) {
+    grid.push(round(t, 2));
+  }
+
+  // Log-likelihood per grid point, shifted before exponentiating to avoid underflow
+  const logLikelihoods = grid.map(threshold => trials.reduce((sum, trial) => {
+    const p = probabilityCorrect(trial.logMar, threshold, guessRate);
+    return sum + Math.log(trial.correct ? p : 1 - p);
+  }, 0));
+
+  const maxLog = Math.max(...logLikelihoods);
+  const weights = logLikelihoods.map(value => Math.exp(value - maxLog));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  const bestIndex = logLikelihoods.indexOf(maxLog);
+
+  const quantile = (q) => {
+    let cumulative = 0;
+    for (let i = 0; i < grid.length; i++) {
+      cumulative += weights[i] / total;
+      if (cumulative >= q) return grid[i];
+    }
+    return grid[grid.length - 1];
+  };
+
+  return {
+    logMar: grid[bestIndex],
+    ci95: [quantile(0.025), quantile(0.975)],
+  };
+};
+
+export class LogMarAcuityTest {
+  /**
+   * @param {object} options
+   * @param {array} options.lines - Chart lines from buildLogMarLines()
+   * @param {number} options.guessRate - Chance of guessing an optotype right
+   * @param {object} options.state - Saved procedure (challengeProgress.visualAcuity.logMar) for the
+   *   same lines; a reload carries on mid-line with the optotypes already read
+   */
+  constructor({ lines, guessRate, state = null }) {
+    this.lines = lines;
+    this.guessRate = guessRate;
+    this.phase = state?.phase || 'screening';
+    this.lineIndex = state?.lineIndex ?? 0;
+    this.lineResponses = state?.lineResponses || [];
+    this.readLines = state?.readLines || {};
+    this.movingUp = state?.movingUp ?? false;
+    this.trials = state?.trials || [];
+    this.complete = state?.complete ?? false;
+  }
+
+  isComplete() {
+    return this.complete;
+  }
+
+  /**
+   * The optotype to show next
+   * @returns {object} { phase, lineIndex, logMar, actualLogMar, sizePx, position }
+   */
+  getCurrentTrial() {
+    const line = this.lines[this.lineIndex];
+    return {
+      phase: this.phase,
+      lineIndex: this.lineIndex,
+      ...line,
+      position: this.phase === 'reading' ? this.lineResponses.length : 0,
+    };
+  }
+
+  /**
+   * Score the current optotype and move on
+   * @param {boolean} correct - Whether it was identified
+   * @returns {object} The trial as recorded
+   */
+  recordResponse(correct) {
+    const trial = { ...this.getCurrentTrial(), correct };
+    this.trials.push(trial);
+
+    if (this.phase === 'screening') {
+      this.advanceScreening(correct);
+    } else {
+      this.lineResponses.push(correct);
+      if (this.lineResponses.length >= OPTOTYPES_PER_LINE) this.finishLine();
+    }
+
+    return trial;
+  }
+
+  advanceScreening(correct) {
+    const last = this.lines.length - 1;
+
+    if (correct && this.lineIndex < last) {
+      this.lineIndex = Math.min(last, this.lineIndex + SCREENING_STEP_LINES);
+      return;
+    }
+
+    // Read from the last line screened correctly (or just above the smallest line)
+    this.phase = 'reading';
+    this.lineIndex = correct
+      ? Math.max(0, last - 1)
+      : Math.max(0, this.lineIndex - SCREENING_STEP_LINES);
+    this.lineResponses = [];
+  }
+
+  finishLine() {
+    const correct = this.lineResponses.filter(Boolean).length;
+    const passed = correct >= LINE_PASS_CORRECT;
+    this.readLines[this.lineIndex] = correct;
+    this.lineResponses = [];
+
+    const isFirstLine = Object.keys(this.readLines).length === 1;
+    if (!passed && (isFirstLine || this.movingUp) && this.lineIndex > 0) {
+      // No base line yet - read upwards until one passes
+      this.movingUp = true;
+      this.lineIndex -= 1;
+      return;
+    }
+
+    if (passed && !this.movingUp && this.lineIndex < this.lines.length - 1) {
+      this.lineIndex += 1;
+      return;
+    }
+
+    this.complete = true;
+  }
+
+  /**
+   * Threshold, chart score and how far the chart could measure
+   * When the smallest line is passed the estimate is capped at that line and
+   * `censored` is set: the true threshold is at or below `logMar`.
+   * @returns {object} { logMar, logMarCi95, letterScoreLogMar, lettersCorrect, lettersRead, lines, floorReached, ceilingReached, censored, chartLimitLogMar, reachesTwentyTwenty, thresholdSizePx, trialCount }
+   */
+  getResult() {
+    const estimate = estimateThreshold(
+      this.trials.map(trial => ({ logMar: trial.actualLogMar, correct: trial.correct })),
+      this.guessRate
+    );
+
+    const readIndexes = Object.keys(this.readLines).map(Number).sort((a, b) => a - b);
+    const lettersCorrect = readIndexes.reduce((sum, index) => sum + this.readLines[index], 0);
+
+    // Letter-by-letter: lines above the first line read count as fully correct
+    const topLine = this.lines[readIndexes[0]];
+    const letterScoreLogMar = topLine
+      ? round(topLine.logMar + LOGMAR_STEP - lettersCorrect * LETTER_VALUE)
+      : null;
+
+    const smallest = this.lines.length - 1;
+    const twentyTwentyPixels = this.lines[0].sizePx / Math.pow(10, this.lines[0].actualLogMar);
+
+    // Passing the smallest line says nothing about anything smaller, so the
+    // likelihood (flat below the chart) must not pull the estimate past it
+    const chartLimitLogMar = this.lines[smallest].actualLogMar;
+    const floorReached = (this.readLines[smallest] ?? 0) >= LINE_PASS_CORRECT;
+    const logMar = estimate
+      ? (floorReached ? Math.max(estimate.logMar, chartLimitLogMar) : estimate.logMar)
+      : null;
+
+    return {
+      method: 'logmar_ml',
+      logMar,
+      logMarCi95: estimate ? [Math.min(estimate.ci95[0], logMar), Math.max(estimate.ci95[1], logMar)] : null,
+      letterScoreLogMar,
+      lettersCorrect,
+      lettersRead: readIndexes.length * OPTOTYPES_PER_LINE,
+      lines: readIndexes.map(index => ({
+        logMar: this.lines[index].logMar,
+        sizePx: this.lines[index].sizePx,
+        correct: this.readLines[index],
+      })),
+      // The chart could not show anything smaller / larger
+      floorReached,
+      ceilingReached: readIndexes[0] === 0 && this.readLines[0] < LINE_PASS_CORRECT,
+      censored: floorReached,
+      chartLimitLogMar,
+      // False when this screen and distance cannot draw a 20/20 line at all
+      reachesTwentyTwenty: chartLimitLogMar <= 0,
+      thresholdSizePx: logMar !== null ? round(twentyTwentyPixels * Math.pow(10, logMar), 1) : null,
+      trialCount: this.trials.length,
+    };
+  }
+
+  // Phase, current line and every trial so far - the threshold is re-estimated from the trials
+  getState() {
+    return {
+      phase: this.phase,
+      lineIndex: this.lineIndex,
+      lineResponses: [...this.lineResponses],
+      readLines: { ...this.readLines },
+      movingUp: this.movingUp,
+      trials: [...this.trials],
+      complete: this.complete,
+    };
+  }
+}
+
+export default LogMarAcuityTest;
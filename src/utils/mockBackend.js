@@ -0,0 +1,439 @@
+/**
+ * In-browser Mock Backend
+ * Implements the Sensecheck API (/results, /motor, /interactions, /impairment,
+ * /device-context) and the AURA onboarding API on top of IndexedDB, so demos
+ * and pilot studies can run fully offline.
+ */
+
+import { isIndexedDbAvailable, openDatabase, runStoreRequest } from './indexedDb';
+
+const DB_NAME = 'sensecheck_mock_backend';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+// Small artificial delay so loading states still render like they do against the real backend
+const SIMULATED_LATENCY_MS = 60;
+
+// ==================== RESPONSE HELPERS ====================
+
+const ok = (data, status = 200) => ({ status, data: { success: true, data } });
+const fail = (status, error) => ({ status, data: { success: false, error } });
+
+// ==================== DOCUMENT STORE ====================
+
+class DocumentStore {
+  constructor() {
+    this.dbPromise = null;
+    this.memoryDocs = []; // Fallback when IndexedDB is unavailable
+    this.nextMemoryId = 1;
+  }
+
+  getDb() {
+    if (!isIndexedDbAvailable()) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('collection', 'collection');
+        }
+      }).catch((error) => {
+        console.error('Mock backend: IndexedDB unavailable, using memory store:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async all(collection) {
+    const db = await this.getDb();
+    if (!db) return this.memoryDocs.filter(record => record.collection === collection);
+    return runStoreRequest(db, STORE_NAME, 'readonly', store => store.index('collection').getAll(collection));
+  }
+
+  async find(collection, predicate = () => true) {
+    const records = await this.all(collection);
+    return records.filter(record => predicate(record.doc)).map(record => record.doc);
+  }
+
+  async findOne(collection, predicate) {
+    const [doc] = await this.find(collection, predicate);
+    return doc || null;
+  }
+
+  async insert(collection, doc) {
+    const db = await this.getDb();
+    const record = { collection, doc: { ...doc, createdAt: doc.createdAt || new Date().toISOString() } };
+
+    if (!db) {
+      this.memoryDocs.push({ ...record, id: this.nextMemoryId++ });
+    } else {
+      await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.add(record));
+    }
+    return record.doc;
+  }
+
+  /**
+   * Update the first matching document, or insert one if none matches
+   * @param {function} update - Receives the existing doc (or null) and returns the new doc
+   */
+  async upsert(collection, predicate, update) {
+    const db = await this.getDb();
+    const records = await this.all(collection);
+    const existing = records.find(record => predicate(record.doc));
+
+    const doc = {
+      ...update(existing?.doc || null),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (!existing) return this.insert(collection, doc);
+
+    const record = { ...existing, doc };
+    if (!db) {
+      this.memoryDocs = this.memoryDocs.map(r => (r.id === record.id ? record : r));
+    } else {
+      await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.put(record));
+    }
+    return doc;
+  }
+
+  async remove(collection, predicate) {
+    const db = await this.getDb();
+    const records = (await this.all(collection)).filter(record => predicate(record.doc));
+
+    if (!db) {
+      const ids = new Set(records.map(record => record.id));
+      this.memoryDocs = this.memoryDocs.filter(record => !ids.has(record.id));
+    } else {
+      for (const record of records) {
+        await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.delete(record.id));
+      }
+    }
+    return records.length;
+  }
+}
+
+const db = new DocumentStore();
+
+// ==================== ROUTES ====================
+
+const bySession = (sessionId) => doc => doc.sessionId === sessionId;
+
+const summarizeAttempts = (attempts) => {
+  const hits = attempts.filter(a => a.click?.hit).length;
+  const reactionTimes = attempts
+    .map(a => a.timing?.reactionTimeMs)
+    .filter(rt => rt !== null && rt !== undefined);
+
+  return {
+    nAttempts: attempts.length,
+    nHits: hits,
+    hitRate: attempts.length > 0 ? parseFloat((hits / attempts.length).toFixed(3)) : 0,
+    avgReactionTimeMs: reactionTimes.length > 0
+      ? Math.round(reactionTimes.reduce((a, b) => a + b, 0) / reactionTimes.length)
+      : null,
+  };
+};
+
+const API_ROUTES = [
+  // ----- Sessions & results -----
+  ['POST', '/results/session', async ({ body }) => {
+    const taken = await db.findOne('sessions', doc => doc.userId === body.userId && doc.sessionId !== body.sessionId);
+    if (taken) return fail(409, 'Duplicate userId');
+
+    const session = await db.upsert('sessions', bySession(body.sessionId), existing => ({
+      completedModules: [],
+      ...existing,
+      ...body,
+    }));
+    return ok({ sessionId: session.sessionId }, 201);
+  }],
+
+  ['GET', '/results/check-userid/:userId', async ({ params }) => {
+    const existing = await db.findOne('sessions', doc => doc.userId === params.userId);
+    return { status: 200, data: { success: true, exists: Boolean(existing) } };
+  }],
+
+  ['GET', '/results/suggest-userid', async ({ query }) => {
+    const baseId = query.get('baseId') || 'user';
+    const userIds = new Set((await db.find('sessions')).map(doc => doc.userId));
+    let n = 1;
+    while (userIds.has(`${baseId}_${n}`)) n++;
+    return { status: 200, data: { success: true, suggestion: `${baseId}_${n}` } };
+  }],
+
+  ['PATCH', '/results/session/performance', async ({ body }) => {
+    const session = await db.findOne('sessions', bySession(body.sessionId));
+    if (!session) return fail(404, 'Session not found');
+
+    await db.upsert('sessions', bySession(body.sessionId), existing => ({ ...existing, perf: body.perf }));
+    return ok({ sessionId: body.sessionId });
+  }],
+
+  ['PATCH', '/results/session/locale', async ({ body }) => {
+    const session = await db.findOne('sessions', bySession(body.sessionId));
+    if (!session) return fail(404, 'Session not found');
+
+    await db.upsert('sessions', bySession(body.sessionId), existing => ({ ...existing, locale: body.locale }));
+    return ok({ sessionId: body.sessionId });
+  }],
+
+  ['POST', '/results/vision', async ({ body }) => {
+    const result = await db.upsert('visionResults', bySession(body.sessionId), existing => ({
+      ...existing,
+      ...body,
+    }));
+    return ok(result, 201);
+  }],
+
+  ['POST', '/results/literacy', async ({ body }) => {
+    const result = await db.upsert('literacyResults', bySession(body.sessionId), existing => ({
+      ...existing,
+      ...body,
+    }));
+    return ok(result, 201);
+  }],
+
+  ['POST', '/results/reading', async ({ body }) => {
+    const result = await db.upsert('readingResults', bySession(body.sessionId), existing => ({
+      ...existing,
+      ...body,
+    }));
+    return ok(result, 201);
+  }],
+
+  ['GET', '/results/session/:sessionId', async ({ params }) => {
+    const session = await db.findOne('sessions', bySession(params.sessionId));
+    if (!session) return fail(404, 'Session not found');
+
+    return ok({
+      session,
+      visionResult: await db.findOne('visionResults', bySession(params.sessionId)),
+      literacyResult: await db.findOne('literacyResults', bySession(params.sessionId)),
+      readingResult: await db.findOne('readingResults', bySession(params.sessionId)),
+    });
+  }],
+
+  ['POST', '/results/module-complete', async ({ body }) => {
+    const session = await db.upsert('sessions', bySession(body.sessionId), existing => {
+      const completedModules = existing?.completedModules || [];
+      const alreadyDone = completedModules.some(m => m.moduleName === body.moduleName);
+      return {
+        sessionId: body.sessionId,
+        ...existing,
+        completedModules: alreadyDone
+          ? completedModules
+          : [...completedModules, { moduleName: body.moduleName, completedAt: new Date().toISOString() }],
+      };
+    });
+    return ok({ completedModules: session.completedModules });
+  }],
+
+  // ----- Motor skills -----
+  ['POST', '/motor/trace', async ({ body }) => {
+    await db.insert('pointerTraces', {
+      sessionId: body.sessionId,
+      userId: body.userId,
+      samples: body.samples || [],
+    });
+    return ok({ count: body.samples?.length || 0 }, 201);
+  }],
+
+  ['POST', '/motor/attempts', async ({ body }) => {
+    for (const attempt of body.attempts || []) {
+      await db.insert('motorAttempts', { sessionId: body.sessionId, userId: body.userId, ...attempt });
+    }
+    return ok({ count: body.attempts?.length || 0 }, 201);
+  }],
+
+  ['POST', '/motor/summary/round', async ({ body }) => {
+    const attempts = await db.find('motorAttempts', doc => doc.sessionId === body.sessionId && doc.round === body.round);
+    const summary = await db.upsert(
+      'motorRoundSummaries',
+      doc => doc.sessionId === body.sessionId && doc.round === body.round,
+      () => ({ sessionId: body.sessionId, participantId: body.participantId, round: body.round, ...summarizeAttempts(attempts) })
+    );
+    return ok(summary);
+  }],
+
+  ['POST', '/motor/summary/session', async ({ body }) => {
+    const attempts = await db.find('motorAttempts', bySession(body.sessionId));
+    const summary = await db.upsert('motorSessionSummaries', bySession(body.sessionId), () => ({
+      sessionId: body.sessionId,
+      participantId: body.participantId,
+      nRounds: new Set(attempts.map(a => a.round)).size,
+      ...summarizeAttempts(attempts),
+    }));
+    return ok(summary);
+  }],
+
+  ['POST', '/motor/replay', async ({ body }) => {
+    const replay = await db.upsert('motorReplays', bySession(body.sessionId), () => body);
+    return ok({ sessionId: replay.sessionId, eventCount: replay.events?.length || 0 }, 201);
+  }],
+
+  ['GET', '/motor/replay/:sessionId', async ({ params }) => {
+    const replay = await db.findOne('motorReplays', bySession(params.sessionId));
+    return replay ? ok(replay) : fail(404, 'Replay not found');
+  }],
+
+  // ----- Interaction analytics -----
+  ['POST', '/interactions', async ({ body }) => {
+    const doc = await db.insert('interactions', body);
+    return ok(doc, 201);
+  }],
+
+  ['POST', '/interactions/batch', async ({ body }) => {
+    for (const batch of body.batches || []) {
+      await db.insert('interactions', batch);
+    }
+    return ok({ count: body.batches?.length || 0 }, 201);
+  }],
+
+  ['GET', '/interactions/summary/:sessionId', async ({ params }) => {
+    const batches = await db.find('interactions', bySession(params.sessionId));
+    const byModule = batches.reduce((acc, batch) => {
+      const module = batch.module || 'unknown';
+      acc[module] = (acc[module] || 0) + 1;
+      return acc;
+    }, {});
+    return ok({ sessionId: params.sessionId, totalBatches: batches.length, byModule });
+  }],
+
+  ['GET', '/interactions/:sessionId', async ({ params, query }) => {
+    const module = query.get('module');
+    const includeRawSamples = query.get('includeRawSamples') === 'true';
+    const batches = await db.find('interactions', doc =>
+      doc.sessionId === params.sessionId && (!module || doc.module === module)
+    );
+    return ok(includeRawSamples ? batches : batches.map(({ rawSamples, ...rest }) => rest));
+  }],
+
+  // ----- Impairment profile -----
+  ['POST', '/impairment/profile', async ({ body }) => {
+    // One profile per user; a new onboarding replaces the previous one
+    const profile = await db.upsert('impairmentProfiles', doc => doc.user_id === body.user_id, () => body);
+    return ok(profile, 201);
+  }],
+
+  ['GET', '/impairment/profile/:sessionId', async ({ params }) => {
+    const profile = await db.findOne('impairmentProfiles', doc => doc.session_id === params.sessionId);
+    return profile ? ok(profile) : fail(404, 'Profile not found');
+  }],
+
+  ['GET', '/impairment/user/:userId', async ({ params }) => {
+    const profile = await db.findOne('impairmentProfiles', doc => doc.user_id === params.userId);
+    return profile ? ok(profile) : fail(404, 'Profile not found');
+  }],
+
+  ['DELETE', '/impairment/user/:userId', async ({ params }) => {
+    const deleted = await db.remove('impairmentProfiles', doc => doc.user_id === params.userId);
+    return deleted > 0 ? ok({ deleted }) : fail(404, 'Profile not found');
+  }],
+
+  // ----- Device context -----
+  ['POST', '/device-context', async ({ body }) => {
+    const context = await db.upsert('deviceContexts', doc => doc.user_id === body.user_id, () => body);
+    return ok(context, 201);
+  }],
+
+  ['GET', '/device-context/user/:userId', async ({ params }) => {
+    const context = await db.findOne('deviceContexts', doc => doc.user_id === params.userId);
+    return context ? ok(context) : fail(404, 'Device context not found');
+  }],
+];
+
+// AURA onboarding API (auraIntegration.js) - one document per step per user
+const AURA_ROUTES = [
+  ['POST', '/:step', async ({ params, body, headers }) => {
+    const token = (headers.Authorization || headers.authorization || '').replace('Bearer ', '');
+    if (!token) return { status: 401, data: { error: 'Missing token' } };
+
+    await db.upsert('auraOnboarding', doc => doc.token === token && doc.step === params.step, () => ({
+      token,
+      step: params.step,
+      ...body,
+    }));
+
+    if (params.step === 'complete') {
+      const steps = await db.find('auraOnboarding', doc => doc.token === token);
+      return { status: 200, data: { success: true, overallScore: steps.length } };
+    }
+    return { status: 200, data: { success: true } };
+  }],
+];
+
+// ==================== ROUTER ====================
+
+const compileRoutes = (routes) => routes.map(([method, path, handler]) => {
+  const names = [];
+  const pattern = path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { method, regex: new RegExp(`^${pattern}/?$`), names, handler };
+});
+
+const ROUTE_TABLES = {
+  api: compileRoutes(API_ROUTES),
+  aura: compileRoutes(AURA_ROUTES),
+};
+
+class MockBackend {
+  /**
+   * Handle a request
+   * @param {object} request
+   * @param {string} request.service - 'api' (Sensecheck backend) or 'aura'
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path relative to the service base URL (may include a query string)
+   * @param {object} request.data - Parsed JSON body
+   * @param {object} request.headers - Request headers
+   * @returns {Promise<{status: number, data: object}>}
+   */
+  async handle({ service = 'api', method, url, data = null, headers = {} }) {
+    await new Promise(resolve => setTimeout(resolve, SIMULATED_LATENCY_MS));
+
+    const [path, queryString = ''] = url.split('?');
+    const upperMethod = method.toUpperCase();
+    const idempotencyKey = headers['Idempotency-Key'];
+
+    // Replay the stored response for a repeated idempotent request
+    if (idempotencyKey) {
+      const previous = await db.findOne('idempotency', doc => doc.key === idempotencyKey);
+      if (previous) return previous.response;
+    }
+
+    for (const route of ROUTE_TABLES[service] || []) {
+      if (route.method !== upperMethod) continue;
+      const match = path.match(route.regex);
+      if (!match) continue;
+
+      const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+
+      try {
+        const response = await route.handler({
+          params,
+          query: new URLSearchParams(queryString),
+          body: data || {},
+          headers,
+        });
+
+        if (idempotencyKey && response.status < 300) {
+          await db.insert('idempotency', { key: idempotencyKey, response });
+        }
+        return response;
+      } catch (error) {
+        console.error(`Mock backend: ${upperMethod} ${path} failed:`, error);
+        return fail(500, error.message);
+      }
+    }
+
+    return fail(404, `No mock route for ${upperMethod} ${path}`);
+  }
+}
+
+// Single shared mock backend instance
+const mockBackend = new MockBackend();
+
+export default mockBackend;
@@ -0,0 +1,39 @@
+/**
+ * Mode Flags
+ * One resolution order for every switch that picks a backend, test variant or
+ * language: ?param= in the URL, then the value remembered for this browser
+ * session, then the build-time env var, then the default.
+ */
+
+/**
+ * Resolve a mode flag
+ * A valid query param is remembered in sessionStorage so it survives in-app navigation
+ * @param {string} param - Query param name, e.g. 'optotype'
+ * @param {string} storageKey - sessionStorage key the choice is kept under
+ * @param {string} envValue - The import.meta.env value (read by the caller so Vite can inline it)
+ * @param {Array|function} allowed - Valid values, or a function returning the valid value for a raw one (null if none)
+ * @param {*} fallback - Used when no source gives a valid value
+ * @returns {*} The resolved value
+ */
+export const resolveModeFlag = (param, storageKey, envValue, allowed, fallback) => {
+  const normalize = typeof allowed === 'function'
+    ? allowed
+    : (value) => (allowed.includes(value) ? value : null);
+
+  try {
+    const fromQuery = normalize(new URLSearchParams(window.location.search).get(param));
+    if (fromQuery) {
+      sessionStorage.setItem(storageKey, fromQuery);
+      return fromQuery;
+    }
+
+    const fromSession = normalize(sessionStorage.getItem(storageKey));
+    if (fromSession) return fromSession;
+  } catch (e) {
+    // sessionStorage may be unavailable - fall through to env var
+  }
+
+  return normalize(envValue) || fallback;
+};
+
+export default { resolveModeFlag };
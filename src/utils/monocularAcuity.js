@@ -0,0 +1,96 @@
+/**
+ * Monocular Acuity
+ * Optional per-eye flow for the visual acuity challenge: the left eye, the
+ * right eye and then both eyes are tested in turn, each with its own logMAR
+ * chart run.
+ *
+ * The both-eyes run stays the main `visualAcuity` result, so everything that
+ * reads binocular vision loss is unchanged; the single-eye runs are stored
+ * next to it.
+ *
+ * Enable with VITE_ACUITY_EYES=monocular, or per browser session with
+ * ?eyes=monocular. It can also be switched on from the distance setup screen.
+ */
+
+import { resolveModeFlag } from './modeFlags';
+
+export const EYES = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  BOTH: 'both',
+};
+
+// Order the eyes are tested in
+export const EYE_SEQUENCE = [EYES.LEFT, EYES.RIGHT, EYES.BOTH];
+
+// Field of the vision results payload each run is saved under
+export const EYE_RESULT_KEYS = {
+  [EYES.LEFT]: 'visualAcuityLeftEye',
+  [EYES.RIGHT]: 'visualAcuityRightEye',
+  [EYES.BOTH]: 'visualAcuity',
+};
+
+// Two chart lines between the eyes - the usual referral criterion for amblyopia
+export const ASYMMETRY_THRESHOLD_LOGMAR = 0.2;
+
+const EYES_MODE_STORAGE_KEY = 'sensecheck_acuity_eyes';
+
+const EYES_MODES = ['monocular', 'binocular'];
+
+/**
+ * Whether the per-eye flow is on by default
+ */
+export const isMonocularFlowEnabled = () => resolveModeFlag(
+  'eyes',
+  EYES_MODE_STORAGE_KEY,
+  import.meta.env.VITE_ACUITY_EYES,
+  EYES_MODES,
+  'binocular'
+) === 'monocular';
+
+/**
+ * Compare the two single-eye runs
+ * @param {object} left - Left eye result (needs logMar)
+ * @param {object} right - Right eye result (needs logMar)
+ * @returns {object} { interocularLogMarDifference, acuityAsymmetry } - nulls when either eye is missing
+ */
+export const compareEyes = (left, right) => {
+  if (left?.logMar == null || right?.logMar == null) {
+    return { interocularLogMarDifference: null, acuityAsymmetry: null };
+  }
+
+  const difference = parseFloat(Math.abs(left.logMar - right.logMar).toFixed(2));
+  return {
+    interocularLogMarDifference: difference,
+    acuityAsymmetry: difference >= ASYMMETRY_THRESHOLD_LOGMAR,
+  };
+};
+
+/**
+ * Short summary of one eye's run for the challenge result
+ * (the full run, with attempts, is saved separately)
+ */
+export const summarizeEyeResult = (result) => {
+  if (!result) return null;
+
+  return {
+    eye: result.eye,
+    logMar: result.logMar,
+    logMarCi95: result.logMarCi95,
+    censored: result.censored,
+    visionLoss: result.visionLoss,
+    visionLossCi95: result.visionLossCi95,
+    visualAcuityDecimal: result.visualAcuityDecimal,
+    snellenEstimate: result.snellenEstimate,
+  };
+};
+
+export default {
+  EYES,
+  EYE_SEQUENCE,
+  EYE_RESULT_KEYS,
+  ASYMMETRY_THRESHOLD_LOGMAR,
+  isMonocularFlowEnabled,
+  compareEyes,
+  summarizeEyeResult,
+};
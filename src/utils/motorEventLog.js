@@ -0,0 +1,279 @@
+/**
+ * Motor Event Log
+ * Frame-accurate record of what a participant saw and did in the motor test,
+ * so any session can be replayed in the /replay/:sessionId view.
+ *
+ * Bubbles rise `speed` px per animation frame, so the log records every frame
+ * rather than positions: replaying spawn, frame, pop and escape events in order
+ * reproduces each bubble's path exactly. Pointer positions are in stage coordinates.
+ * Bubble IDs come from a RNG seeded by the session ID, so they are reproducible too.
+ *
+ * The log is kept in IndexedDB while the test runs (so a reload can resume it)
+ * and uploaded once the test completes.
+ */
+
+import { isIndexedDbAvailable, openDatabase, runStoreRequest } from './indexedDb';
+import SeededRandom, { seedFromString } from './seededRandom';
+import { saveMotorReplay, getMotorReplay } from './api';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+export const REPLAY_EVENT_TYPES = {
+  ROUND_START: 'round_start',
+  SPAWN: 'spawn',
+  FRAME: 'frame',
+  POINTER: 'pointer',
+  POP: 'pop',
+  ESCAPE: 'escape',
+  ROUND_END: 'round_end',
+};
+
+const DB_NAME = 'sensecheck_replays';
+const DB_VERSION = 1;
+const STORE_NAME = 'logs';
+
+// Upper bound on stored events (about 10 minutes of frames plus pointer moves);
+// past it only frame and pointer events are dropped so the round structure survives
+const MAX_EVENTS = 100000;
+const DROPPABLE_TYPES = [REPLAY_EVENT_TYPES.FRAME, REPLAY_EVENT_TYPES.POINTER];
+
+// High-resolution wall-clock time in ms
+const now = () => performance.timeOrigin + performance.now();
+
+const round1 = value => Math.round(value * 10) / 10;
+
+let dbPromise = null;
+
+const getDb = () => {
+  if (!isIndexedDbAvailable()) return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+      }
+    }).catch((error) => {
+      console.error('Motor event log: IndexedDB unavailable:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+export class MotorEventLog {
+  /**
+   * @param {string} sessionId - Session ID (also seeds the RNG)
+   * @param {object} options
+   * @param {object} options.stage - { width, height } of the Konva stage, plus pxPerMm when the screen is calibrated
+   * @param {object} options.saved - A stored log (toJSON() output) to continue
+   */
+  constructor(sessionId, { stage = null, saved = null } = {}) {
+    this.sessionId = sessionId;
+    this.seed = saved?.seed ?? seedFromString(sessionId);
+    this.random = new SeededRandom(this.seed, saved?.rngState);
+    this.stage = saved?.stage || stage;
+    this.startedAt = saved?.startedAt ?? now();
+    this.completedAt = null;
+    this.events = saved?.events ? [...saved.events] : [];
+    this.spawnCount = saved?.spawnCount ?? 0;
+    this.truncated = saved?.truncated ?? false;
+  }
+
+  log(type, data = {}) {
+    if (this.events.length >= MAX_EVENTS && DROPPABLE_TYPES.includes(type)) {
+      this.truncated = true;
+      return;
+    }
+    this.events.push({ t: round1(now() - this.startedAt), type, ...data });
+  }
+
+  /**
+   * Deterministic bubble ID: round, spawn number and a seeded token
+   */
+  nextBubbleId(round) {
+    this.spawnCount += 1;
+    return `bubble_r${round}_${this.spawnCount}_${this.random.nextToken()}`;
+  }
+
+  recordRoundStart(round, taskType = null) {
+    this.log(REPLAY_EVENT_TYPES.ROUND_START, { round, task: taskType });
+  }
+
+  recordSpawn(bubble) {
+    this.log(REPLAY_EVENT_TYPES.SPAWN, {
+      id: bubble.id,
+      x: bubble.x,
+      y: bubble.y,
+      radius: bubble.radius,
+      speed: bubble.speed,
+      column: bubble.column,
+    });
+  }
+
+  recordFrame() {
+    this.log(REPLAY_EVENT_TYPES.FRAME);
+  }
+
+  /**
+   * @param {object} position - Stage coordinates { x, y }
+   * @param {boolean} isDown - Whether a button/finger is pressed
+   */
+  recordPointer(position, isDown = false) {
+    if (!position) return;
+    this.log(REPLAY_EVENT_TYPES.POINTER, { x: round1(position.x), y: round1(position.y), isDown });
+  }
+
+  recordPop(bubbleId, position) {
+    this.log(REPLAY_EVENT_TYPES.POP, {
+      id: bubbleId,
+      x: position ? round1(position.x) : null,
+      y: position ? round1(position.y) : null,
+    });
+  }
+
+  recordEscape(bubbleId) {
+    this.log(REPLAY_EVENT_TYPES.ESCAPE, { id: bubbleId });
+  }
+
+  recordRoundEnd(round, stats) {
+    this.log(REPLAY_EVENT_TYPES.ROUND_END, { round, hits: stats.hits, misses: stats.misses });
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_FORMAT_VERSION,
+      sessionId: this.sessionId,
+      seed: this.seed,
+      rngState: this.random.getState(),
+      spawnCount: this.spawnCount,
+      stage: this.stage,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      truncated: this.truncated,
+      events: this.events,
+    };
+  }
+
+  /**
+   * Store the log locally (called after each round so a reload can resume it)
+   */
+  async save() {
+    try {
+      const db = await getDb();
+      if (!db) return;
+      await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.put(this.toJSON()));
+    } catch (error) {
+      console.error('Motor event log: failed to save:', error);
+    }
+  }
+
+  /**
+   * Finish the log, store it and upload it for replay
+   */
+  async complete() {
+    this.completedAt = now();
+    await this.save();
+    await saveMotorReplay(this.toJSON());
+  }
+}
+
+/**
+ * Load a log stored on this device
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Stored log or null
+ */
+export const loadLocalReplay = async (sessionId) => {
+  try {
+    const db = await getDb();
+    if (!db) return null;
+    const saved = await runStoreRequest(db, STORE_NAME, 'readonly', store => store.get(sessionId));
+    return saved || null;
+  } catch (error) {
+    console.error('Motor event log: failed to load:', error);
+    return null;
+  }
+};
+
+/**
+ * Load a session's log - from this device if present, otherwise from the backend
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Replay log or null
+ */
+export const loadReplay = async (sessionId) => {
+  const local = await loadLocalReplay(sessionId);
+  if (local) return local;
+
+  const response = await getMotorReplay(sessionId);
+  return response?.data || null;
+};
+
+/**
+ * Rebuild the replay timeline from a log
+ * Snapshots are taken on every animation frame; task rounds have no bubble
+ * animation, so there each pointer event is a frame instead. `segment` indexes
+ * `rounds` - a round restarted after a reload gets a segment of its own.
+ *
+ * @param {object} replay - Log from toJSON()
+ * @returns {object} { frames: [{ t, segment, round, task, bubbles }], pointer: [{ t, segment, x, y, isDown }], pops: [{ t, segment, id, x, y }], rounds: [{ round, task, frameIndex }] }
+ */
+export const buildReplayFrames = (replay) => {
+  const frames = [];
+  const pointer = [];
+  const pops = [];
+  const rounds = [];
+
+  let segment = -1;
+  let round = null;
+  let task = null;
+  let bubbles = [];
+
+  const snapshot = (t) => {
+    frames.push({ t, segment, round, task, bubbles: bubbles.map(({ id, x, y, radius }) => ({ id, x, y, radius })) });
+  };
+
+  (replay?.events || []).forEach((event) => {
+    switch (event.type) {
+      case REPLAY_EVENT_TYPES.ROUND_START:
+        segment += 1;
+        round = event.round;
+        task = event.task || null;
+        bubbles = [];
+        rounds.push({ round, task, frameIndex: frames.length });
+        snapshot(event.t);
+        break;
+
+      case REPLAY_EVENT_TYPES.SPAWN:
+        bubbles.push({ id: event.id, x: event.x, y: event.y, radius: event.radius, speed: event.speed });
+        break;
+
+      case REPLAY_EVENT_TYPES.FRAME:
+        // Same update as the game loop: rise by speed, drop once fully off the top
+        bubbles = bubbles
+          .map(bubble => ({ ...bubble, y: bubble.y - bubble.speed }))
+          .filter(bubble => bubble.y >= -bubble.radius);
+        snapshot(event.t);
+        break;
+
+      case REPLAY_EVENT_TYPES.POINTER:
+        pointer.push({ t: event.t, segment, x: event.x, y: event.y, isDown: event.isDown });
+        if (task) snapshot(event.t);
+        break;
+
+      case REPLAY_EVENT_TYPES.POP:
+        bubbles = bubbles.filter(bubble => bubble.id !== event.id);
+        pops.push({ t: event.t, segment, id: event.id, x: event.x, y: event.y });
+        break;
+
+      case REPLAY_EVENT_TYPES.ESCAPE:
+        bubbles = bubbles.filter(bubble => bubble.id !== event.id);
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return { frames, pointer, pops, rounds };
+};
+
+export default MotorEventLog;
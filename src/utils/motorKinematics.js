@@ -0,0 +1,196 @@
+/**
+ * Motor Kinematics
+ * Pure trajectory analysis for pointer movements: velocity, acceleration,
+ * jerk, path efficiency, submovement counts and overshoot.
+ *
+ * Runs inside workers/motorKinematics.worker.js; MotorSkillsTracker calls the
+ * same functions on the main thread when Web Workers are unavailable.
+ */
+
+// Coalesced events can share a timestamp - ignore steps shorter than this for derivatives
+const MIN_DT_MS = 2;
+
+// Speed peaks (px/s) below this are treated as noise, not submovements
+const SUBMOVEMENT_MIN_PEAK_SPEED = 100;
+
+// A new submovement starts once speed dips below this fraction of the previous peak
+const SUBMOVEMENT_VALLEY_RATIO = 0.6;
+
+// Travelling past the end point by more than this (px, or fraction of the distance) is an overshoot
+const OVERSHOOT_MIN_PX = 5;
+const OVERSHOOT_MIN_RATIO = 0.05;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+const standardDeviation = (values) => {
+  if (values.length === 0) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length);
+};
+
+/**
+ * Compute speed, acceleration and jerk profiles by finite differences
+ * @param {Array<{x: number, y: number, time: number}>} points - Trajectory points (px, ms)
+ * @returns {object} { speeds, accelerations, jerks } each as [{ time, value }] in px/s, px/s², px/s³
+ */
+export const computeDerivatives = (points) => {
+  const speeds = [];
+  let last = points[0];
+
+  for (let i = 1; i < points.length; i++) {
+    const point = points[i];
+    const dt = point.time - last.time;
+    if (dt < MIN_DT_MS) continue;
+
+    const distance = Math.hypot(point.x - last.x, point.y - last.y);
+    speeds.push({ time: point.time, value: distance / (dt / 1000) });
+    last = point;
+  }
+
+  const differentiate = (series) => {
+    const result = [];
+    for (let i = 1; i < series.length; i++) {
+      const dt = (series[i].time - series[i - 1].time) / 1000;
+      if (dt <= 0) continue;
+      result.push({ time: series[i].time, value: (series[i].value - series[i - 1].value) / dt });
+    }
+    return result;
+  };
+
+  const accelerations = differentiate(speeds);
+  const jerks = differentiate(accelerations);
+
+  return { speeds, accelerations, jerks };
+};
+
+/**
+ * Count submovements as distinct peaks in the (smoothed) speed profile
+ * @param {Array<number>} speeds - Speed samples in px/s
+ * @returns {number} Number of submovements
+ */
+export const countSubmovements = (speeds) => {
+  // 3-point moving average to suppress sampling noise
+  const smoothed = speeds.map((_, i) => mean(speeds.slice(Math.max(0, i - 1), i + 2)));
+
+  let count = 0;
+  let peak = 0;
+  let rising = true;
+
+  for (const speed of smoothed) {
+    if (rising) {
+      if (speed > peak) {
+        peak = speed;
+      } else if (peak >= SUBMOVEMENT_MIN_PEAK_SPEED && speed < peak * SUBMOVEMENT_VALLEY_RATIO) {
+        count++;
+        rising = false;
+        peak = speed;
+      }
+    } else if (speed < peak) {
+      peak = speed; // Track the valley
+    } else if (speed > peak / SUBMOVEMENT_VALLEY_RATIO) {
+      rising = true;
+      peak = speed;
+    }
+  }
+
+  // A movement still accelerating/decelerating at the end counts once
+  if (rising && peak >= SUBMOVEMENT_MIN_PEAK_SPEED) count++;
+
+  return count;
+};
+
+/**
+ * How far the path travelled beyond its end point along the start-to-end axis
+ * @param {Array<{x: number, y: number}>} points - Trajectory points
+ * @param {number} straightDistance - Start-to-end distance
+ * @returns {number} Overshoot distance in px (0 if the path never passed the end point)
+ */
+export const measureOvershoot = (points, straightDistance) => {
+  if (straightDistance === 0) return 0;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const axisX = (last.x - first.x) / straightDistance;
+  const axisY = (last.y - first.y) / straightDistance;
+
+  let furthest = 0;
+  points.forEach((point) => {
+    furthest = Math.max(furthest, (point.x - first.x) * axisX + (point.y - first.y) * axisY);
+  });
+
+  return Math.max(0, furthest - straightDistance);
+};
+
+/**
+ * Analyze a trajectory
+ * Keeps the fields of the original main-thread analyzeTrajectory() and adds kinematics
+ * @param {Array<{x: number, y: number, time: number}>} points - Trajectory points (px, ms)
+ * @returns {object} Trajectory metrics
+ */
+export const analyzeTrajectoryPoints = (points) => {
+  if (!points || points.length < 2) {
+    return {
+      pathLength: 0,
+      straightness: 1,
+      pathEfficiency: 1,
+      smoothness: 1,
+      pointCount: points ? points.length : 0,
+      submovementCount: 0,
+      correctiveSubmovements: 0,
+      overshoot: false,
+      overshootDistance: 0,
+    };
+  }
+
+  let pathLength = 0;
+  for (let i = 1; i < points.length; i++) {
+    pathLength += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const straightDistance = Math.hypot(last.x - first.x, last.y - first.y);
+
+  // Path efficiency: straight-line distance / travelled distance (1 = perfectly straight)
+  const pathEfficiency = pathLength > 0 ? straightDistance / pathLength : 1;
+
+  const { speeds, accelerations, jerks } = computeDerivatives(points);
+  const speedValues = speeds.map(s => s.value);
+  const accelerationValues = accelerations.map(a => a.value);
+  const jerkValues = jerks.map(j => j.value);
+
+  const averageVelocity = mean(speedValues);
+  const smoothness = averageVelocity > 0
+    ? 1 / (1 + standardDeviation(speedValues) / averageVelocity)
+    : 1;
+
+  const durationMs = last.time - first.time;
+  const submovementCount = countSubmovements(speedValues);
+  const overshootDistance = measureOvershoot(points, straightDistance);
+
+  return {
+    pathLength: round(pathLength, 2),
+    straightDistance: round(straightDistance, 2),
+    straightness: round(pathEfficiency, 3),
+    pathEfficiency: round(pathEfficiency, 3),
+    smoothness: round(smoothness, 3),
+    pointCount: points.length,
+    durationMs: Math.round(durationMs),
+    samplingHz: durationMs > 0 ? round(((points.length - 1) / durationMs) * 1000, 1) : 0,
+    averageVelocity: round(averageVelocity, 2),
+    peakVelocity: round(speedValues.length > 0 ? Math.max(...speedValues) : 0, 2),
+    meanAbsAcceleration: round(mean(accelerationValues.map(Math.abs)), 2),
+    // Jerkiness: variability in acceleration (as previously computed on the main thread)
+    jerkiness: round(standardDeviation(accelerationValues), 2),
+    rmsJerk: round(Math.sqrt(mean(jerkValues.map(j => j * j))), 2),
+    submovementCount,
+    // Every submovement after the primary one is a correction
+    correctiveSubmovements: Math.max(0, submovementCount - 1),
+    overshoot: overshootDistance > Math.max(OVERSHOOT_MIN_PX, OVERSHOOT_MIN_RATIO * straightDistance),
+    overshootDistance: round(overshootDistance, 2),
+  };
+};
+
+export default { computeDerivatives, countSubmovements, measureOvershoot, analyzeTrajectoryPoints };
@@ -9,6 +9,13 @@ import {
   computeRoundSummary,
   computeSessionSummary,
 } from './api';
+import { analyzeTrajectoryPoints } from './motorKinematics';
+import { buildFittsTrials, analyzeFittsRound, analyzeFittsSession } from './fittsLaw';
+import { analyzeTremor } from './tremorAnalysis';
+import { MOTOR_TASK_TYPES } from './motorTasks';
+
+// Interactions that become motor attempts (one per target)
+const ATTEMPT_EVENT_TYPES = ['bubble_hit', 'bubble_miss', 'target_hit', 'target_miss'];
 
 class MotorSkillsTracker {
   constructor(sessionId, userId = null) {
@@ -18,27 +25,69 @@ class MotorSkillsTracker {
     this.interactions = [];
     this.touchStartTimes = new Map();
     this.lastTapTime = 0;
-    this.lastPosition = null;
-    this.velocityHistory = [];
-    this.trajectoryPoints = [];
     this.round = 1;
     
     // Pointer samples buffer for kinematics
     this.pointerSamples = [];
     this.lastSampleTime = 0;
-    this.SAMPLE_INTERVAL = 33; // ~30Hz sampling (reduced from 60Hz to improve performance)
+    this.SAMPLE_INTERVAL = 8; // Up to ~120Hz - coalesced pointer events fill in between frames
+    this.MAX_POINTER_SAMPLES = 8000; // Three 20s rounds at 120Hz
     this.isPointerDown = false;
     
+    // Kinematics run in a Web Worker to keep the animation loop free;
+    // trajectoryPoints is only filled when workers are unavailable
+    this.trajectoryPoints = [];
+    this.pendingAnalyses = new Map();
+    this.analysisPromises = new Set();
+    this.nextAnalysisId = 1;
+    this.kinematicsWorker = this.createKinematicsWorker();
+    
     // Batching for performance
     this.interactionBuffer = [];
     this.BATCH_SIZE = 15; // Increased batch size to reduce flush frequency
     this.BATCH_TIMEOUT = 3000; // 3 seconds
     this.batchTimer = null;
+  }
+  
+  // Start the kinematics worker (returns null if workers are unsupported)
+  createKinematicsWorker() {
+    if (typeof Worker === 'undefined') return null;
+    
+    try {
+      const worker = new Worker(
+        new URL('../workers/motorKinematics.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+      worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+      worker.onerror = (error) => {
+        console.error('Kinematics worker failed, analyzing on main thread:', error);
+        this.disposeWorker();
+      };
+      return worker;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  handleWorkerMessage(message) {
+    if (message.type !== 'analysis' && message.type !== 'tremor') return;
     
-    // Throttle pointer move tracking
-    this.lastMoveTrackTime = 0;
-    this.MOVE_TRACK_INTERVAL = 33; // ~30Hz for move tracking
+    const pending = this.pendingAnalyses.get(message.requestId);
+    if (pending) {
+      this.pendingAnalyses.delete(message.requestId);
+      pending.resolve(message.metrics);
+    }
+  }
+  
+  disposeWorker() {
+    if (this.kinematicsWorker) {
+      this.kinematicsWorker.terminate();
+      this.kinematicsWorker = null;
+    }
     
+    // Settle outstanding requests so nothing waits forever
+    this.pendingAnalyses.forEach(pending => pending.resolve(pending.fallback()));
+    this.pendingAnalyses.clear();
   }
   
   // Set userId after initialization (if not available at construction time)
@@ -62,6 +111,8 @@ class MotorSkillsTracker {
       bubbleId: bubbleData.id,
       column: bubbleData.column,
       speed: bubbleData.speed,
+      radius: bubbleData.radius,
+      difficulty: bubbleData.difficulty || null,
       round: this.round,
       spawnTime: bubbleData.spawnTime,
       initialPosition: {
@@ -77,8 +128,10 @@ class MotorSkillsTracker {
     const coords = this.getCoordinates(event);
     
     this.touchStartTimes.set(bubbleId || 'screen', now);
-    this.lastPosition = coords;
-    this.trajectoryPoints = [{ ...coords, time: now }];
+    
+    // A new movement starts at pointer down
+    this.resetTrajectory();
+    this.addTrajectoryPoints([{ ...coords, time: this.getEventTime(event) }]);
     
     this.logInteraction('pointer_down', {
       coordinates: coords,
@@ -93,82 +146,45 @@ class MotorSkillsTracker {
     });
   }
 
-  // Track movement (for velocity, acceleration, trajectory)
+  // Track movement (samples are analyzed for velocity, acceleration and jerk in the worker)
   trackPointerMove(event) {
-    const now = Date.now();
-    
-    // Throttle move tracking for better performance
-    if (now - this.lastMoveTrackTime < this.MOVE_TRACK_INTERVAL) {
-      return;
-    }
-    this.lastMoveTrackTime = now;
-    
-    const coords = this.getCoordinates(event);
-    
-    // Store normalized pointer sample for kinematics
-    if (now - this.lastSampleTime >= this.SAMPLE_INTERVAL) {
-      const screenWidth = window.innerWidth;
-      const screenHeight = window.innerHeight;
+    // Pointer events batch the samples that arrived between frames - recover all of them
+    const coalesced = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : [];
+    const events = coalesced.length > 0 ? coalesced : [event];
+    const pointerType = event.pointerType || (event.touches ? 'touch' : 'mouse');
+    
+    const screenWidth = window.innerWidth;
+    const screenHeight = window.innerHeight;
+    const points = [];
+    
+    events.forEach((sampleEvent) => {
+      const time = this.getEventTime(sampleEvent);
+      if (time - this.lastSampleTime < this.SAMPLE_INTERVAL) return;
+      this.lastSampleTime = time;
+      
+      const coords = this.getCoordinates(sampleEvent);
       
+      // Store normalized pointer sample for kinematics
       this.pointerSamples.push({
         round: this.round,
-        tms: now,
+        tms: time,
         x: coords.x / screenWidth,  // Normalized 0-1
         y: coords.y / screenHeight, // Normalized 0-1
         isDown: this.isPointerDown,
-        pointerType: event.pointerType || (event.touches ? 'touch' : 'mouse'),
+        pointerType,
       });
       
-      this.lastSampleTime = now;
-      
-      // Limit pointer samples buffer to prevent memory buildup
-      if (this.pointerSamples.length > 1000) {
-        this.pointerSamples = this.pointerSamples.slice(-800);
-      }
-    }
+      points.push({ ...coords, time });
+    });
     
-    // Calculate velocity and acceleration for local tracking
-    if (this.lastPosition) {
-      const dt = now - (this.trajectoryPoints[this.trajectoryPoints.length - 1]?.time || now);
-      if (dt > 0) {
-        const dx = coords.x - this.lastPosition.x;
-        const dy = coords.y - this.lastPosition.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const velocity = distance / (dt / 1000); // pixels per second
-        
-        // Calculate acceleration
-        const acceleration = this.velocityHistory.length > 0
-          ? (velocity - this.velocityHistory[this.velocityHistory.length - 1].velocity) / (dt / 1000)
-          : 0;
-        
-        // Track velocity history
-        this.velocityHistory.push({
-          velocity,
-          acceleration,
-          time: now,
-        });
-        
-        // Keep only recent history (last 10 points)
-        if (this.velocityHistory.length > 10) {
-          this.velocityHistory.shift();
-        }
-        
-        // Add to trajectory (limit size)
-        this.trajectoryPoints.push({
-          ...coords,
-          time: now,
-          velocity,
-          acceleration,
-        });
-        
-        // Limit trajectory points to prevent memory buildup
-        if (this.trajectoryPoints.length > 100) {
-          this.trajectoryPoints = this.trajectoryPoints.slice(-80);
-        }
-      }
+    if (points.length === 0) return;
+    
+    // Limit pointer samples buffer to prevent memory buildup
+    if (this.pointerSamples.length > this.MAX_POINTER_SAMPLES) {
+      this.pointerSamples = this.pointerSamples.slice(-Math.floor(this.MAX_POINTER_SAMPLES * 0.8));
     }
     
-    this.lastPosition = coords;
+    this.addTrajectoryPoints(points);
   }
   
   // Track pointer down state
@@ -192,49 +208,55 @@ class MotorSkillsTracker {
     const interTapInterval = this.lastTapTime ? now - this.lastTapTime : 0;
     this.lastTapTime = now;
     
-    // Calculate trajectory metrics
-    const trajectoryMetrics = this.analyzeTrajectory();
-    
     // Clear tracking data
     this.touchStartTimes.delete(bubbleId || 'screen');
-    this.velocityHistory = [];
-    this.trajectoryPoints = [];
-    this.lastPosition = null;
     
-    this.logInteraction(bubbleHit ? 'bubble_hit' : 'stage_clicked_miss', {
+    const interaction = this.logInteraction(bubbleHit ? 'bubble_hit' : 'stage_clicked_miss', {
       coordinates: coords,
       bubbleId,
       touchDuration,
       interTapInterval,
-      trajectoryMetrics,
+      trajectoryMetrics: null, // Filled in when the worker responds
       round: this.round,
       success: bubbleHit,
     });
+    
+    this.attachTrajectoryMetrics(interaction);
   }
 
   // Track bubble hit (successful click)
-  trackBubbleHit(bubbleData, event) {
+  // stagePosition is the pointer in stage coordinates (same space as bubbleData.x/y);
+  // without it the click is compared against the bubble in client coordinates
+  trackBubbleHit(bubbleData, event, stagePosition = null) {
     const now = Date.now();
     const reactionTime = now - bubbleData.spawnTime;
     const coords = this.getCoordinates(event);
+    const clickPosition = stagePosition || coords;
     
     // Calculate accuracy (distance from bubble center)
-    const dx = coords.x - bubbleData.x;
-    const dy = coords.y - bubbleData.y;
+    const dx = clickPosition.x - bubbleData.x;
+    const dy = clickPosition.y - bubbleData.y;
     const clickAccuracy = Math.sqrt(dx * dx + dy * dy);
     
-    this.logInteraction('bubble_hit', {
+    const interaction = this.logInteraction('bubble_hit', {
       bubbleId: bubbleData.id,
       coordinates: coords,
+      stageCoordinates: stagePosition ? { x: stagePosition.x, y: stagePosition.y } : null,
       bubblePosition: { x: bubbleData.x, y: bubbleData.y },
+      bubbleRadius: bubbleData.radius,
+      difficulty: bubbleData.difficulty || null,
       clickAccuracy: parseFloat(clickAccuracy.toFixed(2)),
+      clickTime: now,
       reactionTime,
       bubbleLifetime: now - bubbleData.spawnTime,
       spawnTime: bubbleData.spawnTime, // Add spawn time for feature extraction
       bubbleSpeed: bubbleData.speed,
       column: bubbleData.column,
       round: this.round,
+      trajectoryMetrics: null, // Movement that led to this hit, filled in by the worker
     });
+    
+    this.attachTrajectoryMetrics(interaction);
   }
 
   // Track missed bubble (escaped)
@@ -243,6 +265,8 @@ class MotorSkillsTracker {
       bubbleId: bubbleData.id,
       column: bubbleData.column,
       bubblePosition: { x: bubbleData.x, y: bubbleData.y }, // Add bubble position for target
+      bubbleRadius: bubbleData.radius,
+      difficulty: bubbleData.difficulty || null,
       bubbleSpeed: bubbleData.speed,
       bubbleLifetime: Date.now() - bubbleData.spawnTime,
       spawnTime: bubbleData.spawnTime, // Add spawn time for feature extraction
@@ -250,6 +274,45 @@ class MotorSkillsTracker {
     });
   }
 
+  // Track an attempt in one of the non-bubble motor tasks (drag-drop, steering, double-click, hover-dwell)
+  // Logged like bubble hits/misses so attempts and round summaries use the same schema
+  trackTaskAttempt({
+    taskType,
+    targetId,
+    target,
+    startTime,
+    hit,
+    missType = hit ? 'hit' : 'timeout',
+    stagePosition = null,
+    event = null,
+    details = {},
+  }) {
+    const now = Date.now();
+    const clickAccuracy = stagePosition
+      ? Math.hypot(stagePosition.x - target.x, stagePosition.y - target.y)
+      : null;
+    
+    const interaction = this.logInteraction(hit ? 'target_hit' : 'target_miss', {
+      taskType,
+      targetId,
+      coordinates: event ? this.getCoordinates(event) : null,
+      stageCoordinates: stagePosition ? { x: stagePosition.x, y: stagePosition.y } : null,
+      targetPosition: { x: target.x, y: target.y },
+      targetRadius: target.radius,
+      clickAccuracy: clickAccuracy !== null ? parseFloat(clickAccuracy.toFixed(2)) : null,
+      clickTime: now,
+      reactionTime: now - startTime,
+      spawnTime: startTime,
+      missType,
+      taskDetails: details,
+      round: this.round,
+      trajectoryMetrics: null, // Filled in by the worker
+    });
+    
+    this.attachTrajectoryMetrics(interaction);
+    return interaction;
+  }
+
   // Track round completion
   async trackRoundComplete(roundData) {
     const totalAttempts = roundData.hits + roundData.misses;
@@ -264,6 +327,8 @@ class MotorSkillsTracker {
       totalAttempts,
       roundDuration: roundData.duration,
       averageReactionTime: roundData.averageReactionTime,
+      difficulty: roundData.difficulty || null,
+      fitts: analyzeFittsRound(this.getFittsTrials(this.round)),
     });
     
     // Flush current batch to ensure data is sent
@@ -292,6 +357,9 @@ class MotorSkillsTracker {
   
   // Send round-specific data to ML schemas
   async sendRoundDataToML(round) {
+    // Make sure trajectory metrics for this round's hits have arrived from the worker
+    await this.waitForAnalyses();
+    
     // Send pointer samples for this round
     const roundSamples = this.pointerSamples.filter(s => s.round === round);
     
@@ -303,17 +371,25 @@ class MotorSkillsTracker {
       }
     }
     
-    // Extract attempts for this round
+    // Extract attempts for this round (bubble waves and the other motor tasks)
     const roundAttempts = this.interactions.filter(i => 
-      (i.eventType === 'bubble_hit' || i.eventType === 'bubble_miss') && i.round === round
+      ATTEMPT_EVENT_TYPES.includes(i.eventType) && i.round === round
     );
     
     if (roundAttempts.length > 0) {
+      const fittsTrials = new Map(
+        this.getFittsTrials(round).map(trial => [trial.interaction, trial])
+      );
       const screenWidth = window.innerWidth;
       const screenHeight = window.innerHeight;
       const minDim = Math.min(screenWidth, screenHeight);
       
       const attempts = roundAttempts.map((event, idx) => {
+        const isHit = event.eventType === 'bubble_hit' || event.eventType === 'target_hit';
+        const targetId = event.bubbleId || event.targetId || 'unknown';
+        const targetPosition = event.bubblePosition || event.targetPosition;
+        const targetRadius = event.bubbleRadius ?? event.targetRadius ?? 0;
+        
         // Get reaction time - use explicit check for undefined/null to preserve 0
         const reactionTimeMs = event.reactionTime !== undefined && event.reactionTime !== null 
           ? event.reactionTime 
@@ -324,24 +400,26 @@ class MotorSkillsTracker {
           ? event.clickAccuracy / minDim  // Normalize by min dimension
           : null;
         
+        const fittsTrial = fittsTrials.get(event);
+        
         return {
           round: event.round,
-          attemptId: `r${event.round}_${event.bubbleId || 'unknown'}`,
-          bubbleId: event.bubbleId || 'unknown',
+          attemptId: `r${event.round}_${targetId}`,
+          bubbleId: targetId,
           spawnTms: event.spawnTime || 0,
           column: event.column !== undefined ? event.column : null,
           speedNorm: event.bubbleSpeed ? event.bubbleSpeed / minDim : 0,
           
           target: {
-            x: event.bubblePosition ? event.bubblePosition.x / screenWidth : 0,
-            y: event.bubblePosition ? event.bubblePosition.y / screenHeight : 0,
-            radius: 40 / minDim,
+            x: targetPosition ? targetPosition.x / screenWidth : 0,
+            y: targetPosition ? targetPosition.y / screenHeight : 0,
+            radius: targetRadius / minDim,
           },
           
           click: {
-            clicked: event.eventType === 'bubble_hit',
-            hit: event.eventType === 'bubble_hit',
-            missType: event.eventType === 'bubble_hit' ? 'hit' : (event.eventType === 'bubble_miss' ? 'timeout' : 'unknown'),
+            clicked: isHit || Boolean(event.coordinates),
+            hit: isHit,
+            missType: event.missType || (isHit ? 'hit' : (event.eventType === 'bubble_miss' ? 'timeout' : 'unknown')),
             tms: event.timestamp ? new Date(event.timestamp).getTime() : Date.now(),
             x: event.coordinates ? event.coordinates.x / screenWidth : null,
             y: event.coordinates ? event.coordinates.y / screenHeight : null,
@@ -354,6 +432,37 @@ class MotorSkillsTracker {
           spatial: {
             errorDistNorm,
           },
+          
+          kinematics: event.trajectoryMetrics ? {
+            pathEfficiency: event.trajectoryMetrics.pathEfficiency,
+            submovementCount: event.trajectoryMetrics.submovementCount,
+            peakVelocityNorm: (event.trajectoryMetrics.peakVelocity || 0) / minDim,
+            averageVelocityNorm: (event.trajectoryMetrics.averageVelocity || 0) / minDim,
+            rmsJerkNorm: (event.trajectoryMetrics.rmsJerk || 0) / minDim,
+            overshoot: event.trajectoryMetrics.overshoot || false,
+            correctiveSubmovements: event.trajectoryMetrics.correctiveSubmovements || 0,
+          } : null,
+          
+          fitts: fittsTrial ? {
+            amplitudeNorm: fittsTrial.amplitude / minDim,
+            indexOfDifficulty: parseFloat(fittsTrial.indexOfDifficulty.toFixed(3)),
+            movementTimeMs: fittsTrial.movementTimeMs,
+            deviationNorm: fittsTrial.deviation / minDim,
+          } : null,
+          
+          // Bubble parameters in force for this attempt (fixed wave or staircase level)
+          difficulty: event.difficulty ? {
+            mode: event.difficulty.mode,
+            level: event.difficulty.level,
+            speedNorm: event.difficulty.speed / minDim,
+            radiusNorm: event.difficulty.radius / minDim,
+            spawnIntervalMs: event.difficulty.spawnIntervalMs,
+          } : null,
+          
+          task: {
+            type: event.taskType || MOTOR_TASK_TYPES.BUBBLE_POP,
+            ...event.taskDetails,
+          },
         };
       });
       
@@ -365,6 +474,72 @@ class MotorSkillsTracker {
     }
   }
 
+  // Fitts trials for a round, built from consecutive hits that have stage coordinates
+  getFittsTrials(round) {
+    const hits = this.interactions
+      .filter(i => i.eventType === 'bubble_hit' && i.round === round && i.stageCoordinates)
+      .map(i => ({
+        interaction: i,
+        target: { x: i.bubblePosition.x, y: i.bubblePosition.y, radius: i.bubbleRadius },
+        click: { ...i.stageCoordinates, time: i.clickTime },
+        spawnTime: i.spawnTime,
+      }));
+    
+    return buildFittsTrials(hits).map(trial => ({
+      ...trial,
+      interaction: hits[trial.hitIndex].interaction,
+    }));
+  }
+  
+  // Fitts' Law throughput per round and for the session, plus the MT-vs-ID regression
+  getFittsAnalysis() {
+    const rounds = [...new Set(this.interactions.map(i => i.round))];
+    const trialsByRound = {};
+    rounds.forEach((round) => {
+      trialsByRound[round] = this.getFittsTrials(round);
+    });
+    return analyzeFittsSession(trialsByRound);
+  }
+
+  // Tremor in the 4-12Hz band, from the spectrum of all buffered pointer samples
+  // (pxPerMm from the saved screen calibration puts the amplitude in mm)
+  async getTremorAnalysis({ pxPerMm = null } = {}) {
+    const screenWidth = window.innerWidth;
+    const screenHeight = window.innerHeight;
+    const samples = this.pointerSamples.map(s => ({
+      x: s.x * screenWidth,
+      y: s.y * screenHeight,
+      time: s.tms,
+    }));
+    
+    if (!this.kinematicsWorker) {
+      return analyzeTremor(samples, { pxPerMm });
+    }
+    return this.requestFromWorker({ type: 'tremor', samples, pxPerMm }, () => analyzeTremor(samples, { pxPerMm }));
+  }
+  
+  // Share of hits whose movement overshot the target, and corrective submovements per hit
+  async getOvershootAnalysis() {
+    await this.waitForAnalyses();
+    
+    const movements = this.interactions
+      .filter(i => i.eventType === 'bubble_hit' && i.trajectoryMetrics?.pointCount >= 2)
+      .map(i => i.trajectoryMetrics);
+    
+    if (movements.length === 0) {
+      return { movementCount: 0, overshootRate: 0, correctiveSubmovementsPerHit: 0 };
+    }
+    
+    const overshoots = movements.filter(m => m.overshoot).length;
+    const corrections = movements.reduce((sum, m) => sum + (m.correctiveSubmovements || 0), 0);
+    
+    return {
+      movementCount: movements.length,
+      overshootRate: parseFloat((overshoots / movements.length).toFixed(2)),
+      correctiveSubmovementsPerHit: parseFloat((corrections / movements.length).toFixed(2)),
+    };
+  }
+
   // Helper: Get coordinates from event
   getCoordinates(event) {
     if (event.touches && event.touches[0]) {
@@ -379,61 +554,68 @@ class MotorSkillsTracker {
     };
   }
 
-  // Helper: Calculate jerkiness (variability in acceleration)
-  calculateJerkiness() {
-    if (this.velocityHistory.length < 3) return 0;
-    
-    const accelerations = this.velocityHistory.map(v => v.acceleration);
-    const mean = accelerations.reduce((a, b) => a + b, 0) / accelerations.length;
-    const variance = accelerations.reduce((sum, acc) => sum + Math.pow(acc - mean, 2), 0) / accelerations.length;
-    
-    return Math.sqrt(variance);
+  // Helper: Event time as epoch ms (coalesced events carry their own high-resolution timestamps)
+  getEventTime(event) {
+    if (!event.timeStamp) return Date.now();
+    // Older browsers report epoch-based timestamps instead of performance-relative ones
+    const time = event.timeStamp > 1e12 ? event.timeStamp : performance.timeOrigin + event.timeStamp;
+    return Math.round(time);
   }
 
-  // Helper: Analyze trajectory path
-  analyzeTrajectory() {
-    if (this.trajectoryPoints.length < 2) {
-      return {
-        pathLength: 0,
-        straightness: 1,
-        smoothness: 1,
-        pointCount: this.trajectoryPoints.length,
-      };
+  // Helper: Append points to the current movement
+  addTrajectoryPoints(points) {
+    if (this.kinematicsWorker) {
+      this.kinematicsWorker.postMessage({ type: 'samples', samples: points });
+      return;
     }
     
-    // Calculate total path length
-    let pathLength = 0;
-    for (let i = 1; i < this.trajectoryPoints.length; i++) {
-      const dx = this.trajectoryPoints[i].x - this.trajectoryPoints[i - 1].x;
-      const dy = this.trajectoryPoints[i].y - this.trajectoryPoints[i - 1].y;
-      pathLength += Math.sqrt(dx * dx + dy * dy);
+    this.trajectoryPoints.push(...points);
+    if (this.trajectoryPoints.length > 1000) {
+      this.trajectoryPoints = this.trajectoryPoints.slice(-800);
+    }
+  }
+  
+  // Helper: Start a new movement
+  resetTrajectory() {
+    if (this.kinematicsWorker) {
+      this.kinematicsWorker.postMessage({ type: 'reset' });
+    } else {
+      this.trajectoryPoints = [];
+    }
+  }
+
+  // Helper: Analyze the current movement (velocity, acceleration, jerk, path efficiency, submovements)
+  analyzeTrajectory({ reset = false } = {}) {
+    if (!this.kinematicsWorker) {
+      const metrics = analyzeTrajectoryPoints(this.trajectoryPoints);
+      if (reset) this.trajectoryPoints = [];
+      return Promise.resolve(metrics);
     }
     
-    // Calculate straight-line distance
-    const first = this.trajectoryPoints[0];
-    const last = this.trajectoryPoints[this.trajectoryPoints.length - 1];
-    const straightDistance = Math.sqrt(
-      Math.pow(last.x - first.x, 2) + Math.pow(last.y - first.y, 2)
-    );
-    
-    // Straightness: ratio of straight distance to path length (1 = perfectly straight)
-    const straightness = straightDistance / pathLength;
-    
-    // Smoothness: based on velocity consistency
-    const velocities = this.trajectoryPoints.filter(p => p.velocity).map(p => p.velocity);
-    const avgVelocity = velocities.reduce((a, b) => a + b, 0) / velocities.length;
-    const velocityVariance = velocities.reduce((sum, v) => 
-      sum + Math.pow(v - avgVelocity, 2), 0) / velocities.length;
-    const smoothness = 1 / (1 + Math.sqrt(velocityVariance) / avgVelocity);
+    return this.requestFromWorker({ type: 'analyze', reset }, () => analyzeTrajectoryPoints([]));
+  }
+  
+  // Helper: Send a request to the worker; resolves with its metrics, or the fallback if the worker goes away
+  requestFromWorker(message, fallback) {
+    const requestId = this.nextAnalysisId++;
+    const promise = new Promise((resolve) => this.pendingAnalyses.set(requestId, { resolve, fallback }));
+    this.kinematicsWorker.postMessage({ ...message, requestId });
+    return promise;
+  }
+  
+  // Helper: Analyze the movement that ended in this interaction and attach the metrics
+  attachTrajectoryMetrics(interaction) {
+    const analysis = this.analyzeTrajectory({ reset: true }).then((metrics) => {
+      interaction.trajectoryMetrics = metrics;
+    });
     
-    return {
-      pathLength: parseFloat(pathLength.toFixed(2)),
-      straightDistance: parseFloat(straightDistance.toFixed(2)),
-      straightness: parseFloat(straightness.toFixed(3)),
-      smoothness: parseFloat(smoothness.toFixed(3)),
-      pointCount: this.trajectoryPoints.length,
-      averageVelocity: parseFloat(avgVelocity.toFixed(2)),
-    };
+    this.analysisPromises.add(analysis);
+    analysis.finally(() => this.analysisPromises.delete(analysis));
+  }
+  
+  // Helper: Wait for outstanding worker analyses
+  async waitForAnalyses() {
+    await Promise.all([...this.analysisPromises]);
   }
 
   // Helper: Add interaction to buffer
@@ -483,6 +665,8 @@ class MotorSkillsTracker {
     
     // Add to batch buffer (uses bucket pattern)
     this.addToBuffer(interaction);
+    
+    return interaction;
   }
   
   // Complete motor skills session (flush remaining interactions + compute session summary)
@@ -500,6 +684,13 @@ class MotorSkillsTracker {
     } catch (error) {
       // Continue even if summary computation fails
     }
+    
+    this.dispose();
+  }
+  
+  // Release the kinematics worker (call when the game unmounts)
+  dispose() {
+    this.disposeWorker();
   }
 
   // Get all interactions
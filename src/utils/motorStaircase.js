@@ -0,0 +1,175 @@
+/**
+ * Motor Staircase
+ * Adaptive difficulty for the bubble waves. After every block of attempts the
+ * level steps up (harder) or down (easier) based on the block's hit count;
+ * each level sets bubble speed, radius and spawn interval together.
+ *
+ * The original fixed patterns stay the default so results remain comparable
+ * across sessions. Opt in with VITE_MOTOR_DIFFICULTY=adaptive, or per browser
+ * session with ?motorDifficulty=adaptive (?motorDifficulty=fixed switches back).
+ */
+
+import { resolveModeFlag } from './modeFlags';
+
+export const DIFFICULTY_MODES = {
+  ADAPTIVE: 'adaptive',
+  FIXED: 'fixed',
+};
+
+const DIFFICULTY_STORAGE_KEY = 'sensecheck_motor_difficulty';
+
+// Level ladder - level 0 is easiest; the fixed waves (speed 1.5-3.5) fall inside it
+const MIN_LEVEL = 0;
+const MAX_LEVEL = 9;
+const START_LEVEL = 2;
+
+const BASE_SPEED = 1.0;         // px per frame at level 0
+const SPEED_STEP = 0.4;
+const BASE_RADIUS = 32;         // px at level 0
+const RADIUS_STEP = 2;
+const BASE_SPAWN_INTERVAL = 1400; // ms at level 0
+const SPAWN_INTERVAL_STEP = 90;
+
+// Block rule: 3-4 hits out of 4 steps up, 0-1 steps down (converges near a 50-75% hit rate)
+const BLOCK_SIZE = 4;
+const STEP_UP_HITS = 3;
+const STEP_DOWN_HITS = 1;
+
+// Threshold estimate = mean level over the last reversals
+const THRESHOLD_REVERSALS = 4;
+
+/**
+ * Resolve the difficulty mode
+ */
+export const getMotorDifficultyMode = () => resolveModeFlag(
+  'motorDifficulty',
+  DIFFICULTY_STORAGE_KEY,
+  import.meta.env.VITE_MOTOR_DIFFICULTY,
+  Object.values(DIFFICULTY_MODES),
+  DIFFICULTY_MODES.FIXED
+);
+
+/**
+ * Bubble parameters for a staircase level
+ * @param {number} level - Level on the ladder
+ * @returns {object} { speed, radius, spawnIntervalMs }
+ */
+export const getLevelParameters = (level) => ({
+  speed: parseFloat((BASE_SPEED + level * SPEED_STEP).toFixed(2)),
+  radius: BASE_RADIUS - level * RADIUS_STEP,
+  spawnIntervalMs: BASE_SPAWN_INTERVAL - level * SPAWN_INTERVAL_STEP,
+});
+
+export class MotorStaircase {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'adaptive' or 'fixed' (defaults to the configured mode)
+   * @param {object} options.state - Saved staircase (challengeProgress.motorSkills.staircase); its mode
+   *   wins over the configured one so a resumed test keeps the difficulty it started with
+   */
+  constructor({ mode = getMotorDifficultyMode(), state = null } = {}) {
+    this.mode = state?.mode || mode;
+    this.level = state?.level ?? START_LEVEL;
+    this.blockHits = state?.blockHits ?? 0;
+    this.blockAttempts = state?.blockAttempts ?? 0;
+    this.lastDirection = state?.lastDirection ?? 0;
+    this.reversalLevels = state?.reversalLevels || [];
+    this.history = state?.history || [];
+    this.totalAttempts = state?.totalAttempts ?? 0;
+  }
+
+  isAdaptive() {
+    return this.mode === DIFFICULTY_MODES.ADAPTIVE;
+  }
+
+  /**
+   * Parameters for the next bubble
+   * @param {object} fixedParameters - { speed, radius, spawnIntervalMs } of the fixed pattern for this wave
+   * @returns {object} { mode, level, speed, radius, spawnIntervalMs } (level is null in fixed mode)
+   */
+  getParameters(fixedParameters) {
+    if (!this.isAdaptive()) {
+      return { mode: this.mode, level: null, ...fixedParameters };
+    }
+    return { mode: this.mode, level: this.level, ...getLevelParameters(this.level) };
+  }
+
+  /**
+   * Record a resolved attempt (hit or escaped bubble) and step at the end of a block
+   * @param {boolean} hit - Whether the bubble was popped
+   * @returns {boolean} Whether the level changed
+   */
+  recordAttempt(hit) {
+    this.totalAttempts += 1;
+    if (!this.isAdaptive()) return false;
+
+    this.blockAttempts += 1;
+    if (hit) this.blockHits += 1;
+    if (this.blockAttempts < BLOCK_SIZE) return false;
+
+    let direction = 0;
+    if (this.blockHits >= STEP_UP_HITS) direction = 1;
+    else if (this.blockHits <= STEP_DOWN_HITS) direction = -1;
+
+    const previousLevel = this.level;
+    this.level = Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, this.level + direction));
+
+    if (direction !== 0 && this.lastDirection !== 0 && direction !== this.lastDirection) {
+      this.reversalLevels.push(previousLevel);
+    }
+    if (direction !== 0) this.lastDirection = direction;
+
+    this.history.push({
+      afterAttempt: this.totalAttempts,
+      blockHits: this.blockHits,
+      level: this.level,
+    });
+
+    this.blockHits = 0;
+    this.blockAttempts = 0;
+    return this.level !== previousLevel;
+  }
+
+  /**
+   * Summary for results and round logs
+   * @returns {object} { mode, level, startLevel, blockSize, reversals, thresholdLevel, thresholdParameters, history }
+   */
+  getSummary() {
+    if (!this.isAdaptive()) {
+      return { mode: this.mode, totalAttempts: this.totalAttempts };
+    }
+
+    const recent = this.reversalLevels.slice(-THRESHOLD_REVERSALS);
+    const thresholdLevel = recent.length >= 2
+      ? recent.reduce((a, b) => a + b, 0) / recent.length
+      : this.level;
+
+    return {
+      mode: this.mode,
+      level: this.level,
+      startLevel: START_LEVEL,
+      blockSize: BLOCK_SIZE,
+      totalAttempts: this.totalAttempts,
+      reversals: this.reversalLevels.length,
+      thresholdLevel: parseFloat(thresholdLevel.toFixed(2)),
+      thresholdParameters: getLevelParameters(thresholdLevel),
+      history: [...this.history],
+    };
+  }
+
+  // Level and the partly filled block, so a reload mid-wave steps at the same attempt
+  getState() {
+    return {
+      mode: this.mode,
+      level: this.level,
+      blockHits: this.blockHits,
+      blockAttempts: this.blockAttempts,
+      lastDirection: this.lastDirection,
+      reversalLevels: [...this.reversalLevels],
+      history: [...this.history],
+      totalAttempts: this.totalAttempts,
+    };
+  }
+}
+
+export default MotorStaircase;
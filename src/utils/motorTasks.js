@@ -0,0 +1,141 @@
+/**
+ * Motor Tasks
+ * Fixed trial layouts for the motor tasks that follow the bubble waves.
+ * Positions are fractions of the stage (0-1) so any stage size can host them;
+ * sizes are in stage pixels. Layouts are the same for every player.
+ * Titles and instructions are in the locale bundles under motor.tasks.<type>.
+ */
+
+export const MOTOR_TASK_TYPES = {
+  BUBBLE_POP: 'bubble_pop',
+  DRAG_DROP: 'drag_drop',
+  STEERING: 'steering',
+  DOUBLE_CLICK: 'double_click',
+  HOVER_DWELL: 'hover_dwell',
+};
+
+// Order the tasks run in after the bubble waves
+export const MOTOR_TASK_ORDER = [
+  MOTOR_TASK_TYPES.DRAG_DROP,
+  MOTOR_TASK_TYPES.STEERING,
+  MOTOR_TASK_TYPES.DOUBLE_CLICK,
+  MOTOR_TASK_TYPES.HOVER_DWELL,
+];
+
+export const MOTOR_TASKS = {
+  [MOTOR_TASK_TYPES.DRAG_DROP]: {
+    type: MOTOR_TASK_TYPES.DRAG_DROP,
+    icon: '✋',
+    itemRadius: 22,
+    zoneRadius: 36,
+    trialTimeoutMs: 10000,
+    trials: [
+      { from: [0.15, 0.5], to: [0.85, 0.5] },
+      { from: [0.8, 0.2], to: [0.25, 0.75] },
+      { from: [0.5, 0.85], to: [0.5, 0.15] },
+      { from: [0.2, 0.2], to: [0.75, 0.8] },
+      { from: [0.85, 0.8], to: [0.15, 0.3] },
+      { from: [0.3, 0.6], to: [0.65, 0.3] },
+    ],
+  },
+
+  [MOTOR_TASK_TYPES.STEERING]: {
+    type: MOTOR_TASK_TYPES.STEERING,
+    icon: '〰️',
+    startRadius: 18,
+    trialTimeoutMs: 12000,
+    trials: [
+      { width: 60, path: [[0.1, 0.5], [0.9, 0.5]] },
+      { width: 30, path: [[0.1, 0.5], [0.9, 0.5]] },
+      { width: 40, path: [[0.1, 0.2], [0.7, 0.2], [0.7, 0.8]] },
+      { width: 40, path: [[0.1, 0.8], [0.35, 0.3], [0.6, 0.8], [0.9, 0.3]] },
+    ],
+  },
+
+  [MOTOR_TASK_TYPES.DOUBLE_CLICK]: {
+    type: MOTOR_TASK_TYPES.DOUBLE_CLICK,
+    icon: '👆',
+    radius: 30,
+    maxIntervalMs: 500,
+    trialTimeoutMs: 6000,
+    trials: [
+      { at: [0.3, 0.4] },
+      { at: [0.7, 0.6] },
+      { at: [0.5, 0.25] },
+      { at: [0.2, 0.75] },
+      { at: [0.8, 0.3] },
+      { at: [0.5, 0.7] },
+    ],
+  },
+
+  [MOTOR_TASK_TYPES.HOVER_DWELL]: {
+    type: MOTOR_TASK_TYPES.HOVER_DWELL,
+    icon: '🎯',
+    radius: 10,
+    dwellMs: 800,
+    trialTimeoutMs: 8000,
+    trials: [
+      { at: [0.25, 0.3] },
+      { at: [0.75, 0.7] },
+      { at: [0.6, 0.25] },
+      { at: [0.35, 0.75] },
+      { at: [0.85, 0.45] },
+      { at: [0.15, 0.5] },
+    ],
+  },
+};
+
+/**
+ * Convert a stage-fraction point to stage pixels
+ * @param {Array<number>} point - [x, y] in 0-1
+ * @param {number} width - Stage width
+ * @param {number} height - Stage height
+ * @returns {object} { x, y }
+ */
+export const toStagePoint = ([x, y], width, height) => ({ x: x * width, y: y * height });
+
+/**
+ * Shortest distance from a point to a polyline
+ * @param {object} point - { x, y }
+ * @param {Array<object>} path - [{ x, y }, ...]
+ * @returns {number} Distance in px
+ */
+export const distanceToPath = (point, path) => {
+  let best = Infinity;
+
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+      : 0;
+    best = Math.min(best, Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy)));
+  }
+
+  return best;
+};
+
+/**
+ * Total length of a polyline
+ * @param {Array<object>} path - [{ x, y }, ...]
+ * @returns {number} Length in px
+ */
+export const pathLength = (path) => {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+  return length;
+};
+
+export default {
+  MOTOR_TASK_TYPES,
+  MOTOR_TASK_ORDER,
+  MOTOR_TASKS,
+  toStagePoint,
+  distanceToPath,
+  pathLength,
+};
@@ -0,0 +1,108 @@
+/**
+ * Optotypes
+ * Stimuli for the visual acuity challenge. Tumbling E and Landolt C are
+ * answered by direction (buttons, swipe or arrow keys), so the result does not
+ * depend on reading or typing numbers; digits are kept for comparison with
+ * earlier sessions.
+ *
+ * Both optotypes are drawn on a 5 x 5 grid: the stroke and the gap are one grid
+ * unit, so an optotype of size S px has S/5 px detail (1 arc minute at 20/20).
+ *
+ * Select with VITE_ACUITY_OPTOTYPE=tumbling_e|landolt_c|digits, or per browser
+ * session with ?optotype=...
+ */
+
+import { resolveModeFlag } from './modeFlags';
+
+export const OPTOTYPE_TYPES = {
+  TUMBLING_E: 'tumbling_e',
+  LANDOLT_C: 'landolt_c',
+  DIGITS: 'digits',
+};
+
+// Direction the E's bars / the C's gap point to, with the rotation from 'right'
+export const DIRECTIONS = {
+  RIGHT: 'right',
+  DOWN: 'down',
+  LEFT: 'left',
+  UP: 'up',
+};
+
+export const DIRECTION_ROTATION = {
+  [DIRECTIONS.RIGHT]: 0,
+  [DIRECTIONS.DOWN]: 90,
+  [DIRECTIONS.LEFT]: 180,
+  [DIRECTIONS.UP]: 270,
+};
+
+const OPTOTYPE_STORAGE_KEY = 'sensecheck_acuity_optotype';
+
+const DIRECTION_KEYS = {
+  ArrowRight: DIRECTIONS.RIGHT,
+  ArrowDown: DIRECTIONS.DOWN,
+  ArrowLeft: DIRECTIONS.LEFT,
+  ArrowUp: DIRECTIONS.UP,
+};
+
+// Shortest swipe (px) that counts as an answer
+const MIN_SWIPE_DISTANCE = 40;
+
+/**
+ * Resolve the optotype type
+ */
+export const getOptotypeType = () => resolveModeFlag(
+  'optotype',
+  OPTOTYPE_STORAGE_KEY,
+  import.meta.env.VITE_ACUITY_OPTOTYPE,
+  Object.values(OPTOTYPE_TYPES),
+  OPTOTYPE_TYPES.TUMBLING_E
+);
+
+/**
+ * Whether the optotype is answered by direction rather than typed
+ */
+export const isDirectionalOptotype = (type) => type !== OPTOTYPE_TYPES.DIGITS;
+
+/**
+ * Chance of answering correctly by guessing - one of four directions,
+ * or one of the 90 two-digit numbers
+ */
+export const getGuessRate = (type) => (isDirectionalOptotype(type) ? 1 / 4 : 1 / 90);
+
+/**
+ * Random direction - uniform, repeats included, so guessing stays at 1 in 4
+ */
+export const pickDirection = () => {
+  const options = Object.values(DIRECTIONS);
+  return options[Math.floor(Math.random() * options.length)];
+};
+
+/**
+ * Map a keyboard key to a direction (arrow keys only)
+ * @returns {string|null}
+ */
+export const getDirectionFromKey = (key) => DIRECTION_KEYS[key] || null;
+
+/**
+ * Map a swipe to a direction by its dominant axis
+ * @param {number} dx - Horizontal travel (px)
+ * @param {number} dy - Vertical travel (px, down is positive)
+ * @returns {string|null} null when the swipe is too short
+ */
+export const getDirectionFromSwipe = (dx, dy) => {
+  if (Math.hypot(dx, dy) < MIN_SWIPE_DISTANCE) return null;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? DIRECTIONS.RIGHT : DIRECTIONS.LEFT;
+  return dy > 0 ? DIRECTIONS.DOWN : DIRECTIONS.UP;
+};
+
+export default {
+  OPTOTYPE_TYPES,
+  DIRECTIONS,
+  DIRECTION_ROTATION,
+  getOptotypeType,
+  isDirectionalOptotype,
+  getGuessRate,
+  pickDirection,
+  getDirectionFromKey,
+  getDirectionFromSwipe,
+};
@@ -0,0 +1,286 @@
+/**
+ * Upload Outbox
+ * Persists failed API writes in IndexedDB and replays them, in order,
+ * with exponential backoff once connectivity returns.
+ */
+
+import { isIndexedDbAvailable, openDatabase, runStoreRequest } from './indexedDb';
+
+const DB_NAME = 'sensecheck_outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'requests';
+
+// Retry schedule: 2s, 4s, 8s ... capped at 1 minute (plus up to 20% jitter)
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+class UploadOutbox {
+  constructor() {
+    this.dbPromise = null;
+    this.memoryStore = new Map(); // Fallback when IndexedDB is unavailable
+    this.send = null;
+    this.isRetryable = () => true;
+    this.listeners = new Set();
+
+    this.status = {
+      pending: 0,
+      failed: 0,
+      isFlushing: false,
+      nextRetryAt: null,
+      lastError: null,
+    };
+
+    this.retryAttempt = 0;
+    this.retryTimer = null;
+    this.flushPromise = null;
+    this.handleOnline = this.handleOnline.bind(this);
+  }
+
+  /**
+   * Start replaying queued requests
+   * @param {object} options
+   * @param {function} options.send - Replays a queued entry, resolves on success
+   * @param {function} options.isRetryable - Decides whether a send error is transient
+   */
+  start({ send, isRetryable }) {
+    this.send = send;
+    if (isRetryable) this.isRetryable = isRetryable;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    // Pick up anything left over from a previous page load
+    this.refreshStatus()
+      .then(() => {
+        if (this.status.pending > 0) this.flush();
+      })
+      .catch((error) => console.error('Outbox: failed to read queue:', error));
+  }
+
+  // ===== STORAGE =====
+
+  getDb() {
+    if (!isIndexedDbAvailable()) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      }).catch((error) => {
+        console.error('Outbox: IndexedDB unavailable, using memory queue:', error);
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async getEntry(key) {
+    const db = await this.getDb();
+    if (!db) return this.memoryStore.get(key) || null;
+    const entry = await runStoreRequest(db, STORE_NAME, 'readonly', store => store.get(key));
+    return entry || null;
+  }
+
+  async getEntries() {
+    const db = await this.getDb();
+    const entries = db
+      ? await runStoreRequest(db, STORE_NAME, 'readonly', store => store.getAll())
+      : [...this.memoryStore.values()];
+
+    // Replay in the order requests were originally made
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async putEntry(entry) {
+    const db = await this.getDb();
+    if (!db) {
+      this.memoryStore.set(entry.key, entry);
+      return;
+    }
+    await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.put(entry));
+  }
+
+  async removeEntry(key) {
+    const db = await this.getDb();
+    if (!db) {
+      this.memoryStore.delete(key);
+      return;
+    }
+    await runStoreRequest(db, STORE_NAME, 'readwrite', store => store.delete(key));
+  }
+
+  // ===== QUEUE =====
+
+  /**
+   * Check whether anything is still waiting to upload
+   * New writes should queue behind these so the backend sees them in order
+   */
+  hasPending() {
+    return this.status.pending > 0;
+  }
+
+  /**
+   * Queue a request for later delivery
+   * Requests with a key already in the queue are ignored
+   * @param {object} request - { key, method, url, data, idempotencyKey }
+   * @returns {Promise<object>} The queued entry
+   */
+  async enqueue({ key, method, url, data, idempotencyKey = null }) {
+    const existing = await this.getEntry(key);
+    if (existing) return existing;
+
+    const entry = {
+      key,
+      method,
+      url,
+      data,
+      idempotencyKey,
+      createdAt: Date.now(),
+      attempts: 0,
+      lastError: null,
+    };
+
+    await this.putEntry(entry);
+    await this.refreshStatus();
+    this.scheduleRetry();
+
+    return entry;
+  }
+
+  /**
+   * Replay queued requests in order
+   * Stops at the first transient failure and schedules a retry with backoff;
+   * requests the server rejects outright are dropped and counted as failed.
+   * A call made while a flush is running shares that flush.
+   * @returns {Promise<void>} Resolves once the flush has finished
+   */
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async runFlush() {
+    if (!this.send) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    this.clearRetryTimer();
+    this.updateStatus({ isFlushing: true });
+
+    let blocked = false;
+
+    try {
+      const entries = await this.getEntries();
+
+      for (const entry of entries) {
+        try {
+          await this.send(entry);
+          await this.removeEntry(entry.key);
+        } catch (error) {
+          if (this.isRetryable(error)) {
+            await this.putEntry({
+              ...entry,
+              attempts: entry.attempts + 1,
+              lastError: error.message || 'Request failed',
+            });
+            this.updateStatus({ lastError: error.message || 'Request failed' });
+            blocked = true;
+            break;
+          }
+
+          console.error(`Outbox: dropping rejected request ${entry.method.toUpperCase()} ${entry.url}:`, error);
+          await this.removeEntry(entry.key);
+          this.updateStatus({ failed: this.status.failed + 1 });
+        }
+      }
+    } catch (error) {
+      console.error('Outbox: flush failed:', error);
+      blocked = true;
+    } finally {
+      this.updateStatus({ isFlushing: false });
+      await this.refreshStatus();
+    }
+
+    if (blocked) {
+      this.retryAttempt++;
+      this.scheduleRetry();
+    } else {
+      this.retryAttempt = 0;
+      this.updateStatus({ lastError: null });
+    }
+  }
+
+  // ===== RETRY SCHEDULING =====
+
+  getRetryDelay() {
+    const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, this.retryAttempt));
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer || this.status.pending === 0) return;
+
+    const delay = this.getRetryDelay();
+    this.updateStatus({ nextRetryAt: Date.now() + delay });
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.updateStatus({ nextRetryAt: null });
+      this.flush();
+    }, delay);
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.updateStatus({ nextRetryAt: null });
+    }
+  }
+
+  handleOnline() {
+    // Connectivity is back - retry immediately and reset the backoff
+    this.retryAttempt = 0;
+    this.flush();
+  }
+
+  // ===== STATUS =====
+
+  async refreshStatus() {
+    const entries = await this.getEntries();
+    this.updateStatus({ pending: entries.length });
+  }
+
+  updateStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  /**
+   * Get a snapshot of the queue status
+   * @returns {object} { pending, failed, isFlushing, nextRetryAt, lastError }
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Subscribe to queue status changes
+   * @param {function} listener - Called with the new status
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Single shared outbox for the whole app
+const outbox = new UploadOutbox();
+
+export default outbox;
@@ -0,0 +1,775 @@
+/**
+ * API Payload Schemas
+ * Versioned schema registry for every payload posted from api.js.
+ *
+ * Each entry declares the current version and the field that carries it
+ * (snake_case payloads use `schema_version`, camelCase ones `schemaVersion`)
+ * so the backend can migrate payloads from old clients.
+ * Bump `version` whenever a payload shape changes.
+ */
+
+import { validateSchema } from './schemaValidation';
+import { MOTOR_TASK_TYPES } from './motorTasks';
+import { DIFFICULTY_MODES } from './motorStaircase';
+import { OPTOTYPE_TYPES } from './optotypes';
+import { EYES } from './monocularAcuity';
+import { DISTANCE_METHODS, PX_PER_MM_SOURCES } from './viewingDistance';
+import { PLATE_SETS, DEFICIENCY_AXES } from './pseudoIsochromaticPlates';
+import { DEFICIENCY_TYPES } from './colorBlindnessAnalysis';
+import { DISPLAY_ISSUES } from './displayConditions';
+import { STOP_REASONS } from './itemResponseTheory';
+import { LITERACY_TASK_TYPES } from './literacyTasks';
+import { MAX_READING_LEVEL } from './readingAssessment';
+import { ANSWER_PATTERNS } from './answerConfidence';
+import { SUPPORTED_LOCALES } from './i18n';
+
+// ==================== SHARED FRAGMENTS ====================
+
+const id = { type: 'string', minLength: 1 };
+const optionalId = { type: ['string', 'null'] };
+const isoDate = { type: 'string', minLength: 1 };
+const probability = { type: 'number', minimum: 0, maximum: 1 };
+const nullableNumber = { type: ['number', 'null'] };
+const nullableProbability = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+const locale = { type: 'string', enum: SUPPORTED_LOCALES };
+
+const perfMetrics = {
+  type: 'object',
+  properties: {
+    samplingHzTarget: { type: 'number' },
+    samplingHzEstimated: nullableNumber,
+    avgFrameMs: nullableNumber,
+    p95FrameMs: nullableNumber,
+    droppedFrames: { type: 'integer', minimum: 0 },
+    inputLagMsEstimate: nullableNumber,
+  },
+};
+
+const displayConditions = {
+  type: 'object',
+  required: ['issues', 'reliable'],
+  properties: {
+    colorGamut: { type: ['string', 'null'], enum: ['srgb', 'p3', 'rec2020', null] },
+    dynamicRange: { type: ['string', 'null'], enum: ['standard', 'high', null] },
+    invertedColors: { type: ['boolean', 'null'] },
+    forcedColors: { type: ['boolean', 'null'] },
+    responses: { type: 'object' },
+    issues: { type: 'array', items: { type: 'string', enum: Object.values(DISPLAY_ISSUES) } },
+    reliable: { type: 'boolean' },
+  },
+};
+
+const testConditions = {
+  type: 'object',
+  required: ['viewingDistanceCm', 'distanceMethod', 'pxPerMm', 'pxPerMmSource'],
+  properties: {
+    viewingDistanceCm: { type: 'number', minimum: 0 },
+    distanceMethod: { type: 'string', enum: Object.values(DISTANCE_METHODS) },
+    pxPerMm: { type: 'number', minimum: 0 },
+    pxPerMmSource: { type: 'string', enum: Object.values(PX_PER_MM_SOURCES) },
+    blindSpotDistancesMm: { type: ['array', 'null'], items: { type: 'number' } },
+    // v11 - screen check before the colour tests (colour results only)
+    display: displayConditions,
+  },
+};
+
+const colorBlindnessResult = {
+  type: 'object',
+  required: ['plates', 'colorVisionScore', 'colorBlindnessScore'],
+  properties: {
+    plates: { type: 'array', items: { type: 'object' } },
+    colorVisionScore: probability,
+    colorBlindnessScore: probability,
+    diagnosis: { type: 'string' },
+    totalPlates: { type: 'integer', minimum: 0 },
+    // v6 - plate size from the saved screen calibration (null = default layout)
+    plateDiameterPx: nullableNumber,
+    // v8 - scanned Ishihara images or canvas-generated confusion-line plates
+    plateSet: { type: 'string', enum: Object.values(PLATE_SETS) },
+    // v9 - deficiency type and severity from the plates' confusion axes
+    deficiencyType: { type: 'string', enum: Object.values(DEFICIENCY_TYPES) },
+    deficiencySeverity: probability,
+    deficiencySeverityLevel: { type: 'string', enum: ['none', 'mild', 'moderate', 'severe'] },
+    deficiencyConfidence: { type: 'string', enum: ['high', 'low'] },
+    deficiencyAxes: { type: 'object' },
+    // v11 - viewing conditions and screen check
+    testConditions,
+  },
+};
+
+const hueArrangementResult = {
+  type: 'object',
+  required: ['order', 'confusionIndex', 'deficiencyType'],
+  properties: {
+    order: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 15 } },
+    moves: { type: 'array', items: { type: 'object' } },
+    durationMs: { type: 'number', minimum: 0 },
+    confusionIndex: { type: 'number', minimum: 0 },
+    selectivityIndex: nullableNumber,
+    totalErrorScore: { type: 'number', minimum: 0 },
+    confusionAngle: { type: 'number', minimum: -90, maximum: 90 },
+    majorRadius: { type: 'number', minimum: 0 },
+    minorRadius: { type: 'number', minimum: 0 },
+    majorCrossings: { type: 'array', items: { type: 'object' } },
+    crossingAxis: { type: ['string', 'null'], enum: [...Object.values(DEFICIENCY_AXES), null] },
+    passed: { type: 'boolean' },
+    deficiencyType: { type: 'string', enum: Object.values(DEFICIENCY_TYPES) },
+    deficiencySeverity: nullableProbability,
+    colorBlindnessScore: nullableProbability,
+    testConditions,
+  },
+};
+
+
+const visualAcuityResult = {
+  type: 'object',
+  required: ['attempts', 'finalResolvedSize'],
+  properties: {
+    attempts: { type: 'array', items: { type: 'object' } },
+    eye: { type: 'string', enum: Object.values(EYES) },
+    finalLevel: { type: 'integer', minimum: 1 },
+    finalResolvedSize: { type: 'number', minimum: 0 },
+    optotype: { type: 'string', enum: Object.values(OPTOTYPE_TYPES) },
+    logMar: nullableNumber,
+    logMarCi95: { type: ['array', 'null'], items: { type: 'number' } },
+    letterScoreLogMar: nullableNumber,
+    // v12 - the chart's smallest line, and whether passing it capped the estimate
+    censored: { type: 'boolean' },
+    chartLimitLogMar: nullableNumber,
+    reachesTwentyTwenty: { type: 'boolean' },
+    // v13 - no loss is derived from a censored result (null, with `censored` set)
+    visionLoss: nullableProbability,
+    visionLossCi95: { type: ['array', 'null'], items: probability },
+    visualAcuityDecimal: { type: 'number', minimum: 0 },
+    // v14 - a rating code for the both-eyes game result (the legacy acuity module still sends text)
+    visionRating: { type: 'string' },
+    perEye: { type: 'object' },
+    interocularLogMarDifference: nullableNumber,
+    acuityAsymmetry: { type: ['boolean', 'null'] },
+    testConditions,
+  },
+};
+
+const contrastSensitivityResult = {
+  type: 'object',
+  required: ['logCS', 'trials'],
+  properties: {
+    method: { type: 'string' },
+    logCS: { type: 'number', minimum: 0 },
+    thresholdContrast: probability,
+    category: { type: 'string', enum: ['normal', 'reduced', 'impaired', 'severe'] },
+    reversals: { type: 'array', items: { type: 'number' } },
+    displayLimitLogCS: { type: 'number', minimum: 0 },
+    displayLimited: { type: 'boolean' },
+    trials: { type: 'array', items: { type: 'object' } },
+    trialCount: { type: 'integer', minimum: 0 },
+    correctCount: { type: 'integer', minimum: 0 },
+    letterSizePx: { type: 'number', minimum: 0 },
+    backgroundLevel: { type: 'integer', minimum: 0, maximum: 255 },
+    testConditions,
+  },
+};
+
+const literacyResponse = {
+  type: 'object',
+  properties: {
+    questionId: id,
+    isCorrect: { type: 'boolean' },
+    responseTime: { type: 'number', minimum: 0 },
+    focusShifts: { type: 'integer', minimum: 0 },
+    hoverEvents: { type: 'array', items: { type: 'object' } },
+    // v4 - behaviour around the answer
+    answerChanges: { type: 'integer', minimum: 0 },
+    timeToFirstInteractionMs: { type: 'number', minimum: 0 },
+    // v3 - hands-on task items only
+    task: { type: 'string', enum: Object.values(LITERACY_TASK_TYPES) },
+    errorClicks: { type: 'integer', minimum: 0 },
+    errorTargets: { type: 'array', items: { type: 'string' } },
+    hesitationMs: { type: 'number', minimum: 0 },
+    longestPauseMs: { type: 'number', minimum: 0 },
+    actionCount: { type: 'integer', minimum: 0 },
+    taskDetails: { type: 'object' },
+  },
+};
+
+const confidenceSummary = {
+  type: 'object',
+  required: ['count', 'confidence'],
+  properties: {
+    category: { type: 'string' },
+    count: { type: 'integer', minimum: 0 },
+    confidence: nullableProbability,
+    answerChanges: { type: 'integer', minimum: 0 },
+    meanDistractorDwellMs: nullableNumber,
+    meanTimeToFirstInteractionMs: nullableNumber,
+    known: { type: 'integer', minimum: 0 },
+    likelyGuesses: { type: 'integer', minimum: 0 },
+    misconceptions: { type: 'integer', minimum: 0 },
+    guessRate: nullableProbability,
+  },
+};
+
+const answerConfidence = {
+  type: 'object',
+  required: ['overall', 'categories', 'responses'],
+  properties: {
+    overall: confidenceSummary,
+    categories: { type: 'array', items: confidenceSummary },
+    responses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'confidence', 'pattern'],
+        properties: {
+          questionId: id,
+          confidence: nullableProbability,
+          pattern: { type: ['string', 'null'], enum: [...Object.values(ANSWER_PATTERNS), null] },
+        },
+      },
+    },
+  },
+};
+
+const readingPassage = {
+  type: 'object',
+  required: ['passageId', 'level', 'words', 'readingMs', 'correctCount', 'questionCount', 'passed'],
+  properties: {
+    passageId: id,
+    level: { type: 'integer', minimum: 1, maximum: MAX_READING_LEVEL },
+    grade: { type: 'number' },
+    words: { type: 'integer', minimum: 1 },
+    readingMs: { type: 'number', minimum: 0 },
+    wordsPerMinute: nullableNumber,
+    skimmed: { type: 'boolean' },
+    answers: { type: 'array', items: { type: 'object' } },
+    correctCount: { type: 'integer', minimum: 0 },
+    questionCount: { type: 'integer', minimum: 0 },
+    passed: { type: 'boolean' },
+  },
+};
+
+const pointerSample = {
+  type: 'object',
+  required: ['round', 'tms', 'x', 'y', 'isDown', 'pointerType'],
+  properties: {
+    round: { type: 'integer', minimum: 1 },
+    tms: { type: 'number' },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    isDown: { type: 'boolean' },
+    pointerType: { type: 'string' },
+  },
+};
+
+const motorAttempt = {
+  type: 'object',
+  required: ['round', 'attemptId', 'bubbleId', 'spawnTms', 'target', 'click', 'timing', 'spatial'],
+  properties: {
+    round: { type: 'integer', minimum: 1 },
+    attemptId: id,
+    bubbleId: { type: ['string', 'number'] },
+    spawnTms: { type: 'number' },
+    column: { type: ['integer', 'null'] },
+    speedNorm: { type: 'number', minimum: 0 },
+    target: {
+      type: 'object',
+      required: ['x', 'y', 'radius'],
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        radius: { type: 'number', minimum: 0 },
+      },
+    },
+    click: {
+      type: 'object',
+      required: ['clicked', 'hit', 'missType', 'tms'],
+      properties: {
+        clicked: { type: 'boolean' },
+        hit: { type: 'boolean' },
+        missType: { enum: ['hit', 'timeout', 'unknown'] },
+        tms: { type: 'number' },
+        x: nullableNumber,
+        y: nullableNumber,
+      },
+    },
+    timing: {
+      type: 'object',
+      required: ['reactionTimeMs'],
+      properties: { reactionTimeMs: nullableNumber },
+    },
+    spatial: {
+      type: 'object',
+      required: ['errorDistNorm'],
+      properties: { errorDistNorm: nullableNumber },
+    },
+    // Added in v2 - movement leading to a hit (null for escaped bubbles)
+    kinematics: {
+      type: ['object', 'null'],
+      properties: {
+        pathEfficiency: { type: 'number', minimum: 0, maximum: 1 },
+        submovementCount: { type: 'integer', minimum: 0 },
+        peakVelocityNorm: { type: 'number', minimum: 0 },
+        averageVelocityNorm: { type: 'number', minimum: 0 },
+        rmsJerkNorm: { type: 'number', minimum: 0 },
+        // v4
+        overshoot: { type: 'boolean' },
+        correctiveSubmovements: { type: 'integer', minimum: 0 },
+      },
+    },
+    // Added in v3 - Fitts' Law trial (null for misses and the first hit of a round)
+    fitts: {
+      type: ['object', 'null'],
+      properties: {
+        amplitudeNorm: { type: 'number', minimum: 0 },
+        indexOfDifficulty: { type: 'number', minimum: 0 },
+        movementTimeMs: { type: 'number', minimum: 0 },
+        deviationNorm: { type: 'number' },
+      },
+    },
+    // Added in v6 - bubble parameters in force (fixed wave or adaptive staircase level)
+    difficulty: {
+      type: ['object', 'null'],
+      required: ['mode', 'level'],
+      properties: {
+        mode: { enum: Object.values(DIFFICULTY_MODES) },
+        level: { type: ['integer', 'null'], minimum: 0 },
+        speedNorm: { type: 'number', minimum: 0 },
+        radiusNorm: { type: 'number', minimum: 0 },
+        spawnIntervalMs: { type: 'number', minimum: 0 },
+      },
+    },
+    // Added in v5 - which motor task produced the attempt, plus task-specific details
+    task: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: Object.values(MOTOR_TASK_TYPES) },
+      },
+    },
+  },
+};
+
+const replayEvent = {
+  type: 'object',
+  required: ['t', 'type'],
+  properties: {
+    t: { type: 'number' },
+    type: { type: 'string', minLength: 1 },
+  },
+};
+
+const interactionAnalytics = {
+  type: 'object',
+  required: ['sessionId', 'module'],
+  properties: {
+    sessionId: id,
+    module: { type: 'string' },
+  },
+};
+
+// ==================== REGISTRY ====================
+
+export const PAYLOAD_SCHEMAS = {
+  session: {
+    version: 2,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'userId'],
+      properties: {
+        sessionId: id,
+        userId: id,
+        // v2 - language the session was run in
+        locale,
+        viewportWidth: { type: 'number' },
+        viewportHeight: { type: 'number' },
+        devicePixelRatio: { type: 'number' },
+        userInfo: {
+          type: 'object',
+          properties: {
+            age: { type: 'integer', minimum: 18, maximum: 120 },
+            gender: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+
+  sessionPerformance: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'perf'],
+      properties: { sessionId: id, perf: perfMetrics },
+    },
+  },
+
+  sessionLocale: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'locale'],
+      properties: { sessionId: id, locale },
+    },
+  },
+
+  visionResults: {
+    version: 14,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId'],
+      anyOf: [
+        { required: ['colorBlindness'] },
+        { required: ['hueArrangement'] },
+        { required: ['visualAcuity'] },
+        { required: ['visualAcuityLeftEye'] },
+        { required: ['visualAcuityRightEye'] },
+        { required: ['contrastSensitivity'] },
+      ],
+      properties: {
+        sessionId: id,
+        userId: optionalId,
+        colorBlindness: colorBlindnessResult,
+        // v10 - Farnsworth D-15 style hue arrangement
+        hueArrangement: hueArrangementResult,
+        visualAcuity: visualAcuityResult,
+        // v4 - single-eye runs of the optional per-eye flow
+        visualAcuityLeftEye: visualAcuityResult,
+        visualAcuityRightEye: visualAcuityResult,
+        // v5 - viewing distance and screen density the acuity optotypes were sized for
+        testConditions,
+        // v7 - Pelli-Robson style contrast sensitivity staircase
+        contrastSensitivity: contrastSensitivityResult,
+      },
+    },
+  },
+
+  literacyResults: {
+    version: 5,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'responses', 'score', 'correctAnswers', 'totalQuestions'],
+      properties: {
+        sessionId: id,
+        userId: optionalId,
+        responses: { type: 'array', items: literacyResponse },
+        score: probability,
+        correctAnswers: { type: 'integer', minimum: 0 },
+        totalQuestions: { type: 'integer', minimum: 0 },
+        categoryScores: { type: 'array', items: { type: 'object' } },
+        // v2 - 2PL ability estimate; method and stopReason only from the adaptive quiz
+        method: { type: 'string' },
+        theta: nullableNumber,
+        thetaSe: nullableNumber,
+        stopReason: { type: 'string', enum: Object.values(STOP_REASONS) },
+        // v4 - answer confidence from hesitation, answer changes and distractor dwell
+        answerConfidence,
+        // v5 - language the questions were shown in; scores are comparable within a language
+        locale,
+      },
+    },
+  },
+
+  readingResults: {
+    version: 2,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'readingLevel', 'wordsPerMinute', 'comprehension', 'passages'],
+      properties: {
+        sessionId: id,
+        userId: optionalId,
+        method: { type: 'string' },
+        readingLevel: { type: 'integer', minimum: 0, maximum: MAX_READING_LEVEL },
+        readingLevelLabel: { type: 'string' },
+        readingGrade: nullableNumber,
+        wordsPerMinute: { type: ['number', 'null'], minimum: 0 },
+        comprehension: nullableProbability,
+        passageCount: { type: 'integer', minimum: 0 },
+        passages: { type: 'array', items: readingPassage },
+        fontSizePx: { type: 'number', minimum: 0 },
+        // v2 - language the passages were shown in; speeds are comparable within a language
+        locale,
+      },
+    },
+  },
+
+  moduleCompletion: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'moduleName'],
+      properties: { sessionId: id, moduleName: id },
+    },
+  },
+
+  pointerTrace: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'samples'],
+      properties: {
+        sessionId: id,
+        userId: optionalId,
+        samples: { type: 'array', items: pointerSample },
+      },
+    },
+  },
+
+  motorAttempts: {
+    version: 6,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'attempts'],
+      properties: {
+        sessionId: id,
+        userId: optionalId,
+        attempts: { type: 'array', items: motorAttempt },
+      },
+    },
+  },
+
+  motorReplay: {
+    version: 2,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'seed', 'stage', 'events'],
+      properties: {
+        sessionId: id,
+        seed: { type: 'integer', minimum: 0 },
+        stage: {
+          type: 'object',
+          required: ['width', 'height'],
+          // v2 - pxPerMm from the saved screen calibration (null when uncalibrated)
+          properties: { width: { type: 'number' }, height: { type: 'number' }, pxPerMm: nullableNumber },
+        },
+        startedAt: { type: 'number' },
+        truncated: { type: 'boolean' },
+        events: { type: 'array', items: replayEvent },
+      },
+    },
+  },
+
+  roundSummary: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'participantId', 'round'],
+      properties: { sessionId: id, participantId: id, round: { type: 'integer', minimum: 1 } },
+    },
+  },
+
+  sessionSummary: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['sessionId', 'participantId'],
+      properties: { sessionId: id, participantId: id },
+    },
+  },
+
+  interactionAnalytics: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: interactionAnalytics,
+  },
+
+  interactionAnalyticsBatch: {
+    version: 1,
+    versionField: 'schemaVersion',
+    schema: {
+      type: 'object',
+      required: ['batches'],
+      properties: { batches: { type: 'array', items: interactionAnalytics } },
+    },
+  },
+
+  // Research schema - no extra fields allowed
+  impairmentProfile: {
+    version: 7,
+    versionField: 'schema_version',
+    schema: {
+      type: 'object',
+      required: ['user_id', 'session_id', 'captured_at', 'impairment_probs', 'onboarding_metrics', 'device_context'],
+      additionalProperties: false,
+      properties: {
+        schema_version: { type: 'integer' },
+        user_id: id,
+        session_id: id,
+        captured_at: isoDate,
+        impairment_probs: {
+          type: 'object',
+          required: ['vision', 'motor', 'literacy', 'reading'],
+          additionalProperties: false,
+          properties: {
+            vision: {
+              type: 'object',
+              required: [
+                'vision_loss', 'vision_loss_left', 'vision_loss_right', 'acuity_asymmetry',
+                'color_blindness', 'color_deficiency_type', 'color_deficiency_severity', 'contrast_sensitivity',
+              ],
+              additionalProperties: false,
+              properties: {
+                vision_loss: probability,
+                // v4 - per-eye vision loss and interocular asymmetry, null unless each eye was tested
+                vision_loss_left: nullableProbability,
+                vision_loss_right: nullableProbability,
+                acuity_asymmetry: { type: ['boolean', 'null'] },
+                color_blindness: probability,
+                // v6 - deficiency type for picking a daltonization filter, null when not measured or inconclusive
+                color_deficiency_type: {
+                  type: ['string', 'null'],
+                  enum: ['normal', 'protan', 'deutan', 'tritan', 'achromat', null],
+                },
+                color_deficiency_severity: nullableProbability,
+                // v5 - Pelli-Robson log contrast sensitivity, null when not measured
+                contrast_sensitivity: { type: ['number', 'null'], minimum: 0 },
+              },
+            },
+            motor: {
+              type: 'object',
+              required: ['inaccurate_click', 'throughput_bps', 'tremor_prob', 'overshoot_rate'],
+              additionalProperties: false,
+              properties: {
+                inaccurate_click: probability,
+                // v2 - Fitts' Law effective throughput, null when too few hits
+                throughput_bps: { type: ['number', 'null'], minimum: 0 },
+                // v3 - 4-12Hz tremor and share of movements that overshot the target
+                tremor_prob: probability,
+                overshoot_rate: probability,
+              },
+            },
+            literacy: probability,
+            // v7 - reading level (0-5) and speed from graded passages, null when not measured
+            reading: {
+              type: 'object',
+              required: ['reading_level', 'reading_grade', 'words_per_minute', 'comprehension'],
+              additionalProperties: false,
+              properties: {
+                reading_level: { type: ['integer', 'null'], minimum: 0, maximum: MAX_READING_LEVEL },
+                reading_grade: nullableNumber,
+                words_per_minute: { type: ['number', 'null'], minimum: 0 },
+                comprehension: nullableProbability,
+              },
+            },
+          },
+        },
+        onboarding_metrics: {
+          type: 'object',
+          required: ['avg_reaction_ms', 'hit_rate'],
+          additionalProperties: false,
+          properties: {
+            avg_reaction_ms: { type: 'number', minimum: 0 },
+            hit_rate: probability,
+          },
+        },
+        device_context: {
+          type: 'object',
+          required: ['os', 'browser', 'screen_w', 'screen_h', 'dpr'],
+          additionalProperties: false,
+          properties: {
+            os: { type: 'string' },
+            browser: { type: 'string' },
+            screen_w: { type: 'number', minimum: 0 },
+            screen_h: { type: 'number', minimum: 0 },
+            dpr: { type: 'number', minimum: 0 },
+          },
+        },
+      },
+    },
+  },
+
+  deviceContext: {
+    version: 1,
+    versionField: 'schema_version',
+    schema: {
+      type: 'object',
+      required: ['user_id', 'session_id', 'captured_at', 'viewportWidth', 'viewportHeight', 'devicePixelRatio'],
+      additionalProperties: false,
+      properties: {
+        schema_version: { type: 'integer' },
+        user_id: id,
+        session_id: id,
+        captured_at: isoDate,
+        viewportWidth: { type: 'number', minimum: 0 },
+        viewportHeight: { type: 'number', minimum: 0 },
+        devicePixelRatio: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+};
+
+// Envelope every backend response is expected to follow
+export const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    error: { type: 'string' },
+  },
+};
+
+/**
+ * Error thrown in development when a payload does not match its schema
+ */
+export class PayloadValidationError extends Error {
+  constructor(schemaName, errors) {
+    super(`Payload "${schemaName}" failed schema validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    this.name = 'PayloadValidationError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Stamp a payload with its schema version and validate it
+ * Throws in development; in production logs a structured warning and lets the payload through
+ * @param {string} schemaName - Key in PAYLOAD_SCHEMAS
+ * @param {object} payload - Payload to send
+ * @returns {object} Versioned payload
+ */
+export const preparePayload = (schemaName, payload) => {
+  const entry = PAYLOAD_SCHEMAS[schemaName];
+  if (!entry) {
+    throw new Error(`Unknown payload schema: ${schemaName}`);
+  }
+
+  const versioned = { ...payload, [entry.versionField]: entry.version };
+  const errors = validateSchema(entry.schema, versioned);
+
+  if (errors.length > 0) {
+    if (import.meta.env.DEV) {
+      throw new PayloadValidationError(schemaName, errors);
+    }
+    console.warn('Payload schema validation failed', {
+      schema: schemaName,
+      version: entry.version,
+      errors,
+    });
+  }
+
+  return versioned;
+};
+
+/**
+ * Check a backend response against the shared envelope (warning only)
+ * @param {string} url - Endpoint path, for the warning
+ * @param {any} data - Response body
+ */
+export const checkResponse = (url, data) => {
+  const errors = validateSchema(RESPONSE_SCHEMA, data);
+  if (errors.length > 0) {
+    console.warn('Response schema validation failed', { url, errors });
+  }
+};
+
+export default { PAYLOAD_SCHEMAS, RESPONSE_SCHEMA, PayloadValidationError, preparePayload, checkResponse };
@@ -0,0 +1,269 @@
+/**
+ * Pseudo-isochromatic Plates
+ * Dot-field colour plates drawn on a canvas instead of the four scanned
+ * Ishihara images. Each plate hides a digit whose dots differ from the
+ * background dots only along one dichromat confusion line (protan, deutan or
+ * tritan), so someone missing that cone class sees a uniform field; dot
+ * luminance is jittered the same way for figure and background, so the digit
+ * cannot be found by brightness alone.
+ *
+ * Saturation scales how far apart along the confusion line the two colours
+ * are (1 = as far as the sRGB gamut allows), so milder anomalous trichromats
+ * only lose the low-saturation plates. A control plate with a luminance-defined
+ * digit is shown first.
+ *
+ * Plates are built from a seed (the session ID), so a reload shows the same
+ * digits and dot layout. Definitions share the ISHIHARA_PLATES shape, so
+ * analyzeColorBlindness() scores them the same way.
+ *
+ * Select with VITE_COLOR_PLATES=generated|ishihara, or per browser session
+ * with ?plates=...
+ */
+
+import { SeededRandom } from './seededRandom';
+import { resolveModeFlag } from './modeFlags';
+
+export const PLATE_SETS = {
+  GENERATED: 'generated',
+  ISHIHARA: 'ishihara',
+};
+
+export const DEFICIENCY_AXES = {
+  PROTAN: 'protan',
+  DEUTAN: 'deutan',
+  TRITAN: 'tritan',
+};
+
+// Saturation levels per axis, most to least saturated
+export const SATURATION_LEVELS = [1, 0.6, 0.3];
+
+// Copunctal points (CIE 1931 xy) - every confusion line of a dichromat passes through its point
+const COPUNCTAL_POINTS = {
+  [DEFICIENCY_AXES.PROTAN]: { x: 0.7465, y: 0.2535 },
+  [DEFICIENCY_AXES.DEUTAN]: { x: 1.4, y: -0.4 },
+  [DEFICIENCY_AXES.TRITAN]: { x: 0.1748, y: 0.0044 },
+};
+
+// Figure and background sit either side of the D65 white point
+const WHITE_POINT = { x: 0.3127, y: 0.329 };
+
+// Dot luminance (CIE Y) is jittered in this range for figure and background alike
+const MIN_DOT_LUMINANCE = 0.2;
+const MAX_DOT_LUMINANCE = 0.4;
+
+// Control plate digit is darker than everything around it
+const CONTROL_FIGURE_LUMINANCE = [0.05, 0.12];
+
+// Dot packing in plate units (plate radius = 1), largest dots placed first
+const DOT_RADII = [0.05, 0.04, 0.032, 0.025, 0.019, 0.014];
+const DOT_ATTEMPTS_PER_RADIUS = 4000;
+const DOT_GAP = 0.006;
+const DOT_RADIUS_JITTER = 0.3;
+
+const PLATE_SET_STORAGE_KEY = 'sensecheck_color_plates';
+
+// getMaxConfusionDistance() results per axis
+const maxDistanceCache = new Map();
+
+const DIGITS = ['2', '3', '4', '5', '6', '7', '8', '9'];
+
+/**
+ * Resolve the plate set
+ */
+export const getPlateSet = () => resolveModeFlag(
+  'plates',
+  PLATE_SET_STORAGE_KEY,
+  import.meta.env.VITE_COLOR_PLATES,
+  Object.values(PLATE_SETS),
+  PLATE_SETS.GENERATED
+);
+
+const xyYToLinearRgb = ({ x, y }, Y) => {
+  const X = (x / y) * Y;
+  const Z = ((1 - x - y) / y) * Y;
+  return [
+    3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+    -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+    0.0557 * X - 0.204 * Y + 1.057 * Z,
+  ];
+};
+
+const linearToSrgbLevel = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  const encoded = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  return Math.round(encoded * 255);
+};
+
+const toCss = (rgb) => `rgb(${rgb.map(linearToSrgbLevel).join(', ')})`;
+
+const inGamut = (chromaticity) => xyYToLinearRgb(chromaticity, MAX_DOT_LUMINANCE)
+  .every(channel => channel >= 0 && channel <= 1);
+
+/**
+ * Unit direction along an axis's confusion line through the white point
+ * @param {string} axis - DEFICIENCY_AXES value
+ */
+const confusionDirection = (axis) => {
+  const point = COPUNCTAL_POINTS[axis];
+  const dx = WHITE_POINT.x - point.x;
+  const dy = WHITE_POINT.y - point.y;
+  const length = Math.hypot(dx, dy);
+  return { x: dx / length, y: dy / length };
+};
+
+const offsetChromaticity = (direction, distance) => ({
+  x: WHITE_POINT.x + direction.x * distance,
+  y: WHITE_POINT.y + direction.y * distance,
+});
+
+/**
+ * Largest xy distance from white along the confusion line that keeps both
+ * plate colours inside the sRGB gamut at the brightest dot luminance
+ * @param {string} axis - DEFICIENCY_AXES value
+ */
+export const getMaxConfusionDistance = (axis) => {
+  if (maxDistanceCache.has(axis)) return maxDistanceCache.get(axis);
+
+  const direction = confusionDirection(axis);
+  let low = 0;
+  let high = 0.5;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    const fits = inGamut(offsetChromaticity(direction, mid)) && inGamut(offsetChromaticity(direction, -mid));
+    if (fits) low = mid; else high = mid;
+  }
+
+  maxDistanceCache.set(axis, low);
+  return low;
+};
+
+/**
+ * Figure and background chromaticities for a plate
+ * @param {string} axis - DEFICIENCY_AXES value
+ * @param {number} saturation - 0-1 share of the in-gamut distance
+ * @returns {object} { figure: { x, y }, background: { x, y } }
+ */
+export const getPlateChromaticities = (axis, saturation) => {
+  const direction = confusionDirection(axis);
+  const distance = getMaxConfusionDistance(axis) * saturation;
+  return {
+    figure: offsetChromaticity(direction, distance),
+    background: offsetChromaticity(direction, -distance),
+  };
+};
+
+/**
+ * Plate definitions for a session, in the ISHIHARA_PLATES shape
+ * @param {number} seed - e.g. seedFromString(sessionId)
+ * @returns {array} [{ plateId, imageName: null, normalAnswer, colorBlindAnswer, description, axis, saturation, seed }]
+ */
+export const buildGeneratedPlates = (seed) => {
+  const random = new SeededRandom(seed);
+  const nextDigit = () => DIGITS[random.nextInt(DIGITS.length)];
+
+  const controlDigit = nextDigit();
+  const plates = [{
+    plateId: 'control',
+    imageName: null,
+    normalAnswer: controlDigit,
+    colorBlindAnswer: controlDigit,
+    description: `Control plate - everyone can see ${controlDigit}`,
+    axis: null,
+    saturation: null,
+    seed: random.nextInt(0xffffffff),
+  }];
+
+  // Easiest plates first: every axis at full saturation, then fainter
+  SATURATION_LEVELS.forEach(saturation => {
+    Object.values(DEFICIENCY_AXES).forEach(axis => {
+      const digit = nextDigit();
+      plates.push({
+        plateId: `${axis}-${Math.round(saturation * 100)}`,
+        imageName: null,
+        normalAnswer: digit,
+        colorBlindAnswer: 'nothing',
+        description: `${axis} confusion line at ${Math.round(saturation * 100)}% saturation - normal sees ${digit}, ${axis} deficiency sees nothing`,
+        axis,
+        saturation,
+        seed: random.nextInt(0xffffffff),
+      });
+    });
+  });
+
+  return plates;
+};
+
+/**
+ * Random dot packing inside the unit circle
+ * @param {number} seed - Plate seed
+ * @returns {array} [{ x, y, r, shade }] in plate units (radius 1); shade is 0-1 luminance jitter
+ */
+export const generateDotField = (seed) => {
+  const random = new SeededRandom(seed);
+  const dots = [];
+  const cellSize = 2 * DOT_RADII[0] * (1 + DOT_RADIUS_JITTER / 2) + DOT_GAP;
+  const grid = new Map();
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+
+  const fits = (x, y, r) => {
+    const cx = Math.floor(x / cellSize);
+    const cy = Math.floor(y / cellSize);
+    for (let gx = cx - 1; gx <= cx + 1; gx++) {
+      for (let gy = cy - 1; gy <= cy + 1; gy++) {
+        const cell = grid.get(cellKey(gx, gy));
+        if (!cell) continue;
+        for (const dot of cell) {
+          if (Math.hypot(dot.x - x, dot.y - y) < dot.r + r + DOT_GAP) return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  DOT_RADII.forEach(radius => {
+    for (let attempt = 0; attempt < DOT_ATTEMPTS_PER_RADIUS; attempt++) {
+      const x = random.next() * 2 - 1;
+      const y = random.next() * 2 - 1;
+      const r = radius * (1 - DOT_RADIUS_JITTER / 2 + random.next() * DOT_RADIUS_JITTER);
+      if (Math.hypot(x, y) + r > 1 || !fits(x, y, r)) continue;
+
+      const dot = { x, y, r, shade: random.next() };
+      dots.push(dot);
+      const key = cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize));
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(dot);
+    }
+  });
+
+  return dots;
+};
+
+/**
+ * CSS colour of one dot
+ * @param {object} plate - Plate definition from buildGeneratedPlates()
+ * @param {boolean} isFigure - Whether the dot is part of the digit
+ * @param {number} shade - 0-1 luminance jitter from generateDotField()
+ */
+export const getDotColor = (plate, isFigure, shade) => {
+  if (!plate.axis) {
+    // Control plate - neutral dots, the digit is darker
+    const [min, max] = isFigure ? CONTROL_FIGURE_LUMINANCE : [MIN_DOT_LUMINANCE, MAX_DOT_LUMINANCE];
+    return toCss(xyYToLinearRgb(WHITE_POINT, min + shade * (max - min)));
+  }
+
+  const { figure, background } = getPlateChromaticities(plate.axis, plate.saturation);
+  const luminance = MIN_DOT_LUMINANCE + shade * (MAX_DOT_LUMINANCE - MIN_DOT_LUMINANCE);
+  return toCss(xyYToLinearRgb(isFigure ? figure : background, luminance));
+};
+
+export default {
+  PLATE_SETS,
+  DEFICIENCY_AXES,
+  SATURATION_LEVELS,
+  getPlateSet,
+  getMaxConfusionDistance,
+  getPlateChromaticities,
+  buildGeneratedPlates,
+  generateDotField,
+  getDotColor,
+};
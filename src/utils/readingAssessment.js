@@ -0,0 +1,335 @@
+/**
+ * Reading Assessment
+ * Short passages at five graded reading levels. Each passage is timed from
+ * the moment it is shown until the reader says they are done (words per
+ * minute), then hidden while three comprehension questions are asked.
+ *
+ * The test starts at a middle level and moves one level up after a passed
+ * passage (2 of 3 questions right) or one level down after a failed one,
+ * stopping once it has found the highest level passed with the next level up
+ * failed (or the top or bottom of the scale is reached). Reading speed is the
+ * median speed over the passages that were understood, so skimming a passage
+ * that was then failed does not inflate it.
+ *
+ * Passage difficulty is checked with the Flesch-Kincaid grade formula on the
+ * English text. A translated passage keeps its level and grade but is timed
+ * against its own word count, so speeds compare within a language.
+ */
+
+// Levels run 1 (basic) to 5 (expert); 0 means not even level 1 was passed
+export const MIN_READING_LEVEL = 1;
+export const MAX_READING_LEVEL = 5;
+const START_LEVEL = 3;
+
+// Questions that must be right for a passage to count as understood
+const PASS_CORRECT = 2;
+
+// Faster than this is scanning rather than reading; such passages are left out of the speed
+export const MAX_PLAUSIBLE_WPM = 800;
+
+export const READING_LEVEL_LABELS = {
+  0: 'Below basic',
+  1: 'Basic',
+  2: 'Everyday',
+  3: 'Standard',
+  4: 'Advanced',
+  5: 'Expert',
+};
+
+export const READING_PASSAGES = [
+  {
+    id: 'r1',
+    level: 1,
+    title: "Mia's Photo",
+    text: 'Mia has a new red phone, and she uses it to call her mum every day. On Sunday she took a photo of her dog, Max, who was sitting in the sun. Mia sent the photo to her friend Tom. Tom said it was a very good photo. Now she sees the photo every time she turns on her phone. When she looks at Max, she smiles.',
+    questions: [
+      {
+        id: 'r1q1',
+        question: "What colour is Mia's phone?",
+        options: ['Blue', 'Red', 'Black', 'White'],
+        correctAnswer: 'Red',
+      },
+      {
+        id: 'r1q2',
+        question: 'Who is Max?',
+        options: ["Mia's brother", "Mia's friend", "Mia's dog", "Mia's cat"],
+        correctAnswer: "Mia's dog",
+      },
+      {
+        id: 'r1q3',
+        question: 'Who did Mia send the photo to?',
+        options: ['Tom', 'Her mum', 'Her teacher', 'Nobody'],
+        correctAnswer: 'Tom',
+      },
+    ],
+  },
+  {
+    id: 'r2',
+    level: 2,
+    title: 'Tablets at the Library',
+    text: 'The town library now lends more than books. Anyone with a library card can borrow a tablet for two weeks. Each tablet comes with a charger and a short guide that explains how to connect to the internet. If a tablet is brought back late, the library charges a small fee for each extra day. Many older visitors use the tablets to make video calls to family members who live far away. The library also runs a free class every Tuesday morning for people who want help getting started.',
+    questions: [
+      {
+        id: 'r2q1',
+        question: 'How long can you borrow a tablet for?',
+        options: ['Two days', 'One week', 'Two weeks', 'One month'],
+        correctAnswer: 'Two weeks',
+      },
+      {
+        id: 'r2q2',
+        question: 'What happens if a tablet is brought back late?',
+        options: ['You pay a small fee for each extra day', 'You can never borrow again', 'Nothing happens', 'You have to buy it'],
+        correctAnswer: 'You pay a small fee for each extra day',
+      },
+      {
+        id: 'r2q3',
+        question: 'Why do many older visitors borrow the tablets?',
+        options: ['To play games', 'To read books', 'To take the free class', 'To make video calls to family'],
+        correctAnswer: 'To make video calls to family',
+      },
+    ],
+  },
+  {
+    id: 'r3',
+    level: 3,
+    title: 'Two-Step Sign In',
+    text: 'Most online accounts now offer two-step verification. After typing your password, you are asked for a second proof that it is really you, usually a short code sent to your phone. Even if criminals steal your password, they cannot sign in without that code. Some people find the extra step annoying and switch it off. Security experts warn that this is a mistake, because stolen passwords are sold in enormous lists and tried automatically on many different websites. A one-time code that changes every few minutes makes these attacks far less likely to succeed.',
+    questions: [
+      {
+        id: 'r3q1',
+        question: 'What is the second step usually?',
+        options: ['A second password', 'A code sent to your phone', 'A photo of your face', 'A security question'],
+        correctAnswer: 'A code sent to your phone',
+      },
+      {
+        id: 'r3q2',
+        question: 'Why do experts say switching it off is a mistake?',
+        options: ['Stolen passwords are tried on many websites', 'The codes cost nothing', 'Phones are safer than computers', 'It makes signing in faster'],
+        correctAnswer: 'Stolen passwords are tried on many websites',
+      },
+      {
+        id: 'r3q3',
+        question: 'What is the main point of the passage?',
+        options: ['Passwords should change every few minutes', 'Phones are the best way to sign in', 'Two-step verification protects accounts even when passwords are stolen', 'Criminals mostly steal phones'],
+        correctAnswer: 'Two-step verification protects accounts even when passwords are stolen',
+      },
+    ],
+  },
+  {
+    id: 'r4',
+    level: 4,
+    title: 'Recommended for You',
+    text: 'Streaming services use recommendation algorithms that study your viewing history to predict what you will enjoy next. These systems are convenient. However, critics argue that they gradually narrow the range of programmes people discover, reinforcing existing preferences instead of introducing unfamiliar ideas. Some platforms have responded by deliberately adding a few unexpected suggestions, a technique researchers call engineered serendipity. Measuring whether this really broadens tastes is difficult, because viewers who accept unusual suggestions may already have been more adventurous than average.',
+    questions: [
+      {
+        id: 'r4q1',
+        question: 'What do critics say recommendation algorithms do?',
+        options: ['Make subscriptions more expensive', 'Narrow the range of content people see', 'Show too many adverts', 'Delete viewing history'],
+        correctAnswer: 'Narrow the range of content people see',
+      },
+      {
+        id: 'r4q2',
+        question: "What does 'engineered serendipity' refer to here?",
+        options: ['Recommending only popular titles', 'Asking viewers to rate what they watch', 'Deliberately adding unexpected suggestions', 'Removing old programmes'],
+        correctAnswer: 'Deliberately adding unexpected suggestions',
+      },
+      {
+        id: 'r4q3',
+        question: 'Why is the effect of these suggestions hard to measure?',
+        options: ['Platforms do not keep viewing history', 'People who accept them may already be adventurous', 'Viewers cancel their subscriptions', 'The algorithms change every day'],
+        correctAnswer: 'People who accept them may already be adventurous',
+      },
+    ],
+  },
+  {
+    id: 'r5',
+    level: 5,
+    title: 'Beyond the Checklist',
+    text: 'Accessibility legislation increasingly requires public organisations to make their digital services conform to recognised technical standards. Compliance, however, is often treated as a procedural exercise. Automated evaluation tools verify measurable attributes, such as alternative text or colour contrast ratios, yet they cannot determine whether an interface is genuinely comprehensible to someone using assistive technology. Consequently, a website may satisfy every quantifiable criterion while remaining practically unusable. Advocates therefore argue that conformance testing should be complemented by repeated evaluation with disabled participants, whose lived experience exposes problems that no predetermined checklist anticipates.',
+    questions: [
+      {
+        id: 'r5q1',
+        question: 'What limitation of automated tools does the passage describe?',
+        options: ['They are too expensive for public bodies', 'They ignore colour contrast', 'They cannot judge whether an interface is really understandable', 'They only work on government websites'],
+        correctAnswer: 'They cannot judge whether an interface is really understandable',
+      },
+      {
+        id: 'r5q2',
+        question: "Calling compliance a 'procedural exercise' suggests it is often...",
+        options: ['Ticking boxes rather than making services usable', 'A thorough study with real users', 'A legal punishment', 'A faster way to build websites'],
+        correctAnswer: 'Ticking boxes rather than making services usable',
+      },
+      {
+        id: 'r5q3',
+        question: 'What do advocates recommend?',
+        options: ['Replacing laws with checklists', 'Also testing with disabled participants', 'Dropping automated tools entirely', 'Adding more alternative text'],
+        correctAnswer: 'Also testing with disabled participants',
+      },
+    ],
+  },
+];
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const getWords = (text) => text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+
+/**
+ * Number of words in a passage
+ * @param {string} text - Passage text
+ */
+export const countWords = (text) => getWords(text).length;
+
+/**
+ * Approximate English syllable count (vowel groups, less a silent final e)
+ * @param {string} word - A single word
+ */
+export const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+  const trimmed = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+};
+
+/**
+ * Flesch-Kincaid grade level of a passage
+ * @param {string} text - Passage text
+ * @returns {number} US school grade (higher = harder)
+ */
+export const fleschKincaidGrade = (text) => {
+  const words = getWords(text);
+  const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  return round(0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59, 1);
+};
+
+/**
+ * Passage for a reading level
+ * @param {number} level - 1 to 5
+ */
+export const getPassageForLevel = (level) => READING_PASSAGES.find(passage => passage.level === level);
+
+/**
+ * Reading speed in words per minute
+ * @param {number} words - Words in the passage
+ * @param {number} readingMs - Time the passage was on screen
+ */
+export const wordsPerMinute = (words, readingMs) => (readingMs > 0 ? Math.round(words / (readingMs / 60000)) : null);
+
+export class ReadingTest {
+  /**
+   * @param {object} options
+   * @param {number} options.startLevel - Level of the first passage
+   * @param {object} options.state - Saved level and scored passages (challengeProgress.readingAssessment.test);
+   *   the passage in progress, its reading time and answers so far are kept by ReadingChallenge
+   */
+  constructor({ startLevel = START_LEVEL, state = null } = {}) {
+    this.level = state?.level ?? startLevel;
+    this.passages = state?.passages || [];
+    this.complete = state?.complete ?? false;
+  }
+
+  isComplete() {
+    return this.complete;
+  }
+
+  /**
+   * The passage to show next
+   * @returns {object} Passage from READING_PASSAGES
+   */
+  getCurrentPassage() {
+    return getPassageForLevel(this.level);
+  }
+
+  /**
+   * Score the current passage and pick the next level
+   * @param {object} reading
+   * @param {number} reading.readingMs - Time from showing the passage to "done reading"
+   * @param {array} reading.answers - [{ questionId, answer, responseTime }]
+   * @param {string} reading.text - Passage text as shown, if translated (defaults to the English text)
+   * @returns {object} The passage as recorded
+   */
+  recordPassage({ readingMs, answers, text }) {
+    const passage = this.getCurrentPassage();
+    const words = countWords(text || passage.text);
+    const scored = answers.map(answer => {
+      const question = passage.questions.find(q => q.id === answer.questionId);
+      return { ...answer, correct: answer.answer === question?.correctAnswer };
+    });
+    const correctCount = scored.filter(answer => answer.correct).length;
+    const wpm = wordsPerMinute(words, readingMs);
+
+    const record = {
+      passageId: passage.id,
+      level: passage.level,
+      grade: fleschKincaidGrade(passage.text),
+      words,
+      readingMs,
+      wordsPerMinute: wpm,
+      skimmed: wpm !== null && wpm > MAX_PLAUSIBLE_WPM,
+      answers: scored,
+      correctCount,
+      questionCount: passage.questions.length,
+      passed: correctCount >= PASS_CORRECT,
+    };
+    this.passages.push(record);
+    this.moveLevel(record.passed);
+    return record;
+  }
+
+  moveLevel(passed) {
+    const next = passed ? this.level + 1 : this.level - 1;
+    const tested = this.passages.find(record => record.level === next);
+
+    // Off the scale, or the neighbouring level already settled the boundary
+    if (next < MIN_READING_LEVEL || next > MAX_READING_LEVEL || tested) {
+      this.complete = true;
+      return;
+    }
+    this.level = next;
+  }
+
+  /**
+   * Highest level understood, with speed taken from passages that were understood and not skimmed
+   * @returns {object} { readingLevel, readingLevelLabel, readingGrade, wordsPerMinute, comprehension, passageCount }
+   */
+  getResult() {
+    const passed = this.passages.filter(record => record.passed);
+    const top = passed.reduce((best, record) => (!best || record.level > best.level ? record : best), null);
+
+    // Speed from understood passages; fall back to every plausible one if none were understood
+    const timed = (records) => records.filter(record => record.wordsPerMinute !== null && !record.skimmed);
+    const speedSource = timed(passed).length > 0 ? timed(passed) : timed(this.passages);
+
+    const questionCount = this.passages.reduce((sum, record) => sum + record.questionCount, 0);
+    const correctCount = this.passages.reduce((sum, record) => sum + record.correctCount, 0);
+    const readingLevel = top?.level ?? 0;
+
+    return {
+      method: 'graded_passages',
+      readingLevel,
+      readingLevelLabel: READING_LEVEL_LABELS[readingLevel],
+      readingGrade: top?.grade ?? null,
+      wordsPerMinute: speedSource.length > 0 ? Math.round(median(speedSource.map(record => record.wordsPerMinute))) : null,
+      comprehension: questionCount > 0 ? round(correctCount / questionCount) : null,
+      passageCount: this.passages.length,
+    };
+  }
+
+  // Level to show next and the passages already scored
+  getState() {
+    return {
+      level: this.level,
+      passages: [...this.passages],
+      complete: this.complete,
+    };
+  }
+}
+
+export default ReadingTest;
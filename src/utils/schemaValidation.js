@@ -0,0 +1,89 @@
+/**
+ * Schema Validation
+ * Minimal JSON Schema validator for the subset used by payloadSchemas.js:
+ * type (string or array), properties, required, additionalProperties: false,
+ * items, enum, minimum, maximum, minLength, anyOf
+ */
+
+const getType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = getType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema (supported subset)
+ * @param {any} value - Value to validate
+ * @param {string} path - Path prefix used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+ */
+export const validateSchema = (schema, value, path = '$') => {
+  const errors = [];
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any allowed shape' });
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' | ')}, got ${getType(value)}` });
+      return errors; // Nested checks are meaningless for the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.join(', ')}, got ${value}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (getType(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(childSchema, child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false && child !== undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed by the schema' });
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+export default { validateSchema };
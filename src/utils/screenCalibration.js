@@ -0,0 +1,174 @@
+/**
+ * Screen Calibration Profiles
+ * Remembers the credit-card px/mm, the viewing distance and the DPR per display,
+ * so the acuity tests, the colour plates and the motor stage can reuse one
+ * calibration instead of assuming 96 DPI at arm's length.
+ *
+ * Profiles live in localStorage, keyed by a fingerprint of the browser and the
+ * display (screen size and DPR). When the window moves to another display the
+ * fingerprint changes and useScreenCalibration() reports it, so the tests can
+ * prompt for recalibration.
+ */
+
+import { hashString } from './hash';
+import {
+  ASSUMED_VIEWING_DISTANCE_MM,
+  DISTANCE_METHODS,
+  PX_PER_MM_SOURCES,
+  assumedPxPerMm,
+} from './viewingDistance';
+
+const STORAGE_KEY = 'sensecheck_screen_calibrations';
+
+// Oldest profiles are dropped beyond this many displays
+const MAX_PROFILES = 10;
+
+// Ishihara plates are about 85mm across, viewed from 75cm
+const PLATE_DIAMETER_MM = 85;
+const PLATE_VIEWING_DISTANCE_MM = 750;
+
+// Plate size limits so the layout still fits
+const MIN_PLATE_DIAMETER_PX = 160;
+const MAX_PLATE_DIAMETER_PX = 360;
+
+const listeners = new Set();
+
+/**
+ * The display the window is on right now
+ * @returns {object} { screenWidth, screenHeight, dpr }
+ */
+export const getDisplaySignature = () => ({
+  screenWidth: window.screen.width,
+  screenHeight: window.screen.height,
+  dpr: window.devicePixelRatio || 1,
+});
+
+/**
+ * Fingerprint of this browser on this display
+ * @param {object} signature - From getDisplaySignature()
+ */
+export const getDeviceFingerprint = (signature = getDisplaySignature()) => hashString(
+  `${navigator.userAgent}|${signature.screenWidth}x${signature.screenHeight}|${signature.dpr}`
+);
+
+/**
+ * Whether two display signatures describe the same display
+ */
+export const isSameDisplay = (a, b) => Boolean(a && b)
+  && a.screenWidth === b.screenWidth
+  && a.screenHeight === b.screenHeight
+  && a.dpr === b.dpr;
+
+const loadProfiles = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error('Failed to load screen calibrations:', e);
+    return {};
+  }
+};
+
+const saveProfiles = (profiles) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.error('Failed to save screen calibrations:', e);
+  }
+};
+
+const notify = () => {
+  const calibration = loadScreenCalibration();
+  listeners.forEach(listener => listener(calibration));
+};
+
+/**
+ * Saved calibration for the current display
+ * @returns {object|null} { fingerprint, pxPerMm, pxPerMmSource, viewingDistanceMm, distanceMethod, blindSpot, screenWidth, screenHeight, dpr, calibratedAt }
+ */
+export const loadScreenCalibration = () => loadProfiles()[getDeviceFingerprint()] || null;
+
+/**
+ * Save a calibration for the current display
+ * @param {object} calibration - { pxPerMm, pxPerMmSource, viewingDistanceMm, distanceMethod, blindSpot }
+ * @returns {object} The stored profile
+ */
+export const saveScreenCalibration = (calibration) => {
+  const signature = getDisplaySignature();
+  const fingerprint = getDeviceFingerprint(signature);
+  const profile = {
+    pxPerMm: calibration.pxPerMm,
+    pxPerMmSource: calibration.pxPerMmSource || PX_PER_MM_SOURCES.CREDIT_CARD,
+    viewingDistanceMm: calibration.viewingDistanceMm ?? ASSUMED_VIEWING_DISTANCE_MM,
+    distanceMethod: calibration.distanceMethod || DISTANCE_METHODS.ASSUMED,
+    blindSpot: calibration.blindSpot || null,
+    fingerprint,
+    ...signature,
+    calibratedAt: new Date().toISOString(),
+  };
+
+  const profiles = { ...loadProfiles(), [fingerprint]: profile };
+  const fingerprints = Object.keys(profiles);
+  if (fingerprints.length > MAX_PROFILES) {
+    fingerprints
+      .sort((a, b) => profiles[a].calibratedAt.localeCompare(profiles[b].calibratedAt))
+      .slice(0, fingerprints.length - MAX_PROFILES)
+      .forEach(oldFingerprint => delete profiles[oldFingerprint]);
+  }
+
+  saveProfiles(profiles);
+  notify();
+  return profile;
+};
+
+/**
+ * Forget the calibration for the current display
+ */
+export const clearScreenCalibration = () => {
+  const profiles = loadProfiles();
+  delete profiles[getDeviceFingerprint()];
+  saveProfiles(profiles);
+  notify();
+};
+
+/**
+ * Subscribe to calibration changes
+ * @param {function} listener - Called with the current display's calibration (or null)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeScreenCalibration = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * CSS px per mm - calibrated when available, otherwise 96 DPI × DPR
+ * @param {object|null} calibration - Defaults to the saved calibration for this display
+ */
+export const getPxPerMm = (calibration = loadScreenCalibration()) => calibration?.pxPerMm ?? assumedPxPerMm();
+
+/**
+ * Colour plate diameter that matches a printed plate's visual angle
+ * @param {object|null} calibration - Saved calibration; null keeps the default layout size
+ * @returns {number|null} Diameter in CSS px, or null without a calibration
+ */
+export const getPlateDiameterPx = (calibration) => {
+  if (!calibration?.pxPerMm) return null;
+
+  const halfAngle = Math.atan(PLATE_DIAMETER_MM / 2 / PLATE_VIEWING_DISTANCE_MM);
+  const diameterMm = 2 * (calibration.viewingDistanceMm || ASSUMED_VIEWING_DISTANCE_MM) * Math.tan(halfAngle);
+  const diameterPx = Math.round(diameterMm * calibration.pxPerMm);
+  return Math.max(MIN_PLATE_DIAMETER_PX, Math.min(MAX_PLATE_DIAMETER_PX, diameterPx));
+};
+
+export default {
+  getDisplaySignature,
+  getDeviceFingerprint,
+  isSameDisplay,
+  loadScreenCalibration,
+  saveScreenCalibration,
+  clearScreenCalibration,
+  subscribeScreenCalibration,
+  getPxPerMm,
+  getPlateDiameterPx,
+};
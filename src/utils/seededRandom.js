@@ -0,0 +1,62 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG (mulberry32) so anything random in a session
+ * can be regenerated from its seed. The whole state is one 32-bit integer,
+ * which makes it cheap to save with session progress and resume.
+ */
+
+import { hashString } from './hash';
+
+/**
+ * Derive a 32-bit seed from a string (e.g. a session ID)
+ * @param {string} value - Any string
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const seedFromString = (value) => parseInt(hashString(String(value)), 16);
+
+export class SeededRandom {
+  /**
+   * @param {number} seed - Unsigned 32-bit seed
+   * @param {number} state - State from getState() to resume a sequence
+   */
+  constructor(seed, state = null) {
+    this.seed = seed >>> 0;
+    this.state = (state ?? this.seed) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random base-36 token, e.g. for IDs
+   * @param {number} length - Number of characters
+   */
+  nextToken(length = 6) {
+    let token = '';
+    for (let i = 0; i < length; i++) {
+      token += this.nextInt(36).toString(36);
+    }
+    return token;
+  }
+
+  getState() {
+    return this.state;
+  }
+}
+
+export default SeededRandom;
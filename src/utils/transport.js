@@ -0,0 +1,108 @@
+/**
+ * Transport Layer
+ * Decides whether API calls go over the network or to the in-browser mock backend.
+ *
+ * Select the mock with VITE_API_TRANSPORT=mock, or per browser session with
+ * ?backend=mock in the URL (?backend=http switches back).
+ */
+
+import { AxiosError } from 'axios';
+import mockBackend from './mockBackend';
+import { resolveModeFlag } from './modeFlags';
+
+export const TRANSPORT_MODES = {
+  HTTP: 'http',
+  MOCK: 'mock',
+};
+
+const TRANSPORT_STORAGE_KEY = 'sensecheck_transport';
+
+/**
+ * Resolve the active transport mode
+ */
+export const getTransportMode = () => resolveModeFlag(
+  'backend',
+  TRANSPORT_STORAGE_KEY,
+  import.meta.env.VITE_API_TRANSPORT,
+  Object.values(TRANSPORT_MODES),
+  TRANSPORT_MODES.HTTP
+);
+
+const transportMode = getTransportMode();
+
+export const isMockTransport = () => transportMode === TRANSPORT_MODES.MOCK;
+
+// ==================== TRANSPORTS ====================
+
+// Real network transport (fetch)
+const httpTransport = {
+  async request({ method, baseURL = '', url, data, headers = {} }) {
+    const response = await fetch(`${baseURL}${url}`, {
+      method: method.toUpperCase(),
+      headers,
+      body: data !== undefined && data !== null ? JSON.stringify(data) : undefined,
+    });
+    const body = await response.json().catch(() => null);
+    return { status: response.status, data: body };
+  },
+};
+
+// In-browser mock backend (IndexedDB)
+const mockTransport = {
+  async request({ service, method, url, data, headers = {} }) {
+    return mockBackend.handle({ service, method, url, data, headers });
+  },
+};
+
+/**
+ * Get the active transport
+ * Both transports expose request({ service, method, baseURL, url, data, headers })
+ * and resolve with { status, data } - non-2xx statuses are not thrown.
+ */
+export const getTransport = () => (isMockTransport() ? mockTransport : httpTransport);
+
+// ==================== AXIOS ADAPTER ====================
+
+/**
+ * Axios adapter that routes requests through the mock transport
+ * Non-2xx responses reject with an AxiosError so callers can keep using error.response
+ */
+const mockAxiosAdapter = async (config) => {
+  const data = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+  const headers = config.headers?.toJSON ? config.headers.toJSON() : { ...config.headers };
+
+  const { status, data: body } = await mockTransport.request({
+    service: 'api',
+    method: config.method,
+    url: config.url,
+    data,
+    headers,
+  });
+
+  const response = {
+    data: body,
+    status,
+    statusText: status < 300 ? 'OK' : body?.error || 'Error',
+    headers: {},
+    config,
+    request: null,
+  };
+
+  if (status >= 200 && status < 300) return response;
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+};
+
+/**
+ * Axios adapter for the active transport
+ * @returns {function|undefined} Mock adapter, or undefined to keep axios' default XHR adapter
+ */
+export const getAxiosAdapter = () => (isMockTransport() ? mockAxiosAdapter : undefined);
+
+export default { TRANSPORT_MODES, getTransportMode, isMockTransport, getTransport, getAxiosAdapter };
@@ -0,0 +1,212 @@
+/**
+ * Tremor Analysis
+ * Spectral analysis of pointer velocity to detect tremor in the 4-12Hz band.
+ *
+ * Samples are resampled onto a uniform grid, differentiated to velocity and
+ * averaged over overlapping Hann-windowed FFTs (Welch's method). Runs inside
+ * workers/motorKinematics.worker.js, or on the main thread as a fallback.
+ */
+
+// Uniform resampling rate - pointer events arrive at irregular 60-240Hz intervals
+const RESAMPLE_HZ = 64;
+
+// 2s windows with 50% overlap give 0.5Hz frequency resolution
+const WINDOW_SIZE = 128;
+const WINDOW_HOP = 64;
+
+// Gaps longer than this split the trace (pointer at rest sends no events)
+const MAX_SAMPLE_GAP_MS = 100;
+
+// Tremor band and the reference band its power is compared against
+const TREMOR_BAND_HZ = [4, 12];
+const REFERENCE_BAND_HZ = [1, 20];
+
+// Displacement amplitude at which tremor probability saturates - 1mm, or ~4px at 96dpi when the screen is not calibrated
+const TREMOR_AMPLITUDE_SATURATION_MM = 1;
+const TREMOR_AMPLITUDE_SATURATION_PX = 4;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export const fft = (re, im) => {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+/**
+ * Split samples at gaps and linearly resample each run onto a uniform grid
+ * @param {Array<{x: number, y: number, time: number}>} samples - Pointer samples (px, ms), time-ordered
+ * @param {number} hz - Target rate
+ * @returns {Array<Array<{x: number, y: number}>>} Uniformly spaced runs
+ */
+export const resampleSamples = (samples, hz = RESAMPLE_HZ) => {
+  const stepMs = 1000 / hz;
+  const runs = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length > 1) {
+      const resampled = [];
+      let j = 0;
+      for (let t = run[0].time; t <= run[run.length - 1].time; t += stepMs) {
+        while (run[j + 1].time < t) j++;
+        const a = run[j];
+        const b = run[j + 1];
+        const f = b.time > a.time ? (t - a.time) / (b.time - a.time) : 0;
+        resampled.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+      }
+      runs.push(resampled);
+    }
+    run = [];
+  };
+
+  samples.forEach((sample) => {
+    const previous = run[run.length - 1];
+    if (previous && sample.time - previous.time > MAX_SAMPLE_GAP_MS) {
+      closeRun();
+      run.push(sample);
+    } else if (!previous || sample.time > previous.time) {
+      run.push(sample); // Coalesced events can repeat a timestamp
+    }
+  });
+  closeRun();
+
+  return runs;
+};
+
+/**
+ * Welch power spectrum of x and y velocity, summed over both axes
+ * @param {Array<Array<{x: number, y: number}>>} runs - From resampleSamples()
+ * @returns {object} { power: Float64Array (px²/s² per bin), windowCount, binHz, windowSum }
+ */
+export const velocitySpectrum = (runs) => {
+  const window = new Float64Array(WINDOW_SIZE);
+  let windowSum = 0;
+  for (let i = 0; i < WINDOW_SIZE; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (WINDOW_SIZE - 1));
+    windowSum += window[i];
+  }
+
+  const power = new Float64Array(WINDOW_SIZE / 2 + 1);
+  let windowCount = 0;
+
+  runs.forEach((run) => {
+    // Velocity in px/s by first difference
+    const vx = [];
+    const vy = [];
+    for (let i = 1; i < run.length; i++) {
+      vx.push((run[i].x - run[i - 1].x) * RESAMPLE_HZ);
+      vy.push((run[i].y - run[i - 1].y) * RESAMPLE_HZ);
+    }
+
+    for (let start = 0; start + WINDOW_SIZE <= vx.length; start += WINDOW_HOP) {
+      [vx, vy].forEach((velocity) => {
+        const segment = velocity.slice(start, start + WINDOW_SIZE);
+        const average = segment.reduce((a, b) => a + b, 0) / WINDOW_SIZE;
+        const re = Float64Array.from(segment, (v, i) => (v - average) * window[i]);
+        const im = new Float64Array(WINDOW_SIZE);
+        fft(re, im);
+        for (let k = 0; k < power.length; k++) {
+          power[k] += re[k] * re[k] + im[k] * im[k];
+        }
+      });
+      windowCount++;
+    }
+  });
+
+  if (windowCount > 0) {
+    for (let k = 0; k < power.length; k++) power[k] /= windowCount;
+  }
+
+  return { power, windowCount, binHz: RESAMPLE_HZ / WINDOW_SIZE, windowSum };
+};
+
+/**
+ * Estimate tremor from pointer samples
+ * @param {Array<{x: number, y: number, time: number}>} samples - Pointer samples (px, ms)
+ * @param {object} options
+ * @param {number} options.pxPerMm - Calibrated CSS px per mm (saved screen calibration), if known
+ * @returns {object} { windowCount, dominantFrequencyHz, amplitudePx (x and y combined), amplitudeMm, bandPowerRatio, tremorProb }
+ */
+export const analyzeTremor = (samples, { pxPerMm = null } = {}) => {
+  const { power, windowCount, binHz, windowSum } = velocitySpectrum(resampleSamples(samples || []));
+
+  if (windowCount === 0) {
+    return {
+      windowCount: 0,
+      dominantFrequencyHz: null,
+      amplitudePx: null,
+      amplitudeMm: null,
+      bandPowerRatio: null,
+      tremorProb: 0,
+    };
+  }
+
+  let bandPower = 0;
+  let referencePower = 0;
+  let peakBin = -1;
+
+  for (let k = 1; k < power.length; k++) {
+    const frequency = k * binHz;
+    if (frequency >= REFERENCE_BAND_HZ[0] && frequency <= REFERENCE_BAND_HZ[1]) {
+      referencePower += power[k];
+    }
+    if (frequency >= TREMOR_BAND_HZ[0] && frequency <= TREMOR_BAND_HZ[1]) {
+      bandPower += power[k];
+      if (peakBin < 0 || power[k] > power[peakBin]) peakBin = k;
+    }
+  }
+
+  const dominantFrequencyHz = peakBin * binHz;
+  const bandPowerRatio = referencePower > 0 ? bandPower / referencePower : 0;
+
+  // Single-sided velocity amplitude at the peak, converted to displacement (v = 2πf·d)
+  const velocityAmplitude = (2 * Math.sqrt(power[peakBin])) / windowSum;
+  const amplitudePx = velocityAmplitude / (2 * Math.PI * dominantFrequencyHz);
+
+  const saturationPx = pxPerMm ? TREMOR_AMPLITUDE_SATURATION_MM * pxPerMm : TREMOR_AMPLITUDE_SATURATION_PX;
+  const tremorProb = bandPowerRatio * Math.min(1, amplitudePx / saturationPx);
+
+  return {
+    windowCount,
+    dominantFrequencyHz: round(dominantFrequencyHz, 2),
+    amplitudePx: round(amplitudePx, 3),
+    amplitudeMm: pxPerMm ? round(amplitudePx / pxPerMm, 3) : null,
+    bandPowerRatio: round(bandPowerRatio, 3),
+    tremorProb: round(Math.min(1, tremorProb), 2),
+  };
+};
+
+export default { fft, resampleSamples, velocitySpectrum, analyzeTremor };
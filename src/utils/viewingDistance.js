@@ -0,0 +1,118 @@
+/**
+ * Viewing Distance
+ * Virtual chinrest for the visual acuity challenge (Li et al., 2020): with the
+ * screen's px/mm known from the credit-card calibration, the distance from the
+ * eye to the screen follows from where a moving dot falls into the blind spot.
+ *
+ * The left eye fixates a square while the right eye is closed; a dot moves
+ * left from the square and vanishes when its image reaches the optic disc,
+ * about 13.5 degrees from fixation. So distance = dot travel / tan(13.5 deg).
+ *
+ * Without these measurements the test falls back to the assumed 50cm and the
+ * CSS reference density of 96 DPI.
+ */
+
+// Horizontal angle between fixation and the centre of the blind spot
+export const BLIND_SPOT_ANGLE_DEG = 13.5;
+
+// Dot sweeps per measurement - the median is used
+export const BLIND_SPOT_TRIALS = 5;
+
+// Speed of the dot across the screen (mm per second)
+export const BLIND_SPOT_DOT_SPEED_MM_S = 25;
+
+// Assumed distance (arm's length) when the blind spot is not measured
+export const ASSUMED_VIEWING_DISTANCE_MM = 500;
+
+// Distances outside this range mean the procedure went wrong
+const MIN_VIEWING_DISTANCE_MM = 250;
+const MAX_VIEWING_DISTANCE_MM = 1500;
+
+// Standard credit card width in mm (ISO/IEC 7810 ID-1)
+export const CREDIT_CARD_WIDTH_MM = 85.6;
+
+export const DISTANCE_METHODS = {
+  ASSUMED: 'assumed',
+  BLIND_SPOT: 'blind_spot',
+};
+
+export const PX_PER_MM_SOURCES = {
+  ASSUMED: 'assumed',
+  CREDIT_CARD: 'credit_card',
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * CSS px per mm from the credit-card calibration
+ * @param {number} cardWidthPx - Width of the on-screen card matched to a real one (CSS px)
+ */
+export const pxPerMmFromCard = (cardWidthPx) => cardWidthPx / CREDIT_CARD_WIDTH_MM;
+
+/**
+ * CSS px per mm assumed without calibration (96 DPI reference × DPR)
+ */
+export const assumedPxPerMm = () => ((window.devicePixelRatio || 1) * 96) / 25.4;
+
+/**
+ * Viewing distance from blind-spot sweeps
+ * @param {number[]} dotDistancesPx - Distance from the fixation square to the dot when it vanished (CSS px), per sweep
+ * @param {number} pxPerMm - CSS px per mm of this screen
+ * @returns {object} { viewingDistanceMm, dotDistancesMm, spreadMm, isPlausible }
+ */
+export const estimateViewingDistance = (dotDistancesPx, pxPerMm) => {
+  const dotDistancesMm = dotDistancesPx.map(px => Math.round((px / pxPerMm) * 10) / 10);
+  const blindSpotMm = median(dotDistancesMm);
+  const viewingDistanceMm = Math.round(blindSpotMm / Math.tan((BLIND_SPOT_ANGLE_DEG * Math.PI) / 180));
+
+  return {
+    viewingDistanceMm,
+    dotDistancesMm,
+    spreadMm: Math.round((Math.max(...dotDistancesMm) - Math.min(...dotDistancesMm)) * 10) / 10,
+    isPlausible: viewingDistanceMm >= MIN_VIEWING_DISTANCE_MM && viewingDistanceMm <= MAX_VIEWING_DISTANCE_MM,
+  };
+};
+
+/**
+ * Size of a 20/20 optotype (5 arc minutes) on this screen at this distance
+ * @param {object} options
+ * @param {number} options.pxPerMm - CSS px per mm
+ * @param {number} options.viewingDistanceMm - Eye to screen distance
+ * @returns {object} { physicalSizeMM, pixels }
+ */
+export const calculateTwentyTwentySize = ({ pxPerMm, viewingDistanceMm }) => {
+  const angleRadians = (5 / 60) * (Math.PI / 180);
+  const physicalSizeMM = 2 * viewingDistanceMm * Math.tan(angleRadians / 2);
+  return { physicalSizeMM, pixels: physicalSizeMM * pxPerMm };
+};
+
+/**
+ * Test conditions recorded with the acuity results
+ * @param {object|null} calibration - { pxPerMm, pxPerMmSource, viewingDistanceMm, distanceMethod, blindSpot } or null when nothing was measured
+ */
+export const buildTestConditions = (calibration) => ({
+  viewingDistanceCm: Math.round((calibration?.viewingDistanceMm ?? ASSUMED_VIEWING_DISTANCE_MM) / 10),
+  distanceMethod: calibration?.distanceMethod || DISTANCE_METHODS.ASSUMED,
+  pxPerMm: Math.round((calibration?.pxPerMm ?? assumedPxPerMm()) * 100) / 100,
+  pxPerMmSource: calibration?.pxPerMmSource || PX_PER_MM_SOURCES.ASSUMED,
+  blindSpotDistancesMm: calibration?.blindSpot?.dotDistancesMm || null,
+});
+
+export default {
+  BLIND_SPOT_ANGLE_DEG,
+  BLIND_SPOT_TRIALS,
+  BLIND_SPOT_DOT_SPEED_MM_S,
+  ASSUMED_VIEWING_DISTANCE_MM,
+  CREDIT_CARD_WIDTH_MM,
+  DISTANCE_METHODS,
+  PX_PER_MM_SOURCES,
+  pxPerMmFromCard,
+  assumedPxPerMm,
+  estimateViewingDistance,
+  calculateTwentyTwentySize,
+  buildTestConditions,
+};
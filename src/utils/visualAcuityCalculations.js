@@ -6,6 +6,8 @@
  * This is the standard for near vision testing on screens.
  */
 
+import { loadScreenCalibration } from './screenCalibration';
+
 // Standard viewing distance for screen-based vision test (arm's length)
 export const STANDARD_VIEWING_DISTANCE_CM = 50;
 
@@ -57,6 +59,32 @@ export const calculateVisualAcuityFromThreshold = (resolvedSize, twentyTwentyThr
   };
 };
 
+/**
+ * Calculate visual acuity from a logMAR score
+ * logMAR 0 = 20/20, 0.3 = 20/40, 1.0 = 20/200; negative is better than 20/20
+ *
+ * @param {number} logMar - logMAR threshold
+ * @returns {object} Visual acuity metrics (same fields as calculateVisualAcuityFromThreshold)
+ */
+export const calculateVisualAcuityFromLogMar = (logMar) => {
+  if (logMar === null || logMar === undefined || Number.isNaN(logMar)) {
+    return calculateVisualAcuityFromThreshold(0, null);
+  }
+
+  // Decimal acuity = 1 / MAR, with MAR = 10^logMAR arc minutes
+  const visualAcuityDecimal = Math.round(Math.pow(10, -logMar) * 100) / 100;
+
+  const snellenDenominator = Math.round(20 * Math.pow(10, logMar));
+  const clampedDenominator = Math.max(10, Math.min(400, snellenDenominator));
+
+  return {
+    visualAcuityDecimal: Math.min(2.0, visualAcuityDecimal),
+    visionLoss: calculateVisionLoss(visualAcuityDecimal),
+    snellenDenominator: clampedDenominator,
+    snellenEstimate: `20/${clampedDenominator}`,
+  };
+};
+
 /**
  * Calculate visual angle in degrees
  * @param {number} objectSize - Size of the object in pixels
@@ -238,12 +266,18 @@ export const calculateVisualAcuityMetrics = (
 
 /**
  * Estimate screen PPI if not provided
+ * Uses the saved screen calibration for this display when there is one
  * @param {number} screenWidth - Screen width in pixels
  * @param {number} screenHeight - Screen height in pixels
  * @returns {number} Estimated PPI
  */
 export const estimateScreenPPI = (screenWidth, screenHeight) => {
-  // Assume standard desktop monitor diagonal of 24 inches
+  const calibration = loadScreenCalibration();
+  if (calibration?.pxPerMm) {
+    return Math.round(calibration.pxPerMm * 25.4);
+  }
+  
+  // Otherwise assume standard desktop monitor diagonal of 24 inches
   // This is a rough estimate; for accurate results, users should measure
   const diagonalPixels = Math.sqrt(screenWidth ** 2 + screenHeight ** 2);
   const assumedDiagonalInches = 24;
@@ -0,0 +1,58 @@
+/**
+ * Motor Kinematics Worker
+ * Buffers pointer samples for the current movement and analyzes them off the
+ * main thread, so the Konva animation loop keeps a steady frame time.
+ *
+ * Messages in:
+ * - { type: 'samples', samples: [{ x, y, time }] } - append to the current movement
+ * - { type: 'reset' }                             - start a new movement (pointer down)
+ * - { type: 'analyze', requestId, reset }         - analyze the current movement
+ * - { type: 'tremor', requestId, samples, pxPerMm } - spectral tremor analysis of a whole trace
+ *
+ * Messages out:
+ * - { type: 'analysis', requestId, metrics }
+ * - { type: 'tremor', requestId, metrics }
+ */
+
+import { analyzeTrajectoryPoints } from '../utils/motorKinematics';
+import { analyzeTremor } from '../utils/tremorAnalysis';
+
+// Upper bound on one movement (~8s at 120Hz) so a long idle hover cannot grow unbounded
+const MAX_SEGMENT_POINTS = 1000;
+
+let segment = [];
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'samples':
+      segment.push(...data.samples);
+      if (segment.length > MAX_SEGMENT_POINTS) {
+        segment = segment.slice(-MAX_SEGMENT_POINTS);
+      }
+      break;
+
+    case 'reset':
+      segment = [];
+      break;
+
+    case 'analyze':
+      self.postMessage({
+        type: 'analysis',
+        requestId: data.requestId,
+        metrics: analyzeTrajectoryPoints(segment),
+      });
+      if (data.reset) segment = [];
+      break;
+
+    case 'tremor':
+      self.postMessage({
+        type: 'tremor',
+        requestId: data.requestId,
+        metrics: analyzeTremor(data.samples, { pxPerMm: data.pxPerMm }),
+      });
+      break;
+
+    default:
+      break;
+  }
+};